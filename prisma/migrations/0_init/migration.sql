@@ -0,0 +1,18 @@
+-- Baseline of the flat Marksheet schema that was previously applied with `prisma db push`.
+-- On an existing database mark it as applied instead of running it:
+--   npx prisma migrate resolve --applied 0_init
+
+-- CreateTable
+CREATE TABLE "Marksheet" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "student_uuid" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "credit" INTEGER NOT NULL,
+    "cat1" INTEGER NOT NULL,
+    "cat2" INTEGER NOT NULL,
+    "exam_mark" INTEGER NOT NULL,
+    "total_mark" INTEGER NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL
+);
@@ -0,0 +1,54 @@
+-- Keys marks on (student_uuid, code, academic_period) and keeps the history of
+-- changed mark components.
+--
+-- Re-scrapes used to insert a new row every time, so a course can have several
+-- rows. Each group keeps its most recently saved row; the older rows' values go
+-- to MarkHistory as the changes that led up to it, then the rows are deleted so
+-- the unique index can be created.
+
+-- AlterTable
+ALTER TABLE "Marksheet" ADD COLUMN "academic_period" TEXT NOT NULL DEFAULT 'Unassigned';
+
+-- CreateTable
+CREATE TABLE "MarkHistory" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "marksheet_id" INTEGER NOT NULL,
+    "field" TEXT NOT NULL,
+    "old_value" INTEGER NOT NULL,
+    "new_value" INTEGER NOT NULL,
+    "scraped_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "MarkHistory_marksheet_id_fkey" FOREIGN KEY ("marksheet_id") REFERENCES "Marksheet" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- MergeDuplicates
+-- Each row with the row saved after it in its group, and the group's latest row
+CREATE TEMP TABLE "MarksheetMerge" AS
+SELECT "id",
+    FIRST_VALUE("id") OVER "latest_first" AS "keep_id",
+    LEAD("id") OVER "oldest_first" AS "next_id"
+FROM "Marksheet"
+WINDOW "latest_first" AS (PARTITION BY "student_uuid", "code", "academic_period" ORDER BY "updated_at" DESC, "id" DESC),
+    "oldest_first" AS (PARTITION BY "student_uuid", "code", "academic_period" ORDER BY "updated_at", "id");
+
+INSERT INTO "MarkHistory" ("marksheet_id", "field", "old_value", "new_value", "scraped_at")
+SELECT "g"."keep_id", "f"."field",
+    CASE "f"."field" WHEN 'cat1' THEN "o"."cat1" WHEN 'cat2' THEN "o"."cat2" WHEN 'exam_mark' THEN "o"."exam_mark" ELSE "o"."total_mark" END,
+    CASE "f"."field" WHEN 'cat1' THEN "n"."cat1" WHEN 'cat2' THEN "n"."cat2" WHEN 'exam_mark' THEN "n"."exam_mark" ELSE "n"."total_mark" END,
+    "n"."updated_at"
+FROM "MarksheetMerge" AS "g"
+JOIN "Marksheet" AS "o" ON "o"."id" = "g"."id"
+JOIN "Marksheet" AS "n" ON "n"."id" = "g"."next_id"
+JOIN (SELECT 'cat1' AS "field" UNION ALL SELECT 'cat2' UNION ALL SELECT 'exam_mark' UNION ALL SELECT 'total_mark') AS "f"
+WHERE CASE "f"."field" WHEN 'cat1' THEN "o"."cat1" <> "n"."cat1" WHEN 'cat2' THEN "o"."cat2" <> "n"."cat2"
+    WHEN 'exam_mark' THEN "o"."exam_mark" <> "n"."exam_mark" ELSE "o"."total_mark" <> "n"."total_mark" END
+ORDER BY "n"."updated_at", "n"."id";
+
+DELETE FROM "Marksheet" WHERE "id" IN (SELECT "id" FROM "MarksheetMerge" WHERE "id" <> "keep_id");
+
+DROP TABLE "MarksheetMerge";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Marksheet_student_uuid_code_academic_period_key" ON "Marksheet"("student_uuid", "code", "academic_period");
+
+-- CreateIndex
+CREATE INDEX "MarkHistory_marksheet_id_idx" ON "MarkHistory"("marksheet_id");
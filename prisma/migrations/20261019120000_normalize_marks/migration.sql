@@ -0,0 +1,147 @@
+-- Splits the flat Marksheet table into Student, AcademicPeriod, Course and Result.
+-- Result rows keep the id of the Marksheet row they come from, so MarkHistory
+-- entries move across by renaming marksheet_id to result_id.
+--
+-- Period titles are trimmed, blank ones becoming 'Unassigned', as saves do now.
+-- Rows that then share a (student, course, period) are merged first: the most
+-- recently saved one is kept, the others' values and history go to its MarkHistory.
+
+-- CreateTable
+CREATE TABLE "Student" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "uuid" TEXT NOT NULL,
+    "name" TEXT,
+    "reg_no" TEXT,
+    "program" TEXT,
+    "faculty" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "AcademicPeriod" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "title" TEXT NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "Course" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "credits" INTEGER NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "Result" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "student_id" INTEGER NOT NULL,
+    "course_id" INTEGER NOT NULL,
+    "period_id" INTEGER NOT NULL,
+    "cat1" INTEGER NOT NULL,
+    "cat2" INTEGER NOT NULL,
+    "exam_mark" INTEGER NOT NULL,
+    "total_mark" INTEGER NOT NULL,
+    "grade" TEXT,
+    "grade_point" REAL,
+    "extra" JSONB,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL,
+    CONSTRAINT "Result_student_id_fkey" FOREIGN KEY ("student_id") REFERENCES "Student" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Result_course_id_fkey" FOREIGN KEY ("course_id") REFERENCES "Course" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Result_period_id_fkey" FOREIGN KEY ("period_id") REFERENCES "AcademicPeriod" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Student_uuid_key" ON "Student"("uuid");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AcademicPeriod_title_key" ON "AcademicPeriod"("title");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Course_code_key" ON "Course"("code");
+
+-- CreateIndex
+CREATE INDEX "Result_period_id_idx" ON "Result"("period_id");
+
+-- CreateIndex
+CREATE INDEX "Result_course_id_idx" ON "Result"("course_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Result_student_id_course_id_period_id_key" ON "Result"("student_id", "course_id", "period_id");
+
+-- MergeDuplicates
+-- Each row with the row saved after it in its group, and the group's latest row
+CREATE TEMP TABLE "MarksheetMerge" AS
+SELECT "id",
+    FIRST_VALUE("id") OVER "latest_first" AS "keep_id",
+    LEAD("id") OVER "oldest_first" AS "next_id"
+FROM (SELECT *, COALESCE(NULLIF(TRIM("academic_period"), ''), 'Unassigned') AS "period_title" FROM "Marksheet")
+WINDOW "latest_first" AS (PARTITION BY "student_uuid", "code", "period_title" ORDER BY "updated_at" DESC, "id" DESC),
+    "oldest_first" AS (PARTITION BY "student_uuid", "code", "period_title" ORDER BY "updated_at", "id");
+
+UPDATE "MarkHistory" SET "marksheet_id" = (SELECT "keep_id" FROM "MarksheetMerge" WHERE "id" = "MarkHistory"."marksheet_id")
+WHERE "marksheet_id" IN (SELECT "id" FROM "MarksheetMerge" WHERE "id" <> "keep_id");
+
+INSERT INTO "MarkHistory" ("marksheet_id", "field", "old_value", "new_value", "scraped_at")
+SELECT "g"."keep_id", "f"."field",
+    CASE "f"."field" WHEN 'cat1' THEN "o"."cat1" WHEN 'cat2' THEN "o"."cat2" WHEN 'exam_mark' THEN "o"."exam_mark" ELSE "o"."total_mark" END,
+    CASE "f"."field" WHEN 'cat1' THEN "n"."cat1" WHEN 'cat2' THEN "n"."cat2" WHEN 'exam_mark' THEN "n"."exam_mark" ELSE "n"."total_mark" END,
+    "n"."updated_at"
+FROM "MarksheetMerge" AS "g"
+JOIN "Marksheet" AS "o" ON "o"."id" = "g"."id"
+JOIN "Marksheet" AS "n" ON "n"."id" = "g"."next_id"
+JOIN (SELECT 'cat1' AS "field" UNION ALL SELECT 'cat2' UNION ALL SELECT 'exam_mark' UNION ALL SELECT 'total_mark') AS "f"
+WHERE CASE "f"."field" WHEN 'cat1' THEN "o"."cat1" <> "n"."cat1" WHEN 'cat2' THEN "o"."cat2" <> "n"."cat2"
+    WHEN 'exam_mark' THEN "o"."exam_mark" <> "n"."exam_mark" ELSE "o"."total_mark" <> "n"."total_mark" END
+ORDER BY "n"."updated_at", "n"."id";
+
+DELETE FROM "Marksheet" WHERE "id" IN (SELECT "id" FROM "MarksheetMerge" WHERE "id" <> "keep_id");
+
+DROP TABLE "MarksheetMerge";
+
+UPDATE "Marksheet" SET "academic_period" = COALESCE(NULLIF(TRIM("academic_period"), ''), 'Unassigned');
+
+-- MoveData
+INSERT INTO "Student" ("uuid", "updated_at")
+SELECT DISTINCT "student_uuid", CURRENT_TIMESTAMP FROM "Marksheet";
+
+INSERT INTO "AcademicPeriod" ("title")
+SELECT DISTINCT "academic_period" FROM "Marksheet";
+
+-- The course catalog takes the name and credits of the most recently saved row per code
+INSERT INTO "Course" ("code", "name", "credits", "updated_at")
+SELECT "m"."code", "m"."name", "m"."credit", CURRENT_TIMESTAMP
+FROM "Marksheet" AS "m"
+WHERE "m"."id" = (SELECT MAX("id") FROM "Marksheet" WHERE "code" = "m"."code");
+
+INSERT INTO "Result" ("id", "student_id", "course_id", "period_id", "cat1", "cat2", "exam_mark", "total_mark", "created_at", "updated_at")
+SELECT "m"."id", "s"."id", "c"."id", "p"."id", "m"."cat1", "m"."cat2", "m"."exam_mark", "m"."total_mark", "m"."created_at", "m"."updated_at"
+FROM "Marksheet" AS "m"
+JOIN "Student" AS "s" ON "s"."uuid" = "m"."student_uuid"
+JOIN "Course" AS "c" ON "c"."code" = "m"."code"
+JOIN "AcademicPeriod" AS "p" ON "p"."title" = "m"."academic_period";
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_MarkHistory" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "result_id" INTEGER NOT NULL,
+    "field" TEXT NOT NULL,
+    "old_value" INTEGER NOT NULL,
+    "new_value" INTEGER NOT NULL,
+    "scraped_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "MarkHistory_result_id_fkey" FOREIGN KEY ("result_id") REFERENCES "Result" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_MarkHistory" ("id", "result_id", "field", "old_value", "new_value", "scraped_at")
+SELECT "id", "marksheet_id", "field", "old_value", "new_value", "scraped_at" FROM "MarkHistory";
+DROP TABLE "MarkHistory";
+ALTER TABLE "new_MarkHistory" RENAME TO "MarkHistory";
+CREATE INDEX "MarkHistory_result_id_idx" ON "MarkHistory"("result_id");
+DROP TABLE "Marksheet";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
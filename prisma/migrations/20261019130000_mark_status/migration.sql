@@ -0,0 +1,54 @@
+-- Makes the mark components nullable decimals with a per-component status.
+-- Existing rows were stored as integers with blanks defaulted to 0, so they
+-- cannot be told apart and are all kept as published.
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Result" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "student_id" INTEGER NOT NULL,
+    "course_id" INTEGER NOT NULL,
+    "period_id" INTEGER NOT NULL,
+    "cat1" DECIMAL,
+    "cat1_status" TEXT NOT NULL DEFAULT 'pending',
+    "cat2" DECIMAL,
+    "cat2_status" TEXT NOT NULL DEFAULT 'pending',
+    "exam_mark" DECIMAL,
+    "exam_mark_status" TEXT NOT NULL DEFAULT 'pending',
+    "total_mark" DECIMAL,
+    "total_mark_status" TEXT NOT NULL DEFAULT 'pending',
+    "grade" TEXT,
+    "grade_point" REAL,
+    "extra" JSONB,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL,
+    CONSTRAINT "Result_student_id_fkey" FOREIGN KEY ("student_id") REFERENCES "Student" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Result_course_id_fkey" FOREIGN KEY ("course_id") REFERENCES "Course" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Result_period_id_fkey" FOREIGN KEY ("period_id") REFERENCES "AcademicPeriod" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_Result" ("id", "student_id", "course_id", "period_id", "cat1", "cat1_status", "cat2", "cat2_status", "exam_mark", "exam_mark_status", "total_mark", "total_mark_status", "grade", "grade_point", "extra", "created_at", "updated_at")
+SELECT "id", "student_id", "course_id", "period_id", "cat1", 'published', "cat2", 'published', "exam_mark", 'published', "total_mark", 'published', "grade", "grade_point", "extra", "created_at", "updated_at" FROM "Result";
+DROP TABLE "Result";
+ALTER TABLE "new_Result" RENAME TO "Result";
+CREATE INDEX "Result_period_id_idx" ON "Result"("period_id");
+CREATE INDEX "Result_course_id_idx" ON "Result"("course_id");
+CREATE UNIQUE INDEX "Result_student_id_course_id_period_id_key" ON "Result"("student_id", "course_id", "period_id");
+CREATE TABLE "new_MarkHistory" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "result_id" INTEGER NOT NULL,
+    "field" TEXT NOT NULL,
+    "old_value" DECIMAL,
+    "new_value" DECIMAL,
+    "old_status" TEXT,
+    "new_status" TEXT,
+    "scraped_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "MarkHistory_result_id_fkey" FOREIGN KEY ("result_id") REFERENCES "Result" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_MarkHistory" ("id", "result_id", "field", "old_value", "new_value", "scraped_at")
+SELECT "id", "result_id", "field", "old_value", "new_value", "scraped_at" FROM "MarkHistory";
+DROP TABLE "MarkHistory";
+ALTER TABLE "new_MarkHistory" RENAME TO "MarkHistory";
+CREATE INDEX "MarkHistory_result_id_idx" ON "MarkHistory"("result_id");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
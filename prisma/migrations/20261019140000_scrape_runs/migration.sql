@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "ScrapeRun" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "account" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "step" TEXT,
+    "result" JSONB,
+    "error" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "started_at" DATETIME,
+    "finished_at" DATETIME,
+    "updated_at" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "ScrapeRun_status_account_idx" ON "ScrapeRun"("status", "account");
@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "Account" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "username" TEXT NOT NULL,
+    "label" TEXT,
+    "password_encrypted" TEXT NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "verification_status" TEXT,
+    "verified_at" DATETIME,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_ScrapeRun" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "account" TEXT NOT NULL,
+    "account_id" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "step" TEXT,
+    "result" JSONB,
+    "error" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "started_at" DATETIME,
+    "finished_at" DATETIME,
+    "updated_at" DATETIME NOT NULL,
+    CONSTRAINT "ScrapeRun_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "Account" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_ScrapeRun" ("id", "account", "status", "step", "result", "error", "created_at", "started_at", "finished_at", "updated_at") SELECT "id", "account", "status", "step", "result", "error", "created_at", "started_at", "finished_at", "updated_at" FROM "ScrapeRun";
+DROP TABLE "ScrapeRun";
+ALTER TABLE "new_ScrapeRun" RENAME TO "ScrapeRun";
+CREATE INDEX "ScrapeRun_status_account_idx" ON "ScrapeRun"("status", "account");
+CREATE INDEX "ScrapeRun_account_id_idx" ON "ScrapeRun"("account_id");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Account_username_key" ON "Account"("username");
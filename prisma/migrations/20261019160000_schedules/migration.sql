@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE "Schedule" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT,
+    "account_id" INTEGER,
+    "cron" TEXT NOT NULL,
+    "timezone" TEXT,
+    "jitter_seconds" INTEGER NOT NULL DEFAULT 0,
+    "quiet_hours_start" TEXT,
+    "quiet_hours_end" TEXT,
+    "skip_if_running" BOOLEAN NOT NULL DEFAULT true,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "consecutive_failures" INTEGER NOT NULL DEFAULT 0,
+    "next_run_at" DATETIME,
+    "last_run_at" DATETIME,
+    "last_status" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL,
+    CONSTRAINT "Schedule_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "Account" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_ScrapeRun" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "account" TEXT NOT NULL,
+    "account_id" INTEGER,
+    "trigger" TEXT NOT NULL DEFAULT 'manual',
+    "schedule_id" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "step" TEXT,
+    "result" JSONB,
+    "error" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "started_at" DATETIME,
+    "finished_at" DATETIME,
+    "updated_at" DATETIME NOT NULL,
+    CONSTRAINT "ScrapeRun_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "Account" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "ScrapeRun_schedule_id_fkey" FOREIGN KEY ("schedule_id") REFERENCES "Schedule" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_ScrapeRun" ("id", "account", "account_id", "status", "step", "result", "error", "created_at", "started_at", "finished_at", "updated_at") SELECT "id", "account", "account_id", "status", "step", "result", "error", "created_at", "started_at", "finished_at", "updated_at" FROM "ScrapeRun";
+DROP TABLE "ScrapeRun";
+ALTER TABLE "new_ScrapeRun" RENAME TO "ScrapeRun";
+CREATE INDEX "ScrapeRun_status_account_idx" ON "ScrapeRun"("status", "account");
+CREATE INDEX "ScrapeRun_account_id_idx" ON "ScrapeRun"("account_id");
+CREATE INDEX "ScrapeRun_schedule_id_idx" ON "ScrapeRun"("schedule_id");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "Schedule_enabled_next_run_at_idx" ON "Schedule"("enabled", "next_run_at");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ScrapeRun" ADD COLUMN "progress" JSONB;
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "ScrapeArtifact" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "run_id" INTEGER NOT NULL,
+    "kind" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "path" TEXT NOT NULL,
+    "mime_type" TEXT NOT NULL,
+    "step" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "ScrapeArtifact_run_id_fkey" FOREIGN KEY ("run_id") REFERENCES "ScrapeRun" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ScrapeArtifact_run_id_idx" ON "ScrapeArtifact"("run_id");
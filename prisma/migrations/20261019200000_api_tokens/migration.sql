@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "ApiToken" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "type" TEXT NOT NULL DEFAULT 'api_key',
+    "role" TEXT NOT NULL,
+    "student_uuid" TEXT,
+    "token_hash" TEXT NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "expires_at" DATETIME,
+    "revoked_at" DATETIME,
+    "last_used_at" DATETIME,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ApiToken_token_hash_key" ON "ApiToken"("token_hash");
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "MarkIssue" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "run_id" INTEGER,
+    "student_uuid" TEXT NOT NULL,
+    "academic_period" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "semester_index" INTEGER NOT NULL,
+    "row_index" INTEGER NOT NULL,
+    "field" TEXT,
+    "rule" TEXT NOT NULL,
+    "severity" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "row" JSONB NOT NULL,
+    "quarantined" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "MarkIssue_run_id_fkey" FOREIGN KEY ("run_id") REFERENCES "ScrapeRun" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "MarkIssue_run_id_idx" ON "MarkIssue"("run_id");
+
+-- CreateIndex
+CREATE INDEX "MarkIssue_student_uuid_idx" ON "MarkIssue"("student_uuid");
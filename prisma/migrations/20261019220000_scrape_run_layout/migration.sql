@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "ScrapeRun" ADD COLUMN "layout" JSONB;
+ALTER TABLE "ScrapeRun" ADD COLUMN "layout_signature" TEXT;
+ALTER TABLE "ScrapeRun" ADD COLUMN "layout_changed" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "Account" ADD COLUMN "student_uuid" TEXT;
+
+-- CreateTable
+CREATE TABLE "StudentProfileHistory" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "student_id" INTEGER NOT NULL,
+    "field" TEXT NOT NULL,
+    "old_value" TEXT,
+    "new_value" TEXT,
+    "run_id" INTEGER,
+    "changed_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "StudentProfileHistory_student_id_fkey" FOREIGN KEY ("student_id") REFERENCES "Student" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "StudentProfileHistory_student_id_idx" ON "StudentProfileHistory"("student_id");
@@ -0,0 +1,157 @@
+import express from 'express';
+import prisma from '../service/prismaClient.js';
+import { parseId } from '../service/marksheetService.js';
+import { CredentialStoreError } from '../service/credentialStore.js';
+import { authorize } from '../service/authService.js';
+import {
+    toPublicAccount,
+    validateAccount,
+    createAccount,
+    updateAccount,
+    deleteAccount,
+    verifyAccount,
+} from '../service/accountService.js';
+import { isAccountBusy, loadScraperSettings } from '../service/scrapeJobs.js';
+
+const router = express.Router();
+
+// Admins only
+router.use(authorize());
+
+/**
+ * Answers 503 when the master key is missing or cannot decrypt the stored
+ * password; other errors go to the error handler.
+ */
+function handleCredentialError(error, res) {
+    if (error instanceof CredentialStoreError) {
+        return res.status(503).json({ message: error.message });
+    }
+    throw error;
+}
+
+/*
+|
+| get all registered MIS accounts (never their passwords)
+| @route GET /accounts
+| @access Admin
+*/
+router.get('/', async (req, res) => {
+    const accounts = await prisma.account.findMany({ orderBy: { id: 'asc' } });
+
+    res.status(200).json({ message: 'Get all accounts', data: accounts.map(toPublicAccount) });
+});
+
+/*
+|
+| get a registered MIS account
+| @route GET /accounts/:id
+| @access Admin
+*/
+router.get('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const account = await prisma.account.findUnique({ where: { id } });
+    if (!account) return res.status(404).json({ message: `Account ${id} not found` });
+
+    res.status(200).json({ message: 'Get account', data: toPublicAccount(account) });
+});
+
+/*
+|
+| registers a MIS account; the password is stored encrypted
+| body: { username, password, label?, student_uuid?, active? }
+| student_uuid is the student whose marks the login shows, the username when omitted
+| @route POST /accounts
+| @access Admin
+*/
+router.post('/', async (req, res) => {
+    const { data, errors } = validateAccount(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid account', errors });
+    }
+
+    try {
+        const account = await createAccount(data);
+        res.status(201).json({ message: 'Account registered', data: account });
+    } catch (error) {
+        if (error.code === 'P2002') { // Prisma unique constraint violation error code
+            return res.status(409).json({ message: `Account ${data.username} is already registered` });
+        }
+        handleCredentialError(error, res);
+    }
+});
+
+/*
+|
+| updates a MIS account's label, password, student_uuid or active flag
+| @route PATCH /accounts/:id
+| @access Admin
+*/
+router.patch('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const { data, errors } = validateAccount(req.body, { partial: true });
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid account', errors });
+    }
+
+    try {
+        const account = await updateAccount(id, data);
+        if (!account) return res.status(404).json({ message: `Account ${id} not found` });
+        res.status(200).json({ message: 'Account updated', data: account });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({ message: `Account ${data.username} is already registered` });
+        }
+        handleCredentialError(error, res);
+    }
+});
+
+/*
+|
+| deletes a MIS account, its cookie jar and browser profile, and cancels its queued runs
+| @route DELETE /accounts/:id
+| @access Admin
+*/
+router.delete('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const account = await prisma.account.findUnique({ where: { id } });
+    if (!account) return res.status(404).json({ message: `Account ${id} not found` });
+    if (isAccountBusy(account.username)) {
+        return res.status(409).json({ message: `Account ${id} has a scrape in progress; cancel it first` });
+    }
+
+    if (!(await deleteAccount(id))) return res.status(404).json({ message: `Account ${id} not found` });
+    res.status(204).end();
+});
+
+/*
+|
+| checks the account's credentials with a dry-run login (nothing is scraped or saved)
+| answers once the login attempt is over; data.result.status is a scrape status
+| @route POST /accounts/:id/verify
+| @access Admin
+*/
+router.post('/:id/verify', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const account = await prisma.account.findUnique({ where: { id } });
+    if (!account) return res.status(404).json({ message: `Account ${id} not found` });
+    if (isAccountBusy(account.username)) {
+        return res.status(409).json({ message: `Account ${id} has a scrape in progress; try again once it is over` });
+    }
+
+    try {
+        const data = await verifyAccount(account, await loadScraperSettings());
+        res.status(200).json({ message: data.result.success ? 'Account verified' : 'Account verification failed', data });
+    } catch (error) {
+        handleCredentialError(error, res);
+    }
+});
+
+export default router;
@@ -0,0 +1,75 @@
+import express from 'express';
+import prisma from '../service/prismaClient.js';
+import { parseId } from '../service/marksheetService.js';
+import {
+    AuthConfigError,
+    authorize,
+    toPublicToken,
+    validateApiToken,
+    createApiToken,
+    revokeApiToken,
+} from '../service/authService.js';
+
+const router = express.Router();
+
+/*
+|
+| get who the request's token authenticates
+| @route GET /auth/me
+| @access Admin, Student, Service
+*/
+router.get('/me', (req, res) => {
+    res.status(200).json({ message: 'Get current token', data: req.auth });
+});
+
+/*
+|
+| get all API tokens (never the tokens themselves)
+| @route GET /auth/tokens
+| @access Admin
+*/
+router.get('/tokens', authorize(), async (req, res) => {
+    const tokens = await prisma.apiToken.findMany({ orderBy: { id: 'asc' } });
+
+    res.status(200).json({ message: 'Get all API tokens', data: tokens.map(toPublicToken) });
+});
+
+/*
+|
+| issues an API key or JWT; the token is only ever shown in this response
+| body: { name, role, type?: api_key|jwt, student_uuid? (required for students), expires_at? }
+| @route POST /auth/tokens
+| @access Admin
+*/
+router.post('/tokens', authorize(), async (req, res) => {
+    const { data, errors } = validateApiToken(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid API token', errors });
+    }
+
+    try {
+        const { token, record } = await createApiToken(data);
+        res.status(201).json({ message: 'API token issued; store it now, it cannot be shown again', data: { ...record, token } });
+    } catch (error) {
+        if (error instanceof AuthConfigError) return res.status(503).json({ message: error.message });
+        throw error;
+    }
+});
+
+/*
+|
+| revokes an API token; requests with it are refused from now on
+| @route DELETE /auth/tokens/:id
+| @access Admin
+*/
+router.delete('/tokens/:id', authorize(), async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const token = await revokeApiToken(id);
+    if (!token) return res.status(404).json({ message: `API token ${id} not found` });
+
+    res.status(200).json({ message: 'API token revoked', data: token });
+});
+
+export default router;
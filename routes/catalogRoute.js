@@ -0,0 +1,65 @@
+import express from 'express';
+import prisma from '../service/prismaClient.js';
+import { parseId } from '../service/marksheetService.js';
+import { listScales } from '../service/grading.js';
+import { authorize } from '../service/authService.js';
+
+const router = express.Router();
+
+// Any authenticated token
+router.use(authorize('student', 'service'));
+
+/*
+|
+| get all academic periods with their number of results
+| @route GET /periods
+| @access Admin, Student, Service
+*/
+router.get('/periods', async (req, res) => {
+    const periods = await prisma.academicPeriod.findMany({
+        orderBy: { id: 'asc' },
+        include: { _count: { select: { results: true } } },
+    });
+
+    res.status(200).json({ message: 'Get all academic periods', data: periods });
+});
+
+/*
+|
+| get the course catalog (code, name, credits)
+| @route GET /courses
+| @access Admin, Student, Service
+*/
+router.get('/courses', async (req, res) => {
+    const courses = await prisma.course.findMany({ orderBy: { code: 'asc' } });
+
+    res.status(200).json({ message: 'Get all courses', data: courses });
+});
+
+/*
+|
+| get a single course
+| @route GET /courses/:id
+| @access Admin, Student, Service
+*/
+router.get('/courses/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const course = await prisma.course.findUnique({ where: { id } });
+    if (!course) return res.status(404).json({ message: `Course ${id} not found` });
+
+    res.status(200).json({ message: 'Get course', data: course });
+});
+
+/*
+|
+| get the selectable grading scales and the default one
+| @route GET /grading-scales
+| @access Admin, Student, Service
+*/
+router.get('/grading-scales', (req, res) => {
+    res.status(200).json({ message: 'Get grading scales', data: listScales() });
+});
+
+export default router;
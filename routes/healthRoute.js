@@ -0,0 +1,44 @@
+import express from 'express';
+import { checkReadiness } from '../service/health.js';
+import { renderMetrics } from '../service/metrics.js';
+
+const router = express.Router();
+
+/*
+|
+| liveness: answers as long as the process serves requests
+| @route GET /health
+| @access Public
+*/
+router.get('/health', (req, res) => {
+    res.status(200).json({ message: 'OK', data: { status: 'ok', uptime_seconds: Math.round(process.uptime()) } });
+});
+
+/*
+|
+| readiness: the database answers, Chromium launches and the config is valid
+| 503 with the failing checks when not ready
+| @route GET /ready
+| @access Public
+*/
+router.get('/ready', async (req, res) => {
+    const { ready, checks } = await checkReadiness();
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({
+        message: ready ? 'Ready' : 'Not ready',
+        data: { status: ready ? 'ready' : 'not_ready', checks },
+    });
+});
+
+/*
+|
+| metrics in the Prometheus text format, see service/metrics.js
+| @route GET /metrics
+| @access Public
+*/
+router.get('/metrics', async (req, res) => {
+    const { contentType, body } = await renderMetrics();
+    res.type(contentType).send(body);
+});
+
+export default router;
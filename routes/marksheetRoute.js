@@ -1,39 +1,263 @@
 import express from 'express';
+import multer from 'multer';
+import prisma from '../service/prismaClient.js';
+import {
+    MARK_INCLUDE,
+    toMarkRow,
+    toHistoryRow,
+    createMark,
+    updateMark,
+    parseMarksheetListQuery,
+    buildMarksheetFilter,
+    iterateMarks,
+    validateMarksheet,
+    parseId,
+} from '../service/marksheetService.js';
+import {
+    parseCsvMapping,
+    validateMarksPayload,
+    importMarksData,
+    importCsv,
+} from '../service/importService.js';
+import { authorize, studentScope, canSeeStudent } from '../service/authService.js';
+import { ExportAbortedError, EXPORT_FORMATS, parseExportOptions, writeMarksExport } from '../service/exportService.js';
+import { getScale, defaultScaleName, listScales } from '../service/grading.js';
+import { logger as rootLogger } from '../service/logger.js';
 
 const router = express.Router();
 
-const marks = [{
-    id: 1,
-    subject: 'Mathematics',
-    score: 95
-}, {
-    id: 2,
-    subject: 'Science',
-    score: 88   
-}];
+const MAX_IMPORT_SIZE = 5 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_SIZE } });
+
+const logger = rootLogger.child({ component: 'marks_export' });
 
 /*
 |
 | get all marks from the database
+| supports ?student_uuid, ?code, ?academic_period, ?from, ?to, ?page, ?limit, ?sort and ?order
+| students only get their own marks, whatever ?student_uuid says
 | @route GET /marks
-| @access Public
+| @access Admin, Student (own marks)
 */
-router.get('/', (req, res) => {
+router.get('/', authorize('student'), async (req, res) => {
+    const scope = studentScope(req);
+    const { args, page, limit, errors } = parseMarksheetListQuery(scope ? { ...req.query, student_uuid: scope } : req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+
+    const [results, total] = await prisma.$transaction([
+        prisma.result.findMany(args),
+        prisma.result.count({ where: args.where }),
+    ]);
+
     res.status(200).json({
         message: 'Get all marks',
-        data: marks // This should be replaced with actual data from the database
+        data: results.map(toMarkRow),
+        meta: { page, limit, total, pages: Math.ceil(total / limit) },
     });
 });
 
+/*
+|
+| downloads marks as a file, streamed so that any number of rows can be exported
+| ?format: csv (default), ndjson or xlsx
+| ?columns: comma-separated columns, all but extra by default (see EXPORT_COLUMNS)
+| ?scale: grading scale of derived_grade and derived_grade_point (see GET /grading-scales)
+| filters as GET /marks: ?student_uuid, ?code, ?academic_period, ?from, ?to; rows come by ascending id
+| students only get their own marks, whatever ?student_uuid says
+| @route GET /marks/export
+| @access Admin, Student (own marks)
+*/
+router.get('/export', authorize('student'), async (req, res) => {
+    const scope = studentScope(req);
+    const { where, errors } = buildMarksheetFilter(scope ? { ...req.query, student_uuid: scope } : req.query);
+    const { format, columns, errors: optionErrors } = parseExportOptions(req.query);
+    errors.push(...optionErrors);
+
+    const scaleName = req.query.scale ? String(req.query.scale) : defaultScaleName();
+    const bands = getScale(scaleName);
+    if (!bands) errors.push(`scale must be one of: ${Object.keys(listScales().scales).join(', ')}`);
+
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    res.set('Content-Type', contentType);
+    res.attachment(`marks-${new Date().toISOString().slice(0, 10)}.${extension}`);
+
+    try {
+        const rows = await writeMarksExport(res, iterateMarks(where), { format, columns, bands });
+        logger.info('Marks exported', { format, rows, token_id: req.auth.token_id });
+    } catch (error) {
+        if (error instanceof ExportAbortedError) {
+            logger.info('Marks export aborted by the client', { format, token_id: req.auth.token_id });
+            return;
+        }
+        // The headers are gone: all that is left is to cut the download short
+        logger.error('Marks export failed', { format, token_id: req.auth.token_id, error });
+        res.destroy();
+    }
+});
+
+/*
+|
+| imports marks from another source and reports what was saved, skipped or rejected
+| accepts the scraper's { studentInfo, semesters[].courses[] } JSON payload,
+| a multipart upload with a CSV `file`, or a raw text/csv body.
+| CSV uploads take an optional `mapping` (JSON of field -> column header)
+| and `student_uuid` for files without a student column, as form fields or query parameters.
+| a JSON payload whose save is refused (wrong student, validation in block mode) answers 422,
+| one whose save fails answers 500; CSV refusals are reported on the lines concerned
+| @route POST /marks/import
+| @access Admin, Service
+*/
+router.post('/import', authorize('service'), upload.single('file'), express.text({ type: 'text/csv', limit: MAX_IMPORT_SIZE }), async (req, res) => {
+    const csv = req.file ? req.file.buffer.toString('utf8') : (typeof req.body === 'string' ? req.body : null);
+
+    if (csv === null) {
+        const errors = validateMarksPayload(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid marks payload', errors });
+        }
+        const report = await importMarksData(req.body);
+        // Refused for its data: 422; failed while saving: 500
+        const status = report.success ? 200 : (report.refused ? 422 : 500);
+        return res.status(status).json({ message: report.message, data: report });
+    }
+
+    const options = { ...req.query, ...(req.file ? req.body : {}) };
+    const { mapping, errors: mappingErrors } = parseCsvMapping(options.mapping);
+    if (mappingErrors.length > 0) {
+        return res.status(400).json({ message: 'Invalid column mapping', errors: mappingErrors });
+    }
+
+    const report = await importCsv(csv, { mapping, studentUuid: options.student_uuid });
+    if (report.errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid CSV', errors: report.errors });
+    }
+    res.status(200).json({ message: `Imported ${report.summary.saved} marks records`, data: report });
+});
+
+/*
+|
+| get a single mark by id
+| @route GET /marks/:id
+| @access Admin, Student (own marks)
+*/
+router.get('/:id', authorize('student'), async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const result = await prisma.result.findUnique({ where: { id }, include: MARK_INCLUDE });
+    if (!result || !canSeeStudent(req, result.student.uuid)) return res.status(404).json({ message: `Mark ${id} not found` });
+
+    res.status(200).json({ message: 'Get mark', data: toMarkRow(result) });
+});
+
+/*
+|
+| get how a mark evolved across re-scrapes, oldest change first
+| @route GET /marks/:id/history
+| @access Admin, Student (own marks)
+*/
+router.get('/:id/history', authorize('student'), async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const result = await prisma.result.findUnique({
+        where: { id },
+        include: { ...MARK_INCLUDE, history: { orderBy: { scraped_at: 'asc' } } },
+    });
+    if (!result || !canSeeStudent(req, result.student.uuid)) return res.status(404).json({ message: `Mark ${id} not found` });
+
+    res.status(200).json({ message: 'Get mark history', data: { mark: toMarkRow(result), history: result.history.map(toHistoryRow) } });
+});
+
 /*
 |
 | stores marks to the database
 | @route POST /marks
-| @access Public
+| @access Admin
 */
-router.post('/marks', (req, res) => {
-    // Implement storing marks logic here
-    res.status(201).json({ message: 'Mark stored (not implemented)' });
+router.post('/', authorize(), async (req, res) => {
+    const { data, errors } = validateMarksheet(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid mark', errors });
+    }
+
+    try {
+        const mark = await createMark(data);
+        res.status(201).json({ message: 'Mark stored', data: mark });
+    } catch (error) {
+        if (error.code === 'P2002') { // Prisma unique constraint violation error code
+            return res.status(409).json({ message: 'A mark already exists for this student, course and academic period' });
+        }
+        throw error;
+    }
 });
 
-export default router;
\ No newline at end of file
+/*
+|
+| replaces a mark, every field is required
+| @route PUT /marks/:id
+| @access Admin
+*/
+router.put('/:id', authorize(), async (req, res) => {
+    await handleMarkUpdate(req, res, { partial: false });
+});
+
+/*
+|
+| updates some fields of a mark
+| @route PATCH /marks/:id
+| @access Admin
+*/
+router.patch('/:id', authorize(), async (req, res) => {
+    await handleMarkUpdate(req, res, { partial: true });
+});
+
+/*
+|
+| deletes a mark
+| @route DELETE /marks/:id
+| @access Admin
+*/
+router.delete('/:id', authorize(), async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    try {
+        await prisma.result.delete({ where: { id } });
+    } catch (error) {
+        if (error.code === 'P2025') { // Prisma record not found error code
+            return res.status(404).json({ message: `Mark ${id} not found` });
+        }
+        throw error;
+    }
+    res.status(204).end();
+});
+
+async function handleMarkUpdate(req, res, { partial }) {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const { data, errors } = validateMarksheet(req.body, { partial });
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid mark', errors });
+    }
+
+    try {
+        const mark = await updateMark(id, data);
+        if (!mark) return res.status(404).json({ message: `Mark ${id} not found` });
+        res.status(200).json({ message: 'Mark updated', data: mark });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({ message: 'A mark already exists for this student, course and academic period' });
+        }
+        throw error;
+    }
+}
+
+export default router;
@@ -0,0 +1,123 @@
+import express from 'express';
+import prisma from '../service/prismaClient.js';
+import { authorize } from '../service/authService.js';
+import { parseId } from '../service/marksheetService.js';
+import { validateSchedule, createSchedule, updateSchedule } from '../service/scheduler.js';
+
+const router = express.Router();
+
+// Admins only
+router.use(authorize());
+
+const SCHEDULE_INCLUDE = { account: { select: { id: true, username: true, label: true, active: true } } };
+
+// How many recent runs GET /schedules/:id returns
+const RECENT_RUNS = 10;
+
+/**
+ * Checks that the account a schedule refers to exists.
+ * @returns {Promise<string|null>} The error message, or null when fine.
+ */
+async function accountError(data) {
+    if (data.account_id === undefined || data.account_id === null) return null;
+    const account = await prisma.account.findUnique({ where: { id: data.account_id } });
+    return account ? null : `Account ${data.account_id} not found`;
+}
+
+/*
+|
+| get all schedules with their next and last run
+| @route GET /schedules
+| @access Admin
+*/
+router.get('/', async (req, res) => {
+    const schedules = await prisma.schedule.findMany({ orderBy: { id: 'asc' }, include: SCHEDULE_INCLUDE });
+
+    res.status(200).json({ message: 'Get all schedules', data: schedules });
+});
+
+/*
+|
+| get a schedule and its most recent runs
+| @route GET /schedules/:id
+| @access Admin
+*/
+router.get('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const schedule = await prisma.schedule.findUnique({
+        where: { id },
+        include: { ...SCHEDULE_INCLUDE, runs: { orderBy: { created_at: 'desc' }, take: RECENT_RUNS } },
+    });
+    if (!schedule) return res.status(404).json({ message: `Schedule ${id} not found` });
+
+    res.status(200).json({ message: 'Get schedule', data: schedule });
+});
+
+/*
+|
+| creates a schedule; without account_id it scrapes every active account
+| body: { cron, name?, account_id?, timezone?, jitter_seconds?, quiet_hours_start?, quiet_hours_end?, skip_if_running?, enabled? }
+| @route POST /schedules
+| @access Admin
+*/
+router.post('/', async (req, res) => {
+    const { data, errors } = validateSchedule(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid schedule', errors });
+    }
+    const missing = await accountError(data);
+    if (missing) return res.status(400).json({ message: 'Invalid schedule', errors: [missing] });
+
+    const schedule = await createSchedule(data);
+    res.status(201).json({ message: 'Schedule created', data: schedule });
+});
+
+/*
+|
+| updates a schedule; changing its timing recomputes the next run
+| @route PATCH /schedules/:id
+| @access Admin
+*/
+router.patch('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const existing = await prisma.schedule.findUnique({ where: { id } });
+    if (!existing) return res.status(404).json({ message: `Schedule ${id} not found` });
+
+    const { data, errors } = validateSchedule(req.body, { partial: true, existing });
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid schedule', errors });
+    }
+    const missing = await accountError(data);
+    if (missing) return res.status(400).json({ message: 'Invalid schedule', errors: [missing] });
+
+    const schedule = await updateSchedule(id, data);
+    if (!schedule) return res.status(404).json({ message: `Schedule ${id} not found` });
+    res.status(200).json({ message: 'Schedule updated', data: schedule });
+});
+
+/*
+|
+| deletes a schedule; its past runs are kept
+| @route DELETE /schedules/:id
+| @access Admin
+*/
+router.delete('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    try {
+        await prisma.schedule.delete({ where: { id } });
+    } catch (error) {
+        if (error.code === 'P2025') { // Prisma record not found error code
+            return res.status(404).json({ message: `Schedule ${id} not found` });
+        }
+        throw error;
+    }
+    res.status(204).end();
+});
+
+export default router;
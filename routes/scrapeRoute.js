@@ -0,0 +1,365 @@
+import express from 'express';
+import path from 'path';
+import prisma from '../service/prismaClient.js';
+import { parsePagination, parseId } from '../service/marksheetService.js';
+import {
+    enqueueScrapeJob,
+    enqueueBatchScrape,
+    cancelScrapeJob,
+    getCaptchaChallenge,
+    solveCaptcha,
+    getPortalCircuit,
+    resetPortalCircuit,
+} from '../service/scrapeJobs.js';
+import { listRunArtifacts, readRunLog, toPublicArtifact } from '../service/runArtifacts.js';
+import { LEVELS } from '../service/logger.js';
+import { authorize } from '../service/authService.js';
+import { SEVERITIES } from '../service/markValidation.js';
+
+const router = express.Router();
+
+// Admins and service tokens
+router.use(authorize('service'));
+
+/*
+|
+| queues a scrape run, started once no other run is in progress for the account
+| body: { account_id? } scrapes a registered account, the configured login when omitted
+| @route POST /scrape/jobs
+| @access Admin, Service
+*/
+router.post('/jobs', async (req, res) => {
+    const accountId = req.body ? req.body.account_id : undefined;
+    if (accountId === undefined || accountId === null) {
+        const run = await enqueueScrapeJob();
+        return res.status(202).json({ message: 'Scrape job queued', data: run });
+    }
+
+    const id = parseId(accountId);
+    if (!id) return res.status(400).json({ message: 'Invalid scrape job', errors: ['account_id must be a positive integer'] });
+
+    const account = await prisma.account.findUnique({ where: { id } });
+    if (!account) return res.status(404).json({ message: `Account ${id} not found` });
+    if (!account.active) return res.status(409).json({ message: `Account ${id} is inactive` });
+
+    const run = await enqueueScrapeJob({ account });
+    res.status(202).json({ message: 'Scrape job queued', data: run });
+});
+
+/*
+|
+| queues one scrape run per active registered account
+| @route POST /scrape/batch
+| @access Admin, Service
+*/
+router.post('/batch', async (req, res) => {
+    const runs = await enqueueBatchScrape();
+    res.status(202).json({ message: `${runs.length} scrape job(s) queued`, data: runs });
+});
+
+const RUN_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const RUN_TRIGGERS = ['manual', 'batch', 'schedule'];
+
+/**
+ * Lists scrape runs, newest first, filtered by ?status, ?trigger, ?account_id,
+ * ?schedule_id and ?layout_changed, with ?page and ?limit. meta.last_succeeded_at
+ * tells when the matching runs last refreshed the marks.
+ */
+async function listRuns(req, res, message) {
+    const { page, limit, errors } = parsePagination(req.query);
+    const where = {};
+
+    if (req.query.status) {
+        if (!RUN_STATUSES.includes(req.query.status)) errors.push(`status must be one of: ${RUN_STATUSES.join(', ')}`);
+        else where.status = req.query.status;
+    }
+    if (req.query.trigger) {
+        if (!RUN_TRIGGERS.includes(req.query.trigger)) errors.push(`trigger must be one of: ${RUN_TRIGGERS.join(', ')}`);
+        else where.trigger = req.query.trigger;
+    }
+    for (const field of ['account_id', 'schedule_id']) {
+        if (req.query[field] === undefined) continue;
+        const id = parseId(req.query[field]);
+        if (!id) errors.push(`${field} must be a positive integer`);
+        else where[field] = id;
+    }
+    if (req.query.layout_changed !== undefined) {
+        if (!['true', 'false'].includes(req.query.layout_changed)) errors.push('layout_changed must be true or false');
+        else where.layout_changed = req.query.layout_changed === 'true';
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+
+    const [runs, total, lastSucceeded] = await prisma.$transaction([
+        prisma.scrapeRun.findMany({ where, orderBy: { created_at: 'desc' }, skip: (page - 1) * limit, take: limit }),
+        prisma.scrapeRun.count({ where }),
+        prisma.scrapeRun.findFirst({
+            where: { ...where, status: 'succeeded' },
+            orderBy: { finished_at: 'desc' },
+            select: { finished_at: true },
+        }),
+    ]);
+
+    res.status(200).json({
+        message,
+        data: runs,
+        meta: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+            last_succeeded_at: lastSucceeded ? lastSucceeded.finished_at : null,
+        },
+    });
+}
+
+/*
+|
+| get scrape runs, newest first
+| supports ?status, ?trigger, ?account_id, ?schedule_id, ?layout_changed, ?page and ?limit
+| @route GET /scrape/jobs
+| @access Admin, Service
+*/
+router.get('/jobs', (req, res) => listRuns(req, res, 'Get scrape jobs'));
+
+/*
+|
+| get the scrape run history (manual, batch and scheduled runs), newest first
+| supports ?status, ?trigger, ?account_id, ?schedule_id, ?layout_changed, ?page and ?limit
+| @route GET /scrape/runs
+| @access Admin, Service
+*/
+router.get('/runs', (req, res) => listRuns(req, res, 'Get scrape runs'));
+
+/*
+|
+| get a scrape run: its status, the step it reached, its per-period progress and its result
+| @route GET /scrape/jobs/:id
+| @access Admin, Service
+*/
+router.get('/jobs/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const run = await prisma.scrapeRun.findUnique({ where: { id } });
+    if (!run) return res.status(404).json({ message: `Scrape job ${id} not found` });
+
+    res.status(200).json({ message: 'Get scrape job', data: run });
+});
+
+const LOG_LEVELS = Object.keys(LEVELS).filter(level => level !== 'silent');
+
+/*
+|
+| get the log lines of a scrape run, oldest first, as far as it got
+| supports ?level (the lowest level returned) and ?step
+| @route GET /scrape/runs/:id/logs
+| @access Admin, Service
+*/
+router.get('/runs/:id/logs', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const { level, step } = req.query;
+    if (level !== undefined && !LOG_LEVELS.includes(level)) {
+        return res.status(400).json({ message: 'Invalid query parameters', errors: [`level must be one of: ${LOG_LEVELS.join(', ')}`] });
+    }
+
+    const run = await prisma.scrapeRun.findUnique({ where: { id } });
+    if (!run) return res.status(404).json({ message: `Scrape run ${id} not found` });
+
+    const entries = await readRunLog(id, { level, step });
+    if (!entries) return res.status(404).json({ message: `Scrape run ${id} has no log`, data: run });
+
+    res.status(200).json({ message: 'Get scrape run logs', data: entries, meta: { total: entries.length, run_status: run.status } });
+});
+
+/*
+|
+| get how a scrape run read the marks tables: each table layout with the field of every header,
+| the unmapped, ambiguous and missing columns and a confidence score,
+| and its drift from the last succeeded run (null for the first run of a site profile)
+| headers read wrongly are fixed with columnOverrides in the site profile
+| @route GET /scrape/runs/:id/layout
+| @access Admin, Service
+*/
+router.get('/runs/:id/layout', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const run = await prisma.scrapeRun.findUnique({ where: { id } });
+    if (!run) return res.status(404).json({ message: `Scrape run ${id} not found` });
+    if (!run.layout) return res.status(404).json({ message: `Scrape run ${id} did not get to extract any marks`, data: { run_status: run.status } });
+
+    res.status(200).json({
+        message: 'Get scrape run layout',
+        data: { run_id: id, layout_changed: run.layout_changed, ...run.layout },
+    });
+});
+
+/*
+|
+| get the validation issues found in the marks a scrape run extracted, in payload order
+| quarantined issues belong to courses that were not saved; row holds the course as extracted
+| supports ?severity (error or warning) and ?quarantined (true or false)
+| @route GET /scrape/runs/:id/issues
+| @access Admin, Service
+*/
+router.get('/runs/:id/issues', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const { severity, quarantined } = req.query;
+    const errors = [];
+    if (severity !== undefined && !SEVERITIES.includes(severity)) errors.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+    if (quarantined !== undefined && !['true', 'false'].includes(quarantined)) errors.push('quarantined must be true or false');
+    if (errors.length > 0) return res.status(400).json({ message: 'Invalid query parameters', errors });
+
+    const run = await prisma.scrapeRun.findUnique({ where: { id } });
+    if (!run) return res.status(404).json({ message: `Scrape run ${id} not found` });
+
+    const where = { run_id: id };
+    if (severity) where.severity = severity;
+    if (quarantined) where.quarantined = quarantined === 'true';
+    const issues = await prisma.markIssue.findMany({ where, orderBy: [{ semester_index: 'asc' }, { row_index: 'asc' }, { id: 'asc' }] });
+
+    const counts = { error: 0, warning: 0 };
+    for (const issue of issues) counts[issue.severity]++;
+    res.status(200).json({ message: 'Get scrape run issues', data: issues, meta: { total: issues.length, ...counts, run_status: run.status } });
+});
+
+/*
+|
+| get the artifacts of a scrape run: its log, screenshots, page sources and extracted marks
+| size is null once a file is gone from the disk
+| @route GET /scrape/runs/:id/artifacts
+| @access Admin, Service
+*/
+router.get('/runs/:id/artifacts', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const run = await prisma.scrapeRun.findUnique({ where: { id } });
+    if (!run) return res.status(404).json({ message: `Scrape run ${id} not found` });
+
+    const artifacts = await listRunArtifacts(id);
+    res.status(200).json({ message: 'Get scrape run artifacts', data: artifacts, meta: { total: artifacts.length } });
+});
+
+/*
+|
+| download an artifact of a scrape run
+| @route GET /scrape/runs/:id/artifacts/:artifactId
+| @access Admin, Service
+*/
+router.get('/runs/:id/artifacts/:artifactId', async (req, res) => {
+    const id = parseId(req.params.id);
+    const artifactId = parseId(req.params.artifactId);
+    if (!id || !artifactId) return res.status(400).json({ message: 'id and artifactId must be positive integers' });
+
+    const artifact = await prisma.scrapeArtifact.findFirst({ where: { id: artifactId, run_id: id } });
+    if (!artifact) return res.status(404).json({ message: `Artifact ${artifactId} of scrape run ${id} not found` });
+    if (toPublicArtifact(artifact).size === null) {
+        return res.status(410).json({ message: `Artifact ${artifactId} of scrape run ${id} is no longer on disk`, data: artifact });
+    }
+
+    res.type(artifact.mime_type).sendFile(artifact.path, { headers: { 'Content-Disposition': `inline; filename="${path.basename(artifact.path)}"` } });
+});
+
+/*
+|
+| get the CAPTCHA a running scrape run is waiting on, until it expires
+| answers with the image itself when the client prefers it to JSON (e.g. an <img> tag)
+| @route GET /scrape/jobs/:id/captcha
+| @access Admin, Service
+*/
+router.get('/jobs/:id/captcha', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const challenge = getCaptchaChallenge(id);
+    if (!challenge) {
+        const run = await prisma.scrapeRun.findUnique({ where: { id } });
+        if (!run) return res.status(404).json({ message: `Scrape job ${id} not found` });
+        return res.status(404).json({ message: `Scrape job ${id} is not waiting for a CAPTCHA`, data: run });
+    }
+
+    const { image, ...data } = challenge;
+    // Each challenge is single-use
+    res.set('Cache-Control', 'no-store');
+    if (req.accepts(['json', data.mime_type]) === data.mime_type) {
+        return res.type(data.mime_type).send(image);
+    }
+    res.status(200).json({
+        message: 'Get scrape job CAPTCHA',
+        data: { ...data, image: `data:${data.mime_type};base64,${image.toString('base64')}` },
+    });
+});
+
+/*
+|
+| answers the CAPTCHA a scrape run is waiting on; the run resumes its login in the same browser
+| body: { solution }
+| @route POST /scrape/jobs/:id/captcha
+| @access Admin, Service
+*/
+router.post('/jobs/:id/captcha', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const solution = req.body ? req.body.solution : undefined;
+    if (typeof solution !== 'string' || solution.trim() === '') {
+        return res.status(400).json({ message: 'Invalid CAPTCHA solution', errors: ['solution must be a non-empty string'] });
+    }
+
+    if (!solveCaptcha(id, solution.trim())) {
+        const run = await prisma.scrapeRun.findUnique({ where: { id } });
+        if (!run) return res.status(404).json({ message: `Scrape job ${id} not found` });
+        return res.status(409).json({ message: `Scrape job ${id} is not waiting for a CAPTCHA; it may have expired`, data: run });
+    }
+
+    res.status(202).json({ message: 'CAPTCHA solution submitted; login resumed', data: { run_id: id } });
+});
+
+/*
+|
+| cancels a queued or running scrape run
+| @route DELETE /scrape/jobs/:id
+| @access Admin, Service
+*/
+router.delete('/jobs/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const { run, cancelled } = await cancelScrapeJob(id);
+    if (!run) return res.status(404).json({ message: `Scrape job ${id} not found` });
+    if (!cancelled) {
+        return res.status(409).json({ message: `Scrape job ${id} already ${run.status}`, data: run });
+    }
+
+    res.status(202).json({ message: 'Scrape job cancelled', data: run });
+});
+
+/*
+|
+| get the portal circuit breaker: while it is open, after repeated portal_unavailable runs,
+| scheduled scrapes are skipped until retry_at
+| @route GET /scrape/portal
+| @access Admin, Service
+*/
+router.get('/portal', (req, res) => {
+    res.status(200).json({ message: 'Get portal circuit breaker', data: getPortalCircuit() });
+});
+
+/*
+|
+| closes the portal circuit breaker, e.g. once the portal is known to be back
+| @route POST /scrape/portal/reset
+| @access Admin, Service
+*/
+router.post('/portal/reset', (req, res) => {
+    res.status(200).json({ message: 'Portal circuit breaker closed', data: resetPortalCircuit() });
+});
+
+export default router;
@@ -0,0 +1,195 @@
+import express from 'express';
+import prisma from '../service/prismaClient.js';
+import { parsePagination, parseId } from '../service/marksheetService.js';
+import { getStudentResultsByPeriod } from '../service/studentService.js';
+import { getScale, defaultScaleName, listScales, computeGpa } from '../service/grading.js';
+import { authorize, studentScope, canSeeStudent } from '../service/authService.js';
+import { buildTranscript, transcriptHash, renderTranscriptPdf } from '../service/transcriptService.js';
+
+const router = express.Router();
+
+// Admins, and students for their own records only
+router.use(authorize('student'));
+
+/*
+|
+| get all students, optionally filtered by ?uuid
+| supports ?page and ?limit; students only get themselves
+| @route GET /students
+| @access Admin, Student (own record)
+*/
+router.get('/', async (req, res) => {
+    const { page, limit, errors } = parsePagination(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+
+    const scope = studentScope(req);
+    const where = scope ? { uuid: scope } : (req.query.uuid ? { uuid: String(req.query.uuid) } : {});
+    const [students, total] = await prisma.$transaction([
+        prisma.student.findMany({ where, orderBy: { id: 'asc' }, skip: (page - 1) * limit, take: limit }),
+        prisma.student.count({ where }),
+    ]);
+
+    res.status(200).json({
+        message: 'Get all students',
+        data: students,
+        meta: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+});
+
+/*
+|
+| get a student profile
+| @route GET /students/:id
+| @access Admin, Student (own record)
+*/
+router.get('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const student = await prisma.student.findUnique({ where: { id } });
+    if (!student || !canSeeStudent(req, student.uuid)) return res.status(404).json({ message: `Student ${id} not found` });
+
+    res.status(200).json({ message: 'Get student', data: student });
+});
+
+/*
+|
+| get how a student's profile (name, reg_no, program, faculty) changed across saves, oldest change first
+| @route GET /students/:id/profile-history
+| @access Admin, Student (own record)
+*/
+router.get('/:id/profile-history', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const student = await prisma.student.findUnique({
+        where: { id },
+        include: { profile_history: { orderBy: [{ changed_at: 'asc' }, { id: 'asc' }] } },
+    });
+    if (!student || !canSeeStudent(req, student.uuid)) return res.status(404).json({ message: `Student ${id} not found` });
+
+    const { profile_history: history, ...profile } = student;
+    res.status(200).json({ message: 'Get student profile history', data: { student: profile, history } });
+});
+
+/*
+|
+| get a student's results grouped by academic period, with letter grades
+| @route GET /students/:id/results
+| @access Admin, Student (own record)
+*/
+router.get('/:id/results', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const data = await getStudentResultsByPeriod(id);
+    if (!data || !canSeeStudent(req, data.student.uuid)) return res.status(404).json({ message: `Student ${id} not found` });
+
+    res.status(200).json({ message: 'Get student results', data });
+});
+
+/*
+|
+| get a student's credit-weighted GPA per academic period and cumulative CGPA
+| ?scale picks a grading scale (see GET /grading-scales), the ULK scale by default.
+| cross_check lists results where the portal's grade or grade point disagrees with the computed one.
+| @route GET /students/:id/gpa
+| @access Admin, Student (own record)
+*/
+router.get('/:id/gpa', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const scaleName = req.query.scale ? String(req.query.scale) : defaultScaleName();
+    const bands = getScale(scaleName);
+    if (!bands) {
+        return res.status(400).json({ message: `Unknown grading scale "${scaleName}"`, errors: [`scale must be one of: ${Object.keys(listScales().scales).join(', ')}`] });
+    }
+
+    const data = await getStudentResultsByPeriod(id);
+    if (!data || !canSeeStudent(req, data.student.uuid)) return res.status(404).json({ message: `Student ${id} not found` });
+
+    res.status(200).json({
+        message: 'Get student GPA',
+        data: { student_id: id, scale: scaleName, ...computeGpa(data.periods, bands) },
+    });
+});
+
+/*
+|
+| renders a student's unofficial transcript as a PDF: profile, results by academic period,
+| semester GPA and CGPA, with an UNOFFICIAL watermark, the generation time and a verification hash
+| ?scale picks the grading scale of the GPAs and derived grades, as for /gpa
+| @route GET /students/:id/transcript.pdf
+| @access Admin, Student (own record)
+*/
+router.get('/:id/transcript.pdf', async (req, res) => {
+    const transcript = await loadTranscript(req, res);
+    if (!transcript) return;
+
+    const hash = transcriptHash(transcript);
+    res.set('Content-Type', 'application/pdf');
+    res.set('X-Transcript-Hash', hash);
+    res.attachment(`transcript-${req.params.id}.pdf`);
+    try {
+        await renderTranscriptPdf(res, transcript, { hash });
+    } catch (error) {
+        // The client went away mid-download: there is no one left to answer
+        if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+    }
+});
+
+/*
+|
+| checks the hash printed on a transcript against the student's records now;
+| valid is false once a mark or the profile changed since it was printed
+| ?hash is required, ?scale must be the scale the transcript was printed with
+| @route GET /students/:id/transcript/verify
+| @access Admin, Student (own record)
+*/
+router.get('/:id/transcript/verify', async (req, res) => {
+    if (!req.query.hash) {
+        return res.status(400).json({ message: 'Invalid query parameters', errors: ['hash is required'] });
+    }
+
+    const transcript = await loadTranscript(req, res);
+    if (!transcript) return;
+
+    const hash = transcriptHash(transcript);
+    const valid = String(req.query.hash).trim().toLowerCase() === hash;
+    res.status(200).json({
+        message: valid ? 'Transcript matches the records' : 'Transcript does not match the records',
+        data: { student_id: Number(req.params.id), valid, hash },
+    });
+});
+
+/**
+ * Loads the transcript of req.params.id with ?scale, or answers the error.
+ * @returns {Promise<object|null>} The transcript, null once the response was sent.
+ */
+async function loadTranscript(req, res) {
+    const id = parseId(req.params.id);
+    if (!id) {
+        res.status(400).json({ message: 'id must be a positive integer' });
+        return null;
+    }
+
+    const scaleName = req.query.scale ? String(req.query.scale) : defaultScaleName();
+    const bands = getScale(scaleName);
+    if (!bands) {
+        res.status(400).json({ message: `Unknown grading scale "${scaleName}"`, errors: [`scale must be one of: ${Object.keys(listScales().scales).join(', ')}`] });
+        return null;
+    }
+
+    const data = await getStudentResultsByPeriod(id);
+    if (!data || !canSeeStudent(req, data.student.uuid)) {
+        res.status(404).json({ message: `Student ${id} not found` });
+        return null;
+    }
+
+    return buildTranscript(data, { scale: scaleName, bands });
+}
+
+export default router;
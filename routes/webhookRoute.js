@@ -0,0 +1,137 @@
+import express from 'express';
+import prisma from '../service/prismaClient.js';
+import { authorize } from '../service/authService.js';
+import { parsePagination, parseId } from '../service/marksheetService.js';
+import {
+    toPublicWebhook,
+    validateWebhook,
+    createWebhook,
+    redeliver,
+} from '../service/webhookService.js';
+
+const router = express.Router();
+
+// Admins only
+router.use(authorize());
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/*
+|
+| get all webhook subscriptions (never their secrets)
+| @route GET /webhooks
+| @access Admin
+*/
+router.get('/', async (req, res) => {
+    const webhooks = await prisma.webhook.findMany({ orderBy: { id: 'asc' } });
+
+    res.status(200).json({ message: 'Get all webhooks', data: webhooks.map(toPublicWebhook) });
+});
+
+/*
+|
+| get a webhook subscription
+| @route GET /webhooks/:id
+| @access Admin
+*/
+router.get('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const webhook = await prisma.webhook.findUnique({ where: { id } });
+    if (!webhook) return res.status(404).json({ message: `Webhook ${id} not found` });
+
+    res.status(200).json({ message: 'Get webhook', data: toPublicWebhook(webhook) });
+});
+
+/*
+|
+| subscribes a URL to mark events; the response is the only one showing the signing secret
+| body: { url, events?, secret?, description?, active? }
+| @route POST /webhooks
+| @access Admin
+*/
+router.post('/', async (req, res) => {
+    const { data, errors } = validateWebhook(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid webhook', errors });
+    }
+
+    const webhook = await createWebhook(data);
+    res.status(201).json({ message: 'Webhook registered', data: webhook });
+});
+
+/*
+|
+| deletes a webhook subscription and its delivery log
+| @route DELETE /webhooks/:id
+| @access Admin
+*/
+router.delete('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    try {
+        await prisma.webhook.delete({ where: { id } });
+    } catch (error) {
+        if (error.code === 'P2025') { // Prisma record not found error code
+            return res.status(404).json({ message: `Webhook ${id} not found` });
+        }
+        throw error;
+    }
+    res.status(204).end();
+});
+
+/*
+|
+| get a webhook's delivery log, newest first
+| supports ?status (pending, delivered or failed), ?page and ?limit
+| @route GET /webhooks/:id/deliveries
+| @access Admin
+*/
+router.get('/:id/deliveries', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ message: 'id must be a positive integer' });
+
+    const { page, limit, errors } = parsePagination(req.query);
+    if (req.query.status && !DELIVERY_STATUSES.includes(req.query.status)) {
+        errors.push(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid query parameters', errors });
+    }
+
+    const webhook = await prisma.webhook.findUnique({ where: { id } });
+    if (!webhook) return res.status(404).json({ message: `Webhook ${id} not found` });
+
+    const where = { webhook_id: id, ...(req.query.status ? { status: req.query.status } : {}) };
+    const [deliveries, total] = await prisma.$transaction([
+        prisma.webhookDelivery.findMany({ where, orderBy: { created_at: 'desc' }, skip: (page - 1) * limit, take: limit }),
+        prisma.webhookDelivery.count({ where }),
+    ]);
+
+    res.status(200).json({
+        message: 'Get webhook deliveries',
+        data: deliveries,
+        meta: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+});
+
+/*
+|
+| sends a delivery again, whatever its status
+| @route POST /webhooks/:id/deliveries/:deliveryId/redeliver
+| @access Admin
+*/
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+    const id = parseId(req.params.id);
+    const deliveryId = parseId(req.params.deliveryId);
+    if (!id || !deliveryId) return res.status(400).json({ message: 'id and deliveryId must be positive integers' });
+
+    const delivery = await redeliver(id, deliveryId);
+    if (!delivery) return res.status(404).json({ message: `Delivery ${deliveryId} of webhook ${id} not found` });
+
+    res.status(202).json({ message: 'Delivery queued', data: delivery });
+});
+
+export default router;
@@ -0,0 +1,61 @@
+/**
+ * Manages API tokens from the command line, e.g. to issue the first admin
+ * key of a new deployment.
+ *
+ * Usage:
+ *   npm run api-token -- create --name <name> --role <admin|student|service> [--type api_key|jwt] [--student <uuid>] [--expires <ISO date>]
+ *   npm run api-token -- list
+ *   npm run api-token -- revoke <id>
+ *
+ * create prints the token once; only its hash is stored.
+ */
+
+import prisma from '../service/prismaClient.js';
+import { toPublicToken, validateApiToken, createApiToken, revokeApiToken } from '../service/authService.js';
+
+const USAGE = `Usage:
+  npm run api-token -- create --name <name> --role <admin|student|service> [--type api_key|jwt] [--student <uuid>] [--expires <ISO date>]
+  npm run api-token -- list
+  npm run api-token -- revoke <id>`;
+
+const FLAGS = { '--name': 'name', '--role': 'role', '--type': 'type', '--student': 'student_uuid', '--expires': 'expires_at' };
+
+function parseCreateArgs(argv) {
+    const body = {};
+    for (let i = 0; i < argv.length; i++) {
+        const field = FLAGS[argv[i]];
+        if (!field) throw new Error(`Unexpected argument: ${argv[i]}`);
+        if (argv[i + 1] === undefined) throw new Error(`${argv[i]} needs a value`);
+        body[field] = argv[++i];
+    }
+    return body;
+}
+
+async function main([command, ...args]) {
+    if (command === 'create') {
+        const { data, errors } = validateApiToken(parseCreateArgs(args));
+        if (errors.length > 0) throw new Error(errors.join('\n'));
+        const { token, record } = await createApiToken(data);
+        console.log(JSON.stringify(record, null, 2));
+        console.log(`\nToken (shown once, store it now):\n${token}`);
+    } else if (command === 'list') {
+        const tokens = await prisma.apiToken.findMany({ orderBy: { id: 'asc' } });
+        console.log(JSON.stringify(tokens.map(toPublicToken), null, 2));
+    } else if (command === 'revoke' && args.length === 1) {
+        const id = Number(args[0]);
+        const token = Number.isInteger(id) && id > 0 ? await revokeApiToken(id) : null;
+        if (!token) throw new Error(`API token ${args[0]} not found`);
+        console.log(JSON.stringify(token, null, 2));
+    } else {
+        throw new Error(command ? `Unknown command: ${[command, ...args].join(' ')}` : 'A command is required');
+    }
+}
+
+try {
+    await main(process.argv.slice(2));
+} catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exitCode = 2;
+} finally {
+    await prisma.$disconnect();
+}
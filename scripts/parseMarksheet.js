@@ -0,0 +1,68 @@
+/**
+ * Parses a saved marksheet page offline, with the scraper's own extraction.
+ *
+ * Usage: npm run parse-marksheet -- <Marksheet.aspx> [--out <file.json>] [--profile <name|file>] [--debug] [--mapping] [--verbose]
+ *
+ * Prints `{ studentInfo, semesters }` as JSON, or writes it to --out.
+ * --profile picks the site profile (default: SITE_PROFILE, then ulk).
+ * --debug adds the extraction's debug block; --verbose prints its PAGE_EVAL logs.
+ * --mapping prints how the marks tables' headers were mapped instead (see summarizeLayout),
+ * to try columnOverrides on a saved page.
+ */
+
+import fs from 'fs';
+import { parseMarksheetHtml, summarizeLayout } from '../service/marksheetParser.js';
+import { loadSiteProfile } from '../service/siteProfile.js';
+
+const USAGE = 'Usage: npm run parse-marksheet -- <Marksheet.aspx> [--out <file.json>] [--profile <name|file>] [--debug] [--mapping] [--verbose]';
+
+function parseArgs(argv) {
+    const options = { file: null, out: null, profile: null, debug: false, mapping: false, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--profile') options.profile = argv[++i];
+        else if (arg === '--debug') options.debug = true;
+        else if (arg === '--mapping') options.mapping = true;
+        else if (arg === '--verbose') options.verbose = true;
+        else if (arg.startsWith('--') || options.file) throw new Error(`Unexpected argument: ${arg}`);
+        else options.file = arg;
+    }
+    if (!options.file) throw new Error('A marksheet file is required');
+    if (options.out === undefined) throw new Error('--out needs a file name');
+    if (options.profile === undefined) throw new Error('--profile needs a profile name or file');
+    return options;
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(2);
+}
+
+let profile;
+try {
+    profile = await loadSiteProfile(options.profile || undefined);
+} catch (error) {
+    console.error(error.message);
+    process.exit(2);
+}
+
+const html = fs.readFileSync(options.file, 'utf8');
+const { debug, ...marksData } = await parseMarksheetHtml(html, { profile, verbose: options.verbose });
+let result = options.debug ? { ...marksData, debug } : marksData;
+if (options.mapping) result = summarizeLayout(debug.mappings);
+const output = JSON.stringify(result, null, 2);
+
+if (options.out && options.mapping) {
+    fs.writeFileSync(options.out, `${output}\n`);
+    console.error(`Wrote the mapping of ${result.tables.length} table layout(s) to ${options.out}`);
+} else if (options.out) {
+    fs.writeFileSync(options.out, `${output}\n`);
+    const courses = marksData.semesters.reduce((count, semester) => count + semester.courses.length, 0);
+    console.error(`Wrote ${marksData.semesters.length} semester(s), ${courses} course(s) to ${options.out}`);
+} else {
+    console.log(output);
+}
@@ -0,0 +1,156 @@
+/**
+ * One-off repair of the results saves used to store under a shared placeholder
+ * student ('abc123-uuid') when the marksheet showed no registration number.
+ *
+ * Each result goes to the student of the last scrape run whose report lists it
+ * (the run's account student_uuid, or its username); see planIdentityRepair in
+ * service/studentIdentity.js. Results no run reports, e.g. from imports or
+ * saved before runs kept their report rows, stay unless --to names their
+ * student: they are listed and the script exits with 1. Validation issues of
+ * those runs move along.
+ *
+ * Usage:
+ *   npm run repair-student-identity -- [--from <uuid>] [--to <uuid>] [--apply]
+ *
+ * Without --apply it only prints the plan.
+ */
+
+import prisma from '../service/prismaClient.js';
+import { planIdentityRepair } from '../service/studentIdentity.js';
+
+const USAGE = 'Usage:\n  npm run repair-student-identity -- [--from <uuid>] [--to <uuid>] [--apply]';
+
+const PLACEHOLDER_UUID = 'abc123-uuid';
+// Report rows that point at a result holding the run's marks
+const ROW_STATUSES_WITH_RESULT = ['saved', 'skipped'];
+
+function parseArgs(argv) {
+    const options = { from: PLACEHOLDER_UUID, to: null, apply: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--apply') {
+            options.apply = true;
+        } else if (argv[i] === '--from' || argv[i] === '--to') {
+            const value = argv[i + 1];
+            if (value === undefined || value.trim() === '') throw new Error(`${argv[i]} needs a value`);
+            options[argv[i].slice(2)] = value.trim();
+            i++;
+        } else {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+    }
+    if (options.to === options.from) throw new Error('--to must differ from --from');
+    return options;
+}
+
+/**
+ * The scrape runs reporting any of the placeholder's results, oldest first.
+ * @param {Set<number>} resultIds
+ * @returns {Promise<{ id: number, student_uuid: string, result_ids: number[] }[]>}
+ */
+async function loadRuns(resultIds) {
+    const runs = await prisma.scrapeRun.findMany({
+        where: { status: { in: ['succeeded', 'failed'] } },
+        select: { id: true, account: true, result: true, account_ref: { select: { username: true, student_uuid: true } } },
+        orderBy: { id: 'asc' },
+    });
+
+    const reporting = [];
+    for (const run of runs) {
+        const rows = run.result && Array.isArray(run.result.rows) ? run.result.rows : [];
+        const ids = rows
+            .filter(row => row && ROW_STATUSES_WITH_RESULT.includes(row.status) && resultIds.has(row.id))
+            .map(row => row.id);
+        if (ids.length === 0) continue;
+        // Runs of deleted accounts keep the username they logged in with
+        const student = run.account_ref ? run.account_ref.student_uuid || run.account_ref.username : run.account;
+        reporting.push({ id: run.id, student_uuid: student, result_ids: ids });
+    }
+    return reporting;
+}
+
+/**
+ * `<student_uuid>:<course_id>:<period_id>` of the results the target students already have.
+ * @param {string[]} uuids
+ * @returns {Promise<Set<string>>}
+ */
+async function loadTaken(uuids) {
+    const results = await prisma.result.findMany({
+        where: { student: { uuid: { in: uuids } } },
+        select: { course_id: true, period_id: true, student: { select: { uuid: true } } },
+    });
+    return new Set(results.map(result => `${result.student.uuid}:${result.course_id}:${result.period_id}`));
+}
+
+async function applyPlan(plan, placeholder, runs) {
+    const targets = [...new Set(plan.moves.map(move => move.to))];
+    for (const uuid of targets) {
+        const student = await prisma.student.upsert({ where: { uuid }, update: {}, create: { uuid } });
+        const ids = plan.moves.filter(move => move.to === uuid).map(move => move.result_id);
+        const runIds = runs.filter(run => run.student_uuid === uuid).map(run => run.id);
+        await prisma.$transaction([
+            prisma.result.updateMany({ where: { id: { in: ids }, student_id: placeholder.id }, data: { student_id: student.id } }),
+            prisma.markIssue.updateMany({ where: { student_uuid: placeholder.uuid, run_id: { in: runIds } }, data: { student_uuid: uuid } }),
+        ]);
+        console.log(`Moved ${ids.length} results to ${uuid}`);
+    }
+
+    const left = await prisma.result.count({ where: { student_id: placeholder.id } });
+    if (left === 0) {
+        await prisma.student.delete({ where: { id: placeholder.id } });
+        console.log(`Deleted the emptied placeholder student ${placeholder.uuid}`);
+    } else {
+        console.log(`${left} results left under ${placeholder.uuid}`);
+    }
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    const placeholder = await prisma.student.findUnique({ where: { uuid: options.from } });
+    if (!placeholder) {
+        console.log(`No student ${options.from}, nothing to repair`);
+        return;
+    }
+
+    const results = await prisma.result.findMany({
+        where: { student_id: placeholder.id },
+        select: { id: true, course_id: true, period_id: true },
+        orderBy: { id: 'asc' },
+    });
+    const runs = await loadRuns(new Set(results.map(result => result.id)));
+    const uuids = [...new Set(runs.map(run => run.student_uuid).concat(options.to ? [options.to] : []))];
+    const plan = planIdentityRepair(results, { runs, taken: await loadTaken(uuids), to: options.to });
+
+    const byStudent = {};
+    for (const move of plan.moves) byStudent[move.to] = (byStudent[move.to] || 0) + 1;
+    const rescrape = [...new Set(plan.moves.flatMap(move => move.overwritten))];
+    console.log(JSON.stringify({
+        from: options.from,
+        results: results.length,
+        moves: byStudent,
+        conflicts: plan.conflicts,
+        unattributed: plan.unattributed,
+        // Students whose marks were overwritten by another's under the placeholder
+        rescrape,
+    }, null, 2));
+
+    if (options.apply) {
+        await applyPlan(plan, placeholder, runs);
+    } else {
+        console.log('\nDry run, nothing changed. Run again with --apply to reassign.');
+    }
+
+    if (plan.unattributed.length > 0) {
+        console.error(`\n${plan.unattributed.length} results are reported by no scrape run and stay under ${options.from}: ` +
+            `${plan.unattributed.join(', ')}. Run again with --to <uuid> to move them.`);
+        process.exitCode = 1;
+    }
+}
+
+try {
+    await main(process.argv.slice(2));
+} catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exitCode = 2;
+} finally {
+    await prisma.$disconnect();
+}
@@ -0,0 +1,149 @@
+/**
+ * The access rules of the API, apart from where tokens are stored (see
+ * authService.js): checking a presented token against its ApiToken row, and
+ * what each role may reach.
+ *
+ * Every denied request is logged with the reason.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { logger as rootLogger } from './logger.js';
+
+const API_KEY_PREFIX = 'miss_';
+
+const logger = rootLogger.child({ component: 'auth' });
+
+class AuthConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthConfigError';
+    }
+}
+
+/**
+ * @param {string} token
+ * @returns {string} Hex SHA-256. Tokens are random and long, a slow hash adds nothing.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function jwtSecret() {
+    const secret = process.env.AUTH_JWT_SECRET;
+    if (!secret) throw new AuthConfigError('AUTH_JWT_SECRET is not set; JWTs cannot be issued or checked');
+    return secret;
+}
+
+/**
+ * Checks a token sent by a client.
+ * @param {string} token
+ * @param {function(string): Promise<object|null>} findToken - Looks up the ApiToken row of a token hash.
+ * @returns {Promise<{ auth: object|null, reason: string|null, record: object|null }>} auth is
+ *   `{ token_id, name, role, student_uuid }`; reason says why the token was refused.
+ */
+async function verifyToken(token, findToken) {
+    if (!token.startsWith(API_KEY_PREFIX)) {
+        try {
+            jwt.verify(token, jwtSecret(), { algorithms: ['HS256'] });
+        } catch (error) {
+            return { auth: null, reason: error instanceof AuthConfigError ? error.message : `Invalid token: ${error.message}`, record: null };
+        }
+    }
+
+    const record = await findToken(hashToken(token));
+    if (!record) return { auth: null, reason: 'Unknown token', record: null };
+    if (record.revoked_at) return { auth: null, reason: 'Token revoked', record };
+    if (record.expires_at && record.expires_at <= new Date()) return { auth: null, reason: 'Token expired', record };
+
+    // The stored row is authoritative: a JWT's claims only mirror it
+    return {
+        auth: { token_id: record.id, name: record.name, role: record.role, student_uuid: record.student_uuid },
+        reason: null,
+        record,
+    };
+}
+
+function logDenied(req, status, reason) {
+    logger.warn('Request denied', {
+        status,
+        reason,
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip,
+        token_id: req.auth ? req.auth.token_id : null,
+        role: req.auth ? req.auth.role : null,
+    });
+}
+
+/**
+ * Answers a denied request and logs it.
+ */
+function deny(req, res, status, reason) {
+    logDenied(req, status, reason);
+    if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+    return res.status(status).json({ message: reason });
+}
+
+/**
+ * The token of a request, from Authorization: Bearer or X-API-Key.
+ * @returns {string|null}
+ */
+function tokenOf(req) {
+    const header = req.get('authorization');
+    if (header) {
+        const match = /^Bearer\s+(\S+)$/i.exec(header);
+        return match ? match[1] : null;
+    }
+    return req.get('x-api-key') || null;
+}
+
+/**
+ * Express middleware letting through admins and the roles given.
+ * @param {...string} roles - Roles allowed besides admin.
+ */
+function authorize(...roles) {
+    return (req, res, next) => {
+        if (!req.auth) return deny(req, res, 401, 'Authentication required');
+        if (req.auth.role !== 'admin' && !roles.includes(req.auth.role)) {
+            return deny(req, res, 403, `Role ${req.auth.role} may not ${req.method} ${req.baseUrl}${req.path}`);
+        }
+        next();
+    };
+}
+
+/**
+ * The student a request is limited to: the bound student of a student token,
+ * null for admins and services, who are not limited.
+ * @returns {string|null}
+ */
+function studentScope(req) {
+    return req.auth && req.auth.role === 'student' ? req.auth.student_uuid : null;
+}
+
+/**
+ * Whether a request may see a student's records; a refusal is logged as a denied request.
+ * Callers answer 404 rather than 403, so that students cannot probe which records exist.
+ * @param {object} req
+ * @param {string} studentUuid
+ * @returns {boolean}
+ */
+function canSeeStudent(req, studentUuid) {
+    const scope = studentScope(req);
+    if (scope === null || scope === studentUuid) return true;
+    logDenied(req, 404, 'Record of another student');
+    return false;
+}
+
+export {
+    API_KEY_PREFIX,
+    AuthConfigError,
+    hashToken,
+    jwtSecret,
+    verifyToken,
+    deny,
+    tokenOf,
+    authorize,
+    studentScope,
+    canSeeStudent,
+};
@@ -0,0 +1,213 @@
+/**
+ * MIS accounts the scraper logs in with.
+ *
+ * Passwords are stored encrypted (see credentialStore.js) and never leave this
+ * module in plain text except as scrape options. Every account gets its own
+ * data directory, data/accounts/<id>, holding its cookie jar and browser
+ * profile, so one account's session is never reused for another.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import prisma from './prismaClient.js';
+import { encryptSecret, decryptSecret } from './credentialStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ACCOUNTS_DIR = path.join(__dirname, '..', 'data', 'accounts');
+
+/**
+ * The account as returned by the API, without its encrypted password.
+ * @param {object} account - An Account row.
+ * @returns {object}
+ */
+function toPublicAccount(account) {
+    const { password_encrypted: _password, ...rest } = account;
+    return rest;
+}
+
+/**
+ * Validates an account body.
+ * @param {object} body - `{ username, password, label?, student_uuid?, active? }`.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing fields (updates).
+ * @returns {{ data: object, errors: string[] }}
+ */
+function validateAccount(body, { partial = false } = {}) {
+    const errors = [];
+    const data = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { data, errors: ['Request body must be a JSON object'] };
+    }
+
+    for (const field of ['username', 'password']) {
+        const value = body[field];
+        if (value === undefined) {
+            if (!partial) errors.push(`${field} is required`);
+            continue;
+        }
+        if (typeof value !== 'string' || value.trim() === '') {
+            errors.push(`${field} must be a non-empty string`);
+            continue;
+        }
+        // Passwords are kept as typed; surrounding spaces may be part of them
+        data[field] = field === 'password' ? value : value.trim();
+    }
+
+    if (body.label !== undefined) {
+        if (body.label !== null && typeof body.label !== 'string') errors.push('label must be a string or null');
+        else data.label = body.label === null ? null : body.label.trim() || null;
+    }
+
+    if (body.student_uuid !== undefined) {
+        if (body.student_uuid !== null && typeof body.student_uuid !== 'string') errors.push('student_uuid must be a string or null');
+        else data.student_uuid = body.student_uuid === null ? null : body.student_uuid.trim() || null;
+    }
+
+    if (body.active !== undefined) {
+        if (typeof body.active !== 'boolean') errors.push('active must be a boolean');
+        else data.active = body.active;
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Maps validated fields to Account columns, encrypting the password.
+ * @param {object} data - Output of validateAccount.
+ * @returns {object}
+ */
+function toAccountColumns(data) {
+    const { password, ...columns } = data;
+    if (password !== undefined) columns.password_encrypted = encryptSecret(password);
+    return columns;
+}
+
+/**
+ * Registers an account.
+ * @param {object} data - Validated `{ username, password, label?, student_uuid?, active? }`.
+ * @returns {Promise<object>} The public account.
+ */
+async function createAccount(data) {
+    const account = await prisma.account.create({ data: toAccountColumns(data) });
+    return toPublicAccount(account);
+}
+
+/**
+ * Updates an account. A new password resets the verification status.
+ * @param {number} id - The Account id.
+ * @param {object} data - Validated partial account fields.
+ * @returns {Promise<object|null>} The public account, or null when it does not exist.
+ */
+async function updateAccount(id, data) {
+    const existing = await prisma.account.findUnique({ where: { id } });
+    if (!existing) return null;
+
+    const columns = toAccountColumns(data);
+    if (data.password !== undefined) {
+        columns.verification_status = null;
+        columns.verified_at = null;
+    }
+    const account = await prisma.account.update({ where: { id }, data: columns });
+    return toPublicAccount(account);
+}
+
+/**
+ * The data directory holding an account's cookie jar and browser profile.
+ * @param {number} id - The Account id.
+ * @returns {string}
+ */
+function accountDataDir(id) {
+    return path.join(ACCOUNTS_DIR, String(id));
+}
+
+/**
+ * Deletes an account and its data directory. Its queued scrape runs are
+ * cancelled; past runs and the marks they saved are kept.
+ * @param {number} id - The Account id.
+ * @returns {Promise<boolean>} False when the account does not exist.
+ */
+async function deleteAccount(id) {
+    const [, { count }] = await prisma.$transaction([
+        prisma.scrapeRun.updateMany({
+            where: { account_id: id, status: 'queued' },
+            data: { status: 'cancelled', error: 'Account deleted', finished_at: new Date() },
+        }),
+        prisma.account.deleteMany({ where: { id } }),
+    ]);
+    if (count === 0) return false;
+    fs.rmSync(accountDataDir(id), { recursive: true, force: true });
+    return true;
+}
+
+/**
+ * Builds the scrapeMarks options for an account: its decrypted credentials
+ * and its own data directory on top of the portal settings.
+ *
+ * @param {object} account - An Account row.
+ * @param {object} settings - Portal settings (config/settings.js).
+ * @param {object} [overrides] - Settings replacing the account's own, e.g. a throwaway dataDir.
+ * @returns {object} `{ credentials, settings, studentUuid }`.
+ */
+function scrapeOptionsFor(account, settings, overrides = {}) {
+    const dataDir = overrides.dataDir || accountDataDir(account.id);
+    return {
+        credentials: { username: account.username, password: decryptSecret(account.password_encrypted) },
+        settings: {
+            ...settings,
+            dataDir,
+            ...overrides,
+        },
+        // The student the marks belong to; MIS logins are registration numbers
+        studentUuid: account.student_uuid || account.username,
+    };
+}
+
+/**
+ * Checks that an account can log in, without touching its marks: a headless
+ * login-only scrape in a throwaway browser profile, so neither a saved
+ * session nor a stale password can make the check pass by accident.
+ * The outcome is stored on the account.
+ *
+ * @param {object} account - An Account row.
+ * @param {object} settings - Portal settings (config/settings.js).
+ * @returns {Promise<{ account: object, result: object }>} The updated public account and `{ status, success, message }`.
+ */
+async function verifyAccount(account, settings) {
+    const { scrapeMarks } = await import('./scrapUlkMiss.js');
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `miss-verify-${account.id}-`));
+
+    let result;
+    try {
+        const scrape = await scrapeMarks({
+            // Its artifacts go with the throwaway directory
+            ...scrapeOptionsFor(account, settings, { dataDir, artifactsDir: path.join(dataDir, 'runs') }),
+            headless: true,
+            save: false,
+            loginOnly: true,
+        });
+        result = { status: scrape.status, success: scrape.success, message: scrape.message };
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    const updated = await prisma.account.update({
+        where: { id: account.id },
+        data: { verification_status: result.status, verified_at: new Date() },
+    });
+    return { account: toPublicAccount(updated), result };
+}
+
+export {
+    toPublicAccount,
+    validateAccount,
+    createAccount,
+    updateAccount,
+    deleteAccount,
+    accountDataDir,
+    scrapeOptionsFor,
+    verifyAccount,
+};
@@ -0,0 +1,179 @@
+/**
+ * Authentication and authorization for the API.
+ *
+ * Clients authenticate with a token, sent as `Authorization: Bearer <token>`
+ * or `X-API-Key: <token>`. A token is either
+ * - an API key, `miss_<random>`, or
+ * - a JWT (HS256, signed with AUTH_JWT_SECRET) carrying its role and student_uuid,
+ *   for clients that read their own claims.
+ * Both are issued by this service and stored as SHA-256 hashes in ApiToken,
+ * so that a token is only ever shown once and can be revoked at any time.
+ *
+ * Roles:
+ * - admin: everything,
+ * - student: bound to a student_uuid, reads that student's marks and nothing else,
+ * - service: the ingest (POST /marks/import) and scrape endpoints.
+ *
+ * Checking tokens and the role rules are in accessControl.js; this module
+ * stores the tokens. Every denied request is logged with the reason.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from './prismaClient.js';
+import { logger as rootLogger } from './logger.js';
+import {
+    API_KEY_PREFIX,
+    AuthConfigError,
+    hashToken,
+    jwtSecret,
+    verifyToken,
+    deny,
+    tokenOf,
+    authorize,
+    studentScope,
+    canSeeStudent,
+} from './accessControl.js';
+
+const ROLES = ['admin', 'student', 'service'];
+const TOKEN_TYPES = ['api_key', 'jwt'];
+// Characters of a token kept in clear to tell tokens apart
+const PREFIX_LENGTH = 12;
+// last_used_at is written at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const logger = rootLogger.child({ component: 'auth' });
+
+/**
+ * The token as returned by the API, without its hash.
+ * @param {object} token - An ApiToken row.
+ * @returns {object}
+ */
+function toPublicToken(token) {
+    const { token_hash: _hash, ...rest } = token;
+    return rest;
+}
+
+/**
+ * Validates a token body.
+ * @param {object} body - `{ name, role, type?, student_uuid?, expires_at? }`.
+ * @returns {{ data: object, errors: string[] }}
+ */
+function validateApiToken(body) {
+    const errors = [];
+    const data = { type: 'api_key', student_uuid: null, expires_at: null };
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { data, errors: ['Request body must be a JSON object'] };
+    }
+
+    if (typeof body.name !== 'string' || body.name.trim() === '') errors.push('name must be a non-empty string');
+    else data.name = body.name.trim();
+
+    if (!ROLES.includes(body.role)) errors.push(`role must be one of: ${ROLES.join(', ')}`);
+    else data.role = body.role;
+
+    if (body.type !== undefined) {
+        if (!TOKEN_TYPES.includes(body.type)) errors.push(`type must be one of: ${TOKEN_TYPES.join(', ')}`);
+        else data.type = body.type;
+    }
+
+    if (body.student_uuid !== undefined && body.student_uuid !== null) {
+        if (typeof body.student_uuid !== 'string' || body.student_uuid.trim() === '') errors.push('student_uuid must be a non-empty string');
+        else data.student_uuid = body.student_uuid.trim();
+    }
+    if (data.role === 'student' && !data.student_uuid && !errors.some(error => error.startsWith('student_uuid'))) {
+        errors.push('student_uuid is required for student tokens');
+    }
+    if (data.role && data.role !== 'student' && data.student_uuid) {
+        errors.push('student_uuid is only for student tokens');
+    }
+
+    if (body.expires_at !== undefined && body.expires_at !== null) {
+        const expiresAt = new Date(body.expires_at);
+        if (typeof body.expires_at !== 'string' || Number.isNaN(expiresAt.getTime())) errors.push('expires_at must be an ISO 8601 date');
+        else if (expiresAt <= new Date()) errors.push('expires_at must be in the future');
+        else data.expires_at = expiresAt;
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Issues a token. The token itself is returned once and never stored.
+ * @param {object} data - Validated `{ name, role, type, student_uuid, expires_at }`.
+ * @returns {Promise<{ token: string, record: object }>} The token and its public ApiToken row.
+ * @throws {AuthConfigError} For a JWT when AUTH_JWT_SECRET is not set.
+ */
+async function createApiToken(data) {
+    let token;
+    if (data.type === 'jwt') {
+        const claims = { role: data.role, ...(data.student_uuid ? { student_uuid: data.student_uuid } : {}) };
+        const options = { algorithm: 'HS256', jwtid: crypto.randomUUID(), subject: data.name };
+        if (data.expires_at) claims.exp = Math.floor(data.expires_at.getTime() / 1000);
+        token = jwt.sign(claims, jwtSecret(), options);
+    } else {
+        token = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    }
+
+    const record = await prisma.apiToken.create({
+        data: { ...data, token_hash: hashToken(token), prefix: token.slice(0, PREFIX_LENGTH) },
+    });
+    return { token, record: toPublicToken(record) };
+}
+
+/**
+ * Revokes a token; revoking it again keeps the first revocation time.
+ * @param {number} id - The ApiToken id.
+ * @returns {Promise<object|null>} The public token, or null when it does not exist.
+ */
+async function revokeApiToken(id) {
+    const token = await prisma.apiToken.findUnique({ where: { id } });
+    if (!token) return null;
+    if (token.revoked_at) return toPublicToken(token);
+    return toPublicToken(await prisma.apiToken.update({ where: { id }, data: { revoked_at: new Date() } }));
+}
+
+/**
+ * Checks a token sent by a client against the stored tokens, and records its use.
+ * @param {string} token
+ * @returns {Promise<{ auth: object|null, reason: string|null }>} See verifyToken.
+ */
+async function verifyApiToken(token) {
+    const { auth, reason, record } = await verifyToken(token, tokenHash => prisma.apiToken.findUnique({ where: { token_hash: tokenHash } }));
+    if (auth && (!record.last_used_at || Date.now() - record.last_used_at.getTime() > LAST_USED_RESOLUTION_MS)) {
+        prisma.apiToken.update({ where: { id: record.id }, data: { last_used_at: new Date() } })
+            .catch(error => logger.warn('Could not record token use', { token_id: record.id, error }));
+    }
+    return { auth, reason };
+}
+
+/**
+ * Express middleware requiring a valid token; sets req.auth.
+ */
+async function authenticate(req, res, next) {
+    const token = tokenOf(req);
+    if (!token) return deny(req, res, 401, 'Authentication required: send a token as Authorization: Bearer <token> or X-API-Key');
+
+    const { auth, reason } = await verifyApiToken(token);
+    if (!auth) return deny(req, res, 401, reason);
+
+    req.auth = auth;
+    next();
+}
+
+export {
+    ROLES,
+    TOKEN_TYPES,
+    AuthConfigError,
+    hashToken,
+    toPublicToken,
+    validateApiToken,
+    createApiToken,
+    revokeApiToken,
+    verifyApiToken,
+    authenticate,
+    authorize,
+    studentScope,
+    canSeeStudent,
+};
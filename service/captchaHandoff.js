@@ -0,0 +1,68 @@
+/**
+ * CAPTCHA challenges handed off by headless scrape runs. A run parks on its
+ * challenge until solveCaptcha gives the answer, the challenge expires or the
+ * run is cancelled; getCaptchaChallenge shows it to whoever solves it. The
+ * scrape jobs (scrapeJobs.js) wire it to the scraper's onCaptcha.
+ */
+
+// Runs waiting for a CAPTCHA solution: run id -> { image, mime_type, attempt, created_at, expires_at, settle }
+const pendingCaptchas = new Map();
+
+/**
+ * Parks a run on a CAPTCHA challenge until it is solved, expires or the run
+ * is cancelled.
+ * @param {number} id - The ScrapeRun id.
+ * @param {object} challenge - `{ image, mimeType, attempt, timeoutMs }` from the scraper.
+ * @param {AbortSignal} signal - The run's signal.
+ * @returns {Promise<string|null>} The solution, or null.
+ */
+function waitForCaptchaSolution(id, { image, mimeType, attempt, timeoutMs }, signal) {
+    return new Promise(resolve => {
+        const createdAt = new Date();
+        const entry = {
+            image,
+            mime_type: mimeType,
+            attempt,
+            created_at: createdAt,
+            expires_at: new Date(createdAt.getTime() + timeoutMs),
+        };
+        const expire = () => entry.settle(null);
+        const timer = setTimeout(expire, timeoutMs);
+        entry.settle = solution => {
+            if (pendingCaptchas.get(id) !== entry) return;
+            clearTimeout(timer);
+            signal.removeEventListener('abort', expire);
+            pendingCaptchas.delete(id);
+            resolve(solution);
+        };
+        signal.addEventListener('abort', expire, { once: true });
+        pendingCaptchas.set(id, entry);
+    });
+}
+
+/**
+ * The CAPTCHA a run is waiting on.
+ * @param {number} id - The ScrapeRun id.
+ * @returns {object|null} `{ run_id, attempt, mime_type, image, created_at, expires_at }`, image a Buffer; null when the run is not waiting.
+ */
+function getCaptchaChallenge(id) {
+    const entry = pendingCaptchas.get(id);
+    if (!entry) return null;
+    const { settle: _settle, ...challenge } = entry;
+    return { run_id: id, ...challenge };
+}
+
+/**
+ * Gives the solution of a pending CAPTCHA; the run resumes its login with it.
+ * @param {number} id - The ScrapeRun id.
+ * @param {string} solution - The CAPTCHA text.
+ * @returns {boolean} False when the run is not waiting for a CAPTCHA.
+ */
+function solveCaptcha(id, solution) {
+    const entry = pendingCaptchas.get(id);
+    if (!entry) return false;
+    entry.settle(solution);
+    return true;
+}
+
+export { waitForCaptchaSolution, getCaptchaChallenge, solveCaptcha };
@@ -0,0 +1,95 @@
+/**
+ * Encryption at rest for MIS account passwords.
+ *
+ * Passwords are encrypted with AES-256-GCM under a master key taken from
+ * CREDENTIALS_MASTER_KEY: either 64 hex characters (the raw 32-byte key) or
+ * any other passphrase, from which the key is derived with scrypt.
+ * Stored values look like `v1:<iv>:<auth tag>:<ciphertext>`, all base64.
+ */
+
+import crypto from 'crypto';
+
+const FORMAT_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+// Fixed salt: the passphrase is the only secret, the salt only separates this use of it
+const KEY_SALT = 'miss-service/credential-store';
+
+// The key derived from the last CREDENTIALS_MASTER_KEY seen: `{ secret, key }`
+let cachedKey = null;
+
+class CredentialStoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CredentialStoreError';
+    }
+}
+
+/**
+ * The 32-byte master key from CREDENTIALS_MASTER_KEY, derived once per value.
+ * @returns {Buffer}
+ */
+function masterKey() {
+    const secret = process.env.CREDENTIALS_MASTER_KEY;
+    if (!secret) {
+        throw new CredentialStoreError('CREDENTIALS_MASTER_KEY is not set; account passwords cannot be encrypted or decrypted');
+    }
+    if (!cachedKey || cachedKey.secret !== secret) {
+        const key = /^[0-9a-f]{64}$/i.test(secret)
+            ? Buffer.from(secret, 'hex')
+            : crypto.scryptSync(secret, KEY_SALT, 32);
+        cachedKey = { secret, key };
+    }
+    return cachedKey.key;
+}
+
+/**
+ * Checks that a master key is configured.
+ * @returns {boolean}
+ */
+function isConfigured() {
+    return Boolean(process.env.CREDENTIALS_MASTER_KEY);
+}
+
+/**
+ * Encrypts a secret for storage.
+ * @param {string} plaintext - The secret.
+ * @returns {string} The stored form.
+ */
+function encryptSecret(plaintext) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, masterKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return [FORMAT_VERSION, iv, cipher.getAuthTag(), ciphertext]
+        .map(part => (typeof part === 'string' ? part : part.toString('base64')))
+        .join(':');
+}
+
+/**
+ * Decrypts a value produced by encryptSecret.
+ * Throws a CredentialStoreError when the value is malformed or the master key is wrong.
+ * @param {string} stored - The stored form.
+ * @returns {string} The secret.
+ */
+function decryptSecret(stored) {
+    const parts = String(stored).split(':');
+    if (parts.length !== 4 || parts[0] !== FORMAT_VERSION) {
+        throw new CredentialStoreError('Stored credential has an unknown format');
+    }
+    const [, iv, tag, ciphertext] = parts.map(part => Buffer.from(part, 'base64'));
+    try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, masterKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    } catch (error) {
+        if (error instanceof CredentialStoreError) throw error;
+        throw new CredentialStoreError('Stored credential could not be decrypted; was CREDENTIALS_MASTER_KEY changed?');
+    }
+}
+
+export {
+    CredentialStoreError,
+    isConfigured,
+    encryptSecret,
+    decryptSecret,
+};
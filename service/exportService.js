@@ -0,0 +1,207 @@
+/**
+ * Marks export as CSV, NDJSON or XLSX.
+ *
+ * Rows are written to the response as they are read (see iterateMarks), so
+ * an export of any size only ever holds one batch of results in memory.
+ * When the client goes away the export stops reading and rejects with
+ * ExportAbortedError, even while it waits for a backed-up response.
+ * Each row carries the scraped grade and grade point next to the ones
+ * derived from total_mark with a grading scale (see grading.js).
+ */
+
+import ExcelJS from 'exceljs';
+import { once } from 'events';
+import { gradeFor, gradableTotal } from './grading.js';
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// Every exportable column, in export order
+const EXPORT_COLUMNS = [
+    'id',
+    'student_uuid',
+    'code',
+    'name',
+    'academic_period',
+    'credit',
+    'cat1',
+    'cat1_status',
+    'cat2',
+    'cat2_status',
+    'exam_mark',
+    'exam_mark_status',
+    'total_mark',
+    'total_mark_status',
+    'grade',
+    'grade_point',
+    'derived_grade',
+    'derived_grade_point',
+    'extra',
+    'created_at',
+    'updated_at',
+];
+// Exported when ?columns is not given; extra holds free-form portal columns
+const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.filter(column => column !== 'extra');
+
+/**
+ * Parses ?format and ?columns.
+ * @param {object} query - The request query string.
+ * @returns {{ format: string, columns: string[], errors: string[] }}
+ */
+function parseExportOptions(query) {
+    const errors = [];
+
+    const format = query.format ? String(query.format).toLowerCase() : 'csv';
+    if (!EXPORT_FORMATS[format]) errors.push(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+
+    let columns = DEFAULT_EXPORT_COLUMNS;
+    if (query.columns) {
+        columns = [...new Set(String(query.columns).split(',').map(column => column.trim()).filter(Boolean))];
+        const unknown = columns.filter(column => !EXPORT_COLUMNS.includes(column));
+        if (unknown.length > 0) errors.push(`Unknown columns: ${unknown.join(', ')}. Expected any of: ${EXPORT_COLUMNS.join(', ')}`);
+        if (columns.length === 0) errors.push('columns must name at least one column');
+    }
+
+    return { format, columns, errors };
+}
+
+/**
+ * Adds the grade and grade point derived from total_mark to a mark row.
+ * They are null when the result does not count towards the GPA
+ * (pending or exempt total, no credits).
+ * @param {object} mark - A flat mark row (see toMarkRow).
+ * @param {object[]} bands - The scale bands from getScale.
+ * @returns {object} The row with derived_grade and derived_grade_point.
+ */
+function withDerivedGrade(mark, bands) {
+    const derived = gradeFor(gradableTotal(mark), bands);
+    return {
+        ...mark,
+        derived_grade: derived ? derived.grade : null,
+        derived_grade_point: derived ? derived.grade_point : null,
+    };
+}
+
+/**
+ * A row value as plain text or number: dates as ISO strings, objects as JSON.
+ */
+function plainValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+/**
+ * Quotes a CSV field when it holds a separator, quote or line break (RFC 4180).
+ */
+function csvField(value) {
+    const text = value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class ExportAbortedError extends Error {
+    constructor() {
+        super('The export stream closed before the export was written');
+        this.name = 'ExportAbortedError';
+    }
+}
+
+/**
+ * Waits for a promise about a stream, unless the stream closes first. A client
+ * that goes away mid-download closes the response without 'drain', 'finish'
+ * or 'error', so waiting on those alone would never end.
+ * @param {import('stream').Writable} stream
+ * @param {Promise} promise
+ * @returns {Promise} The promise's value; rejects with ExportAbortedError on close.
+ */
+function unlessClosed(stream, promise) {
+    if (stream.destroyed) return Promise.reject(new ExportAbortedError());
+    let onClose;
+    const closed = new Promise((resolve, reject) => {
+        // A stream that finished writing closes too, possibly before the promise settles
+        onClose = () => {
+            if (!stream.writableFinished) reject(new ExportAbortedError());
+        };
+        stream.once('close', onClose);
+    });
+    return Promise.race([promise, closed]).finally(() => stream.off('close', onClose));
+}
+
+/**
+ * Writes a chunk, waiting for the stream to drain when its buffer is full.
+ */
+async function write(stream, chunk) {
+    if (stream.destroyed) throw new ExportAbortedError();
+    if (!stream.write(chunk)) await unlessClosed(stream, once(stream, 'drain'));
+}
+
+async function writeCsv(stream, rows, columns) {
+    await write(stream, `${columns.join(',')}\r\n`);
+    for await (const row of rows) {
+        await write(stream, `${columns.map(column => csvField(plainValue(row[column]))).join(',')}\r\n`);
+    }
+    stream.end();
+}
+
+async function writeNdjson(stream, rows, columns) {
+    for await (const row of rows) {
+        const line = {};
+        for (const column of columns) line[column] = row[column] === undefined ? null : row[column];
+        await write(stream, `${JSON.stringify(line)}\n`);
+    }
+    stream.end();
+}
+
+async function writeXlsx(stream, rows, columns) {
+    // Inline strings and no styles keep the writer from buffering the sheet
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useSharedStrings: false, useStyles: false });
+    const sheet = workbook.addWorksheet('Marks');
+    sheet.addRow(columns).commit();
+    for await (const row of rows) {
+        sheet.addRow(columns.map(column => plainValue(row[column]))).commit();
+        if (stream.writableNeedDrain) await unlessClosed(stream, once(stream, 'drain'));
+    }
+    sheet.commit();
+    await unlessClosed(stream, workbook.commit());
+}
+
+const WRITERS = { csv: writeCsv, ndjson: writeNdjson, xlsx: writeXlsx };
+
+/**
+ * Streams mark rows to a writable stream (usually the HTTP response) and ends it.
+ * @param {import('stream').Writable} stream
+ * @param {AsyncIterable<object>} marks - Flat mark rows, see iterateMarks.
+ * @param {object} options
+ * @param {string} options.format - A key of EXPORT_FORMATS.
+ * @param {string[]} options.columns - Columns to write, from EXPORT_COLUMNS.
+ * @param {object[]} options.bands - The scale bands used for the derived grade.
+ * @returns {Promise<number>} The number of rows written. Rejects with ExportAbortedError
+ *   when the stream closes first; the marks are no longer read then.
+ */
+async function writeMarksExport(stream, marks, { format, columns, bands }) {
+    let count = 0;
+    async function* rows() {
+        for await (const mark of marks) {
+            // Stop reading once the client went away
+            if (stream.destroyed) throw new ExportAbortedError();
+            count++;
+            yield withDerivedGrade(mark, bands);
+        }
+    }
+    await WRITERS[format](stream, rows(), columns);
+    return count;
+}
+
+export {
+    ExportAbortedError,
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    DEFAULT_EXPORT_COLUMNS,
+    parseExportOptions,
+    withDerivedGrade,
+    writeMarksExport,
+};
@@ -0,0 +1,223 @@
+/**
+ * Grading scales and GPA / CGPA computation.
+ *
+ * A scale is a list of bands, highest first: a total_mark at or above `min`
+ * gets the band's letter grade and grade point. The ULK scale is the default;
+ * GRADING_SCALE selects another built-in or custom scale, and GRADING_SCALES
+ * (a JSON object of name -> bands) adds custom ones.
+ */
+
+import { logger as rootLogger } from './logger.js';
+
+const logger = rootLogger.child({ component: 'grading' });
+
+const BUILT_IN_SCALES = {
+    // ULK undergraduate scale on a 4-point basis
+    ulk: [
+        { min: 80, grade: 'A', point: 4.0 },
+        { min: 70, grade: 'B', point: 3.0 },
+        { min: 60, grade: 'C', point: 2.0 },
+        { min: 50, grade: 'D', point: 1.0 },
+        { min: 0, grade: 'F', point: 0.0 },
+    ],
+    us_4_point: [
+        { min: 90, grade: 'A', point: 4.0 },
+        { min: 80, grade: 'B', point: 3.0 },
+        { min: 70, grade: 'C', point: 2.0 },
+        { min: 60, grade: 'D', point: 1.0 },
+        { min: 0, grade: 'F', point: 0.0 },
+    ],
+    five_point: [
+        { min: 70, grade: 'A', point: 5.0 },
+        { min: 60, grade: 'B', point: 4.0 },
+        { min: 50, grade: 'C', point: 3.0 },
+        { min: 45, grade: 'D', point: 2.0 },
+        { min: 40, grade: 'E', point: 1.0 },
+        { min: 0, grade: 'F', point: 0.0 },
+    ],
+};
+
+const DEFAULT_SCALE = 'ulk';
+
+// Scraped and computed grade points closer than this are considered equal
+const GRADE_POINT_TOLERANCE = 0.01;
+
+/**
+ * Checks that a scale is a non-empty list of bands ending at min 0.
+ * @param {string} name - The scale name, for error messages.
+ * @param {object[]} bands - The bands to check.
+ * @returns {string[]} Validation errors.
+ */
+function validateScale(name, bands) {
+    if (!Array.isArray(bands) || bands.length === 0) return [`Scale "${name}" must be a non-empty array of bands`];
+    const errors = [];
+    bands.forEach((band, i) => {
+        if (!band || typeof band.min !== 'number' || typeof band.grade !== 'string' || typeof band.point !== 'number') {
+            errors.push(`Scale "${name}" band ${i} needs a numeric min, a string grade and a numeric point`);
+        }
+    });
+    if (!bands.some(band => band && band.min === 0)) errors.push(`Scale "${name}" needs a band starting at 0`);
+    return errors;
+}
+
+/**
+ * Loads the built-in scales plus any custom ones from GRADING_SCALES.
+ * Invalid custom scales are ignored with a warning.
+ * @returns {object} Scale name -> bands sorted by descending min.
+ */
+function loadScales() {
+    const scales = { ...BUILT_IN_SCALES };
+    if (process.env.GRADING_SCALES) {
+        try {
+            const custom = JSON.parse(process.env.GRADING_SCALES);
+            for (const [name, bands] of Object.entries(custom)) {
+                const errors = validateScale(name, bands);
+                if (errors.length > 0) {
+                    logger.warn('Ignoring an invalid custom grading scale', { scale: name, errors });
+                    continue;
+                }
+                scales[name] = bands;
+            }
+        } catch (error) {
+            logger.warn('GRADING_SCALES is not valid JSON, using the built-in scales only', { error });
+        }
+    }
+    for (const name of Object.keys(scales)) {
+        scales[name] = [...scales[name]].sort((a, b) => b.min - a.min);
+    }
+    return scales;
+}
+
+const scales = loadScales();
+
+/**
+ * Lists the selectable scales.
+ * @returns {{ default: string, scales: object }}
+ */
+function listScales() {
+    return { default: defaultScaleName(), scales };
+}
+
+/**
+ * The scale used when a request does not pick one.
+ * @returns {string} The scale name.
+ */
+function defaultScaleName() {
+    const name = process.env.GRADING_SCALE;
+    return name && scales[name] ? name : DEFAULT_SCALE;
+}
+
+/**
+ * Looks up a scale by name.
+ * @param {string} [name] - The scale name, defaulting to defaultScaleName().
+ * @returns {object[]|null} The bands, or null when the scale does not exist.
+ */
+function getScale(name) {
+    return scales[name || defaultScaleName()] || null;
+}
+
+/**
+ * Maps a total mark to a letter grade and grade point.
+ * @param {number|null} totalMark - The total mark out of 100.
+ * @param {object[]} bands - The scale bands from getScale.
+ * @returns {{ grade: string, grade_point: number }|null} Null when there is no total.
+ */
+function gradeFor(totalMark, bands) {
+    if (typeof totalMark !== 'number' || isNaN(totalMark)) return null;
+    const band = bands.find(b => totalMark >= b.min) || bands[bands.length - 1];
+    return { grade: band.grade, grade_point: band.point };
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Decides whether a result counts towards the GPA. Pending and exempt totals
+ * are left out; an absent total counts as a failing total of 0.
+ * @param {object} mark - A flat mark row (see toMarkRow).
+ * @returns {number|null} The total to grade, or null when the result does not count.
+ */
+function gradableTotal(mark) {
+    if (!mark.credit || mark.credit <= 0) return null;
+    if (mark.total_mark_status === 'absent') return 0;
+    if (mark.total_mark_status !== 'published') return null;
+    return mark.total_mark;
+}
+
+/**
+ * Computes credit-weighted semester GPAs and the cumulative CGPA.
+ * Also cross-checks the computed grade point and letter grade against the
+ * values scraped from the portal, where the portal provides them.
+ *
+ * @param {object[]} periods - `[{ id, title, results: [flat mark rows] }]`, oldest first.
+ * @param {object[]} bands - The scale bands from getScale.
+ * @returns {object} `{ periods, total_credits, cgpa, cross_check }`.
+ */
+function computeGpa(periods, bands) {
+    let cumulativeCredits = 0;
+    let cumulativePoints = 0;
+    const mismatches = [];
+    let compared = 0;
+
+    const periodSummaries = periods.map(period => {
+        let credits = 0;
+        let points = 0;
+        let counted = 0;
+
+        for (const mark of period.results) {
+            const total = gradableTotal(mark);
+            const computed = gradeFor(total, bands);
+
+            if (computed && (mark.grade_point !== null || mark.grade !== null)) {
+                compared++;
+                const pointMismatch = mark.grade_point !== null &&
+                    Math.abs(mark.grade_point - computed.grade_point) > GRADE_POINT_TOLERANCE;
+                const gradeMismatch = mark.grade !== null &&
+                    mark.grade.toUpperCase() !== computed.grade.toUpperCase();
+                if (pointMismatch || gradeMismatch) {
+                    mismatches.push({
+                        result_id: mark.id,
+                        code: mark.code,
+                        academic_period: period.title,
+                        total_mark: mark.total_mark,
+                        computed,
+                        scraped: { grade: mark.grade, grade_point: mark.grade_point },
+                    });
+                }
+            }
+
+            if (!computed) continue;
+            counted++;
+            credits += mark.credit;
+            points += mark.credit * computed.grade_point;
+        }
+
+        cumulativeCredits += credits;
+        cumulativePoints += points;
+
+        return {
+            id: period.id,
+            title: period.title,
+            courses_counted: counted,
+            credits,
+            quality_points: round2(points),
+            gpa: credits > 0 ? round2(points / credits) : null,
+            cgpa: cumulativeCredits > 0 ? round2(cumulativePoints / cumulativeCredits) : null,
+        };
+    });
+
+    return {
+        periods: periodSummaries,
+        total_credits: cumulativeCredits,
+        cgpa: cumulativeCredits > 0 ? round2(cumulativePoints / cumulativeCredits) : null,
+        cross_check: { compared, mismatches },
+    };
+}
+
+export {
+    listScales,
+    getScale,
+    defaultScaleName,
+    gradeFor,
+    gradableTotal,
+    computeGpa,
+};
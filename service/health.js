@@ -0,0 +1,64 @@
+/**
+ * Readiness checks for GET /ready: the service is ready when
+ * - database: the database answers a query,
+ * - browser: Chromium launches (checked at most every READY_BROWSER_CHECK_SECONDS, 300 by default,
+ *   since a launch takes seconds and orchestrators probe often),
+ * - config: config/settings.js loads, its site profile is valid, the portal
+ *   URLs are known and, once accounts are registered, CREDENTIALS_MASTER_KEY is set.
+ *
+ * The parts that need no database or browser are in readiness.js.
+ */
+
+import prisma from './prismaClient.js';
+import { loadScraperSettings } from './scrapeJobs.js';
+import { loadSiteProfile } from './siteProfile.js';
+import { isConfigured } from './credentialStore.js';
+import { timed, cachedCheck, missingPortalUrls, readiness } from './readiness.js';
+
+const BROWSER_CHECK_TTL_MS = (Number(process.env.READY_BROWSER_CHECK_SECONDS) || 300) * 1000;
+const BROWSER_LAUNCH_TIMEOUT_MS = 15000;
+
+function checkDatabase() {
+    return timed(() => prisma.$queryRaw`SELECT 1`);
+}
+
+/**
+ * Launches and closes Chromium, reusing the outcome for BROWSER_CHECK_TTL_MS.
+ */
+const checkBrowser = cachedCheck(() => timed(async () => {
+    // puppeteer is loaded on first use, as the scraper is
+    const { default: puppeteer } = await import('puppeteer');
+    const browser = await puppeteer.launch({
+        headless: true,
+        timeout: BROWSER_LAUNCH_TIMEOUT_MS,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+    });
+    await browser.close();
+}), BROWSER_CHECK_TTL_MS);
+
+function checkConfig() {
+    return timed(async () => {
+        const settings = await loadScraperSettings();
+        const profile = await loadSiteProfile(settings.siteProfile || undefined);
+        const missing = missingPortalUrls(settings, profile);
+        if (missing.length > 0) {
+            throw new Error(`config/settings.js is missing ${missing.join(', ')}, and site profile "${profile.id}" has no default`);
+        }
+        if (!isConfigured() && await prisma.account.count() > 0) {
+            throw new Error('CREDENTIALS_MASTER_KEY is not set; the registered accounts cannot be scraped');
+        }
+    });
+}
+
+/**
+ * Runs the readiness checks.
+ * @returns {Promise<{ ready: boolean, checks: { database: object, browser: object, config: object } }>}
+ */
+async function checkReadiness() {
+    const [database, browser, config] = await Promise.all([checkDatabase(), checkBrowser(), checkConfig()]);
+    return readiness({ database, browser, config });
+}
+
+export {
+    checkReadiness,
+};
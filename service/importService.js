@@ -0,0 +1,76 @@
+/**
+ * Marks ingest: accepts the scraper's `{ studentInfo, semesters[].courses[] }`
+ * payload or a CSV file, and saves both through saveMarksDataToPrisma so that
+ * marks from other sources land in the same tables. CSV files are read by
+ * marksCsv.js.
+ */
+
+import { saveMarksDataToPrisma } from './marksheetService.js';
+import { resolveStudentIdentity } from './studentIdentity.js';
+import { DEFAULT_CSV_MAPPING, parseCsvMapping, summarise, importCsvRows } from './marksCsv.js';
+
+/**
+ * Checks the `{ studentInfo, semesters }` payload shape before saving.
+ * Imports have no logged-in account, so studentInfo.regNo is the only student identity.
+ * @param {object} body - The request body.
+ * @returns {string[]} Validation errors.
+ */
+function validateMarksPayload(body) {
+    const errors = [];
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return ['Request body must be a JSON object'];
+    }
+    if (!body.studentInfo || typeof body.studentInfo !== 'object' || Array.isArray(body.studentInfo)) {
+        errors.push('studentInfo must be an object');
+    } else if (!resolveStudentIdentity({ studentInfo: body.studentInfo }).uuid) {
+        errors.push('studentInfo.regNo is required: it names the student the marks belong to');
+    }
+    if (!Array.isArray(body.semesters)) {
+        errors.push('semesters must be an array');
+    } else {
+        body.semesters.forEach((semester, i) => {
+            if (!semester || !Array.isArray(semester.courses)) {
+                errors.push(`semesters[${i}].courses must be an array`);
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Imports a scraper-shaped payload.
+ * @param {object} marksData - `{ studentInfo, semesters[].courses[] }`.
+ * @returns {Promise<{ success: boolean, refused: boolean, summary: object, rows: object[], message: string }>}
+ *   refused tells a save turned down for its data (see saveMarksDataToPrisma) from one that failed.
+ */
+async function importMarksData(marksData) {
+    const result = await saveMarksDataToPrisma(marksData);
+    return {
+        success: result.success,
+        refused: Boolean(result.refused),
+        message: result.message,
+        summary: summarise(result.rows),
+        rows: result.rows,
+    };
+}
+
+/**
+ * Imports a CSV file and reports the outcome of each data line.
+ *
+ * @param {string} csv - The CSV text.
+ * @param {object} options
+ * @param {object} options.mapping - Field -> header mapping from parseCsvMapping.
+ * @param {string} [options.studentUuid] - Student for rows without a student column.
+ * @returns {Promise<{ summary: object, rows: object[], errors: string[] }>}
+ */
+function importCsv(csv, options) {
+    return importCsvRows(csv, options, marksData => saveMarksDataToPrisma(marksData));
+}
+
+export {
+    DEFAULT_CSV_MAPPING,
+    parseCsvMapping,
+    validateMarksPayload,
+    importMarksData,
+    importCsv,
+};
@@ -0,0 +1,126 @@
+/**
+ * Structured logging: one JSON object per line, with the time, the level, the
+ * message and the fields bound to the logger, e.g.
+ *
+ *   {"time":"2026-10-19T18:02:11.120Z","level":"info","msg":"Login succeeded","run_id":12,"account_id":3,"step":"login"}
+ *
+ * Lines go to sinks `{ level, write(line, entry) }`, each with its own
+ * threshold: the console (stdout, stderr from warn up) at LOG_LEVEL, info by
+ * default, and whatever a child logger adds, such as the log file of a
+ * scrape run.
+ */
+
+import fs from 'fs';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+/**
+ * A sink writing to stdout, and to stderr from warn up.
+ * @param {string} [level] - The threshold; LOG_LEVEL, then info.
+ */
+function consoleSink(level = process.env.LOG_LEVEL || 'info') {
+    return {
+        level: LEVELS[level] === undefined ? 'info' : level,
+        write: (line, entry) => (LEVELS[entry.level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`),
+    };
+}
+
+/**
+ * A sink appending to a file, which must be in an existing directory.
+ * @param {string} file
+ * @param {string} [level='debug']
+ */
+function fileSink(file, level = 'debug') {
+    return { level, write: line => fs.appendFileSync(file, `${line}\n`) };
+}
+
+/**
+ * Field values as they go in a line: errors become `{ name, message, stack }`.
+ */
+function serializeFields(fields) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(fields)) {
+        serialized[key] = value instanceof Error
+            ? { name: value.name, message: value.message, stack: value.stack }
+            : value;
+    }
+    return serialized;
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.fields] - Fields on every line.
+ * @param {object[]} [options.sinks] - Where lines go; the console alone by default, none for a silent logger.
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, child: Function, assign: Function }}
+ *   The level methods take a message and optional fields; an Error given as
+ *   fields is logged as the `error` field.
+ */
+function createLogger({ fields = {}, sinks = [consoleSink()] } = {}) {
+    const bound = { ...fields };
+
+    const write = (level, msg, extra = {}) => {
+        const targets = sinks.filter(sink => LEVELS[level] >= LEVELS[sink.level]);
+        if (targets.length === 0) return;
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...bound,
+            ...serializeFields(extra instanceof Error ? { error: extra } : extra),
+        };
+        const line = JSON.stringify(entry);
+        for (const sink of targets) {
+            try {
+                sink.write(line, entry);
+            } catch {
+                // A failing sink (e.g. a deleted run directory) must not break the caller
+            }
+        }
+    };
+
+    return {
+        debug: (msg, extra) => write('debug', msg, extra),
+        info: (msg, extra) => write('info', msg, extra),
+        warn: (msg, extra) => write('warn', msg, extra),
+        error: (msg, extra) => write('error', msg, extra),
+        /**
+         * A logger with more fields, writing to this logger's sinks plus `sinks`.
+         */
+        child: (childFields = {}, { sinks: extraSinks = [] } = {}) => createLogger({
+            fields: { ...bound, ...childFields },
+            sinks: [...sinks, ...extraSinks],
+        }),
+        /**
+         * Changes fields of this logger in place, e.g. the step a run is at.
+         */
+        assign: changes => Object.assign(bound, changes),
+    };
+}
+
+// The process-wide logger
+const logger = createLogger();
+
+/**
+ * Reads a file written by a fileSink, skipping lines that are not JSON.
+ * @param {string} file
+ * @returns {object[]} The entries, oldest first.
+ */
+function readLogFile(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').flatMap(line => {
+        if (!line.trim()) return [];
+        try {
+            return [JSON.parse(line)];
+        } catch {
+            return [];
+        }
+    });
+}
+
+export {
+    LEVELS,
+    consoleSink,
+    fileSink,
+    createLogger,
+    readLogFile,
+    logger,
+};
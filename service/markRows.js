@@ -0,0 +1,307 @@
+/**
+ * The flat mark rows of the marks API, apart from where they are stored (see
+ * marksheetService.js): the row fields, flattening a Result into a row,
+ * grouping rows by period, what changed between a stored Result and a new
+ * one, checking a request body and reading extracted courses and mark cells.
+ */
+
+// Integer fields of a flat mark row; credit lives on the Course catalog
+const NUMERIC_FIELDS = ['credit'];
+const STRING_FIELDS = ['student_uuid', 'code', 'name', 'academic_period', 'grade'];
+// Nullable decimal mark components, each paired with a `<component>_status` field
+const MARK_COMPONENTS = ['cat1', 'cat2', 'exam_mark', 'total_mark'];
+const MARK_STATUS_FIELDS = MARK_COMPONENTS.map(field => `${field}_status`);
+const WRITABLE_FIELDS = [...STRING_FIELDS, ...NUMERIC_FIELDS, ...MARK_COMPONENTS, ...MARK_STATUS_FIELDS, 'grade_point'];
+// Writable fields with a default, never required
+const OPTIONAL_FIELDS = ['academic_period', 'grade', 'grade_point'];
+
+/*
+| published: the portal shows a number for the component
+| pending:   nothing published yet (blank cell, "-", "NYP")
+| absent:    the student missed the assessment ("ABS")
+| exempt:    the component does not apply to the student ("N/A", "EX")
+*/
+const MARK_STATUSES = ['published', 'pending', 'absent', 'exempt'];
+
+// Academic period of courses whose semester has no title
+const DEFAULT_ACADEMIC_PERIOD = 'Unassigned';
+
+// Upper-cased cell text -> status, for mark cells that hold no number
+const MARK_STATUS_TOKENS = {
+    '': 'pending',
+    '-': 'pending',
+    '--': 'pending',
+    '–': 'pending',
+    '—': 'pending',
+    'PENDING': 'pending',
+    'NYP': 'pending',
+    'NOT PUBLISHED': 'pending',
+    'TBA': 'pending',
+    'ABS': 'absent',
+    'AB': 'absent',
+    'ABSENT': 'absent',
+    'N/A': 'exempt',
+    'NA': 'exempt',
+    'EX': 'exempt',
+    'EXEMPT': 'exempt',
+    'EXEMPTED': 'exempt',
+};
+
+/**
+ * A stored mark as a number: Result and MarkHistory keep marks as Prisma
+ * Decimals, the API and the save compare plain numbers.
+ * @param {object|number|null} value - A Decimal, or a number or null already.
+ * @returns {number|null}
+ */
+function markNumber(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Flattens a Result (loaded with MARK_INCLUDE) into the row shape of the marks API.
+ * @param {object} result - A Result with its student, course and period.
+ * @returns {object} The flat mark row.
+ */
+function toMarkRow(result) {
+    return {
+        id: result.id,
+        student_uuid: result.student.uuid,
+        code: result.course.code,
+        name: result.course.name,
+        academic_period: result.period.title,
+        credit: result.course.credits,
+        cat1: markNumber(result.cat1),
+        cat1_status: result.cat1_status,
+        cat2: markNumber(result.cat2),
+        cat2_status: result.cat2_status,
+        exam_mark: markNumber(result.exam_mark),
+        exam_mark_status: result.exam_mark_status,
+        total_mark: markNumber(result.total_mark),
+        total_mark_status: result.total_mark_status,
+        grade: result.grade,
+        grade_point: result.grade_point,
+        extra: result.extra,
+        created_at: result.created_at,
+        updated_at: result.updated_at,
+    };
+}
+
+/**
+ * A MarkHistory entry with its old and new marks as numbers.
+ * @param {object} entry
+ * @returns {object}
+ */
+function toHistoryRow(entry) {
+    return { ...entry, old_value: markNumber(entry.old_value), new_value: markNumber(entry.new_value) };
+}
+
+/**
+ * The mark components whose value or status differ between a stored Result
+ * and the columns about to replace it: what MarkHistory keeps of an update.
+ * Stored marks are Decimals, compared as numbers.
+ * @param {object} existing - The stored Result.
+ * @param {object} data - The new Result columns.
+ * @returns {{ field: string, old_value: number|null, new_value: number|null, old_status: string, new_status: string }[]}
+ */
+function markChanges(existing, data) {
+    return MARK_COMPONENTS
+        .filter(field => markNumber(existing[field]) !== data[field] || existing[`${field}_status`] !== data[`${field}_status`])
+        .map(field => ({
+            field,
+            old_value: markNumber(existing[field]),
+            new_value: data[field],
+            old_status: existing[`${field}_status`],
+            new_status: data[`${field}_status`],
+        }));
+}
+
+/**
+ * Groups a student's results by academic period, keeping their order.
+ * @param {object[]} results - Results with their student, course and period.
+ * @returns {{ id: number, title: string, results: object[] }[]} Periods with their flat mark rows.
+ */
+function groupByPeriod(results) {
+    const periods = new Map();
+    for (const result of results) {
+        if (!periods.has(result.period_id)) {
+            periods.set(result.period_id, { id: result.period.id, title: result.period.title, results: [] });
+        }
+        periods.get(result.period_id).results.push(toMarkRow(result));
+    }
+    return Array.from(periods.values());
+}
+
+// Course keys extractMarksData maps explicitly, and the academic period the scraper
+// tags courses with; any other key is a catch-all column kept in Result.extra
+const KNOWN_COURSE_KEYS = ['code', 'name', 'credits', 'cat1', 'cat2', 'exam', 'totalMark', 'grade', 'gradePoint', 'period'];
+
+/**
+ * Derives the academic period key from an extracted semester.
+ * @param {object} semesterData - A semester from the extracted payload.
+ * @returns {string} The trimmed semester title, or a default when it is blank.
+ */
+function academicPeriodOf(semesterData) {
+    const title = typeof semesterData.title === 'string' ? semesterData.title.trim() : '';
+    return title || DEFAULT_ACADEMIC_PERIOD;
+}
+
+/**
+ * Collects the catch-all columns of an extracted course.
+ * @param {object} courseData - A course from the extracted payload.
+ * @returns {object|null} The unmapped columns, or null when there are none.
+ */
+function extraColumnsOf(courseData) {
+    const extra = {};
+    for (const [key, value] of Object.entries(courseData)) {
+        if (!KNOWN_COURSE_KEYS.includes(key)) extra[key] = value;
+    }
+    return Object.keys(extra).length > 0 ? extra : null;
+}
+
+/**
+ * Validates a marksheet request body.
+ * With `partial` set (PATCH) only the provided fields are checked; otherwise
+ * every writable field except those in OPTIONAL_FIELDS is required (POST / PUT).
+ *
+ * @param {object} body - The request body.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Whether missing fields are allowed.
+ * @returns {{ data: object, errors: string[] }} Sanitized data and validation errors.
+ */
+function validateMarksheet(body, { partial = false } = {}) {
+    const errors = [];
+    const data = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { data, errors: ['Request body must be a JSON object'] };
+    }
+
+    for (const field of STRING_FIELDS) {
+        const value = body[field];
+        if (value === undefined) {
+            if (!partial && !OPTIONAL_FIELDS.includes(field)) errors.push(`${field} is required`);
+            continue;
+        }
+        if (typeof value !== 'string' || value.trim() === '') {
+            errors.push(`${field} must be a non-empty string`);
+            continue;
+        }
+        data[field] = value.trim();
+    }
+
+    for (const field of NUMERIC_FIELDS) {
+        const value = body[field];
+        if (value === undefined) {
+            if (!partial) errors.push(`${field} is required`);
+            continue;
+        }
+        if (!Number.isInteger(value) || value < 0) {
+            errors.push(`${field} must be a non-negative integer`);
+            continue;
+        }
+        data[field] = value;
+    }
+
+    for (const field of MARK_COMPONENTS) {
+        const statusField = `${field}_status`;
+        const value = body[field];
+        const status = body[statusField];
+
+        if (value !== undefined) {
+            if (value !== null && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+                errors.push(`${field} must be a non-negative number or null`);
+            } else {
+                data[field] = value;
+            }
+        }
+        if (status !== undefined) {
+            if (!MARK_STATUSES.includes(status)) {
+                errors.push(`${statusField} must be one of: ${MARK_STATUSES.join(', ')}`);
+            } else {
+                data[statusField] = status;
+            }
+        }
+
+        // Without an explicit status, a number is published and null is pending
+        if (data[field] !== undefined && data[statusField] === undefined) {
+            data[statusField] = data[field] === null ? 'pending' : 'published';
+        }
+        if (data[statusField] === 'published' && data[field] === null) {
+            errors.push(`${field} cannot be null when ${statusField} is published`);
+        }
+        if (data[statusField] && data[statusField] !== 'published' && typeof data[field] === 'number') {
+            errors.push(`${field} must be null when ${statusField} is ${data[statusField]}`);
+        }
+    }
+
+    if (body.grade_point !== undefined) {
+        if (body.grade_point !== null && (typeof body.grade_point !== 'number' || !isFinite(body.grade_point) || body.grade_point < 0)) {
+            errors.push('grade_point must be a non-negative number or null');
+        } else {
+            data.grade_point = body.grade_point;
+        }
+    }
+
+    const unknown = Object.keys(body).filter(key => !WRITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) errors.push(`Unknown fields: ${unknown.join(', ')}`);
+
+    if (partial && Object.keys(data).length === 0 && errors.length === 0) {
+        errors.push('At least one field must be provided');
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Parses a string to an integer, returning a default if parsing fails.
+ * This helper is for use outside page.evaluate; it is used for credits, marks go through parseMarkForDB.
+ * @param {string|number|null} value - The value to parse.
+ * @param {number} defaultValue - The value to return if parsing fails.
+ * @returns {number} The parsed integer or the default value.
+ */
+function parseNumberForDB(value, defaultValue = 0) {
+    if (typeof value === 'number') return Math.round(value); // If already a number, round it
+    if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) return defaultValue;
+    const num = parseFloat(value);
+    return isNaN(num) ? defaultValue : Math.round(num); // Round to integer as per Course.credits
+}
+
+/**
+ * Parses a mark cell into a value and a status, keeping decimals.
+ * Numbers are published; blank cells and the texts of MARK_STATUS_TOKENS
+ * ("-", "ABS", "N/A", ...) give a null value with the matching status.
+ *
+ * @param {string|number|null} value - The extracted cell value.
+ * @returns {{ value: number|null, status: string }|null} The parsed mark, or null when the text is not recognized.
+ */
+function parseMarkForDB(value) {
+    if (typeof value === 'number') {
+        return isNaN(value) ? { value: null, status: 'pending' } : { value, status: 'published' };
+    }
+    if (value === null || value === undefined) return { value: null, status: 'pending' };
+    if (typeof value !== 'string') return null;
+
+    const token = value.trim().toUpperCase().replace(/\s+/g, ' ');
+    if (token in MARK_STATUS_TOKENS) return { value: null, status: MARK_STATUS_TOKENS[token] };
+
+    const num = parseFloat(token);
+    return isNaN(num) ? null : { value: num, status: 'published' };
+}
+
+export {
+    DEFAULT_ACADEMIC_PERIOD,
+    MARK_COMPONENTS,
+    MARK_STATUS_FIELDS,
+    MARK_STATUSES,
+    MARK_STATUS_TOKENS,
+    markNumber,
+    toMarkRow,
+    toHistoryRow,
+    groupByPeriod,
+    markChanges,
+    academicPeriodOf,
+    extraColumnsOf,
+    validateMarksheet,
+    parseNumberForDB,
+    parseMarkForDB,
+};
@@ -0,0 +1,171 @@
+/**
+ * Plausibility checks on extracted marks, run by saveMarksDataToPrisma before
+ * anything is stored. A mis-mapped column (a credit read as the total, say)
+ * still parses as numbers; these checks are what notice it.
+ *
+ * Each finding is an issue `{ semester_index, index, semester, code, field, rule, severity, message }`:
+ * - error: the row is wrong as extracted, it is quarantined (or the whole save blocked, see MARK_VALIDATION_MODE),
+ * - warning: the row is saved, the issue is kept for review.
+ *
+ * Limits come from the site profile's `validation` section, falling back to DEFAULT_VALIDATION_RULES.
+ */
+
+import { gradeFor, getScale } from './grading.js';
+
+const SEVERITIES = ['error', 'warning'];
+
+// quarantine: rows with errors are left out, the others saved; block: nothing is saved when any row has an error
+const VALIDATION_MODES = ['quarantine', 'block'];
+
+const DEFAULT_VALIDATION_RULES = {
+    // Highest value of each mark component
+    maxima: { cat1: 100, cat2: 100, exam: 100, totalMark: 100 },
+    // Allowed gap between cat1 + cat2 + exam and totalMark
+    totalTolerance: 1,
+    credits: { min: 1, max: 30 },
+};
+
+// Extracted course key -> flat field name used in issues
+const FIELD_NAMES = { cat1: 'cat1', cat2: 'cat2', exam: 'exam_mark', totalMark: 'total_mark', credits: 'credit', code: 'code', grade: 'grade', gradePoint: 'grade_point' };
+const COMPONENTS = ['cat1', 'cat2', 'exam'];
+
+/**
+ * The validation mode from MARK_VALIDATION_MODE, quarantine by default.
+ * @returns {string}
+ */
+function validationMode() {
+    const mode = process.env.MARK_VALIDATION_MODE;
+    return VALIDATION_MODES.includes(mode) ? mode : 'quarantine';
+}
+
+/**
+ * Merges a site profile's validation section over the defaults.
+ * @param {object} [overrides] - `{ maxima?, totalTolerance?, credits? }`.
+ * @returns {object}
+ */
+function validationRules(overrides = {}) {
+    return {
+        maxima: { ...DEFAULT_VALIDATION_RULES.maxima, ...(overrides.maxima || {}) },
+        totalTolerance: typeof overrides.totalTolerance === 'number' ? overrides.totalTolerance : DEFAULT_VALIDATION_RULES.totalTolerance,
+        credits: { ...DEFAULT_VALIDATION_RULES.credits, ...(overrides.credits || {}) },
+    };
+}
+
+/**
+ * The number a cell stands for in a sum: its value, 0 for absent or exempt
+ * components, null when nothing is published yet.
+ * @param {object} mark - `{ value, status }` from parseMarkForDB.
+ */
+function summableValue(mark) {
+    if (mark.status === 'published') return mark.value;
+    if (mark.status === 'absent' || mark.status === 'exempt') return 0;
+    return null;
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Checks one course.
+ * @param {object} course - A course from the extracted payload.
+ * @param {object} marks - Course key -> `{ value, status }` for cat1, cat2, exam and totalMark.
+ * @param {object} rules - From validationRules.
+ * @param {object[]} bands - The grading scale the grade is checked against.
+ * @returns {object[]} `{ field, rule, severity, message }` findings.
+ */
+function checkCourse(course, marks, rules, bands) {
+    const findings = [];
+    const add = (key, rule, severity, message) => findings.push({ field: FIELD_NAMES[key], rule, severity, message });
+
+    for (const [key, mark] of Object.entries(marks)) {
+        const max = rules.maxima[key];
+        if (mark.status === 'published' && (mark.value < 0 || mark.value > max)) {
+            add(key, 'out_of_range', 'error', `${FIELD_NAMES[key]} ${mark.value} is outside 0-${max}`);
+        }
+    }
+
+    const total = marks.totalMark;
+    const parts = COMPONENTS.map(key => summableValue(marks[key]));
+    if (total.status === 'published' && parts.every(part => part !== null)) {
+        const sum = round2(parts.reduce((a, b) => a + b, 0));
+        if (Math.abs(sum - total.value) > rules.totalTolerance) {
+            add('totalMark', 'total_mismatch', 'error', `cat1 + cat2 + exam = ${sum} but total_mark is ${total.value}`);
+        }
+    }
+
+    const credits = typeof course.credits === 'string' ? parseFloat(course.credits) : course.credits;
+    if (typeof credits === 'number' && !isNaN(credits)) {
+        if (credits < 0 || credits > rules.credits.max) {
+            add('credits', 'implausible_credits', 'error', `credit ${credits} is outside 0-${rules.credits.max}`);
+        } else if (!Number.isInteger(credits)) {
+            add('credits', 'implausible_credits', 'warning', `credit ${credits} is not a whole number`);
+        } else if (credits < rules.credits.min) {
+            add('credits', 'implausible_credits', 'warning', `credit ${credits} is below ${rules.credits.min}; the course does not count towards the GPA`);
+        }
+    }
+
+    const computed = total.status === 'published' ? gradeFor(total.value, bands) : null;
+    const grade = typeof course.grade === 'string' ? course.grade.trim() : '';
+    if (computed && grade && grade.toUpperCase() !== computed.grade.toUpperCase()) {
+        add('grade', 'grade_mismatch', 'warning', `grade ${grade} does not match total_mark ${total.value} (${computed.grade} on the grading scale)`);
+    }
+    if (computed && typeof course.gradePoint === 'number' && Math.abs(course.gradePoint - computed.grade_point) > 0.01) {
+        add('gradePoint', 'grade_mismatch', 'warning', `grade_point ${course.gradePoint} does not match total_mark ${total.value} (${computed.grade_point} on the grading scale)`);
+    }
+
+    return findings;
+}
+
+/**
+ * Validates every course of an extracted payload.
+ * Courses that are not objects, or have no code and no name, are left to the save itself.
+ *
+ * @param {object} marksData - `{ studentInfo, semesters[].courses[] }`.
+ * @param {object} options
+ * @param {function} options.parseMark - parseMarkForDB, turning a cell into `{ value, status }` (null when unparseable).
+ * @param {object} [options.rules] - From validationRules.
+ * @param {object[]} [options.bands] - The grading scale, the default scale when omitted.
+ * @returns {object[]} The issues, in payload order.
+ */
+function validateMarksData(marksData, { parseMark, rules = validationRules(), bands = getScale() }) {
+    const issues = [];
+    // Period title -> code -> first occurrence, semesters with the same title being one period
+    const seen = new Map();
+
+    marksData.semesters.forEach((semester, semesterIndex) => {
+        if (!semester || !Array.isArray(semester.courses)) return;
+        const periodKey = typeof semester.title === 'string' ? semester.title.trim() : '';
+        if (!seen.has(periodKey)) seen.set(periodKey, new Map());
+        const codes = seen.get(periodKey);
+
+        semester.courses.forEach((course, index) => {
+            if (!course || typeof course !== 'object' || (!course.code && !course.name)) return;
+            const where = { semester_index: semesterIndex, index, semester: semester.title, code: course.code || course.name };
+
+            const code = course.code || course.name;
+            if (codes.has(code)) {
+                const first = codes.get(code);
+                issues.push({ ...where, field: 'code', rule: 'duplicate_code', severity: 'error', message: `${code} already appears in this period (semester ${first.semester_index}, row ${first.index})` });
+            } else {
+                codes.set(code, where);
+            }
+
+            const marks = {};
+            for (const key of [...COMPONENTS, 'totalMark']) marks[key] = parseMark(course[key]);
+            // Unparseable cells are rejected by the save, nothing more to check
+            if (Object.values(marks).some(mark => mark === null)) return;
+
+            for (const finding of checkCourse(course, marks, rules, bands)) issues.push({ ...where, ...finding });
+        });
+    });
+
+    return issues;
+}
+
+export {
+    SEVERITIES,
+    VALIDATION_MODES,
+    DEFAULT_VALIDATION_RULES,
+    validationMode,
+    validationRules,
+    validateMarksData,
+};
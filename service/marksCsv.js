@@ -0,0 +1,194 @@
+/**
+ * CSV marks files: column mapping, conversion to the scraper's
+ * `{ studentInfo, semesters[].courses[] }` payloads, and the per-line import
+ * report. importService.js saves the payloads.
+ */
+
+import { parse } from 'csv-parse/sync';
+
+// Payload field -> CSV header. Headers are matched case-insensitively.
+const DEFAULT_CSV_MAPPING = {
+    student_uuid: 'student_uuid',
+    semester: 'semester',
+    code: 'code',
+    name: 'name',
+    credits: 'credits',
+    cat1: 'cat1',
+    cat2: 'cat2',
+    exam: 'exam',
+    totalMark: 'total_mark',
+};
+
+const DEFAULT_SEMESTER_TITLE = 'Imported';
+
+/**
+ * Merges a caller supplied column mapping over the defaults.
+ * @param {string|object|undefined} rawMapping - JSON string or object of field -> header.
+ * @returns {{ mapping: object, errors: string[] }}
+ */
+function parseCsvMapping(rawMapping) {
+    if (rawMapping === undefined || rawMapping === '') {
+        return { mapping: { ...DEFAULT_CSV_MAPPING }, errors: [] };
+    }
+
+    let overrides = rawMapping;
+    if (typeof rawMapping === 'string') {
+        try {
+            overrides = JSON.parse(rawMapping);
+        } catch (error) {
+            return { mapping: null, errors: [`mapping is not valid JSON: ${error.message}`] };
+        }
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { mapping: null, errors: ['mapping must be an object of field -> column header'] };
+    }
+
+    const errors = [];
+    for (const [field, header] of Object.entries(overrides)) {
+        if (!(field in DEFAULT_CSV_MAPPING)) {
+            errors.push(`Unknown mapping field "${field}". Expected one of: ${Object.keys(DEFAULT_CSV_MAPPING).join(', ')}`);
+        } else if (typeof header !== 'string' || header.trim() === '') {
+            errors.push(`Column header for "${field}" must be a non-empty string`);
+        }
+    }
+
+    return { mapping: { ...DEFAULT_CSV_MAPPING, ...overrides }, errors };
+}
+
+/**
+ * Summarises the row statuses of an import report.
+ * @param {object[]} rows - Report rows with a `status` field.
+ * @returns {{ saved: number, skipped: number, rejected: number, quarantined: number }}
+ */
+function summarise(rows) {
+    const summary = { saved: 0, skipped: 0, rejected: 0, quarantined: 0 };
+    for (const row of rows) summary[row.status]++;
+    return summary;
+}
+
+/**
+ * Converts CSV text into one scraper-shaped payload per student, remembering
+ * which CSV line each course came from so the save report can point back to it.
+ *
+ * @param {string} csv - The CSV text, first line being the headers.
+ * @param {object} options
+ * @param {object} options.mapping - Field -> header mapping from parseCsvMapping.
+ * @param {string} [options.studentUuid] - Student for rows without a student column.
+ * @returns {{ groups: object[], rejected: object[], errors: string[] }}
+ */
+function csvToMarksData(csv, { mapping, studentUuid }) {
+    let records;
+    try {
+        // info gives each record the file line it ends on, so blank lines do not shift the report
+        records = parse(csv, { bom: true, skip_empty_lines: true, relax_column_count: true, info: true });
+    } catch (error) {
+        return { groups: [], rejected: [], errors: [`Could not parse CSV: ${error.message}`] };
+    }
+    if (records.length === 0) {
+        return { groups: [], rejected: [], errors: ['CSV is empty'] };
+    }
+
+    const headers = records[0].record.map(header => header.trim().toLowerCase());
+    const columns = {};
+    for (const [field, header] of Object.entries(mapping)) {
+        const index = headers.indexOf(header.trim().toLowerCase());
+        if (index !== -1) columns[field] = index;
+    }
+
+    const errors = [];
+    if (columns.code === undefined && columns.name === undefined) {
+        errors.push(`CSV needs a "${mapping.code}" or "${mapping.name}" column`);
+    }
+    if (columns.student_uuid === undefined && !studentUuid) {
+        errors.push(`CSV needs a "${mapping.student_uuid}" column or a student_uuid parameter`);
+    }
+    if (errors.length > 0) return { groups: [], rejected: [], errors };
+
+    const groupsByStudent = new Map();
+    const rejected = [];
+
+    records.slice(1).forEach(({ record, info }) => {
+        const line = info.lines;
+        const value = field => (columns[field] === undefined ? undefined : (record[columns[field]] || '').trim());
+
+        const student = value('student_uuid') || studentUuid;
+        if (!student) {
+            rejected.push({ line, status: 'rejected', reason: 'Row has no student_uuid' });
+            return;
+        }
+
+        const course = {};
+        for (const field of ['code', 'name', 'credits', 'cat1', 'cat2', 'exam', 'totalMark']) {
+            const cell = value(field);
+            if (cell !== undefined && cell !== '') course[field] = cell;
+        }
+        const semesterTitle = value('semester') || DEFAULT_SEMESTER_TITLE;
+
+        if (!groupsByStudent.has(student)) {
+            groupsByStudent.set(student, { studentUuid: student, semesters: new Map() });
+        }
+        const semesters = groupsByStudent.get(student).semesters;
+        if (!semesters.has(semesterTitle)) semesters.set(semesterTitle, { courses: [], lines: [] });
+        semesters.get(semesterTitle).courses.push(course);
+        semesters.get(semesterTitle).lines.push(line);
+    });
+
+    const groups = Array.from(groupsByStudent.values()).map(group => ({
+        marksData: {
+            studentInfo: { regNo: group.studentUuid },
+            semesters: Array.from(group.semesters, ([title, semester]) => ({ title, courses: semester.courses })),
+        },
+        lines: new Map(Array.from(group.semesters, ([title, semester]) => [title, semester.lines])),
+    }));
+
+    return { groups, rejected, errors: [] };
+}
+
+/**
+ * Imports a CSV file and reports the outcome of each data line.
+ *
+ * @param {string} csv - The CSV text.
+ * @param {object} options
+ * @param {object} options.mapping - Field -> header mapping from parseCsvMapping.
+ * @param {string} [options.studentUuid] - Student for rows without a student column.
+ * @param {function(object): Promise<object>} save - Saves one student's payload, as saveMarksDataToPrisma.
+ * @returns {Promise<{ summary: object, rows: object[], errors: string[] }>}
+ */
+async function importCsvRows(csv, options, save) {
+    const { groups, rejected, errors } = csvToMarksData(csv, options);
+    if (errors.length > 0) return { summary: summarise([]), rows: [], errors };
+
+    const rows = [...rejected];
+    for (const group of groups) {
+        const result = await save(group.marksData);
+        const studentUuid = group.marksData.studentInfo.regNo;
+        const reported = new Set();
+        for (const row of result.rows) {
+            const { semester, index, ...rest } = row;
+            const line = group.lines.get(semester)[index];
+            reported.add(line);
+            rows.push({ line, student_uuid: studentUuid, semester, ...rest });
+        }
+        // A refused or failed save leaves out some or all of its lines: they were not imported
+        if (!result.success) {
+            for (const [semester, lines] of group.lines) {
+                lines.forEach((line, index) => {
+                    if (reported.has(line)) return;
+                    const course = group.marksData.semesters.find(entry => entry.title === semester).courses[index];
+                    rows.push({ line, student_uuid: studentUuid, semester, code: course.code, name: course.name, status: 'rejected', reason: result.message });
+                });
+            }
+        }
+    }
+    rows.sort((a, b) => a.line - b.line);
+
+    return { summary: summarise(rows), rows, errors: [] };
+}
+
+export {
+    DEFAULT_CSV_MAPPING,
+    parseCsvMapping,
+    summarise,
+    csvToMarksData,
+    importCsvRows,
+};
@@ -0,0 +1,541 @@
+/**
+ * Marksheet page parsing, independent of the browser.
+ *
+ * The page functions take a DOM `document`: the live page when the scraper runs
+ * them through `page.evaluate`, or a jsdom document built from a saved
+ * Marksheet.aspx snapshot (see scripts/parseMarksheet.js and the fixtures in
+ * test/fixtures/marksheets).
+ *
+ * What to look for (selectors, keywords, column mappings) comes from the site
+ * profile (see service/siteProfile.js), passed as `options.profile`; the
+ * functions hold no knowledge of a particular portal.
+ *
+ * `page.evaluate` serializes a function's source, so each function must be
+ * self-contained: no imports, no module-level helpers or constants. Called
+ * with a null document they use the page's own `document`, and they log with
+ * a PAGE_EVAL prefix, which the scraper forwards from the page console.
+ *
+ * mergeMarksData, summarizeLayout and compareLayouts run in Node, on what they returned.
+ */
+
+import crypto from 'crypto';
+import { loadSiteProfile } from './siteProfile.js';
+
+/**
+ * @typedef {object} ColumnMapping
+ * How extractMarksFromDocument read one marks table.
+ * @property {number} table - Position of the table among the page's tables.
+ * @property {string} semester - The semester title found for it.
+ * @property {{ index: number, header: string, field: string|null, source: 'override'|'rule'|null, candidates: string[], ambiguous: boolean }[]} columns
+ *   - Every header cell (lower-cased) and the course field it was mapped to; candidates are all the fields whose rules match it.
+ * @property {string[]} unmapped - Headers mapped to no field, kept as catch-all keys when the profile says so.
+ * @property {string[]} ambiguous - Headers several fields fit, or whose field another column also fills.
+ * @property {string[]} missing - Core fields (code, name, credits, totalMark) no column was mapped to.
+ * @property {number} confidence - 0 to 1: half the share of clearly mapped headers, half the share of core fields found.
+ */
+
+/**
+ * Checks that a page looks like the marksheet: a marks grid, a results
+ * heading, a table with marks headers, or marks keywords in the text.
+ *
+ * @param {Document|null} doc - The document; null for the page's own.
+ * @param {object} options
+ * @param {object} options.profile - The site profile.
+ * @param {boolean} [options.verbose=true] - Log what was found.
+ * @returns {boolean}
+ */
+function hasMarksheetContent(doc, { profile, verbose = true } = {}) {
+    doc = doc || document;
+    const log = verbose ? console.log : () => {};
+    const textOf = el => (typeof el.innerText === 'string' ? el.innerText : el.textContent) || '';
+    const marksheet = profile.marksheet || {};
+
+    // Check for the grid view tables used for marks
+    const gridSelectors = marksheet.gridSelectors || [];
+    if (gridSelectors.length > 0 && doc.querySelector(gridSelectors.join(','))) {
+        log('PAGE_EVAL: Found marksheet grid view table.');
+        return true;
+    }
+
+    // Check for headings that indicate academic results
+    const headingSelectors = marksheet.headingSelectors || [];
+    const headingKeywords = marksheet.headingKeywords || [];
+    const marksPageHeadings = headingSelectors.length > 0 ? doc.querySelectorAll(headingSelectors.join(',')) : [];
+    for (const heading of Array.from(marksPageHeadings)) {
+        const text = heading.textContent.trim();
+        if (headingKeywords.some(keyword => text.includes(keyword))) {
+            log('PAGE_EVAL: Found marksheet heading:', text);
+            return true;
+        }
+    }
+
+    // Generic check for tables containing marks-related keywords
+    const marksKeywords = marksheet.headerKeywords || [];
+    for (const table of Array.from(doc.querySelectorAll('table'))) {
+        const headerRow = table.querySelector('thead tr, tbody tr:first-child');
+        if (!headerRow) continue;
+        const headerText = headerRow.textContent.toLowerCase();
+        // At least one header row and one data row
+        if (marksKeywords.some(keyword => headerText.includes(keyword)) && table.querySelectorAll('tr').length >= 2) {
+            log('PAGE_EVAL: Found table with marks-related keywords in headers and data rows.');
+            return true;
+        }
+    }
+
+    // Fallback: Check for key phrases in the body text
+    const { all = [], any = [] } = marksheet.bodyKeywords || {};
+    const bodyText = doc.body ? textOf(doc.body).toLowerCase() : '';
+    if ((all.length > 0 || any.length > 0) &&
+        all.every(keyword => bodyText.includes(keyword)) &&
+        (any.length === 0 || any.some(keyword => bodyText.includes(keyword)))) {
+        log('PAGE_EVAL: Found marks-related keywords in body text.');
+        return true;
+    }
+
+    log('PAGE_EVAL: No marksheet content indicators found.');
+    return false;
+}
+
+/**
+ * Snapshot of how far the marksheet has loaded: loading indicators, tables
+ * that look like marks tables and the amount of text. The scraper polls it
+ * until the content is stable.
+ *
+ * @param {Document|null} doc - The document; null for the page's own.
+ * @param {object} options
+ * @param {object} options.profile - The site profile.
+ * @returns {object} `{ hasLoadingText, visibleLoadingElementsCount, totalTables, marksTables, totalMarksRows, contentLength, hasContent, sampleText }`.
+ */
+function inspectMarksLoading(doc, { profile } = {}) {
+    doc = doc || document;
+    const textOf = el => (typeof el.innerText === 'string' ? el.innerText : el.textContent) || '';
+    const view = doc.defaultView;
+    const loading = profile.loading || {};
+
+    const loadingIndicators = loading.textIndicators || [];
+    const bodyText = doc.body ? textOf(doc.body).toLowerCase() : '';
+    const hasLoadingText = loadingIndicators.some(indicator => bodyText.includes(indicator));
+
+    const elementSelectors = loading.elementSelectors || [];
+    const loadingElements = elementSelectors.length > 0 ? doc.querySelectorAll(elementSelectors.join(',')) : [];
+    const visibleLoadingElements = Array.from(loadingElements).filter(el => {
+        if (!view) return true;
+        const style = view.getComputedStyle(el);
+        return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+    });
+
+    const marksKeywords = loading.tableKeywords || [];
+    const tables = doc.querySelectorAll('table');
+    let marksTables = 0;
+    let totalMarksRows = 0;
+    tables.forEach(table => {
+        const tableText = textOf(table).toLowerCase();
+        if (marksKeywords.some(keyword => tableText.includes(keyword))) {
+            marksTables++;
+            totalMarksRows += table.querySelectorAll('tr').length;
+        }
+    });
+
+    return {
+        hasLoadingText,
+        visibleLoadingElementsCount: visibleLoadingElements.length,
+        totalTables: tables.length,
+        marksTables,
+        totalMarksRows,
+        contentLength: bodyText.length,
+        hasContent: bodyText.length > 1000,
+        sampleText: bodyText.substring(0, 300),
+    };
+}
+
+/**
+ * Extracts the student profile and one semester per marks table.
+ *
+ * Header cells are mapped to course fields by the profile's columnOverrides
+ * (exact header text) first, then its column rules, tried in order; other
+ * columns are kept under their cleaned header name when the profile says so.
+ * Mark cells that are not numbers ("-", "ABS", "N/A", blank) keep their text
+ * so the save step can tell pending, absent and exempt marks from a real zero.
+ *
+ * debug.mappings reports how each marks table was read, see ColumnMapping.
+ *
+ * @param {Document|null} doc - The document; null for the page's own.
+ * @param {object} options
+ * @param {object} options.profile - The site profile.
+ * @param {boolean} [options.verbose=true] - Log what was found.
+ * @returns {object} `{ studentInfo, semesters: [{ title, courses }], debug }`.
+ */
+function extractMarksFromDocument(doc, { profile, verbose = true } = {}) {
+    doc = doc || document;
+    const log = verbose ? console.log : () => {};
+    const textOf = el => (typeof el.innerText === 'string' ? el.innerText : el.textContent) || '';
+    const bodyText = doc.body ? textOf(doc.body) : '';
+
+    const results = {
+        studentInfo: {},
+        semesters: [],
+        debug: {
+            url: doc.location ? doc.location.href : null,
+            title: doc.title,
+            totalTables: doc.querySelectorAll('table').length,
+            pageText: bodyText.substring(0, 1000),
+            mappings: [],
+        },
+    };
+
+    log('PAGE_EVAL: Page URL:', results.debug.url);
+    log('PAGE_EVAL: Page HTML body text (first 500 chars):', bodyText.substring(0, 500));
+
+    // --- Student Information Extraction ---
+    for (const [key, locators] of Object.entries(profile.studentInfo || {})) {
+        for (const locator of locators) {
+            let element = null;
+            if (typeof locator === 'object') {
+                // Find the labelled cell by text and take the one next to it
+                for (const parent of Array.from(doc.querySelectorAll(locator.labelSelector))) {
+                    if (parent.textContent.includes(locator.label)) {
+                        element = parent.nextElementSibling || parent.querySelector('span') || parent.querySelector('div');
+                        if (element) break;
+                    }
+                }
+            } else {
+                try {
+                    element = doc.querySelector(locator);
+                } catch (e) {
+                    // Ignore selector errors
+                }
+            }
+            if (element && element.textContent.trim()) {
+                results.studentInfo[key] = element.textContent.trim();
+                log(`PAGE_EVAL: Student Info - ${key}: ${results.studentInfo[key]}`);
+                break;
+            }
+        }
+    }
+
+    // --- Marks Tables Extraction ---
+    const tableRules = profile.tables;
+    const marksKeywords = tableRules.detectionKeywords;
+    const minRows = tableRules.minRows || 2;
+    // A row whose leading cell starts with one of these is a footer, not a course
+    const summaryKeywords = tableRules.summaryRowKeywords || [];
+    const titleRules = tableRules.semesterTitle || {};
+    const titleTags = (titleRules.tags || []).map(tag => tag.toUpperCase());
+    const titleKeywords = titleRules.keywords || [];
+    const titlePatterns = (titleRules.patterns || []).map(pattern => new RegExp(pattern, 'i'));
+    const titleMaxLength = titleRules.maxLength || 150;
+    const titleFallback = titleRules.fallback || 'Academic Period {n}';
+
+    // Helper to safely parse numeric values, or return null for invalid numbers
+    const parseNumberInPage = value => {
+        if (typeof value === 'number') return value;
+        if (value === null || value === undefined || value.trim() === '') return null;
+        const num = parseFloat(value.replace(/[^0-9.-]/g, '')); // Remove non-numeric chars except . and -
+        return isNaN(num) ? null : num;
+    };
+    const parseMarkInPage = value => {
+        const num = parseNumberInPage(value);
+        return num === null ? value : num;
+    };
+    const parseCell = (type, cell) => {
+        if (type === 'number') return parseNumberInPage(cell);
+        if (type === 'mark') return parseMarkInPage(cell);
+        return cell;
+    };
+
+    const columnRules = profile.columns.map(rule => ({
+        ...rule,
+        regex: rule.pattern ? new RegExp(rule.pattern, 'i') : null,
+    }));
+    const rulesMatching = header => columnRules.filter(rule => (
+        (rule.includes || []).some(keyword => header.includes(keyword)) ||
+        (rule.equals || []).includes(header) ||
+        (rule.regex !== null && rule.regex.test(header))
+    ) && !(rule.excludes || []).some(keyword => header.includes(keyword)));
+    // Header text -> field, or null to leave the column unmapped
+    const overrides = profile.columnOverrides || {};
+    // Fields a marks table is expected to have; the confidence drops for each one missing
+    const coreFields = ['code', 'name', 'credits', 'totalMark'];
+
+    // Maps a table's headers and reports how: see ColumnMapping in the module docs
+    const mapColumns = headers => {
+        const columns = headers.map((header, i) => {
+            const candidates = Array.from(new Set(rulesMatching(header).map(rule => rule.field)));
+            if (Object.prototype.hasOwnProperty.call(overrides, header)) {
+                const field = overrides[header];
+                const typed = columnRules.find(rule => rule.field === field);
+                return { index: i, header, field, type: typed ? typed.type : undefined, source: 'override', candidates, ambiguous: false };
+            }
+            const rule = rulesMatching(header)[0];
+            return {
+                index: i,
+                header,
+                field: rule ? rule.field : null,
+                type: rule ? rule.type : undefined,
+                source: rule ? 'rule' : null,
+                candidates,
+                ambiguous: false,
+            };
+        });
+        const readElsewhere = (column, field) => columns.some(other => other !== column && other.field === field);
+        for (const column of columns) {
+            if (column.source === 'override') continue;
+            column.ambiguous =
+                // The first rule won, but the header also fits a field no other column gives ("course" for code and name)
+                column.candidates.some(field => field !== column.field && !readElsewhere(column, field)) ||
+                // A field read from several columns keeps the last one: all of them are suspect
+                (column.field !== null && readElsewhere(column, column.field));
+        }
+
+        const named = columns.filter(column => column.header !== '');
+        const clear = named.filter(column => column.field && !column.ambiguous).length;
+        const fields = columns.map(column => column.field).filter(Boolean);
+        const missing = coreFields.filter(field => !fields.includes(field));
+        const coverage = named.length > 0 ? clear / named.length : 0;
+        const confidence = Math.round((coverage + (coreFields.length - missing.length) / coreFields.length) / 2 * 100) / 100;
+
+        return {
+            columns: columns.map(({ type: _type, ...column }) => column),
+            rules: columns.map(column => (column.field ? { field: column.field, type: column.type } : null)),
+            unmapped: named.filter(column => !column.field).map(column => column.header),
+            ambiguous: columns.filter(column => column.ambiguous).map(column => column.header),
+            missing,
+            confidence,
+        };
+    };
+
+    const tables = doc.querySelectorAll('table');
+    log(`PAGE_EVAL: Found ${tables.length} potential marks tables`);
+
+    tables.forEach((table, index) => {
+        const rows = table.querySelectorAll('tr');
+        if (rows.length < 2) {
+            log(`PAGE_EVAL: Table ${index} skipped - less than 2 rows.`);
+            return;
+        }
+
+        const headerRow = table.querySelector('thead tr') || rows[0];
+        const headers = Array.from(headerRow.querySelectorAll('th, td'))
+            .map(cell => cell.textContent.trim().toLowerCase());
+
+        const isMarksTable = headers.some(header => marksKeywords.some(keyword => header.includes(keyword))) &&
+            rows.length >= minRows;
+        if (!isMarksTable) {
+            log(`PAGE_EVAL: Table ${index} skipped - does not appear to be a marks table. Headers: [${headers.join(', ')}]`);
+            return;
+        }
+
+        log(`PAGE_EVAL: Processing marks table ${index} - Headers: [${headers.join(', ')}]`);
+
+        let semesterTitle = titleFallback.replace('{n}', String(index + 1));
+        let element = table.previousElementSibling;
+        while (element) {
+            if (element.tagName && titleTags.includes(element.tagName.toUpperCase())) {
+                const text = element.textContent.trim();
+                if (text && text.length < titleMaxLength && (
+                    titleKeywords.some(keyword => text.toLowerCase().includes(keyword)) ||
+                    titlePatterns.some(pattern => pattern.test(text))
+                )) {
+                    semesterTitle = text;
+                    log(`PAGE_EVAL: Found semester title for Table ${index}: "${semesterTitle}"`);
+                    break;
+                }
+            }
+            element = element.previousElementSibling;
+        }
+
+        const semester = { title: semesterTitle, courses: [] };
+        const { rules: headerRules, ...mapping } = mapColumns(headers);
+        results.debug.mappings.push({ table: index, semester: semesterTitle, ...mapping });
+        if (mapping.unmapped.length > 0 || mapping.ambiguous.length > 0) {
+            log(`PAGE_EVAL: Table ${index} column mapping - unmapped: [${mapping.unmapped.join(', ')}], ambiguous: [${mapping.ambiguous.join(', ')}], confidence ${mapping.confidence}`);
+        }
+
+        const dataRows = Array.from(rows).filter(row => row !== headerRow);
+        dataRows.forEach(row => {
+            const cells = Array.from(row.querySelectorAll('td, th')).map(cell => cell.textContent.trim());
+
+            if (cells.length < 2 || cells.every(c => !c)) {
+                log('PAGE_EVAL: Skipping empty or malformed row:', cells);
+                return;
+            }
+
+            // Only the leading cell is checked, so a course remark like "Passed" does not drop the course
+            const leadingCell = (cells.find(c => c) || '').toLowerCase();
+            if (summaryKeywords.some(keyword => leadingCell.startsWith(keyword))) {
+                log('PAGE_EVAL: Skipping summary/footer row:', cells);
+                return;
+            }
+
+            const course = {};
+            cells.forEach((cell, i) => {
+                if (i >= headers.length) return;
+                const rule = headerRules[i];
+
+                if (rule) {
+                    course[rule.field] = parseCell(rule.type, cell);
+                } else if (profile.keepUnmappedColumns) {
+                    const cleanHeader = headers[i].replace(/[^a-z0-9]/g, '');
+                    if (cleanHeader.length > 0 && !course[cleanHeader]) {
+                        course[cleanHeader] = cell; // Catch-all for other columns
+                    }
+                }
+            });
+
+            if (course.code || course.name) {
+                semester.courses.push(course);
+                log('PAGE_EVAL: Parsed course:', JSON.stringify(course));
+            } else {
+                log('PAGE_EVAL: Row did not yield a valid course (no code or name):', cells);
+            }
+        });
+
+        if (semester.courses.length > 0) {
+            results.semesters.push(semester);
+            log(`PAGE_EVAL: Added semester "${semester.title}" with ${semester.courses.length} courses.`);
+        } else {
+            log(`PAGE_EVAL: Semester "${semester.title}" had no valid courses.`);
+        }
+    });
+
+    return results;
+}
+
+/**
+ * Merges the extractions of several academic periods into one payload.
+ *
+ * Semesters are merged by title. A semester whose title is the profile's
+ * fallback ("Academic Period {n}") is named after its period instead, since
+ * the table number means nothing across pages. Courses are tagged with the
+ * period they were scraped under; one already seen in the semester (portals
+ * that show every table for any choice) is kept once.
+ *
+ * @param {{ period: string|null, data: object }[]} parts - Each period's label and extractMarksFromDocument result.
+ * @param {object} options
+ * @param {object} options.profile - The site profile.
+ * @returns {object} `{ studentInfo, semesters: [{ title, period?, courses }], debug: { periods } }`.
+ */
+function mergeMarksData(parts, { profile }) {
+    const fallback = (profile.tables.semesterTitle || {}).fallback || 'Academic Period {n}';
+    const fallbackTitle = new RegExp(`^${fallback.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace('\\{n\\}', '\\d+')}$`);
+    const courseKey = course => `${course.code || ''}|${course.name || ''}`;
+
+    const studentInfo = {};
+    const semesters = new Map();
+    for (const { period, data } of parts) {
+        for (const [key, value] of Object.entries(data.studentInfo || {})) {
+            if (value && !studentInfo[key]) studentInfo[key] = value;
+        }
+        for (const semester of data.semesters || []) {
+            const title = period && fallbackTitle.test(semester.title) ? period : semester.title;
+            if (!semesters.has(title)) semesters.set(title, { title, ...(period ? { period } : {}), courses: [], seen: new Set() });
+            const merged = semesters.get(title);
+            for (const course of semester.courses) {
+                if (merged.seen.has(courseKey(course))) continue;
+                merged.seen.add(courseKey(course));
+                merged.courses.push(period ? { ...course, period } : course);
+            }
+        }
+    }
+
+    return {
+        studentInfo,
+        semesters: Array.from(semesters.values(), ({ seen: _seen, ...semester }) => semester),
+        debug: {
+            periods: parts.map(({ period, data }) => ({
+                period,
+                url: data.debug ? data.debug.url : null,
+                totalTables: data.debug ? data.debug.totalTables : null,
+            })),
+            mappings: parts.flatMap(({ period, data }) => (data.debug && data.debug.mappings ? data.debug.mappings : [])
+                .map(mapping => ({ period, ...mapping }))),
+        },
+    };
+}
+
+/**
+ * Sums up the column mappings of a run as its layout: each distinct table
+ * layout once, and a signature that changes with any header or its field.
+ *
+ * @param {ColumnMapping[]} mappings - From debug.mappings of extractMarksFromDocument or mergeMarksData.
+ * @returns {object} `{ signature, confidence, tables: [{ columns: [{ header, field, source }], unmapped, ambiguous, missing, confidence, semesters }] }`;
+ *   confidence is the lowest of the tables, null when no marks table was found.
+ */
+function summarizeLayout(mappings) {
+    const tables = new Map();
+    for (const mapping of mappings) {
+        const columns = mapping.columns.map(({ header, field, source }) => ({ header, field, source }));
+        const key = columns.map(column => `${column.header}=${column.field || ''}`).join('|');
+        if (!tables.has(key)) {
+            const { unmapped, ambiguous, missing, confidence } = mapping;
+            tables.set(key, { columns, unmapped, ambiguous, missing, confidence, semesters: [] });
+        }
+        if (!tables.get(key).semesters.includes(mapping.semester)) tables.get(key).semesters.push(mapping.semester);
+    }
+
+    const keys = Array.from(tables.keys()).sort();
+    return {
+        signature: crypto.createHash('sha256').update(keys.join('\n')).digest('hex').slice(0, 16),
+        confidence: tables.size > 0 ? Math.min(...Array.from(tables.values(), table => table.confidence)) : null,
+        tables: keys.map(key => tables.get(key)),
+    };
+}
+
+/**
+ * Compares a run's layout with a known-good one, header by header.
+ * @param {object} layout - From summarizeLayout.
+ * @param {object} baseline - From summarizeLayout, for the known-good run.
+ * @returns {{ changed: boolean, added: string[], removed: string[], remapped: { header: string, from: string|null, to: string|null }[] }}
+ *   added and removed are headers; remapped are headers now read as another field.
+ */
+function compareLayouts(layout, baseline) {
+    const fieldsOf = summary => {
+        const fields = new Map();
+        for (const table of summary.tables) {
+            for (const { header, field } of table.columns) if (!fields.has(header)) fields.set(header, field);
+        }
+        return fields;
+    };
+    const now = fieldsOf(layout);
+    const before = fieldsOf(baseline);
+
+    const added = Array.from(now.keys()).filter(header => !before.has(header));
+    const removed = Array.from(before.keys()).filter(header => !now.has(header));
+    const remapped = Array.from(now.keys())
+        .filter(header => before.has(header) && before.get(header) !== now.get(header))
+        .map(header => ({ header, from: before.get(header), to: now.get(header) }));
+
+    return { changed: layout.signature !== baseline.signature, added, removed, remapped };
+}
+
+/**
+ * Parses a saved marksheet page with jsdom.
+ *
+ * @param {string} html - The page source.
+ * @param {object} [options]
+ * @param {object} [options.profile] - The site profile; the default profile when omitted.
+ * @param {string} [options.url] - The page URL, reported in debug.url.
+ * @param {boolean} [options.verbose=false] - Let the PAGE_EVAL logs through to the console.
+ * @returns {Promise<object>} `{ studentInfo, semesters, debug }`, as extractMarksFromDocument.
+ */
+async function parseMarksheetHtml(html, { profile, url, verbose = false } = {}) {
+    // jsdom is only needed offline; the scraper runs the parsers in the browser
+    const { JSDOM } = await import('jsdom');
+    const siteProfile = profile || await loadSiteProfile();
+    const dom = new JSDOM(html, url ? { url } : {});
+    try {
+        return extractMarksFromDocument(dom.window.document, { profile: siteProfile, verbose });
+    } finally {
+        dom.window.close();
+    }
+}
+
+export {
+    hasMarksheetContent,
+    inspectMarksLoading,
+    extractMarksFromDocument,
+    mergeMarksData,
+    summarizeLayout,
+    compareLayouts,
+    parseMarksheetHtml,
+};
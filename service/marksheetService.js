@@ -0,0 +1,701 @@
+/**
+ * Marks persistence, query and validation helpers shared by the marks
+ * routes, the import endpoint and the scraper.
+ *
+ * Marks are stored normalized (Student, AcademicPeriod, Course, Result) but
+ * the API reads and writes them as flat rows: see markRows.js.
+ *
+ * `markEvents` emits 'saved' with `{ student, saved: [{ result, action, changes }] }`
+ * after saveMarksDataToPrisma stored new or changed results.
+ *
+ * Saves log to the logger they are given, e.g. the scrape run's, so that the
+ * save step is in the run log; to the 'marks_save' component logger otherwise.
+ */
+
+import { EventEmitter } from 'events';
+import prisma from './prismaClient.js';
+import { countMarkRecords } from './metrics.js';
+import { validateMarksData, validationRules, validationMode } from './markValidation.js';
+import { resolveStudentIdentity, profileFromStudentInfo, profileChanges } from './studentIdentity.js';
+import { logger as rootLogger } from './logger.js';
+import {
+    MARK_COMPONENTS,
+    MARK_STATUS_FIELDS,
+    MARK_STATUSES,
+    DEFAULT_ACADEMIC_PERIOD,
+    markChanges,
+    academicPeriodOf,
+    extraColumnsOf,
+    toMarkRow,
+    toHistoryRow,
+    validateMarksheet,
+    parseNumberForDB,
+    parseMarkForDB,
+} from './markRows.js';
+import { Prisma } from '../src/generated/prisma/client.js';
+
+const saveLogger = rootLogger.child({ component: 'marks_save' });
+
+// Flat sort keys -> Prisma orderBy on Result
+const SORT_FIELDS = {
+    id: order => ({ id: order }),
+    created_at: order => ({ created_at: order }),
+    updated_at: order => ({ updated_at: order }),
+    cat1: order => ({ cat1: order }),
+    cat2: order => ({ cat2: order }),
+    exam_mark: order => ({ exam_mark: order }),
+    total_mark: order => ({ total_mark: order }),
+    grade_point: order => ({ grade_point: order }),
+    student_uuid: order => ({ student: { uuid: order } }),
+    code: order => ({ course: { code: order } }),
+    name: order => ({ course: { name: order } }),
+    credit: order => ({ course: { credits: order } }),
+    academic_period: order => ({ period: { title: order } }),
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Results read per query when iterating over a whole result set
+const ITERATE_BATCH_SIZE = 500;
+
+// Relations loaded with a Result to build its flat row
+const MARK_INCLUDE = { student: true, course: true, period: true };
+
+const markEvents = new EventEmitter();
+
+/**
+ * Parses a positive integer query value.
+ * @param {string|undefined} value - The raw query string value.
+ * @param {number} defaultValue - Returned when the value is absent.
+ * @returns {number|null} The parsed integer, or null when it is invalid.
+ */
+function parsePositiveInt(value, defaultValue) {
+    if (value === undefined || value === '') return defaultValue;
+    const num = Number(value);
+    return Number.isInteger(num) && num > 0 ? num : null;
+}
+
+/**
+ * Parses a date query value.
+ * @param {string|undefined} value - The raw query string value.
+ * @returns {Date|null|undefined} The date, null when invalid, undefined when absent.
+ */
+function parseDate(value) {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parses ?page and ?limit, falling back to the defaults when they are invalid.
+ * @param {object} query - The request query string.
+ * @returns {{ page: number, limit: number, errors: string[] }}
+ */
+function parsePagination(query) {
+    const errors = [];
+    const page = parsePositiveInt(query.page, 1);
+    const limit = parsePositiveInt(query.limit, DEFAULT_PAGE_SIZE);
+    if (page === null) errors.push('page must be a positive integer');
+    if (limit === null || limit > MAX_PAGE_SIZE) errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    return {
+        page: page || 1,
+        limit: limit && limit <= MAX_PAGE_SIZE ? limit : DEFAULT_PAGE_SIZE,
+        errors,
+    };
+}
+
+/**
+ * Builds the Prisma `where` clause on Result from list filters.
+ * Supported filters: student_uuid, code, academic_period, from and to
+ * (inclusive bounds on created_at).
+ *
+ * @param {object} query - The request query string.
+ * @returns {{ where: object, errors: string[] }}
+ */
+function buildMarksheetFilter(query) {
+    const errors = [];
+    const where = {};
+
+    if (query.student_uuid) where.student = { uuid: String(query.student_uuid) };
+    if (query.code) where.course = { code: String(query.code) };
+    if (query.academic_period) where.period = { title: String(query.academic_period) };
+
+    const from = parseDate(query.from);
+    const to = parseDate(query.to);
+    if (from === null) errors.push('from must be a valid date');
+    if (to === null) errors.push('to must be a valid date');
+    if (from || to) {
+        where.created_at = {};
+        if (from) where.created_at.gte = from;
+        if (to) where.created_at.lte = to;
+    }
+
+    return { where, errors };
+}
+
+/**
+ * Parses list query parameters into Prisma `result.findMany` arguments.
+ * Supports the filters of buildMarksheetFilter plus page, limit, sort and order.
+ *
+ * @param {object} query - The request query string.
+ * @returns {{ args: object, page: number, limit: number, errors: string[] }}
+ */
+function parseMarksheetListQuery(query) {
+    const { where, errors } = buildMarksheetFilter(query);
+
+    const { page, limit, errors: pageErrors } = parsePagination(query);
+    errors.push(...pageErrors);
+
+    const sort = query.sort || 'created_at';
+    const order = (query.order || 'desc').toLowerCase();
+    if (!SORT_FIELDS[sort]) errors.push(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    if (!['asc', 'desc'].includes(order)) errors.push('order must be asc or desc');
+
+    return {
+        args: {
+            where,
+            include: MARK_INCLUDE,
+            orderBy: SORT_FIELDS[sort] && ['asc', 'desc'].includes(order) ? SORT_FIELDS[sort](order) : { created_at: 'desc' },
+            skip: (page - 1) * limit,
+            take: limit,
+        },
+        page,
+        limit,
+        errors,
+    };
+}
+
+/**
+ * Iterates over every Result matching a filter, oldest id first, reading them
+ * in batches so that large result sets are never held in memory at once.
+ * @param {object} where - A Prisma `where` clause on Result, see buildMarksheetFilter.
+ * @param {object} [options]
+ * @param {number} [options.batchSize=ITERATE_BATCH_SIZE] - Results per query.
+ * @returns {AsyncGenerator<object>} Flat mark rows (see toMarkRow).
+ */
+async function* iterateMarks(where, { batchSize = ITERATE_BATCH_SIZE } = {}) {
+    let cursor = null;
+    for (;;) {
+        const results = await prisma.result.findMany({
+            where,
+            include: MARK_INCLUDE,
+            orderBy: { id: 'asc' },
+            take: batchSize,
+            ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+        });
+        for (const result of results) yield toMarkRow(result);
+        if (results.length < batchSize) return;
+        cursor = results[results.length - 1].id;
+    }
+}
+
+/**
+ * Parses a route `:id` parameter.
+ * @param {string} value - The raw parameter.
+ * @returns {number|null} The id, or null when it is not a positive integer.
+ */
+function parseId(value) {
+    return parsePositiveInt(value, null);
+}
+
+/**
+ * Resolves the flat student/course/period fields of a mark to Result foreign keys,
+ * creating catalog entries as needed. Course name and credits given alongside
+ * a code update the catalog entry for that code.
+ *
+ * @param {object} data - Validated flat mark fields.
+ * @param {object|null} existing - The Result being updated (with MARK_INCLUDE), or null on create.
+ * @returns {Promise<object>} Result columns to write.
+ */
+async function resolveMarkData(data, existing) {
+    const resultData = {};
+    for (const field of [...MARK_COMPONENTS, ...MARK_STATUS_FIELDS, 'grade', 'grade_point']) {
+        if (data[field] !== undefined) resultData[field] = data[field];
+    }
+
+    if (data.student_uuid !== undefined) {
+        const student = await prisma.student.upsert({
+            where: { uuid: data.student_uuid },
+            update: {},
+            create: { uuid: data.student_uuid },
+        });
+        resultData.student_id = student.id;
+    }
+
+    if (data.academic_period !== undefined || !existing) {
+        const title = data.academic_period || DEFAULT_ACADEMIC_PERIOD;
+        const period = await prisma.academicPeriod.upsert({
+            where: { title },
+            update: {},
+            create: { title },
+        });
+        resultData.period_id = period.id;
+    }
+
+    if (data.code !== undefined || data.name !== undefined || data.credit !== undefined) {
+        const code = data.code !== undefined ? data.code : existing.course.code;
+        const catalogUpdate = {};
+        if (data.name !== undefined) catalogUpdate.name = data.name;
+        if (data.credit !== undefined) catalogUpdate.credits = data.credit;
+        const course = await prisma.course.upsert({
+            where: { code },
+            update: catalogUpdate,
+            create: {
+                code,
+                name: data.name !== undefined ? data.name : (existing ? existing.course.name : code),
+                credits: data.credit !== undefined ? data.credit : (existing ? existing.course.credits : 0),
+            },
+        });
+        resultData.course_id = course.id;
+    }
+
+    return resultData;
+}
+
+/**
+ * Creates a mark from validated flat fields.
+ * @param {object} data - Output of validateMarksheet.
+ * @returns {Promise<object>} The stored flat mark row.
+ */
+async function createMark(data) {
+    const result = await prisma.result.create({
+        data: await resolveMarkData(data, null),
+        include: MARK_INCLUDE,
+    });
+    return toMarkRow(result);
+}
+
+/**
+ * Updates a mark from validated flat fields.
+ * @param {number} id - The Result id.
+ * @param {object} data - Output of validateMarksheet.
+ * @returns {Promise<object|null>} The updated flat mark row, or null when it does not exist.
+ */
+async function updateMark(id, data) {
+    const existing = await prisma.result.findUnique({ where: { id }, include: MARK_INCLUDE });
+    if (!existing) return null;
+
+    const result = await prisma.result.update({
+        where: { id },
+        data: await resolveMarkData(data, existing),
+        include: MARK_INCLUDE,
+    });
+    return toMarkRow(result);
+}
+
+// Extracted course keys of the mark components -> Result columns
+const COURSE_MARK_FIELDS = { cat1: 'cat1', cat2: 'cat2', exam: 'exam_mark', totalMark: 'total_mark' };
+
+/**
+ * Lists course fields holding a value that cannot be stored: a credit that is
+ * not numeric, or a mark cell that is neither a number nor a known status text.
+ * Blank credits default to 0 in parseNumberForDB; blank marks are pending.
+ * @param {object} courseData - A course from the extracted payload.
+ * @returns {string[]} The offending field names.
+ */
+function findUnparseableFields(courseData) {
+    const invalid = [];
+    const credits = courseData.credits;
+    if (credits !== null && credits !== undefined && typeof credits !== 'number' &&
+        (typeof credits !== 'string' || (credits.trim() !== '' && isNaN(parseFloat(credits))))) {
+        invalid.push('credits');
+    }
+    for (const field of Object.keys(COURSE_MARK_FIELDS)) {
+        if (parseMarkForDB(courseData[field]) === null) invalid.push(field);
+    }
+    return invalid;
+}
+
+/**
+ * A validation issue as listed in a save report row.
+ * @param {object} issue - From validateMarksData.
+ * @returns {{ field: string|null, rule: string, severity: string, message: string }}
+ */
+function publicIssue({ field, rule, severity, message }) {
+    return { field, rule, severity, message };
+}
+
+/**
+ * Creates or updates a Result on its (student, course, period) key.
+ * When a mark component changes, its old value is written to MarkHistory in
+ * the same transaction as the update.
+ *
+ * @param {object} data - Result columns to store, including the foreign keys.
+ * @param {Date} scrapedAt - The scrape time recorded on history entries.
+ * @returns {Promise<{ result: object, action: 'created'|'updated'|'unchanged', changes: object[] }>}
+ */
+async function upsertResultWithHistory(data, scrapedAt) {
+    const existing = await prisma.result.findUnique({
+        where: {
+            student_id_course_id_period_id: {
+                student_id: data.student_id,
+                course_id: data.course_id,
+                period_id: data.period_id,
+            },
+        },
+    });
+
+    if (!existing) {
+        const result = await prisma.result.create({ data });
+        return { result, action: 'created', changes: [] };
+    }
+
+    const changes = markChanges(existing, data);
+    const otherChanges = existing.grade !== data.grade ||
+        existing.grade_point !== data.grade_point ||
+        JSON.stringify(existing.extra) !== JSON.stringify(data.extra === Prisma.DbNull ? null : data.extra);
+
+    if (changes.length === 0 && !otherChanges) {
+        return { result: existing, action: 'unchanged', changes };
+    }
+
+    const [result] = await prisma.$transaction([
+        prisma.result.update({ where: { id: existing.id }, data }),
+        prisma.markHistory.createMany({
+            data: changes.map(change => ({ result_id: existing.id, scraped_at: scrapedAt, ...change })),
+        }),
+    ]);
+    return { result, action: 'updated', changes };
+}
+
+/**
+ * Creates or refreshes the student profile from extracted studentInfo.
+ * Blank fields never overwrite stored ones; changed fields are recorded in StudentProfileHistory.
+ * @param {string} studentUuid - The student identifier.
+ * @param {object} studentInfo - `{ name, regNo, program, faculty }` from extractMarksData.
+ * @param {object} [options]
+ * @param {number|null} [options.runId] - The ScrapeRun the profile comes from.
+ * @param {Date} [options.changedAt=new Date()]
+ * @returns {Promise<{ student: object, changes: object[] }>}
+ */
+async function upsertStudent(studentUuid, studentInfo, { runId = null, changedAt = new Date() } = {}) {
+    const profile = profileFromStudentInfo(studentInfo);
+    const existing = await prisma.student.findUnique({ where: { uuid: studentUuid } });
+    if (!existing) {
+        const student = await prisma.student.create({ data: { uuid: studentUuid, ...profile } });
+        return { student, changes: [] };
+    }
+
+    const changes = profileChanges(existing, profile);
+    if (changes.length === 0) return { student: existing, changes };
+
+    const [student] = await prisma.$transaction([
+        prisma.student.update({ where: { id: existing.id }, data: profile }),
+        prisma.studentProfileHistory.createMany({
+            data: changes.map(change => ({ student_id: existing.id, run_id: runId, changed_at: changedAt, ...change })),
+        }),
+    ]);
+    return { student, changes };
+}
+
+/**
+ * Stores validation issues; a failure is logged rather than failing the save.
+ * @param {object[]} issues - From validateMarksData.
+ * @param {object} context
+ * @param {object[]} context.semesters - The extracted semesters the issues point into.
+ * @param {string} context.studentUuid
+ * @param {number|null} context.runId - The ScrapeRun, null for imports.
+ * @param {Set<string>} context.quarantined - `<semester_index>:<index>` of the rows left out of the save.
+ * @param {object} context.log - The save's logger.
+ */
+async function recordMarkIssues(issues, { semesters, studentUuid, runId, quarantined, log }) {
+    if (issues.length === 0) return;
+    try {
+        await prisma.markIssue.createMany({
+            data: issues.map(issue => ({
+                run_id: runId,
+                student_uuid: studentUuid,
+                academic_period: academicPeriodOf(semesters[issue.semester_index]),
+                code: String(issue.code),
+                semester_index: issue.semester_index,
+                row_index: issue.index,
+                field: issue.field,
+                rule: issue.rule,
+                severity: issue.severity,
+                message: issue.message,
+                row: semesters[issue.semester_index].courses[issue.index],
+                quarantined: quarantined.has(`${issue.semester_index}:${issue.index}`),
+            })),
+        });
+    } catch (error) {
+        log.error('Could not store the validation issues', { issues: issues.length, error });
+    }
+}
+
+/**
+ * Saves extracted marks data to the database as Student, AcademicPeriod, Course
+ * and Result rows.
+ * Accepts the `{ studentInfo, semesters[].courses[] }` shape produced by
+ * extractMarksData, whether it comes from the scraper or the import endpoint.
+ *
+ * Results are upserted on (student, course, academic period), so re-scrapes are
+ * idempotent; changed mark components are recorded in MarkHistory. The course
+ * catalog takes the name and credits of the latest save.
+ *
+ * Courses are validated first (see markValidation.js) and the issues stored as
+ * MarkIssue rows. Courses with an error are quarantined: reported, not saved.
+ * With MARK_VALIDATION_MODE=block, any error stops the whole save instead.
+ *
+ * The student is the logged-in account's (options.studentUuid), cross-checked
+ * against studentInfo.regNo; imports, with no account, use the regNo. A save
+ * whose student cannot be established, or whose regNo belongs to someone else,
+ * is refused (see studentIdentity.js).
+ *
+ * @param {object} marksData - The extracted marks data object, typically containing
+ * studentInfo and semesters with courses.
+ * @param {object} [options]
+ * @param {Date} [options.scrapedAt=new Date()] - When the data was scraped, stored on history entries.
+ * @param {string} [options.studentUuid] - The logged-in account's student uuid; absent for imports.
+ * @param {number} [options.runId] - The ScrapeRun the data comes from, recorded on validation issues.
+ * @param {object} [options.validation] - The site profile's validation limits, see validationRules.
+ * @param {object} [options.log] - Logger of the save, e.g. the scrape run's; the 'marks_save' logger by default.
+ * @returns {object} - Status and details of the save operation, including a
+ * per-row report of what was saved, skipped or rejected, and the `identity` from resolveStudentIdentity.
+ * `refused` is set when nothing was saved because of the data itself: an invalid payload,
+ * no or the wrong student, or validation errors in block mode.
+ */
+async function saveMarksDataToPrisma(marksData, { scrapedAt = new Date(), studentUuid: accountStudentUuid, runId = null, validation, log = saveLogger } = {}) {
+    if (!marksData || !marksData.studentInfo || !Array.isArray(marksData.semesters)) {
+        log.warn('No marks data to save: studentInfo or semesters missing');
+        return { success: false, refused: true, message: 'Invalid marks data provided.', rows: [] };
+    }
+
+    const { studentInfo, semesters } = marksData;
+    const identity = resolveStudentIdentity({ studentUuid: accountStudentUuid, studentInfo });
+    if (identity.error) {
+        log.error('Refusing to save: no student identity', { identity });
+        return { success: false, refused: true, message: `Refused: ${identity.error}.`, identity, rows: [] };
+    }
+    const studentUuid = identity.uuid;
+    if (identity.source === 'account' && !identity.verified) {
+        log.warn('No registration number on the marksheet to confirm the student; saving under the logged-in account', { student_uuid: studentUuid });
+    }
+    log.debug('Saving marks', { student_uuid: studentUuid, identity_source: identity.source });
+
+    const issues = validateMarksData(marksData, { parseMark: parseMarkForDB, rules: validationRules(validation) });
+    // `<semester_index>:<index>` -> issues of that course
+    const issuesByRow = new Map();
+    for (const issue of issues) {
+        const key = `${issue.semester_index}:${issue.index}`;
+        if (!issuesByRow.has(key)) issuesByRow.set(key, []);
+        issuesByRow.get(key).push(issue);
+    }
+    const failing = new Set([...issuesByRow].filter(([, rowIssues]) => rowIssues.some(issue => issue.severity === 'error')).map(([key]) => key));
+    const issueContext = { semesters, studentUuid, runId, quarantined: failing, log };
+
+    if (failing.size > 0 && validationMode() === 'block') {
+        log.warn('Validation failed, nothing saved', { courses: failing.size });
+        await recordMarkIssues(issues, { ...issueContext, quarantined: new Set(issuesByRow.keys()) });
+        const rows = [];
+        for (const [semesterIndex, semesterData] of semesters.entries()) {
+            if (!semesterData || !Array.isArray(semesterData.courses)) continue;
+            for (const [index, courseData] of semesterData.courses.entries()) {
+                const key = `${semesterIndex}:${index}`;
+                const row = { semester: semesterData.title, index, code: courseData && courseData.code, name: courseData && courseData.name };
+                if (failing.has(key)) {
+                    row.status = 'quarantined';
+                    row.reason = 'Failed validation';
+                } else {
+                    row.status = 'skipped';
+                    row.reason = 'Save blocked by validation errors in other courses';
+                }
+                if (issuesByRow.has(key)) row.issues = issuesByRow.get(key).map(publicIssue);
+                rows.push(row);
+            }
+        }
+        const stats = { saved: 0, skipped: rows.length - failing.size, rejected: 0, quarantined: failing.size, errors: 0 };
+        countMarkRecords(stats);
+        return { success: false, refused: true, message: `Validation failed for ${failing.size} courses; nothing was saved.`, identity, stats, rows };
+    }
+
+    let student;
+    try {
+        const upserted = await upsertStudent(studentUuid, studentInfo, { runId, changedAt: scrapedAt });
+        student = upserted.student;
+        for (const change of upserted.changes) {
+            log.info('Student profile changed', { student_uuid: studentUuid, ...change });
+        }
+    } catch (error) {
+        log.error('Could not store the student profile', { student_uuid: studentUuid, error });
+        return { success: false, message: `Could not store student ${studentUuid}: ${error.message}`, identity, rows: [] };
+    }
+
+    // One entry per course: { semester, index, code, name, status: saved|skipped|rejected|quarantined, action?, changes?, issues?, reason?, id? }
+    const rows = [];
+    // Created and updated results, for the 'saved' event
+    const saved = [];
+    let recordsSavedCount = 0;
+    let recordsSkippedCount = 0;
+    let recordsRejectedCount = 0;
+    let recordsQuarantinedCount = 0;
+    let errorsCount = 0;
+
+    try {
+        for (const [semesterIndex, semesterData] of semesters.entries()) {
+            if (!semesterData || !Array.isArray(semesterData.courses) || semesterData.courses.length === 0) {
+                log.warn('Skipping a semester without courses', { semester: semesterData && semesterData.title });
+                continue;
+            }
+
+            const periodTitle = academicPeriodOf(semesterData);
+            const period = await prisma.academicPeriod.upsert({
+                where: { title: periodTitle },
+                update: {},
+                create: { title: periodTitle },
+            });
+
+            for (const [index, courseData] of semesterData.courses.entries()) {
+                const row = {
+                    semester: semesterData.title,
+                    index,
+                    code: courseData && courseData.code,
+                    name: courseData && courseData.name,
+                };
+                rows.push(row);
+
+                if (!courseData || typeof courseData !== 'object') {
+                    row.status = 'rejected';
+                    row.reason = 'Course must be an object';
+                    recordsRejectedCount++;
+                    continue;
+                }
+
+                // Ensure we have at least a code or a name to save
+                if (!courseData.code && !courseData.name) {
+                    log.warn('Skipping a course without code or name', { semester: semesterData.title, course: courseData });
+                    row.status = 'skipped';
+                    row.reason = 'Course has no code or name';
+                    recordsSkippedCount++;
+                    continue;
+                }
+
+                const invalidFields = findUnparseableFields(courseData);
+                if (invalidFields.length > 0) {
+                    log.warn('Rejecting a course with unrecognized values', { code: courseData.code || courseData.name, fields: invalidFields });
+                    row.status = 'rejected';
+                    row.reason = `Unrecognized values for: ${invalidFields.join(', ')}`;
+                    recordsRejectedCount++;
+                    continue;
+                }
+
+                const rowKey = `${semesterIndex}:${index}`;
+                if (issuesByRow.has(rowKey)) row.issues = issuesByRow.get(rowKey).map(publicIssue);
+                if (failing.has(rowKey)) {
+                    log.warn('Quarantining a course that failed validation', {
+                        code: courseData.code || courseData.name,
+                        issues: row.issues.filter(issue => issue.severity === 'error').map(issue => issue.message),
+                    });
+                    row.status = 'quarantined';
+                    row.reason = 'Failed validation';
+                    recordsQuarantinedCount++;
+                    continue;
+                }
+
+                // Courses without a code are keyed on their name so they don't collide under the unique key
+                const code = courseData.code || courseData.name;
+                const name = courseData.name || 'N/A'; // Provide default if name is optional or missing
+
+                try {
+                    const course = await prisma.course.upsert({
+                        where: { code },
+                        update: { name, credits: parseNumberForDB(courseData.credits) },
+                        create: { code, name, credits: parseNumberForDB(courseData.credits) },
+                    });
+
+                    // Data sanitation and type conversion for the Result model
+                    const dataToSave = {
+                        student_id: student.id,
+                        course_id: course.id,
+                        period_id: period.id,
+                        grade: typeof courseData.grade === 'string' && courseData.grade.trim() ? courseData.grade.trim() : null,
+                        grade_point: typeof courseData.gradePoint === 'number' ? courseData.gradePoint : null,
+                        // Nullable Json columns take Prisma.DbNull rather than null
+                        extra: extraColumnsOf(courseData) || Prisma.DbNull,
+                    };
+                    // Mark components keep their decimals and a status instead of defaulting to 0
+                    for (const [key, column] of Object.entries(COURSE_MARK_FIELDS)) {
+                        const mark = parseMarkForDB(courseData[key]);
+                        dataToSave[column] = mark.value;
+                        dataToSave[`${column}_status`] = mark.status;
+                    }
+
+                    const { result, action, changes } = await upsertResultWithHistory(dataToSave, scrapedAt);
+
+                    row.id = result.id;
+                    row.action = action;
+                    if (action === 'unchanged') {
+                        row.status = 'skipped';
+                        row.reason = 'Unchanged since last save';
+                        recordsSkippedCount++;
+                    } else {
+                        row.status = 'saved';
+                        if (changes.length > 0) row.changes = changes;
+                        saved.push({ result, action, changes });
+                        recordsSavedCount++;
+                        log.debug(action === 'created' ? 'Mark saved' : 'Mark updated', { code, period: periodTitle, student_uuid: studentUuid, changes });
+                    }
+                } catch (dbError) {
+                    // A concurrent save can still hit the unique key between the lookup and the create
+                    if (dbError.code === 'P2002') { // Prisma unique constraint violation error code
+                        log.warn('Skipping a duplicate mark', { code, period: periodTitle, student_uuid: studentUuid, error: dbError });
+                        row.status = 'skipped';
+                        row.reason = 'Duplicate entry';
+                        recordsSkippedCount++;
+                    } else {
+                        log.error('Could not save a mark', { code, period: periodTitle, student_uuid: studentUuid, error: dbError });
+                        row.status = 'rejected';
+                        row.reason = dbError.message;
+                        errorsCount++;
+                    }
+                }
+            }
+        }
+
+        await recordMarkIssues(issues, issueContext);
+        if (saved.length > 0) markEvents.emit('saved', { student, saved });
+
+        const stats = {
+            saved: recordsSavedCount,
+            skipped: recordsSkippedCount,
+            rejected: recordsRejectedCount + errorsCount,
+            quarantined: recordsQuarantinedCount,
+            errors: errorsCount,
+        };
+        countMarkRecords(stats);
+        log.info('Marks save completed', { student_uuid: studentUuid, stats });
+        const quarantinedNote = recordsQuarantinedCount > 0 ? ` ${recordsQuarantinedCount} records quarantined for failing validation.` : '';
+
+        if (errorsCount > 0) {
+            return { success: false, message: `Completed with ${errorsCount} errors. Some marks might not have been saved.${quarantinedNote}`, identity, stats, rows };
+        } else if (recordsSavedCount === 0 && (recordsSkippedCount > 0 || recordsRejectedCount > 0 || recordsQuarantinedCount > 0)) {
+             return { success: true, message: `Completed, but no new valid marks were found to save. ${recordsSkippedCount + recordsRejectedCount} records skipped or rejected.${quarantinedNote}`, identity, stats, rows };
+        } else if (recordsSavedCount === 0) {
+             return { success: true, message: `Completed, but no marks data was found in the scraped content to save.`, identity, stats, rows };
+        }
+        return { success: true, message: `Successfully saved ${recordsSavedCount} marks records.${quarantinedNote}`, identity, stats, rows };
+
+    } catch (error) {
+        log.error('Saving the marks failed', { student_uuid: studentUuid, error });
+        return { success: false, message: `An unhandled error occurred during saving: ${error.message}`, identity, rows };
+    }
+}
+
+export {
+    markEvents,
+    MARK_INCLUDE,
+    toMarkRow,
+    toHistoryRow,
+    createMark,
+    updateMark,
+    saveMarksDataToPrisma,
+    parseNumberForDB,
+    parseMarkForDB,
+    MARK_COMPONENTS,
+    MARK_STATUSES,
+    buildMarksheetFilter,
+    parsePagination,
+    parseMarksheetListQuery,
+    iterateMarks,
+    validateMarksheet,
+    parseId,
+};
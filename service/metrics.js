@@ -0,0 +1,186 @@
+/**
+ * Prometheus metrics, served by GET /metrics.
+ *
+ * Besides the default process metrics (prefixed miss_):
+ * - miss_http_requests_total and miss_http_request_duration_seconds, by method, route and status,
+ * - miss_scrape_runs_total by status, and miss_scrape_step_duration_seconds by step,
+ * - miss_scrape_logins_total by outcome: success, failed or captcha (stopped at a CAPTCHA nobody solved),
+ * - miss_portal_retries_total by step, and miss_portal_circuit_open, 1 while scheduled scrapes are held back,
+ * - miss_mark_records_total by outcome: saved, skipped, quarantined or errored,
+ * - miss_last_successful_scrape_age_seconds by account, read from the scrape runs when scraped.
+ */
+
+import client from 'prom-client';
+import { logger } from './logger.js';
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'miss_' });
+
+// Scrape steps run from a second (session check) to minutes (waiting on a CAPTCHA)
+const STEP_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+const httpRequests = new client.Counter({
+    name: 'miss_http_requests_total',
+    help: 'HTTP requests handled',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+    name: 'miss_http_request_duration_seconds',
+    help: 'HTTP request duration',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry],
+});
+
+const scrapeRuns = new client.Counter({
+    name: 'miss_scrape_runs_total',
+    help: 'Scrape runs finished, by status (see SCRAPE_STATUS)',
+    labelNames: ['status'],
+    registers: [registry],
+});
+
+const scrapeStepDuration = new client.Histogram({
+    name: 'miss_scrape_step_duration_seconds',
+    help: 'Time scrape runs spent in each step',
+    labelNames: ['step'],
+    buckets: STEP_BUCKETS,
+    registers: [registry],
+});
+
+const logins = new client.Counter({
+    name: 'miss_scrape_logins_total',
+    help: 'MIS logins by outcome: success, failed or captcha',
+    labelNames: ['outcome'],
+    registers: [registry],
+});
+
+const portalRetries = new client.Counter({
+    name: 'miss_portal_retries_total',
+    help: 'Portal pages loaded again after a transient failure, by scrape step',
+    labelNames: ['step'],
+    registers: [registry],
+});
+
+const portalCircuitOpen = new client.Gauge({
+    name: 'miss_portal_circuit_open',
+    help: 'Whether the portal circuit breaker holds scheduled scrapes back (1) or not (0)',
+    registers: [registry],
+});
+portalCircuitOpen.set(0);
+
+const markRecords = new client.Counter({
+    name: 'miss_mark_records_total',
+    help: 'Mark records handled by saves of scraped or imported marks, by outcome: saved, skipped, quarantined or errored',
+    labelNames: ['outcome'],
+    registers: [registry],
+});
+
+new client.Gauge({
+    name: 'miss_last_successful_scrape_age_seconds',
+    help: 'Seconds since the last successful scrape run of each account',
+    labelNames: ['account'],
+    registers: [registry],
+    async collect() {
+        this.reset();
+        let latest;
+        try {
+            // The database client is loaded on first scrape, so that the metrics load without it
+            const { default: prisma } = await import('./prismaClient.js');
+            latest = await prisma.scrapeRun.groupBy({
+                by: ['account'],
+                where: { status: 'succeeded' },
+                _max: { finished_at: true },
+            });
+        } catch (error) {
+            // The other metrics are still worth serving; /ready reports the database
+            logger.warn('Could not read the last successful scrapes', { error });
+            return;
+        }
+        for (const { account, _max: { finished_at: finishedAt } } of latest) {
+            if (finishedAt) this.set({ account }, (Date.now() - finishedAt.getTime()) / 1000);
+        }
+    },
+});
+
+/**
+ * Express middleware counting and timing requests. Requests are labelled with
+ * the route pattern (e.g. /api/marks/:id), not the path, to keep the label
+ * count bounded; requests no route matched are labelled "unmatched".
+ */
+function httpMetrics(req, res, next) {
+    const end = httpDuration.startTimer();
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const labels = { method: req.method, route, status: res.statusCode };
+        httpRequests.inc(labels);
+        end(labels);
+    });
+    next();
+}
+
+/**
+ * @param {string} status - The run's SCRAPE_STATUS.
+ */
+function countScrapeRun(status) {
+    scrapeRuns.inc({ status });
+}
+
+/**
+ * @param {string} step - One of SCRAPE_STEPS.
+ * @param {number} seconds
+ */
+function observeScrapeStep(step, seconds) {
+    scrapeStepDuration.observe({ step }, seconds);
+}
+
+/**
+ * @param {string} outcome - success, failed or captcha.
+ */
+function countLogin(outcome) {
+    logins.inc({ outcome });
+}
+
+/**
+ * @param {string} step - The step whose page was retried.
+ */
+function countPortalRetry(step) {
+    portalRetries.inc({ step: step || 'none' });
+}
+
+/**
+ * @param {string} state - The portal CircuitBreaker state: closed, open or half_open.
+ */
+function setPortalCircuitState(state) {
+    portalCircuitOpen.set(state === 'closed' ? 0 : 1);
+}
+
+/**
+ * Counts the records of a save, from the stats of saveMarksDataToPrisma.
+ * @param {{ saved: number, skipped: number, rejected: number, quarantined: number }} stats - rejected includes the errors.
+ */
+function countMarkRecords({ saved, skipped, rejected, quarantined }) {
+    if (saved > 0) markRecords.inc({ outcome: 'saved' }, saved);
+    if (skipped > 0) markRecords.inc({ outcome: 'skipped' }, skipped);
+    if (quarantined > 0) markRecords.inc({ outcome: 'quarantined' }, quarantined);
+    if (rejected > 0) markRecords.inc({ outcome: 'errored' }, rejected);
+}
+
+/**
+ * The metrics in the Prometheus text format.
+ * @returns {Promise<{ contentType: string, body: string }>}
+ */
+async function renderMetrics() {
+    return { contentType: registry.contentType, body: await registry.metrics() };
+}
+
+export {
+    httpMetrics,
+    countScrapeRun,
+    observeScrapeStep,
+    countLogin,
+    countPortalRetry,
+    setPortalCircuitState,
+    countMarkRecords,
+    renderMetrics,
+};
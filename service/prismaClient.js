@@ -0,0 +1,9 @@
+import { PrismaClient } from '../src/generated/prisma/client.js';
+
+/**
+ * Shared Prisma client used by the HTTP routes and services.
+ * The connection string is read from DATABASE_URL by the generated client.
+ */
+const prisma = new PrismaClient();
+
+export default prisma;
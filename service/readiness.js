@@ -0,0 +1,70 @@
+/**
+ * The parts of the readiness checks (health.js) that need neither a database
+ * nor a browser: timing a check, reusing a slow check's outcome, the portal
+ * URL check of the config, and the overall verdict.
+ */
+
+/**
+ * Runs a check, timing it.
+ * @param {function(): Promise<void>} check - Throws when the check fails.
+ * @returns {Promise<{ ok: boolean, duration_ms: number, error?: string }>} error is the first line of the message.
+ */
+async function timed(check) {
+    const started = Date.now();
+    try {
+        await check();
+        return { ok: true, duration_ms: Date.now() - started };
+    } catch (error) {
+        return { ok: false, duration_ms: Date.now() - started, error: error.message.split('\n')[0] };
+    }
+}
+
+/**
+ * Wraps a slow check so that its outcome is reused for ttlMs, and callers
+ * arriving while it runs share the one in progress.
+ * @param {function(): Promise<object>} check - Resolves to the outcome, e.g. of timed.
+ * @param {number} ttlMs
+ * @returns {function(): Promise<object>} Resolves to the outcome with `cached`, true when it was reused.
+ */
+function cachedCheck(check, ttlMs) {
+    // The last outcome: { result, checked_at }, and the check in progress
+    let last = null;
+    let inProgress = null;
+    return async () => {
+        if (last && Date.now() - last.checked_at < ttlMs) {
+            return { ...last.result, cached: true };
+        }
+        if (!inProgress) {
+            inProgress = check().then(result => {
+                last = { result, checked_at: Date.now() };
+                inProgress = null;
+                return result;
+            });
+        }
+        return { ...await inProgress, cached: false };
+    };
+}
+
+/**
+ * The portal URLs neither the settings nor the site profile give.
+ * @param {object} settings - config/settings.js.
+ * @param {object} profile - The site profile.
+ * @returns {string[]} The missing settings keys: loginUrl, dashboardUrl or marksheetUrl.
+ */
+function missingPortalUrls(settings, profile) {
+    const urls = profile.urls || {};
+    return [['loginUrl', urls.login], ['dashboardUrl', urls.dashboard], ['marksheetUrl', urls.marksheet]]
+        .filter(([key, profileUrl]) => !settings[key] && !profileUrl)
+        .map(([key]) => key);
+}
+
+/**
+ * The readiness verdict of the checks' outcomes.
+ * @param {object} checks - Check name -> `{ ok, ... }`.
+ * @returns {{ ready: boolean, checks: object }} ready when every check is ok.
+ */
+function readiness(checks) {
+    return { ready: Object.values(checks).every(check => check.ok), checks };
+}
+
+export { timed, cachedCheck, missingPortalUrls, readiness };
@@ -0,0 +1,293 @@
+/**
+ * Retries, error classification and the portal circuit breaker.
+ *
+ * Failures talking to the MIS portal are either transient (timeouts, dropped
+ * connections, 5xx and 429 answers), worth another try after a pause, or
+ * permanent (a wrong password, a page that does not exist), which no retry
+ * fixes. withRetry retries the transient ones with exponential backoff and
+ * jitter, following a policy per scrape step. CircuitBreaker holds scheduled
+ * scrapes back while the portal keeps failing, so that it is not hammered
+ * while down (see scrapeJobs.js).
+ */
+
+const ERROR_KINDS = ['transient', 'permanent'];
+
+// Chromium network errors (net::ERR_*) a later attempt may not hit
+const TRANSIENT_NET_ERRORS = [
+    'ERR_CONNECTION_REFUSED',
+    'ERR_CONNECTION_RESET',
+    'ERR_CONNECTION_CLOSED',
+    'ERR_CONNECTION_ABORTED',
+    'ERR_CONNECTION_TIMED_OUT',
+    'ERR_TIMED_OUT',
+    'ERR_EMPTY_RESPONSE',
+    'ERR_NETWORK_CHANGED',
+    'ERR_INTERNET_DISCONNECTED',
+    'ERR_NAME_NOT_RESOLVED',
+    'ERR_ADDRESS_UNREACHABLE',
+];
+// Node socket error codes of the same kind
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Attempts and backoff of the scrape steps that load portal pages; settings.retry overrides them per step
+const DEFAULT_RETRY_POLICIES = {
+    session_check: { attempts: 2, baseDelayMs: 2000, maxDelayMs: 10000 },
+    login: { attempts: 3, baseDelayMs: 5000, maxDelayMs: 30000 },
+    navigate: { attempts: 3, baseDelayMs: 5000, maxDelayMs: 60000 },
+};
+// Steps without a policy get a single attempt
+const NO_RETRY = { attempts: 1, baseDelayMs: 0, maxDelayMs: 0 };
+
+/**
+ * A failure of the portal itself, e.g. a page answered with an error status.
+ */
+class PortalError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [options]
+     * @param {string} [options.kind='transient'] - One of ERROR_KINDS.
+     * @param {number|null} [options.status] - The HTTP status the portal answered.
+     */
+    constructor(message, { kind = 'transient', status = null } = {}) {
+        super(message);
+        this.name = 'PortalError';
+        this.kind = kind;
+        this.status = status;
+    }
+}
+
+/**
+ * The error kind of an HTTP status: 5xx, 408 and 429 are transient.
+ * @param {number} status
+ * @returns {string}
+ */
+function statusKind(status) {
+    return status >= 500 || status === 408 || status === 429 ? 'transient' : 'permanent';
+}
+
+/**
+ * Whether retrying later may get past an error.
+ * @param {Error} error
+ * @returns {string} 'transient' or 'permanent'.
+ */
+function classifyError(error) {
+    if (!error) return 'permanent';
+    if (error instanceof PortalError) return error.kind;
+    if (error.name === 'TimeoutError' || TRANSIENT_CODES.includes(error.code)) return 'transient';
+    const message = String(error.message || '');
+    if (TRANSIENT_NET_ERRORS.some(code => message.includes(`net::${code}`))) return 'transient';
+    return 'permanent';
+}
+
+/**
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+    return classifyError(error) === 'transient';
+}
+
+/**
+ * The retry policy of a scrape step.
+ * @param {string} step - One of SCRAPE_STEPS.
+ * @param {object} [overrides] - settings.retry: step -> `{ attempts?, baseDelayMs?, maxDelayMs? }`.
+ * @returns {{ attempts: number, baseDelayMs: number, maxDelayMs: number }}
+ */
+function retryPolicy(step, overrides = {}) {
+    return { ...(DEFAULT_RETRY_POLICIES[step] || NO_RETRY), ...(overrides[step] || {}) };
+}
+
+/**
+ * The pause before the next attempt: the exponential delay capped at
+ * maxDelayMs, half of it fixed and half random, so that runs failing together
+ * do not all come back at the same moment.
+ * @param {number} attempt - The attempt that just failed, from 1.
+ * @param {object} policy - From retryPolicy.
+ * @param {function(): number} [random=Math.random]
+ * @returns {number} Milliseconds.
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+/**
+ * Waits, ending early when the signal is aborted.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        if (signal && signal.aborted) return resolve();
+        const done = () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        if (signal) signal.addEventListener('abort', done, { once: true });
+    });
+}
+
+/**
+ * Calls fn until it succeeds, retrying transient errors as the policy allows.
+ * Permanent errors, the last attempt's error and errors after the signal is
+ * aborted are thrown.
+ *
+ * @param {function(number): Promise<*>} fn - Called with the attempt number, from 1.
+ * @param {object} options
+ * @param {object} options.policy - From retryPolicy.
+ * @param {function(object): (void|Promise<void>)} [options.onRetry] - Called with `{ error, attempt, delayMs }` before each pause.
+ * @param {AbortSignal} [options.signal]
+ * @param {function(): number} [options.random] - For backoffDelay.
+ * @param {function(number, AbortSignal): Promise<void>} [options.wait=sleep]
+ * @returns {Promise<*>} What fn returned.
+ */
+async function withRetry(fn, { policy, onRetry = () => {}, signal, random, wait = sleep }) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if ((signal && signal.aborted) || attempt >= policy.attempts || !isTransientError(error)) throw error;
+            const delayMs = backoffDelay(attempt, policy, random);
+            await onRetry({ error, attempt, delayMs });
+            await wait(delayMs, signal);
+        }
+    }
+}
+
+/**
+ * Polls a condition until it holds or the time is up.
+ * @param {function(): Promise<*>} condition
+ * @param {object} options
+ * @param {number} options.timeoutMs
+ * @param {number} [options.intervalMs=250]
+ * @param {AbortSignal} [options.signal] - Aborting it stops the wait as a timeout.
+ * @returns {Promise<*>} The condition's truthy value, or false when it never held.
+ */
+async function waitFor(condition, { timeoutMs, intervalMs = 250, signal }) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = await condition();
+        if (value) return value;
+        const left = deadline - Date.now();
+        if (left <= 0 || (signal && signal.aborted)) return false;
+        await sleep(Math.min(intervalMs, left), signal);
+    }
+}
+
+/**
+ * Counts consecutive failures and opens after failureThreshold of them:
+ * requests are refused for cooldownMs, then a single probe goes through
+ * (half open). The probe's success closes the breaker, its failure opens it
+ * for another cooldown.
+ */
+class CircuitBreaker {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.failureThreshold=5]
+     * @param {number} [options.cooldownMs=1800000]
+     * @param {function(object): void} [options.onStateChange] - Called with the snapshot after the state changed.
+     * @param {function(): number} [options.now=Date.now]
+     */
+    constructor({ failureThreshold = 5, cooldownMs = 30 * 60 * 1000, onStateChange = () => {}, now = Date.now } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.onStateChange = onStateChange;
+        this.now = now;
+        this.reset();
+    }
+
+    /**
+     * Closes the breaker and forgets the failures.
+     */
+    reset() {
+        const changed = this.state !== undefined && this.state !== 'closed';
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.retryAt = null;
+        this.probing = false;
+        if (changed) this.onStateChange(this.snapshot());
+    }
+
+    /**
+     * Whether a request would be refused now. Unlike allowRequest, it does not start a probe.
+     * @returns {boolean}
+     */
+    isOpen() {
+        if (this.state === 'open') return this.now() < this.retryAt;
+        return this.state === 'half_open' && this.probing;
+    }
+
+    /**
+     * Asks to send a request; once the cooldown is over, the first asker is the probe.
+     * @returns {boolean} False when the request must not be sent.
+     */
+    allowRequest() {
+        if (this.state === 'closed') return true;
+        if (this.isOpen()) return false;
+        if (this.state === 'open') {
+            this.state = 'half_open';
+            this.onStateChange(this.snapshot());
+        }
+        this.probing = true;
+        return true;
+    }
+
+    recordSuccess() {
+        if (this.state === 'closed') {
+            this.failures = 0;
+            return;
+        }
+        this.reset();
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.probing = false;
+        if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+            this.state = 'open';
+            this.openedAt = this.now();
+            this.retryAt = this.openedAt + this.cooldownMs;
+            this.onStateChange(this.snapshot());
+        }
+    }
+
+    /**
+     * Ends a probe that told nothing about the portal (e.g. it was cancelled); the next request probes again.
+     */
+    releaseProbe() {
+        this.probing = false;
+    }
+
+    /**
+     * @returns {{ state: string, failures: number, failure_threshold: number, cooldown_ms: number, opened_at: Date|null, retry_at: Date|null }}
+     */
+    snapshot() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            failure_threshold: this.failureThreshold,
+            cooldown_ms: this.cooldownMs,
+            opened_at: this.openedAt === null ? null : new Date(this.openedAt),
+            retry_at: this.retryAt === null ? null : new Date(this.retryAt),
+        };
+    }
+}
+
+export {
+    ERROR_KINDS,
+    DEFAULT_RETRY_POLICIES,
+    PortalError,
+    statusKind,
+    classifyError,
+    isTransientError,
+    retryPolicy,
+    backoffDelay,
+    sleep,
+    withRetry,
+    waitFor,
+    CircuitBreaker,
+};
@@ -0,0 +1,107 @@
+/**
+ * The files scrape runs keep: each run writes its log, screenshots, page
+ * sources and extracted marks to its own directory (see scrapeMarks), and
+ * every file is indexed as a ScrapeArtifact row, so that a failed run can be
+ * looked into after the fact.
+ *
+ * Artifacts are kept SCRAPE_ARTIFACT_RETENTION_DAYS (30 by default), then
+ * pruneRunArtifacts deletes both the rows and the files.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import prisma from './prismaClient.js';
+import { LEVELS, readLogFile } from './logger.js';
+
+const RETENTION_DAYS = Number(process.env.SCRAPE_ARTIFACT_RETENTION_DAYS) || 30;
+
+/**
+ * Indexes an artifact a run reported through scrapeMarks' onArtifact.
+ * @param {number} runId
+ * @param {object} artifact - `{ kind, name, path, mime_type, step, created_at }`.
+ * @returns {Promise<object>} The ScrapeArtifact row.
+ */
+function recordRunArtifact(runId, artifact) {
+    return prisma.scrapeArtifact.create({
+        data: {
+            run_id: runId,
+            kind: artifact.kind,
+            name: artifact.name,
+            path: artifact.path,
+            mime_type: artifact.mime_type,
+            step: artifact.step,
+            created_at: new Date(artifact.created_at),
+        },
+    });
+}
+
+/**
+ * The artifact as returned by the API, with its current size; size is null
+ * once the file is gone from the disk.
+ * @param {object} artifact - A ScrapeArtifact row.
+ * @returns {object}
+ */
+function toPublicArtifact(artifact) {
+    let size = null;
+    try {
+        size = fs.statSync(artifact.path).size;
+    } catch {
+        // Deleted by hand, or the run directory was never written
+    }
+    return { ...artifact, size };
+}
+
+/**
+ * The artifacts of a run, in the order they were written.
+ * @param {number} runId
+ * @returns {Promise<object[]>}
+ */
+async function listRunArtifacts(runId) {
+    const artifacts = await prisma.scrapeArtifact.findMany({ where: { run_id: runId }, orderBy: { id: 'asc' } });
+    return artifacts.map(toPublicArtifact);
+}
+
+/**
+ * The log lines of a run.
+ * @param {number} runId
+ * @param {object} [filters]
+ * @param {string} [filters.level] - The lowest level returned.
+ * @param {string} [filters.step] - Only the lines of this step.
+ * @returns {Promise<object[]|null>} The entries, oldest first; null when the run kept no log.
+ */
+async function readRunLog(runId, { level, step } = {}) {
+    const artifact = await prisma.scrapeArtifact.findFirst({ where: { run_id: runId, kind: 'log' } });
+    if (!artifact || !fs.existsSync(artifact.path)) return null;
+
+    return readLogFile(artifact.path).filter(entry =>
+        (!level || LEVELS[entry.level] >= LEVELS[level]) && (!step || entry.step === step));
+}
+
+/**
+ * Deletes the artifacts of runs created more than retentionDays ago, files and rows.
+ * @param {number} [retentionDays]
+ * @returns {Promise<number>} How many artifacts were deleted.
+ */
+async function pruneRunArtifacts(retentionDays = RETENTION_DAYS) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const artifacts = await prisma.scrapeArtifact.findMany({
+        where: { run: { created_at: { lt: cutoff } } },
+        select: { id: true, path: true },
+    });
+    if (artifacts.length === 0) return 0;
+
+    // Each run has its own directory
+    for (const dir of new Set(artifacts.map(artifact => path.dirname(artifact.path)))) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    const { count } = await prisma.scrapeArtifact.deleteMany({ where: { id: { in: artifacts.map(artifact => artifact.id) } } });
+    return count;
+}
+
+export {
+    recordRunArtifact,
+    toPublicArtifact,
+    listRunArtifacts,
+    readRunLog,
+    pruneRunArtifacts,
+};
@@ -0,0 +1,46 @@
+/**
+ * Starting queued scrape runs and reading their outcome. The scrape jobs
+ * (scrapeJobs.js) give the ScrapeRun lookups; the rules are kept here so they
+ * run without a database.
+ */
+
+/**
+ * Starts queued runs while there is capacity, never two for the same account.
+ * A run is claimed before the next one is looked for; a claim that is lost,
+ * e.g. to a concurrent cancel, is skipped.
+ * @param {Map} activeRuns - Runs in progress: run id -> `{ account, ... }`; started runs are added by `start`.
+ * @param {object} queue
+ * @param {function(string[]): Promise<object|null>} queue.findNext - The oldest queued run of none of the given accounts.
+ * @param {function(object): Promise<boolean>} queue.claim - Marks a queued run as running; false when it was no longer queued.
+ * @param {function(object): void} queue.start - Starts a claimed run.
+ * @param {number} maxConcurrent - Runs allowed at a time.
+ * @returns {Promise<object[]>} The runs started.
+ */
+async function startQueuedRuns(activeRuns, { findNext, claim, start }, maxConcurrent) {
+    const started = [];
+    while (activeRuns.size < maxConcurrent) {
+        const busyAccounts = Array.from(activeRuns.values(), run => run.account);
+        const next = await findNext(busyAccounts);
+        if (!next) break;
+
+        if (!(await claim(next))) continue;
+
+        start(next);
+        started.push(next);
+    }
+    return started;
+}
+
+/**
+ * The ScrapeRun status and error of a scraper result.
+ * @param {object} result - The ScrapeResult.
+ * @param {object} SCRAPE_STATUS - The scraper's status codes.
+ * @returns {{ status: string, error: string|null }} status is succeeded, cancelled or failed.
+ */
+function runOutcome(result, SCRAPE_STATUS) {
+    if (result.status === SCRAPE_STATUS.CANCELLED) return { status: 'cancelled', error: null };
+    if (result.success) return { status: 'succeeded', error: null };
+    return { status: 'failed', error: result.message };
+}
+
+export { startQueuedRuns, runOutcome };
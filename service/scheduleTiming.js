@@ -0,0 +1,216 @@
+/**
+ * When schedules run: validation of schedule bodies, quiet hours, cron times
+ * with jitter, and the backoff after failed fires. The scheduler (scheduler.js)
+ * applies them to the Schedule rows.
+ */
+
+import { CronExpressionParser } from 'cron-parser';
+
+const BACKOFF_BASE_MS = (Number(process.env.SCHEDULE_BACKOFF_BASE_MINUTES) || 5) * 60 * 1000;
+const BACKOFF_MAX_MS = (Number(process.env.SCHEDULE_BACKOFF_MAX_MINUTES) || 24 * 60) * 60 * 1000;
+
+// Cron times inside quiet hours are skipped; give up looking after this many
+const MAX_CRON_LOOKAHEAD = 2000;
+
+const QUIET_HOURS_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Checks a cron expression.
+ * @param {string} cron - The expression.
+ * @param {string|null} timezone - The IANA time zone it is evaluated in.
+ * @returns {string|null} The error message, or null when valid.
+ */
+function cronError(cron, timezone) {
+    try {
+        CronExpressionParser.parse(cron, { tz: timezone || undefined });
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Checks an IANA time zone name.
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validates a schedule body.
+ * @param {object} body - `{ cron, name?, account_id?, timezone?, jitter_seconds?, quiet_hours_start?, quiet_hours_end?, skip_if_running?, enabled? }`.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing fields (updates).
+ * @param {object} [options.existing] - The stored schedule, to check an update against.
+ * @returns {{ data: object, errors: string[] }}
+ */
+function validateSchedule(body, { partial = false, existing = null } = {}) {
+    const errors = [];
+    const data = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { data, errors: ['Request body must be a JSON object'] };
+    }
+
+    if (body.name !== undefined) {
+        if (body.name !== null && typeof body.name !== 'string') errors.push('name must be a string or null');
+        else data.name = body.name === null ? null : body.name.trim() || null;
+    }
+
+    if (body.account_id !== undefined) {
+        if (body.account_id !== null && (!Number.isInteger(body.account_id) || body.account_id <= 0)) {
+            errors.push('account_id must be a positive integer or null');
+        } else {
+            data.account_id = body.account_id;
+        }
+    }
+
+    if (body.timezone !== undefined) {
+        if (body.timezone !== null && (typeof body.timezone !== 'string' || !isValidTimezone(body.timezone))) {
+            errors.push('timezone must be an IANA time zone name (e.g. Africa/Kigali) or null');
+        } else {
+            data.timezone = body.timezone;
+        }
+    }
+
+    if (body.cron === undefined) {
+        if (!partial) errors.push('cron is required');
+    } else if (typeof body.cron !== 'string' || body.cron.trim() === '') {
+        errors.push('cron must be a non-empty string');
+    } else {
+        data.cron = body.cron.trim();
+    }
+    if (data.cron !== undefined || data.timezone !== undefined) {
+        const cron = data.cron !== undefined ? data.cron : existing && existing.cron;
+        const timezone = data.timezone !== undefined ? data.timezone : existing && existing.timezone;
+        const error = cron && cronError(cron, timezone);
+        if (error) errors.push(`cron is invalid: ${error}`);
+    }
+
+    if (body.jitter_seconds !== undefined) {
+        if (!Number.isInteger(body.jitter_seconds) || body.jitter_seconds < 0) {
+            errors.push('jitter_seconds must be a non-negative integer');
+        } else {
+            data.jitter_seconds = body.jitter_seconds;
+        }
+    }
+
+    for (const field of ['quiet_hours_start', 'quiet_hours_end']) {
+        const value = body[field];
+        if (value === undefined) continue;
+        if (value !== null && (typeof value !== 'string' || !QUIET_HOURS_PATTERN.test(value))) {
+            errors.push(`${field} must be a "HH:MM" time or null`);
+        } else {
+            data[field] = value;
+        }
+    }
+    const start = data.quiet_hours_start !== undefined ? data.quiet_hours_start : existing && existing.quiet_hours_start;
+    const end = data.quiet_hours_end !== undefined ? data.quiet_hours_end : existing && existing.quiet_hours_end;
+    if (Boolean(start) !== Boolean(end)) {
+        errors.push('quiet_hours_start and quiet_hours_end must be set together');
+    }
+
+    for (const field of ['skip_if_running', 'enabled']) {
+        const value = body[field];
+        if (value === undefined) continue;
+        if (typeof value !== 'boolean') errors.push(`${field} must be a boolean`);
+        else data[field] = value;
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Minutes since local midnight of a date in a time zone.
+ * @param {Date} date
+ * @param {string|null} timezone - The server's time zone when null.
+ * @returns {number}
+ */
+function localMinutes(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || undefined,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+    const value = type => Number(parts.find(part => part.type === type).value);
+    return value('hour') * 60 + value('minute');
+}
+
+/**
+ * Checks whether a date falls in the schedule's quiet hours.
+ * @param {object} schedule - A Schedule row.
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function inQuietHours(schedule, date) {
+    if (!schedule.quiet_hours_start || !schedule.quiet_hours_end) return false;
+    const toMinutes = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+    const start = toMinutes(schedule.quiet_hours_start);
+    const end = toMinutes(schedule.quiet_hours_end);
+    const now = localMinutes(date, schedule.timezone);
+    // A range like 22:00-06:00 wraps midnight
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * The next time a schedule should run after a date: its next cron time
+ * outside quiet hours, plus jitter. Jitter that lands in quiet hours is
+ * caught when the run is due.
+ *
+ * @param {object} schedule - A Schedule row.
+ * @param {Date} [after=new Date()]
+ * @param {function(): number} [random=Math.random] - Draws the jitter.
+ * @returns {Date|null} Null when no cron time is found outside quiet hours.
+ */
+function computeNextRun(schedule, after = new Date(), random = Math.random) {
+    const times = CronExpressionParser.parse(schedule.cron, {
+        currentDate: after,
+        tz: schedule.timezone || undefined,
+    });
+    for (let i = 0; i < MAX_CRON_LOOKAHEAD && times.hasNext(); i++) {
+        const time = times.next().toDate();
+        if (inQuietHours(schedule, time)) continue;
+        const jitterMs = Math.floor(random() * (schedule.jitter_seconds + 1)) * 1000;
+        return new Date(time.getTime() + jitterMs);
+    }
+    return null;
+}
+
+/**
+ * The minimum delay before retrying after a number of failed runs in a row.
+ * @param {number} failures
+ * @returns {number} Milliseconds.
+ */
+function backoffDelay(failures) {
+    if (failures <= 0) return 0;
+    return Math.min(BACKOFF_BASE_MS * 2 ** (failures - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * The outcome of a fire from the statuses of its runs: failed when any run
+ * failed, succeeded when any other succeeded, cancelled otherwise.
+ * @param {string[]} statuses
+ * @returns {string}
+ */
+function fireOutcome(statuses) {
+    if (statuses.includes('failed')) return 'failed';
+    if (statuses.includes('succeeded')) return 'succeeded';
+    return 'cancelled';
+}
+
+
+export {
+    validateSchedule,
+    inQuietHours,
+    computeNextRun,
+    backoffDelay,
+    fireOutcome,
+};
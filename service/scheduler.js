@@ -0,0 +1,205 @@
+/**
+ * In-process scheduler for periodic scrapes.
+ *
+ * Each enabled Schedule has a next_run_at: its next cron time outside quiet
+ * hours, plus a random jitter of up to jitter_seconds so that schedules do
+ * not hit the portal in lockstep. Every SCHEDULER_TICK_SECONDS the due
+ * schedules queue their scrape runs (see scrapeJobs.js): one per account
+ * for schedules without an account. A fire with a failed run backs the
+ * schedule off, once however many of its runs failed: the next run waits at least
+ * SCHEDULE_BACKOFF_BASE_MINUTES * 2^(failures - 1), capped at
+ * SCHEDULE_BACKOFF_MAX_MINUTES, or the next cron time if that is later.
+ * While the portal circuit breaker is open (see scrapeJobs.js) due schedules
+ * are skipped, and wait for the first cron time after the cooldown.
+ *
+ * The timing rules are in scheduleTiming.js. The scheduler only runs when
+ * SCHEDULER_ENABLED is not "false".
+ */
+
+import prisma from './prismaClient.js';
+import { scrapeEvents, enqueueScrapeJob, enqueueBatchScrape, isPortalCircuitOpen, getPortalCircuit } from './scrapeJobs.js';
+import { logger as rootLogger } from './logger.js';
+import { validateSchedule, inQuietHours, computeNextRun, backoffDelay, fireOutcome } from './scheduleTiming.js';
+
+const TICK_MS = (Number(process.env.SCHEDULER_TICK_SECONDS) || 30) * 1000;
+
+const logger = rootLogger.child({ component: 'scheduler' });
+
+let timer = null;
+let ticking = false;
+// Fires whose runs are not all finished: run id -> `{ pending: Set<run id>, statuses: string[] }`
+const fires = new Map();
+
+/**
+ * Queues the scrape runs of a due schedule.
+ * @param {object} schedule - A Schedule row with its account.
+ * @returns {Promise<object[]>} The queued ScrapeRuns.
+ */
+async function launch(schedule) {
+    const options = { trigger: 'schedule', scheduleId: schedule.id };
+    if (schedule.account) {
+        return [await enqueueScrapeJob({ ...options, account: schedule.account })];
+    }
+    const runs = await enqueueBatchScrape(options);
+    if (runs.length > 0) return runs;
+    // No registered account: scrape the configured login
+    return [await enqueueScrapeJob(options)];
+}
+
+/**
+ * Starts, skips or postpones one due schedule and sets its next run.
+ * @param {object} schedule - A Schedule row with its account.
+ * @param {Date} now
+ */
+async function fire(schedule, now) {
+    const update = { next_run_at: computeNextRun(schedule, now) };
+
+    if (schedule.account && !schedule.account.active) {
+        update.last_status = 'skipped_inactive';
+    } else if (inQuietHours(schedule, now)) {
+        update.last_status = 'skipped_quiet_hours';
+    } else if (isPortalCircuitOpen()) {
+        update.last_status = 'skipped_portal_unavailable';
+        const { retry_at: retryAt } = getPortalCircuit();
+        if (retryAt && retryAt > now) update.next_run_at = computeNextRun(schedule, retryAt);
+    } else if (schedule.skip_if_running && await prisma.scrapeRun.count({
+        where: { schedule_id: schedule.id, status: { in: ['queued', 'running'] } },
+    }) > 0) {
+        update.last_status = 'skipped_running';
+    } else {
+        const runs = await launch(schedule);
+        const fired = { pending: new Set(runs.map(run => run.id)), statuses: [] };
+        for (const run of runs) fires.set(run.id, fired);
+        update.last_run_at = now;
+    }
+
+    await prisma.schedule.update({ where: { id: schedule.id }, data: update });
+}
+
+/**
+ * Runs the due schedules. Overlapping ticks are skipped.
+ */
+async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+        const now = new Date();
+        const due = await prisma.schedule.findMany({
+            where: { enabled: true, next_run_at: { lte: now } },
+            include: { account: true },
+            orderBy: { next_run_at: 'asc' },
+        });
+        for (const schedule of due) {
+            try {
+                await fire(schedule, now);
+            } catch (error) {
+                logger.error('Schedule could not be started', { schedule_id: schedule.id, error });
+            }
+        }
+    } catch (error) {
+        logger.error('Could not load the due schedules', { error });
+    } finally {
+        ticking = false;
+    }
+}
+
+/**
+ * Records the outcome of a fire once its last run finished, and backs the
+ * schedule off after a failure. Runs queued before a restart are recorded on their own.
+ * @param {{ run: object, status: string }} event - A scrapeEvents 'finished' event.
+ */
+async function recordOutcome({ run, status: runStatus }) {
+    if (run.schedule_id === null) return;
+    let status = runStatus;
+    const fired = fires.get(run.id);
+    if (fired) {
+        fires.delete(run.id);
+        fired.pending.delete(run.id);
+        fired.statuses.push(runStatus);
+        if (fired.pending.size > 0) return;
+        status = fireOutcome(fired.statuses);
+    }
+
+    const schedule = await prisma.schedule.findUnique({ where: { id: run.schedule_id } });
+    if (!schedule) return;
+
+    if (status === 'succeeded') {
+        await prisma.schedule.update({ where: { id: schedule.id }, data: { consecutive_failures: 0, last_status: status } });
+    } else if (status === 'failed') {
+        const failures = schedule.consecutive_failures + 1;
+        const retryAt = new Date(Date.now() + backoffDelay(failures));
+        const nextRunAt = schedule.next_run_at && schedule.next_run_at > retryAt
+            ? schedule.next_run_at
+            : computeNextRun(schedule, retryAt);
+        await prisma.schedule.update({
+            where: { id: schedule.id },
+            data: { consecutive_failures: failures, last_status: status, next_run_at: nextRunAt },
+        });
+    } else {
+        await prisma.schedule.update({ where: { id: schedule.id }, data: { last_status: status } });
+    }
+}
+
+/**
+ * Creates a schedule with its first run time.
+ * @param {object} data - Validated schedule fields.
+ * @returns {Promise<object>} The Schedule.
+ */
+async function createSchedule(data) {
+    const schedule = { jitter_seconds: 0, timezone: null, quiet_hours_start: null, quiet_hours_end: null, ...data };
+    return prisma.schedule.create({
+        data: { ...data, next_run_at: computeNextRun(schedule) },
+        include: { account: true },
+    });
+}
+
+/**
+ * Updates a schedule. Changing its timing recomputes the next run; enabling
+ * it again also clears its failure count.
+ * @param {number} id - The Schedule id.
+ * @param {object} data - Validated schedule fields.
+ * @returns {Promise<object|null>} The Schedule, or null when it does not exist.
+ */
+async function updateSchedule(id, data) {
+    const existing = await prisma.schedule.findUnique({ where: { id } });
+    if (!existing) return null;
+
+    const update = { ...data };
+    const merged = { ...existing, ...data };
+    if (data.enabled === true && !existing.enabled) update.consecutive_failures = 0;
+    if (['cron', 'timezone', 'jitter_seconds', 'quiet_hours_start', 'quiet_hours_end', 'enabled'].some(field => field in data)) {
+        update.next_run_at = computeNextRun(merged);
+    }
+    return prisma.schedule.update({ where: { id }, data: update, include: { account: true } });
+}
+
+/**
+ * Starts the scheduler: fills in missing next run times, then checks for
+ * due schedules every tick. Called once when the server starts.
+ */
+async function startScheduler() {
+    if (process.env.SCHEDULER_ENABLED === 'false' || timer) return;
+
+    scrapeEvents.on('finished', event => {
+        recordOutcome(event).catch(error => {
+            logger.error('Could not record the outcome of a run', { run_id: event.run.id, error });
+        });
+    });
+
+    const unscheduled = await prisma.schedule.findMany({ where: { enabled: true, next_run_at: null } });
+    for (const schedule of unscheduled) {
+        await prisma.schedule.update({ where: { id: schedule.id }, data: { next_run_at: computeNextRun(schedule) } });
+    }
+
+    timer = setInterval(tick, TICK_MS);
+    tick();
+}
+
+export {
+    validateSchedule,
+    computeNextRun,
+    inQuietHours,
+    createSchedule,
+    updateSchedule,
+    startScheduler,
+};
@@ -4,50 +4,29 @@
  *
  * This version fixes session expiration and authentication issues,
  * waits for marks data to load dynamically, prioritizes correct mark extraction,
- * AND saves directly to the Prisma database using the Marksheet model.
+ * AND saves directly to the Prisma database (Student, AcademicPeriod, Course and Result models).
  *
  * FIX: Addressed DOMException for invalid ':is()' and ':contains()' selectors.
  * FIX: Addressed 'No element found for selector: #txtUserName' by adding a waitForSelector.
  * FIX: Improved checkSessionValidity to correctly identify logged-in dashboard page.
  * NEW: Added fallback for student_uuid in saveMarksDataToPrisma.
+ * NEW: Selectors, keywords and column mappings come from a site profile (profiles/, see siteProfile.js).
+ * NEW: JSON log lines (logger.js), the save step's included, and per-run artifacts (log, screenshots, page sources, extracted marks) in settings.artifactsDir.
+ * NEW: Portal pages are retried on transient failures (resilience.js) and waits end on conditions, not fixed sleeps.
+ * NEW: Default settings, status codes, steps and the per-run context are in scrapeContext.js.
  */
 
 import puppeteer from 'puppeteer';
 import fs from 'fs';
 import path from 'path';
-import { PrismaClient } from '../src/generated/prisma/client.js'; // Adjust the path as necessary
-import dotenv from 'dotenv';
-import { fileURLToPath } from 'url'; // Required for __dirname equivalent in ESM
-import { dirname } from 'path'; // Required for __dirname equivalent in ESM
-
-// Get __dirname equivalent in ESM
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-dotenv.config(); // Load environment variables from .env file
-
-// Initialize Prisma Client
-const prisma = new PrismaClient({
-    datasources: {
-        db: {
-            url: process.env.DATABASE_URL, // Ensure DATABASE_URL is set in your .env
-        },
-    },
-});
-
-// Import configurations (assuming these config files will also be ESM or handle mixed imports)
-// If config/credentials.js and config/settings.js are still CommonJS, you might need dynamic import:
-// const credentials = (await import('../config/credentials.js')).default;
-// const settings = (await import('../config/settings.js')).default;
-// For simplicity, assuming they are or will be converted to ESM and export default.
-import credentials from '../config/credentials.js';
-import settings from '../config/settings.js';
-
-// Paths for cookie storage
-const COOKIES_PATH = path.join(settings.dataDir, 'cookies.json');
-
-// Helper function to safely delay execution
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+import prisma from './prismaClient.js';
+import { saveMarksDataToPrisma } from './marksheetService.js';
+import { hasMarksheetContent, inspectMarksLoading, extractMarksFromDocument, mergeMarksData, summarizeLayout } from './marksheetParser.js';
+import { loadSiteProfile } from './siteProfile.js';
+import { logger, fileSink } from './logger.js';
+import { countScrapeRun, observeScrapeStep, countLogin, countPortalRetry } from './metrics.js';
+import { PortalError, statusKind, isTransientError, retryPolicy, withRetry, waitFor, sleep } from './resilience.js';
+import { DEFAULT_SETTINGS, SCRAPE_STATUS, SUCCESS_STATUSES, SCRAPE_STEPS, createContext, captchaOutcome, loginOutcome } from './scrapeContext.js';
 
 // Helper function to ensure a directory exists
 const ensureDirExists = dirPath => {
@@ -56,58 +35,151 @@ const ensureDirExists = dirPath => {
   }
 };
 
-// Ensure data and screenshots directories exist
-ensureDirExists(settings.dataDir);
-ensureDirExists(settings.screenshotsDir);
+/**
+ * Records a file of the run's artifacts directory in ctx.artifacts and
+ * through options.onArtifact.
+ */
+async function recordArtifact(ctx, { kind, name, file, mimeType }) {
+  const artifact = { kind, name, path: file, mime_type: mimeType, step: ctx.step, created_at: new Date().toISOString() };
+  ctx.artifacts.push(artifact);
+  try {
+    await ctx.onArtifact(artifact);
+  } catch (error) {
+    ctx.log.warn('Could not index an artifact', { artifact: file, error });
+  }
+  return artifact;
+}
 
 /**
- * Takes a screenshot and saves it to the screenshots directory
+ * Writes a file to the run's artifacts directory and records it. File names
+ * are numbered, so that a run never overwrites what it kept earlier.
+ * @param {function(string): Promise} write - Writes the file at the path given.
+ * @returns {Promise<object|null>} The artifact, or null when the file could not be written.
  */
-async function takeScreenshot(page, name) {
+async function saveArtifact(ctx, { kind, name, extension, mimeType }, write) {
+  const number = String(ctx.artifacts.length + 1).padStart(3, '0');
+  const file = path.join(ctx.runDir, `${number}_${name}.${extension}`);
   try {
-    const filename = path.join(settings.screenshotsDir, `${name}.png`);
-    await page.screenshot({ path: filename, fullPage: true });
-    console.log(`Screenshot saved: ${filename}`);
-    return filename;
+    await write(file);
   } catch (error) {
-    console.log(`Failed to take screenshot: ${error.message}`);
+    ctx.log.warn(`Could not save the ${kind} ${name}`, { error });
     return null;
   }
+  ctx.log.debug(`Saved the ${kind} ${name}`, { artifact: file });
+  return recordArtifact(ctx, { kind, name, file, mimeType });
+}
+
+/**
+ * Takes a full-page screenshot as an artifact of the run.
+ */
+function takeScreenshot(ctx, page, name) {
+  return saveArtifact(ctx, { kind: 'screenshot', name, extension: 'png', mimeType: 'image/png' },
+    file => page.screenshot({ path: file, fullPage: true }));
+}
+
+/**
+ * Keeps the page source as an artifact of the run, to replay the extraction
+ * offline (npm run parse-marksheet) or see what the scraper saw.
+ */
+async function savePageHtml(ctx, page, name) {
+  return saveArtifact(ctx, { kind: 'html', name, extension: 'html', mimeType: 'text/html' },
+    async file => fs.promises.writeFile(file, await page.content()));
+}
+
+/**
+ * Throws a PortalError for an error answer of the portal, transient for 5xx, 408 and 429.
+ * @param {import('puppeteer').HTTPResponse|null} response
+ * @param {string} url
+ */
+function checkResponse(response, url) {
+  const status = response ? response.status() : null;
+  if (status !== null && status >= 400) {
+    throw new PortalError(`${url} answered HTTP ${status}`, { kind: statusKind(status), status });
+  }
+}
+
+/**
+ * Opens a portal page, retrying transient failures (timeouts, network errors,
+ * 5xx) with the retry policy of the step. The last failure is thrown.
+ * @param {object} [options]
+ * @param {string} [options.step=ctx.step] - The step whose retry policy applies.
+ * @returns {Promise<import('puppeteer').HTTPResponse|null>}
+ */
+function openPage(ctx, page, url, { step = ctx.step, timeout = ctx.settings.navigationTimeoutMs } = {}) {
+  return withRetry(async () => {
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+    checkResponse(response, url);
+    return response;
+  }, {
+    policy: retryPolicy(step, ctx.settings.retry),
+    signal: ctx.signal,
+    onRetry: ({ error, attempt, delayMs }) => {
+      countPortalRetry(step);
+      ctx.log.warn('Portal page failed, retrying', { url, attempt, delayMs, error });
+    },
+  });
+}
+
+/**
+ * Waits until check() holds, for at most settings.settleTimeoutMs. A check
+ * that throws, e.g. on a page torn down by a navigation, counts as not yet.
+ * @param {function(): Promise<*>} check
+ * @returns {Promise<boolean>}
+ */
+async function waitForPage(ctx, check) {
+  const result = await waitFor(async () => {
+    try {
+      return await check();
+    } catch {
+      return false;
+    }
+  }, { timeoutMs: ctx.settings.settleTimeoutMs, signal: ctx.signal });
+  return Boolean(result);
+}
+
+/**
+ * Waits for the page to settle after a navigation or postback: the document
+ * loaded and the network quiet for half a second.
+ */
+async function waitForSettled(ctx, page) {
+  const ready = await waitForPage(ctx, () => page.evaluate(() => document.readyState === 'complete'));
+  const idle = ready && await page.waitForNetworkIdle({ idleTime: 500, timeout: ctx.settings.settleTimeoutMs }).then(() => true, () => false);
+  if (!idle) ctx.log.debug('Page not settled in time, going on', { timeoutMs: ctx.settings.settleTimeoutMs });
 }
 
 /**
  * Check if current page is login page
  * Now more robust, checking for successful login indicators.
  */
-async function isLoginPage(page) {
+async function isLoginPage(ctx, page) {
   try {
+    const { login, session } = ctx.profile;
     const url = page.url();
     const title = await page.title();
+    const urlLower = url.toLowerCase();
+    const titleLower = title.toLowerCase();
     
-    // Primary check: URL or title contains 'login' or is default.aspx
-    const isLoginUrlOrTitle = url.toLowerCase().includes('login') || 
-                              title.toLowerCase().includes('login') ||
-                              url.toLowerCase().includes('default.aspx');
+    // Primary check: URL or title has one of the profile's login keywords
+    const isLoginUrlOrTitle = (login.urlKeywords || []).some(keyword => urlLower.includes(keyword)) ||
+                              (login.titleKeywords || []).some(keyword => titleLower.includes(keyword));
     
     // Check for presence of login form elements
-    const hasLoginFormElements = await page.$('#txtUserName') !== null && await page.$('#txtPassword') !== null;
+    const hasLoginFormElements = await page.$(login.usernameSelector) !== null && await page.$(login.passwordSelector) !== null;
     
-    // Check for absence of typical post-login elements (e.g., dashboard links)
-    // **IMPORTANT: CUSTOMIZE THESE SELECTORS FOR YOUR ULK MIS DASHBOARD/POST-LOGIN PAGE**
-    // Add specific selectors that ONLY appear when successfully logged in (e.g., your student ID, welcome message)
-    const hasPostLoginIndicator = await page.$('a[href*="Logout.aspx"]') !== null || // Common logout link
-                                   await page.$('#ctl00_lblWelcomeMessage') !== null || // Common ASP.NET welcome message label ID
-                                   await page.$('#ctl00_ContentPlaceHolder1_StudentNameLabel') !== null || // Example of a student name label on dashboard
-                                   await page.$('a[href*="Marksheet.aspx"]') !== null || // A link to the marksheet from dashboard
-                                   url.toLowerCase().includes('dashboard'); // If the URL itself is dashboard
+    // Check for elements or URLs that only appear when logged in (logout link, welcome message, dashboard URL)
+    let hasPostLoginIndicator = (session.loggedInUrlKeywords || []).some(keyword => urlLower.includes(keyword));
+    for (const selector of session.loggedInSelectors) {
+      if (hasPostLoginIndicator) break;
+      hasPostLoginIndicator = await page.$(selector) !== null;
+    }
 
     const actualIsLoginPage = (isLoginUrlOrTitle && hasLoginFormElements) || // Definitely login page (has login elements and URL/title matches)
-                              (!hasPostLoginIndicator && !url.toLowerCase().includes('marksheet') && !url.toLowerCase().includes('dashboard')); // Not login, but no positive login indicators either, and not on marksheet/dashboard
+                              !hasPostLoginIndicator; // Not login, but no positive login indicators either
 
-    console.log(`Page check - URL: ${url}, Title: ${title}, Is Login: ${actualIsLoginPage}`);
+    ctx.log.debug('Page check', { url, title, isLoginPage: actualIsLoginPage });
     return actualIsLoginPage;
   } catch (error) {
-    console.log('Error checking if login page:', error.message);
+    ctx.log.warn('Could not check for the login page', { error });
     return false;
   }
 }
@@ -115,82 +187,94 @@ async function isLoginPage(page) {
 /**
  * Enhanced login function with better session handling
  */
-async function performLogin(page) {
-  console.log('=== PERFORMING LOGIN ===');
-  
-  console.log('Navigating to login page:', settings.loginUrl);
-  await page.goto(settings.loginUrl, { waitUntil: 'domcontentloaded', timeout: settings.navigationTimeoutMs });
-  
-  await delay(settings.pageLoadWaitMs); // Give it a moment after initial load
+async function performLogin(ctx, page) {
+  ctx.log.info('Opening the login page', { url: ctx.settings.loginUrl });
+  await openPage(ctx, page, ctx.settings.loginUrl);
 
   const currentUrlAfterGoto = page.url();
   const currentPageTitleAfterGoto = await page.title();
-  console.log(`Current URL after goto: ${currentUrlAfterGoto}`);
-  console.log(`Current page title after goto: ${currentPageTitleAfterGoto}`);
+  ctx.log.debug('Login page opened', { url: currentUrlAfterGoto, title: currentPageTitleAfterGoto });
+
+  const { login } = ctx.profile;
 
   // Add a robust wait for the username field to appear
-  console.log('Waiting for username field (#txtUserName) to be visible...');
+  ctx.log.debug('Waiting for the username field', { selector: login.usernameSelector });
   try {
-    await page.waitForSelector('#txtUserName', { visible: true, timeout: 15000 }); // Increased timeout
-    console.log('Username field (#txtUserName) is visible.');
+    await page.waitForSelector(login.usernameSelector, { visible: true, timeout: 15000 }); // Increased timeout
+    ctx.log.debug('Username field visible', { selector: login.usernameSelector });
   } catch (error) {
-    console.error('❌ Username field (#txtUserName) not found or not visible after navigation to login URL:', error.message);
-    await takeScreenshot(page, 'login_page_no_username_field');
+    ctx.log.error('Username field not found on the login page', { selector: login.usernameSelector, url: page.url(), error });
+    await takeScreenshot(ctx, page, 'login_page_no_username_field');
+    await savePageHtml(ctx, page, 'login_page_no_username_field');
     // Check if it redirected to home page
-    if (currentUrlAfterGoto.includes('Home.aspx') || currentUrlAfterGoto === settings.dashboardUrl) {
-      console.log('It appears we were redirected to the home/dashboard page. Session might be implicitly valid or not requiring direct login.');
+    const redirectedHome = (login.redirectUrlKeywords || []).some(keyword => currentUrlAfterGoto.toLowerCase().includes(keyword));
+    if (redirectedHome || currentUrlAfterGoto === ctx.settings.dashboardUrl) {
+      ctx.log.info('Redirected to the dashboard instead of the login form; the session may already be valid', { url: page.url() });
       return 'already_logged_in_or_redirected'; // New return state
     }
     return 'login_page_element_missing'; // Indicate failure
   }
   
-  await takeScreenshot(page, 'login_page_ready_for_input');
-  
-  console.log('Filling in credentials...');
-  await page.evaluate(() => {
-    const userField = document.querySelector('#txtUserName');
-    const passField = document.querySelector('#txtPassword');
-    if (userField) userField.value = '';
-    if (passField) passField.value = '';
-  });
+  await takeScreenshot(ctx, page, 'login_page_ready_for_input');
   
-  await page.type('#txtUserName', credentials.username, { delay: 50 });
-  await page.type('#txtPassword', credentials.password, { delay: 50 });
+  await fillCredentials(ctx, page);
   
-  const captchaField = await page.$('#txtimgcode');
+  const captchaField = login.captchaSelector ? await page.$(login.captchaSelector) : null;
   
   if (captchaField) {
-    console.log('⚠️  CAPTCHA detected! Switching to visible browser...');
+    ctx.log.warn('CAPTCHA detected on the login page');
     return 'captcha_required';
   }
   
-  console.log('Clicking login button...');
-  await takeScreenshot(page, 'before_login_click');
+  return submitLogin(ctx, page);
+}
+
+/**
+ * Clears the login form and types the credentials.
+ */
+async function fillCredentials(ctx, page) {
+  const { login } = ctx.profile;
+  ctx.log.debug('Filling in the credentials');
+  await page.evaluate((usernameSelector, passwordSelector) => {
+    const userField = document.querySelector(usernameSelector);
+    const passField = document.querySelector(passwordSelector);
+    if (userField) userField.value = '';
+    if (passField) passField.value = '';
+  }, login.usernameSelector, login.passwordSelector);
   
-  await page.waitForSelector('#btnLogIn', { visible: true, timeout: 10000 });
-  await Promise.all([
-      page.waitForNavigation({ waitUntil: 'networkidle2', timeout: settings.navigationTimeoutMs * 2 }),
-      page.click('#btnLogIn'),
-  ]);
+  await page.type(login.usernameSelector, ctx.credentials.username, { delay: 50 });
+  await page.type(login.passwordSelector, ctx.credentials.password, { delay: 50 });
+}
+
+/**
+ * Clicks the login button of the filled form and checks where it led.
+ * Saves the cookies and returns 'success' once off the login page, 'login_failed' otherwise.
+ */
+async function submitLogin(ctx, page) {
+  const { login } = ctx.profile;
+  ctx.log.debug('Submitting the login form');
+  await takeScreenshot(ctx, page, 'before_login_click');
   
-  await delay(settings.pageLoadWaitMs * 2);
+  await page.waitForSelector(login.submitSelector, { visible: true, timeout: 10000 });
+  // Not retried: submitting the credentials again could count as another failed login
+  const [response] = await Promise.all([
+      page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: ctx.settings.navigationTimeoutMs * 2 }),
+      page.click(login.submitSelector),
+  ]);
+  checkResponse(response, page.url());
+  await waitForSettled(ctx, page);
   
-  await takeScreenshot(page, 'after_login_attempt');
+  await takeScreenshot(ctx, page, 'after_login_attempt');
+  await savePageHtml(ctx, page, 'after_login_attempt');
   
   const currentUrl = page.url();
-  const isStillLogin = await isLoginPage(page);
+  const isStillLogin = await isLoginPage(ctx, page);
   
-  console.log(`After login - URL: ${currentUrl}`);
-  console.log(`Still on login page: ${isStillLogin}`);
+  ctx.log.debug('Login submitted', { url: currentUrl, isLoginPage: isStillLogin });
   
   if (isStillLogin) {
-    const errorMessages = await page.evaluate(() => {
+    const errorMessages = await page.evaluate(errorSelectors => {
       const errors = [];
-      const errorSelectors = [
-        '.error', '.alert', '.message', '[id*="error"]', '[id*="Error"]',
-        '[class*="error"]', '[class*="Error"]', 'span[style*="color: red"]',
-        'td[style*="color:red"]', '.validation-summary-errors'
-      ];
       
       errorSelectors.forEach(selector => {
         const elements = document.querySelectorAll(selector);
@@ -201,78 +285,114 @@ async function performLogin(page) {
       });
       
       return errors;
-    });
+    }, login.errorSelectors || []);
     
     if (errorMessages.length > 0) {
-      console.log('❌ Login failed with errors:', errorMessages);
+      ctx.log.warn('Login failed', { errors: errorMessages });
       return 'login_failed';
     } else {
-      console.log('❌ Login failed - still on login page but no error messages found. Current URL:', currentUrl);
+      ctx.log.warn('Login failed: still on the login page, without an error message', { url: currentUrl });
       return 'login_failed';
     }
   }
   
-  console.log('✅ Login appears successful!');
+  ctx.log.info('Login succeeded');
   
   const cookies = await page.cookies();
-  fs.writeFileSync(COOKIES_PATH, JSON.stringify(cookies, null, 2));
-  console.log('Cookies saved for future sessions');
+  fs.writeFileSync(ctx.cookiesPath, JSON.stringify(cookies, null, 2));
+  ctx.log.debug('Cookies saved for the next runs', { file: ctx.cookiesPath });
   
   return 'success';
 }
 
+/**
+ * Hands a CAPTCHA off to whoever can solve it: captures the challenge image,
+ * waits for `onCaptcha` to return the solution, then fills it in and submits
+ * the login in the same page. A rejected solution (a new challenge appears)
+ * is retried up to settings.captchaMaxAttempts times.
+ * Returns 'success', 'captcha_expired' (no solution in time), 'captcha_rejected' or 'login_failed'.
+ */
+async function handOffCaptcha(ctx, page, onCaptcha) {
+  const { login } = ctx.profile;
+  const maxAttempts = ctx.settings.captchaMaxAttempts;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const imageElement = login.captchaImageSelector ? await page.$(login.captchaImageSelector) : null;
+    if (!imageElement) ctx.log.warn('CAPTCHA image not found, handing off a screenshot of the page instead');
+    // The image is captured as rendered, so the solution matches this browser session
+    const image = Buffer.from(await (imageElement || page).screenshot({ type: 'png' }));
+    await takeScreenshot(ctx, page, `captcha_challenge_${attempt}`);
+
+    ctx.log.info('CAPTCHA handed off, waiting for a solution', { attempt, maxAttempts, timeoutMs: ctx.settings.captchaSolveTimeMs });
+    const solution = await onCaptcha({ image, mimeType: 'image/png', attempt, timeoutMs: ctx.settings.captchaSolveTimeMs });
+    if (!solution) {
+      ctx.log.warn('No CAPTCHA solution received in time', { attempt });
+      return 'captcha_expired';
+    }
+
+    // A failed post-back may have cleared the password, so the whole form is filled again
+    await fillCredentials(ctx, page);
+    await page.evaluate(selector => {
+      const field = document.querySelector(selector);
+      if (field) field.value = '';
+    }, login.captchaSelector);
+    await page.type(login.captchaSelector, solution, { delay: 50 });
+
+    const result = await submitLogin(ctx, page);
+    if (result === 'success') return result;
+    if (!(await page.$(login.captchaSelector))) return result;
+    ctx.log.warn('CAPTCHA solution rejected, a new challenge is shown', { attempt });
+  }
+  return 'captcha_rejected';
+}
+
 /**
  * Checks if the current session is valid by trying to access a known post-login element
  * or URL that shouldn't redirect if logged in.
+ * Throws when the portal stays unavailable through the retries: logging in would fail as well.
  */
-async function checkSessionValidity(page) {
+async function checkSessionValidity(ctx, page) {
     try {
-        console.log(`Attempting to navigate to dashboard (${settings.dashboardUrl}) to check session...`);
-        // Navigate, and wait for network to be idle to ensure all resources are loaded
-        await page.goto(settings.dashboardUrl, { waitUntil: 'networkidle2', timeout: 15000 });
-        await delay(settings.pageLoadWaitMs * 2);
+        ctx.log.info('Checking the session on the dashboard', { url: ctx.settings.dashboardUrl });
+        await openPage(ctx, page, ctx.settings.dashboardUrl);
+        // The dashboard, or the login form an expired session is sent to
+        const { session, login } = ctx.profile;
+        await waitForPage(ctx, () => page.evaluate(
+            selectors => selectors.some(selector => document.querySelector(selector) !== null),
+            [...session.dashboardSelectors, login.usernameSelector],
+        ));
 
         const currentUrl = page.url();
-        const isLogin = await isLoginPage(page);
+        const isLogin = await isLoginPage(ctx, page);
 
         if (isLogin) {
-            console.log('Session check: Redirected to login page. Session invalid.');
+            ctx.log.info('Session invalid: redirected to the login page', { url: currentUrl });
             return false;
         }
 
-        const loggedInIndicators = await page.evaluate(() => {
-            const logoutLink = document.querySelector('a[href*="Logout.aspx"]');
-            const marksheetLink = document.querySelector('a[href*="Marksheet.aspx"]');
-            const welcomeMessage = document.querySelector('[id*="Welcome"], [class*="welcome"]');
-            const studentInfoArea = document.querySelector('#studentInfo, #profileArea, #userInfo');
-            const mainContentArea = document.querySelector('#mainContent, .container');
-
-            return (logoutLink !== null || marksheetLink !== null || welcomeMessage !== null || studentInfoArea !== null || mainContentArea !== null);
-        });
+        const loggedInIndicators = await page.evaluate(
+            selectors => selectors.some(selector => document.querySelector(selector) !== null),
+            ctx.profile.session.dashboardSelectors,
+        );
 
-        // --- ADDED DEBUGGING LOGS HERE ---
-        const expectedDashboardUrlLower = settings.dashboardUrl.toLowerCase();
-        const currentUrlLower = currentUrl.toLowerCase();
-        const urlIncludesCheck = currentUrlLower.includes(expectedDashboardUrlLower);
-        console.log(`DEBUG: Expected Dashboard URL (lower): ${expectedDashboardUrlLower}`);
-        console.log(`DEBUG: Current URL (lower): ${currentUrlLower}`);
-        console.log(`DEBUG: currentUrl.includes(expectedDashboardUrlLower): ${urlIncludesCheck}`);
-        console.log(`DEBUG: loggedInIndicators: ${loggedInIndicators}`);
-        // --- END DEBUGGING LOGS ---
+        const urlIncludesCheck = currentUrl.toLowerCase().includes(ctx.settings.dashboardUrl.toLowerCase());
+        ctx.log.debug('Session check', { url: currentUrl, onDashboardUrl: urlIncludesCheck, loggedInIndicators });
 
 
         if (urlIncludesCheck && loggedInIndicators) { // Use the pre-calculated urlIncludesCheck
-            console.log('Session check: Appears valid. On dashboard URL with logged-in indicators. Current URL:', currentUrl);
+            ctx.log.info('Session valid: on the dashboard with logged-in indicators', { url: currentUrl });
             return true;
         }
         
-        console.log(`Session check: Failed. Current URL: ${currentUrl}, Is Login: ${isLogin}, Logged-in Indicators present: ${loggedInIndicators}`);
-        await takeScreenshot(page, 'session_check_fail_after_navigation');
+        ctx.log.info('Session invalid: not on the dashboard', { url: currentUrl, isLoginPage: isLogin, loggedInIndicators });
+        await takeScreenshot(ctx, page, 'session_check_fail_after_navigation');
+        await savePageHtml(ctx, page, 'session_check_fail_after_navigation');
         return false;
 
     } catch (error) {
-        console.log('Session check error (could be timeout or network issue):', error.message);
-        await takeScreenshot(page, 'session_check_exception');
+        if (isTransientError(error)) throw error;
+        ctx.log.warn('Session check failed', { error });
+        await takeScreenshot(ctx, page, 'session_check_exception');
         return false;
     }
 }
@@ -281,97 +401,56 @@ async function checkSessionValidity(page) {
 /**
  * Navigate to marksheet with session validation
  * Now also includes a robust check for marks-related content.
+ * Throws when the portal stays unavailable through the retries.
  */
-async function navigateToMarksheet(page) {
-  console.log('=== NAVIGATING TO MARKSHEET ===');
+async function navigateToMarksheet(ctx, page) {
   
-  console.log(`Navigating to: ${settings.marksheetUrl}`);
+  ctx.log.info('Opening the marksheet', { url: ctx.settings.marksheetUrl });
   
   try {
-    await page.goto(settings.marksheetUrl, { 
-      waitUntil: 'networkidle2',
-      timeout: settings.navigationTimeoutMs * 2
-    });
+    await openPage(ctx, page, ctx.settings.marksheetUrl, { timeout: ctx.settings.navigationTimeoutMs * 2 });
   } catch (error) {
-    console.log(`Navigation error to marksheet URL (${settings.marksheetUrl}):`, error.message);
+    if (isTransientError(error)) throw error;
+    ctx.log.warn('Navigation to the marksheet failed', { url: ctx.settings.marksheetUrl, error });
+    await takeScreenshot(ctx, page, 'marksheet_navigation_failed');
+    return false;
   }
   
-  await delay(settings.pageLoadWaitMs * 5);
+  // Marksheet content, or the login form of an expired session
+  await waitForPage(ctx, async () => await page.evaluate(hasMarksheetContent, null, { profile: ctx.profile }) ||
+    await page.$(ctx.profile.login.usernameSelector) !== null);
   
-  await takeScreenshot(page, 'marksheet_page_initial_after_nav_delay');
+  await takeScreenshot(ctx, page, 'marksheet_page_initial');
   
-  const isLogin = await isLoginPage(page);
+  const isLogin = await isLoginPage(ctx, page);
   
   if (isLogin) {
-    console.log('❌ Redirected to login page after marksheet navigation - session expired or invalid');
+    ctx.log.warn('Redirected to the login page from the marksheet; the session expired', { url: page.url() });
     return false;
   }
 
-  // --- NEW: Robust check for marksheet content ---
-  // **CRITICAL:** YOU MUST CUSTOMIZE THESE SELECTORS BASED ON THE ACTUAL ULK MIS PAGE.
-  const hasMarksContent = await page.evaluate(() => {
-    // Check for common grid view tables used for marks
-    const gridViewMarks = document.querySelector('table[id*="GridviewMarks"], table[id*="gvMarks"], table[id*="MarksTable"], table[class*="marks-table"]');
-    if (gridViewMarks) {
-        console.log("PAGE_EVAL: Found marksheet grid view table.");
-        return true;
-    }
-
-    // Check for headings that indicate academic results using standard selectors and text content check
-    const marksPageHeadings = document.querySelectorAll('h1, h2, h3, h4, span[id*="lblPageTitle"]');
-    for (const heading of Array.from(marksPageHeadings)) {
-        const text = heading.textContent.trim();
-        if (text.includes("Academic Results") || text.includes("My Grades") || text.includes("Marks") || text.includes("Academic Transcripts")) {
-            console.log("PAGE_EVAL: Found marksheet heading:", text);
-            return true;
-        }
-    }
-
-    // Generic check for tables containing marks-related keywords
-    const tables = document.querySelectorAll('table');
-    const marksKeywords = ['course code', 'subject name', 'module title', 'ca mark', 'cat1', 'cat2', 'exam mark', 'total mark', 'grade point', 'grade', 'credits', 'status'];
-    
-    for (const table of Array.from(tables)) {
-      const headerRow = table.querySelector('thead tr, tbody tr:first-child');
-      if (headerRow) {
-        const headerText = headerRow.textContent.toLowerCase();
-        if (marksKeywords.some(keyword => headerText.includes(keyword))) {
-          const rows = table.querySelectorAll('tr');
-          if (rows.length >= 2) { // At least one header row and one data row
-            console.log("PAGE_EVAL: Found table with marks-related keywords in headers and data rows.");
-            return true;
-          }
-        }
-      }
-    }
-    
-    // Fallback: Check for key phrases in the body text
-    const bodyText = document.body.innerText.toLowerCase();
-    const hasRequiredKeywords = bodyText.includes('course code') && (bodyText.includes('total marks') || bodyText.includes('final grade') || bodyText.includes('credits acquired'));
-    if (hasRequiredKeywords) {
-        console.log("PAGE_EVAL: Found marks-related keywords in body text.");
-        return true;
-    }
-
-    console.log("PAGE_EVAL: No marksheet content indicators found.");
-    return false;
-  });
+  // Marks grid, results heading, marks table headers or keywords; see marksheetParser.js
+  const hasMarksContent = await page.evaluate(hasMarksheetContent, null, { profile: ctx.profile });
 
   if (!hasMarksContent) {
-    console.log('❌ Marksheet content (expected tables/headings/text) not found after navigation. Likely not on the correct page or data hasn\'t loaded.');
-    await takeScreenshot(page, 'marksheet_content_missing_after_robust_check');
+    ctx.log.warn('No marksheet content (tables, headings or text of the profile) on the page', { url: page.url() });
+    await takeScreenshot(ctx, page, 'marksheet_content_missing_after_robust_check');
+    await savePageHtml(ctx, page, 'marksheet_content_missing_after_robust_check');
     return false;
   }
   
-  console.log('✅ Successfully reached marksheet page and robust marks content check passed.');
+  ctx.log.info('Marksheet reached', { url: page.url() });
   return true;
 }
 
+// Time between two looks at the marks while they load
+const MARKS_POLL_INTERVAL_MS = 2000;
+
 /**
  * Wait for marks data to load dynamically
  */
-async function waitForMarksToLoad(page, maxWaitTime = 75000) {
-  console.log('⏳ Waiting for marks data to load dynamically...');
+async function waitForMarksToLoad(ctx, page, maxWaitTime = 75000) {
+  ctx.log.info('Waiting for the marks to load', { timeoutMs: maxWaitTime });
   
   const startTime = Date.now();
   let previousTableCount = 0;
@@ -379,72 +458,20 @@ async function waitForMarksToLoad(page, maxWaitTime = 75000) {
   let stableCount = 0;
   const requiredStableChecks = 3;
   
-  while (Date.now() - startTime < maxWaitTime) {
+  while (Date.now() - startTime < maxWaitTime && !(ctx.signal && ctx.signal.aborted)) {
     try {
-      const loadingData = await page.evaluate(() => {
-        const loadingIndicators = [
-          'loading', 'spinner', 'wait', 'processing', 'please wait',
-          'loading...', 'fetching', 'retrieving', 'generating', 'calculating'
-        ];
-        
-        const bodyText = document.body.innerText.toLowerCase();
-        const hasLoadingText = loadingIndicators.some(indicator => 
-          bodyText.includes(indicator)
-        );
-        
-        const loadingElements = document.querySelectorAll([
-          '.loading', '.spinner', '.loader', 
-          '[class*="loading"]', '[id*="loading"]',
-          '[class*="spinner"]', '[id*="spinner"]',
-          '[style*="cursor:wait"]', '[aria-busy="true"]',
-          '#updateProgress', '#ajaxLoader', '.blockUI'
-        ].join(','));
-        
-        const visibleLoadingElements = Array.from(loadingElements).filter(el => {
-          const style = window.getComputedStyle(el);
-          return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
-        });
-        
-        const tables = document.querySelectorAll('table');
-        const marksKeywords = [
-          'course', 'subject', 'module', 'code',
-          'mark', 'marks', 'score', 'grade', 'point',
-          'credit', 'cat1', 'cat2', 'exam', 'total'
-        ];
-        
-        let marksTables = 0;
-        let totalMarksRows = 0;
-        
-        tables.forEach(table => {
-          const tableText = table.innerText.toLowerCase();
-          const hasMarksKeywords = marksKeywords.some(keyword => 
-            tableText.includes(keyword)
-          );
-          
-          if (hasMarksKeywords) {
-            marksTables++;
-            const rows = table.querySelectorAll('tr');
-            totalMarksRows += rows.length;
-          }
-        });
-        
-        return {
-          hasLoadingText,
-          visibleLoadingElementsCount: visibleLoadingElements.length,
-          totalTables: tables.length,
-          marksTables,
-          totalMarksRows,
-          contentLength: bodyText.length,
-          hasContent: bodyText.length > 1000,
-          sampleText: bodyText.substring(0, 300)
-        };
-      });
+      const loadingData = await page.evaluate(inspectMarksLoading, null, { profile: ctx.profile });
       
-      console.log(`Loading check - Tables: ${loadingData.totalTables}, Marks Tables: ${loadingData.marksTables}, Visible Loading Elements: ${loadingData.visibleLoadingElementsCount}, Content: ${loadingData.contentLength} chars`);
+      ctx.log.debug('Loading check', {
+        tables: loadingData.totalTables,
+        marksTables: loadingData.marksTables,
+        loadingElements: loadingData.visibleLoadingElementsCount,
+        contentLength: loadingData.contentLength,
+      });
       
       if (loadingData.hasLoadingText || loadingData.visibleLoadingElementsCount > 0) {
-        console.log('📊 Still loading (loading indicators present)...');
-        await delay(3000);
+        ctx.log.debug('Still loading (loading indicators present)');
+        await sleep(MARKS_POLL_INTERVAL_MS, ctx.signal);
         continue;
       }
       
@@ -452,419 +479,359 @@ async function waitForMarksToLoad(page, maxWaitTime = 75000) {
           loadingData.contentLength === previousContentLength &&
           loadingData.marksTables > 0) {
         stableCount++;
-        console.log(`✓ Content stable check ${stableCount}/${requiredStableChecks}`);
+        ctx.log.debug('Content stable', { stableCount, requiredStableChecks });
         
         if (stableCount >= requiredStableChecks) {
-          console.log('✅ Content has stabilized with marks data present');
+          ctx.log.info('Marks loaded: content stable with marks tables present');
           break;
         }
       } else {
         stableCount = 0;
         if (loadingData.marksTables > previousTableCount || 
             loadingData.contentLength > previousContentLength) {
-          console.log('📈 Content is still growing or marks tables are appearing...');
+          ctx.log.debug('Content still growing');
         } else if (loadingData.totalTables === 0 && loadingData.contentLength < 500) {
-          console.log('⚠️ Page seems empty or minimal, might be an issue.');
+          ctx.log.warn('Page empty or almost', { contentLength: loadingData.contentLength });
         }
       }
       
       previousTableCount = loadingData.totalTables;
       previousContentLength = loadingData.contentLength;
       
-      await delay(2000);
+      await sleep(MARKS_POLL_INTERVAL_MS, ctx.signal);
       
     } catch (error) {
-      console.log('Error during loading check:', error.message);
-      await delay(2000);
+      ctx.log.warn('Loading check failed', { error });
+      await sleep(MARKS_POLL_INTERVAL_MS, ctx.signal);
     }
   }
   
   const waitTime = Date.now() - startTime;
-  console.log(`⏱️  Waited ${Math.round(waitTime / 1000)}s for marks to load`);
   
-  await takeScreenshot(page, 'after_marks_loading_wait');
+  await takeScreenshot(ctx, page, 'after_marks_loading_wait');
+  await savePageHtml(ctx, page, 'after_marks_loading_wait');
   
-  const finalCheck = await page.evaluate(() => {
-    const tables = document.querySelectorAll('table');
-    const marksKeywords = [
-      'course', 'subject', 'module', 'code',
-      'mark', 'marks', 'score', 'grade', 'point',
-      'credit', 'cat1', 'cat2', 'exam', 'total'
-    ];
-    
-    let marksTables = 0;
-    tables.forEach(table => {
-      const tableText = table.innerText.toLowerCase();
-      const hasMarksKeywords = marksKeywords.some(keyword => 
-        tableText.includes(keyword)
-      );
-      if (hasMarksKeywords) marksTables++;
-    });
-    
-    return {
-      totalTables: tables.length,
-      marksTables,
-      hasMarksData: marksTables > 0
-    };
-  });
+  const finalCheck = await page.evaluate(inspectMarksLoading, null, { profile: ctx.profile });
   
-  console.log(`Final check - Total tables: ${finalCheck.totalTables}, Marks tables: ${finalCheck.marksTables}`);
+  ctx.log.info('Done waiting for the marks', { waitedMs: waitTime, tables: finalCheck.totalTables, marksTables: finalCheck.marksTables });
   
-  return finalCheck.hasMarksData;
+  return finalCheck.marksTables > 0;
 }
 
 /**
- * Enhanced marks extraction with better error handling and comprehensive field mapping.
+ * Extracts the marks from the loaded marksheet page (see extractMarksFromDocument).
  */
-async function extractMarksData(page) {
-  console.log('=== EXTRACTING MARKS DATA ===');
+async function extractMarksData(ctx, page) {
+  ctx.log.info('Extracting the marks');
   
   try {
-    const marksData = await page.evaluate(() => {
-      const results = {
-        studentInfo: {},
-        semesters: [],
-        debug: {
-          url: window.location.href,
-          title: document.title,
-          totalTables: document.querySelectorAll('table').length,
-          pageText: document.body.innerText.substring(0, 1000)
-        }
-      };
-
-      // --- Debugging logs inside page.evaluate() ---
-      console.log('PAGE_EVAL: Page URL:', window.location.href);
-      console.log('PAGE_EVAL: Page HTML body text (first 500 chars):', document.body.innerText.substring(0, 500));
-      // --- End debugging logs ---
-      
-      // --- Student Information Extraction ---
-      // **IMPORTANT: CUSTOMIZE THESE SELECTORS FOR YOUR ULK MIS STUDENT INFO**
-      const studentInfoSelectors = [
-          { key: 'name', selectors: ['#lblStudentName', '#studentName', '[id*="StudentNameField"]', 'td:contains("Student Name"):nth-of-type(1) + td', '.profile-info strong:first-child'] },
-          { key: 'regNo', selectors: ['#lblRegNo', '#regNo', '[id*="RegNoField"]', 'td:contains("Registration No"):nth-of-type(1) + td', '.profile-info strong:nth-child(2)'] },
-          { key: 'program', selectors: ['#lblProgram', '[id*="ProgramField"]', 'td:contains("Program"):nth-of-type(1) + td'] },
-          { key: 'faculty', selectors: ['#lblFaculty', '[id*="FacultyField"]', 'td:contains("Faculty"):nth-of-type(1) + td'] }
-      ];
-
-      for (const info of studentInfoSelectors) {
-          for (const selector of info.selectors) {
-              try {
-                  let element = document.querySelector(selector);
-                  if (!element && selector.includes(':contains')) {
-                      // Custom logic for :contains pseudo-selector
-                      const potentialParents = document.querySelectorAll(selector.split(':contains')[0]);
-                      for (const parent of Array.from(potentialParents)) {
-                          if (parent.textContent.includes(selector.split('("')[1].split('")')[0])) {
-                              element = parent.nextElementSibling || parent.querySelector('span') || parent.querySelector('div');
-                              if(element) break; // Found element, break from inner loop
-                          }
-                      }
-                  }
-                  if (element && element.textContent.trim()) {
-                      results.studentInfo[info.key] = element.textContent.trim();
-                      console.log(`PAGE_EVAL: Student Info - ${info.key}: ${results.studentInfo[info.key]}`); // Debugging student info
-                      break;
-                  }
-              } catch (e) {
-                  // Ignore selector errors
-              }
-          }
-      }
-
-      // --- Marks Tables Extraction (MODIFIED SECTION) ---
-      const tables = document.querySelectorAll('table');
-      console.log(`PAGE_EVAL: Found ${tables.length} potential marks tables`);
-      
-      tables.forEach((table, index) => {
-        const rows = table.querySelectorAll('tr');
-        if (rows.length < 2) {
-            console.log(`PAGE_EVAL: Table ${index} skipped - less than 2 rows.`);
-            return;
-        }
-        
-        let headerRow = table.querySelector('thead tr');
-        if (!headerRow) {
-            headerRow = rows[0];
-        }
+    return await page.evaluate(extractMarksFromDocument, null, { profile: ctx.profile });
+  } catch (error) {
+    ctx.log.error('Marks extraction failed in the page', { error });
+    return { studentInfo: {}, semesters: [], debug: { error: error.message, stack: error.stack } };
+  }
+}
 
-        const headers = Array.from(headerRow.querySelectorAll('th, td'))
-          .map(cell => cell.textContent.trim().toLowerCase());
-        
-        const marksKeywords = [
-          'course code', 'module code', 'subject code', 'course name', 'module name', 'subject name',
-          'credit', 'credits', 'ch',
-          'ca1', 'cat1', 'cont. assess. 1', 'continuous assessment 1',
-          'ca2', 'cat2', 'cont. assess. 2', 'continuous assessment 2',
-          'exam', 'examination', 'final exam',
-          'total mark', 'overall mark', 'grand total', 'aggregate',
-          'grade', 'letter grade',
-          'grade point', 'gp', 'points',
-          'remarks', 'comment', 'status'
-        ];
-        
-        const isMarksTable = headers.some(header => 
-          marksKeywords.some(keyword => header.includes(keyword))
-        ) && (rows.length > 2);
+/**
+ * Reads the academic period dropdowns of the page (profile interactions.periodSelector),
+ * with their options minus placeholders.
+ * Each dropdown is `{ key, index, label, value, options: [{ value, text }] }`; key
+ * is a selector for it, or null when it has neither id nor name and is found by index.
+ */
+async function findPeriodDropdowns(ctx, page) {
+  const { periodSelector, ignoredOptionKeywords = [] } = ctx.profile.interactions || {};
+  if (!periodSelector) return [];
+  return page.evaluate((selector, ignored) => Array.from(document.querySelectorAll(selector))
+    .filter(el => el.tagName === 'SELECT' && !el.disabled)
+    .map((el, index) => ({
+      key: el.id ? `#${CSS.escape(el.id)}` : (el.name ? `select[name="${CSS.escape(el.name)}"]` : null),
+      index,
+      label: ((el.labels && el.labels[0] && el.labels[0].textContent) || el.name || el.id || `Dropdown ${index + 1}`).trim(),
+      value: el.value,
+      options: Array.from(el.options)
+        .map(option => ({ value: option.value, text: option.textContent.trim() }))
+        .filter(option => option.value !== '' && !ignored.some(keyword => option.text.toLowerCase().includes(keyword))),
+    })), periodSelector, ignoredOptionKeywords);
+}
 
-        if (!isMarksTable) {
-          console.log(`PAGE_EVAL: Table ${index} skipped - does not appear to be a marks table. Headers: [${headers.join(', ')}]`);
-          return;
-        }
-        
-        console.log(`PAGE_EVAL: Processing marks table ${index} - Headers: [${headers.join(', ')}]`);
-        
-        let semesterTitle = `Academic Period ${index + 1}`;
-        let element = table.previousElementSibling;
-        while (element) {
-          if (element.tagName && ['H1','H2','H3','H4','H5','H6','DIV','SPAN','P'].includes(element.tagName.toUpperCase())) {
-            const text = element.textContent.trim();
-            if (text && text.length < 150 && (
-                text.toLowerCase().includes('semester') || 
-                text.toLowerCase().includes('academic year') ||
-                text.toLowerCase().includes('year ') ||
-                text.match(/^[a-z]+ \d{4}\/\d{4}$/i) // e.g., "Fall 2023/2024"
-            )) {
-              semesterTitle = text;
-              console.log(`PAGE_EVAL: Found semester title for Table ${index}: "${semesterTitle}"`);
-              break;
-            }
-          }
-          element = element.previousElementSibling;
-        }
-        
-        const semester = {
-          title: semesterTitle,
-          courses: []
-        };
-        
-        const dataRows = Array.from(rows).slice(headerRow === rows[0] ? 1 : 0);
-        
-        dataRows.forEach(row => {
-          const cells = Array.from(row.querySelectorAll('td, th'))
-            .map(cell => cell.textContent.trim());
-          
-          if (cells.length < 2 || cells.every(c => !c)) {
-            console.log('PAGE_EVAL: Skipping empty or malformed row:', cells);
-            return;
-          }
-          
-          const rowText = cells.join(' ').toLowerCase();
-          if (rowText.includes('total') || rowText.includes('gpa') || rowText.includes('average') || 
-              rowText.includes('passed') || rowText.includes('failed') || rowText.includes('overall') || 
-              rowText.includes('cumulative') || rowText.includes('disclaimer')) {
-            console.log('PAGE_EVAL: Skipping summary/footer row:', cells);
-            return;
-          }
-          
-          const course = {};
-
-          // Helper to safely parse numeric values, or return null for invalid numbers
-          // This parseNumberInPage is specifically for the page.evaluate context
-          const parseNumberInPage = (value) => {
-              if (typeof value === 'number') return value; // Already a number
-              if (value === null || value === undefined || value.trim() === '') return null; // Handle empty/null strings
-              const num = parseFloat(value.replace(/[^0-9.-]/g, '')); // Remove non-numeric chars except . and -
-              return isNaN(num) ? null : num; // Return null if not a valid number
-          };
-          
-          cells.forEach((cell, i) => {
-            if (i >= headers.length || cell === null || cell === undefined) return; // Ensure cell is not null/undefined
-            
-            const header = headers[i];
-            
-            if (header.includes('code')) course.code = cell;
-            else if (header.includes('course') || header.includes('subject') || header.includes('module') || header.includes('unit')) course.name = cell;
-            // --- Apply parseNumberInPage to relevant fields ---
-            else if (header.includes('credit') || header === 'ch') course.credits = parseNumberInPage(cell);
-            else if (header.includes('ca1') || header.includes('cat1')) course.cat1 = parseNumberInPage(cell);
-            else if (header.includes('ca2') || header.includes('cat2')) course.cat2 = parseNumberInPage(cell);
-            else if (header.includes('exam') || header.includes('final')) course.exam = parseNumberInPage(cell);
-            else if ((header.includes('total') || header.includes('overall') || header.includes('mark') || header.includes('score')) && !header.includes('remark')) course.totalMark = parseNumberInPage(cell);
-            else if (header.includes('grade') && !header.includes('point')) course.grade = cell;
-            else if (header.includes('point') || header === 'gp') course.gradePoint = parseNumberInPage(cell);
-            // --- End parseNumberInPage application ---
-            else {
-                const cleanHeader = header.replace(/[^a-z0-9]/g, '');
-                if (cleanHeader.length > 0 && !course[cleanHeader]) {
-                    course[cleanHeader] = cell; // Catch-all for other columns
-                }
-            }
-          });
-          
-          if (course.code || course.name) {
-            semester.courses.push(course);
-            console.log('PAGE_EVAL: Parsed course:', JSON.stringify(course)); // Debug each parsed course
-          } else {
-            console.log('PAGE_EVAL: Row did not yield a valid course (no code or name):', cells);
-          }
-        });
-        
-        if (semester.courses.length > 0) {
-          results.semesters.push(semester);
-          console.log(`PAGE_EVAL: Added semester "${semester.title}" with ${semester.courses.length} courses.`);
-        } else {
-            console.log(`PAGE_EVAL: Semester "${semester.title}" had no valid courses.`);
-        }
-      });
-      
-      return results;
-    });
-    
-    return marksData;
+/**
+ * Picks an option of a period dropdown the way a user would, so that an
+ * auto-postback (e.g. a semester list that depends on the year) happens, then
+ * waits for the page to settle.
+ */
+async function chooseOption(ctx, page, dropdown, value) {
+  const selector = ctx.profile.interactions.periodSelector;
+  try {
+    const changed = await page.evaluate((key, index, periodSelector, optionValue) => {
+      const el = key ? document.querySelector(key) : Array.from(document.querySelectorAll(periodSelector)).filter(candidate => candidate.tagName === 'SELECT')[index];
+      if (!el) throw new Error(`Dropdown ${key || index} not found`);
+      if (el.value === optionValue) return false;
+      el.value = optionValue;
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    }, dropdown.key, dropdown.index, selector, value);
+    if (!changed) return;
   } catch (error) {
-    console.error('Error in marks extraction (page.evaluate context):', error.message, error.stack);
-    return { studentInfo: {}, semesters: [], debug: { error: error.message, stack: error.stack } };
+    // A postback started by the change event tears down the page under evaluate
+    if (!/context was destroyed|navigat/i.test(error.message)) throw error;
   }
+  await waitForSettled(ctx, page);
 }
 
 /**
- * Parses a string to an integer, returning a default if parsing fails.
- * This helper is for use outside page.evaluate.
- * @param {string|number|null} value - The value to parse.
- * @param {number} defaultValue - The value to return if parsing fails.
- * @returns {number} The parsed integer or the default value.
+ * Lists every academic period the dropdowns offer, as the list of choices
+ * leading to it: one `{ dropdown, key, index, value, text }` per dropdown.
+ * Each dropdown but the last is set in turn, since its choice can change the
+ * options of the next. Without period dropdowns there is one, empty, choice:
+ * the page as it is.
  */
-function parseNumberForDB(value, defaultValue = 0) {
-    if (typeof value === 'number') return Math.round(value); // If already a number, round it
-    if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) return defaultValue;
-    const num = parseFloat(value);
-    return isNaN(num) ? defaultValue : Math.round(num); // Round to integer as per Marksheet model
-    // If your Marksheet model uses Float, use: return isNaN(num) ? defaultValue : num;
+async function enumeratePeriods(ctx, page, chosen = []) {
+  const dropdowns = await findPeriodDropdowns(ctx, page);
+  const next = dropdowns[chosen.length];
+  if (!next || next.options.length === 0) return [chosen];
+
+  const choiceOf = option => ({ dropdown: next.label, key: next.key, index: next.index, value: option.value, text: option.text });
+  if (chosen.length === dropdowns.length - 1) {
+    return next.options.map(option => [...chosen, choiceOf(option)]);
+  }
+
+  const periods = [];
+  for (const option of next.options) {
+    await chooseOption(ctx, page, next, option.value);
+    periods.push(...await enumeratePeriods(ctx, page, [...chosen, choiceOf(option)]));
+  }
+  return periods;
 }
 
 /**
- * Saves extracted marks data to the database using Prisma's Marksheet model.
- * This replaces the previous dataService.saveMarksData.
- *
- * @param {object} marksData - The extracted marks data object, typically containing
- * studentInfo and semesters with courses.
- * @returns {object} - Status and details of the save operation.
+ * Clicks the button that shows the marks of the chosen period, preferring
+ * "view"-like buttons (profile interactions). Returns 'clicked', 'no_button'
+ * or 'session_expired'.
  */
-async function saveMarksDataToPrisma(marksData) {
-    console.log('💾 Prisma Save: Attempting to save marks data to Marksheet table...');
+async function submitPeriodForm(ctx, page, name) {
+  const { interactions = {} } = ctx.profile;
+  const ignoredButtonKeywords = interactions.ignoredButtonKeywords || [];
+  const preferredButtonKeywords = interactions.preferredButtonKeywords || [];
+  const buttons = !interactions.buttonSelector ? [] : (await page.$$eval(interactions.buttonSelector, btns =>
+    btns.map(btn => ({
+      id: btn.id,
+      value: btn.value || btn.textContent,
+      visible: btn.offsetParent !== null // Check if element is visible
+    }))
+  )).filter(btn => btn.visible && btn.value && !ignoredButtonKeywords.some(keyword => btn.value.toLowerCase().includes(keyword)));
+  
+  ctx.log.debug('Buttons found', { buttons });
+  
+  if (buttons.length === 0) {
+    ctx.log.info('No button to show the marks; using the page as it is');
+    return 'no_button';
+  }
 
-    if (!marksData || !marksData.studentInfo || !marksData.semesters) {
-        console.warn('Prisma Save: No valid marksData received for saving. Missing studentInfo or semesters.');
-        return { success: false, message: 'Invalid marks data provided.' };
-    }
+  const viewButton = buttons.find(btn => 
+    preferredButtonKeywords.some(keyword => btn.value.toLowerCase().includes(keyword))
+  );
+  const buttonToClick = viewButton || buttons[0]; // Prioritize 'view' button, else click the first available
 
-    const { studentInfo, semesters } = marksData;
-    // Use the `regNo` from studentInfo as the student_uuid, with a fallback to 'abc123-uuid'
-    const studentUuid = studentInfo.regNo && studentInfo.regNo !== 'N/A' ? studentInfo.regNo : 'abc123-uuid';
+  ctx.log.info('Clicking the button', { button: buttonToClick.value, id: buttonToClick.id || null });
+  
+  try {
+      await Promise.all([
+          page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: ctx.settings.navigationTimeoutMs * 2 }),
+          buttonToClick.id 
+              ? page.click(`#${buttonToClick.id}`) 
+              : page.evaluate((buttonSelector, btnValue) => {
+                  const btn = Array.from(document.querySelectorAll(buttonSelector)).find(
+                      el => (el.value && el.value.toLowerCase().includes(btnValue.toLowerCase())) || 
+                            (el.textContent && el.textContent.toLowerCase().includes(btnValue.toLowerCase()))
+                  );
+                  if (btn) btn.click();
+                  else throw new Error(`Button with value "${btnValue}" not found.`);
+              }, interactions.buttonSelector, buttonToClick.value)
+      ]);
+  } catch (e) {
+    ctx.log.warn('Button click or navigation failed; checking whether the page changed anyway', { button: buttonToClick.value, error: e });
+    // If a navigation timeout occurs, it doesn't always mean failure.
+    // The page might have loaded but waitForNavigation timed out because of lingering network requests.
+  }
+  
+  await waitForSettled(ctx, page); // The marks themselves are waited for by waitForMarksToLoad
+  await takeScreenshot(ctx, page, `${name}_after_button_click`);
+  
+  if (await isLoginPage(ctx, page)) {
+    ctx.log.warn('Redirected to the login page after the button click; the session expired', { url: page.url() });
+    return 'session_expired';
+  }
+  return 'clicked';
+}
 
-    if (!studentUuid) { // This check should ideally not be hit with the new fallback
-        console.error('Prisma Save: Student registration number (student_uuid) is missing and fallback failed. Cannot save marks without a student identifier.');
-        return { success: false, message: 'Student registration number is required to save marks.' };
+/**
+ * Shows one academic period (sets its dropdown choices and submits), waits
+ * for its marks and extracts them.
+ * Returns `{ status: 'extracted'|'no_data'|'session_expired', message, data }`.
+ */
+async function scrapePeriod(ctx, page, choices, { name, enterStep }) {
+  if (choices.length > 0) {
+    // A previous period may have left the page without its form
+    if ((await findPeriodDropdowns(ctx, page)).length < choices.length) {
+      ctx.log.info('Period dropdowns missing, reloading the marksheet');
+      await openPage(ctx, page, ctx.settings.marksheetUrl, { step: 'navigate', timeout: ctx.settings.navigationTimeoutMs * 2 });
+      await waitForSettled(ctx, page);
+    }
+    for (const choice of choices) {
+      ctx.log.debug('Choosing a period option', { dropdown: choice.dropdown, value: choice.value, text: choice.text });
+      await chooseOption(ctx, page, choice, choice.value);
     }
-    console.log(`Prisma Save: Using student_uuid: ${studentUuid}`); // Log the actual student_uuid being used
+    if (await isLoginPage(ctx, page)) {
+      return { status: 'session_expired', message: 'Session expired while choosing the period', data: null };
+    }
+  }
 
+  if (await submitPeriodForm(ctx, page, name) === 'session_expired') {
+    return { status: 'session_expired', message: 'Session expired after button click', data: null };
+  }
 
-    let recordsSavedCount = 0;
-    let recordsSkippedCount = 0;
-    let errorsCount = 0;
+  await enterStep('wait');
+  const marksLoaded = await waitForMarksToLoad(ctx, page, ctx.settings.marksLoadTimeoutMs);
+  if (!marksLoaded) {
+    ctx.log.warn('No marks detected after waiting; extracting anyway, results may be incomplete');
+  }
 
-    try {
-        for (const semesterData of semesters) {
-            if (!Array.isArray(semesterData.courses) || semesterData.courses.length === 0) {
-                console.warn(`Prisma Save: Skipping semester with no courses or invalid course data: ${semesterData.title}`);
-                continue;
-            }
-
-            for (const courseData of semesterData.courses) {
-                // Ensure we have at least a code or a name to save
-                if (!courseData.code && !courseData.name) {
-                    console.warn(`Prisma Save: Skipping course with no code or name in semester "${semesterData.title}": ${JSON.stringify(courseData)}`);
-                    recordsSkippedCount++;
-                    continue;
-                }
-
-                // Data sanitation and type conversion for the Marksheet model
-                const dataToSave = {
-                    student_uuid: studentUuid,
-                    code: courseData.code || 'N/A', // Provide default if code is optional or missing
-                    name: courseData.name || 'N/A', // Provide default if name is optional or missing
-                    // Ensure numerical fields are converted using parseNumberForDB
-                    credit: parseNumberForDB(courseData.credits),
-                    cat1: parseNumberForDB(courseData.cat1),
-                    cat2: parseNumberForDB(courseData.cat2),
-                    exam_mark: parseNumberForDB(courseData.exam),
-                    total_mark: parseNumberForDB(courseData.totalMark),
-                };
-
-                try {
-                    // Decide between `create` and `upsert` based on your schema.prisma
-                    // If you added `@@unique([student_uuid, code])` to Marksheet model, use upsert:
-                    /*
-                    const savedMark = await prisma.marksheet.upsert({
-                        where: {
-                            student_uuid_code: { // This is the default name for unique composite key
-                                student_uuid: dataToSave.student_uuid,
-                                code: dataToSave.code
-                            }
-                        },
-                        update: dataToSave, // Data to update if record exists
-                        create: dataToSave, // Data to create if record does not exist
-                    });
-                    */
-
-                    // If not using upsert (or no unique constraint on student_uuid, code), use create:
-                    // Note: If you use `create` without a unique constraint, re-running the scraper
-                    // will create duplicate entries for the same student/course.
-                    const savedMark = await prisma.marksheet.create({
-                        data: dataToSave,
-                    });
-
-                    recordsSavedCount++;
-                    console.log(`Prisma Save: Saved mark for ${dataToSave.code} (${dataToSave.name}) for student ${studentUuid}`);
-                } catch (dbError) {
-                    // Handle unique constraint violation (P2002) if you're using `create` but have
-                    // somehow a unique constraint defined or want to treat duplicates specially
-                    if (dbError.code === 'P2002') { // Prisma unique constraint violation error code
-                        console.warn(`Prisma Save: Duplicate entry for course ${dataToSave.code} for student ${studentUuid}. Skipping. Error: ${dbError.message}`);
-                        recordsSkippedCount++;
-                    } else {
-                        console.error(`Prisma Save: Error saving mark for ${dataToSave.code} for student ${studentUuid}:`, dbError.message);
-                        errorsCount++;
-                    }
-                }
-            }
-        }
+  await enterStep('extract');
+  const data = await extractMarksData(ctx, page);
+  const courses = data.semesters.reduce((count, semester) => count + semester.courses.length, 0);
+  return courses > 0
+    ? { status: 'extracted', message: `${data.semesters.length} semester(s), ${courses} course(s)`, data }
+    : { status: 'no_data', message: 'No marks shown for this period', data };
+}
 
-        console.log(`Prisma Save: Marks data save process completed.`);
-        console.log(`Prisma Save: Total records saved: ${recordsSavedCount}`);
-        console.log(`Prisma Save: Total records skipped (invalid/duplicate data): ${recordsSkippedCount}`);
-        console.log(`Prisma Save: Total errors during save: ${errorsCount}`);
-
-        if (errorsCount > 0) {
-            return { success: false, message: `Completed with ${errorsCount} errors. Some marks might not have been saved.` };
-        } else if (recordsSavedCount === 0 && recordsSkippedCount > 0) {
-             return { success: true, message: `Completed, but no new valid marks were found to save. ${recordsSkippedCount} records skipped.` };
-        } else if (recordsSavedCount === 0) {
-             return { success: true, message: `Completed, but no marks data was found in the scraped content to save.` };
-        }
-        return { success: true, message: `Successfully saved ${recordsSavedCount} marks records.` };
+/**
+ * @typedef {object} ScrapeResult
+ * @property {string} status - One of SCRAPE_STATUS.
+ * @property {boolean} success - True when the marks were saved (or extracted with saving disabled, or logged in with loginOnly).
+ * @property {string|null} step - The last step of SCRAPE_STEPS the run entered.
+ * @property {string} message - What happened, for humans.
+ * @property {object|null} data - The `{ studentInfo, semesters }` extracted from the marksheet.
+ * @property {object|null} stats - Save statistics `{ saved, skipped, rejected, errors }`.
+ * @property {object[]} rows - Per-course save report of saveMarksDataToPrisma.
+ * @property {Artifact[]} artifacts - What the run kept in its artifacts directory, in order.
+ * @property {{ id: string, version: string }} profile - The site profile the run followed.
+ * @property {PeriodReport[]} periods - One report per academic period scraped, in order.
+ * @property {object|null} layout - The column mapping of the marks tables (see summarizeLayout), null when the run did not get to extract.
+ * @property {object} [identity] - The student the marks were saved under (see resolveStudentIdentity), once the run got to save.
+ */
 
-    } catch (error) {
-        console.error('❌ Prisma Save: Uncaught error during marks data saving process:', error);
-        return { success: false, message: `An unhandled error occurred during saving: ${error.message}` };
-    }
-}
+/**
+ * @typedef {object} PeriodReport
+ * @property {number} index - 1-based position among the periods found.
+ * @property {number} total - How many periods the dropdowns offered.
+ * @property {string|null} period - The period's label, its dropdown choices joined ("2023/2024 / Semester 1"); null when the page has no period dropdowns.
+ * @property {{ dropdown: string, value: string, text: string }[]} choices - The dropdown options picked.
+ * @property {string} status - extracted, no_data, session_expired or error.
+ * @property {string} message
+ * @property {number} semesters - Semesters extracted for the period.
+ * @property {number} courses - Courses extracted for the period.
+ */
 
+/**
+ * @typedef {object} Artifact
+ * @property {string} kind - log, screenshot, html or json.
+ * @property {string} name - What it shows, e.g. after_login_attempt.
+ * @property {string} path - The file, in the run's artifacts directory.
+ * @property {string} mime_type
+ * @property {string|null} step - The step of SCRAPE_STEPS the run was at.
+ * @property {string} created_at - ISO 8601.
+ */
 
 // --- Main Scraping Function ---
-async function scrapeMarks() {
-  console.log('🚀 Starting ULK marks scraper with enhanced session management and Prisma DB integration...');
+/**
+ * Runs one scrape: session check, login, marksheet navigation, wait, extraction and save.
+ *
+ * @param {object} options
+ * @param {{ username: string, password: string }} options.credentials - The MIS login.
+ * @param {object} options.settings - loginUrl, dashboardUrl and marksheetUrl (when the profile has none) and siteProfile, plus overrides of DEFAULT_SETTINGS (dataDir, artifactsDir).
+ * @param {string|object} [options.profile] - A loaded site profile, or its name or path; defaults to settings.siteProfile, then SITE_PROFILE, then "ulk".
+ * @param {boolean} [options.headless=true] - Run Chromium without a window. Without onCaptcha, a CAPTCHA can only be solved by hand with a window.
+ * @param {object} [options.timeouts] - `{ navigationMs, settleMs, captchaSolveMs, marksLoadMs }`.
+ * @param {function(object): Promise<string|null>} [options.onCaptcha] - Called with `{ image, mimeType, attempt, timeoutMs }`
+ *   when the login shows a CAPTCHA; resolves to the solution, or null when none came within timeoutMs.
+ * @param {number} [options.runId] - The ScrapeRun, on every log line and naming the artifacts directory.
+ * @param {number} [options.accountId] - The Account scraped, on every log line.
+ * @param {object} [options.logger] - A logger of logger.js the run's lines go to, besides its log file; the process logger by default.
+ * @param {function(Artifact): (void|Promise<void>)} [options.onArtifact] - Called as each artifact is written.
+ * @param {boolean} [options.save=true] - Save the extracted marks with saveMarksDataToPrisma.
+ * @param {boolean} [options.loginOnly=false] - Stop once logged in, for a dry-run check of the credentials.
+ * @param {string} [options.studentUuid] - The logged-in student the marks are saved under, the credentials' username by default;
+ *   the registration number on the marksheet must match it.
+ * @param {function(string): (void|Promise<void>)} [options.onStep] - Called with each step of SCRAPE_STEPS as it starts.
+ * @param {function(PeriodReport): (void|Promise<void>)} [options.onPeriod] - Called as each academic period is done.
+ * @param {AbortSignal} [options.signal] - Aborting it closes the browser and ends the run as cancelled.
+ * @returns {Promise<ScrapeResult>}
+ */
+async function scrapeMarks(options = {}) {
+  const profile = options.profile && typeof options.profile === 'object'
+    ? options.profile
+    : await loadSiteProfile(options.profile || (options.settings && options.settings.siteProfile) || undefined);
+  const ctx = createContext(options, profile);
+  const { onStep = () => {}, onPeriod = () => {}, onCaptcha, signal, headless = true, save = true, loginOnly = false } = options;
+
+  ensureDirExists(ctx.runDir);
+  const logFile = path.join(ctx.runDir, 'run.log');
+  ctx.log = (options.logger || logger).child(
+    { run_id: options.runId || null, account_id: options.accountId || null, step: null },
+    { sinks: [fileSink(logFile)] },
+  );
+  await recordArtifact(ctx, { kind: 'log', name: 'run', file: logFile, mimeType: 'application/x-ndjson' });
+  ctx.log.info('Scrape started', { profile: profile.id, profileVersion: profile.version, artifactsDir: ctx.runDir });
+
+  let marksData = null;
+  let layout = null;
+  const periodReports = [];
+  let stepStartedAt = null;
+  let loggedIn = false;
+  // Closes the timing of the current step, for miss_scrape_step_duration_seconds
+  const endStep = () => {
+    if (ctx.step) observeScrapeStep(ctx.step, (Date.now() - stepStartedAt) / 1000);
+  };
+  const enterStep = async step => {
+    if (signal) signal.throwIfAborted();
+    endStep();
+    stepStartedAt = Date.now();
+    ctx.step = step;
+    ctx.log.assign({ step });
+    await onStep(step);
+  };
+  const finish = (status, message, extra = {}) => {
+    endStep();
+    countScrapeRun(status);
+    const login = loginOutcome(status, loggedIn);
+    if (login) countLogin(login);
+    return {
+      status,
+      success: SUCCESS_STATUSES.includes(status),
+      step: ctx.step,
+      message,
+      data: marksData,
+      stats: null,
+      rows: [],
+      artifacts: ctx.artifacts,
+      profile: { id: profile.id, version: profile.version },
+      periods: periodReports,
+      layout,
+      ...extra,
+    };
+  };
   
-  const userDataDir = path.join(settings.dataDir, 'puppeteer_user_data');
+  const userDataDir = path.join(ctx.settings.dataDir, 'puppeteer_user_data');
+  ensureDirExists(ctx.settings.dataDir);
   ensureDirExists(userDataDir);
-  console.log(`Using Puppeteer user data directory: ${userDataDir}`);
+  ctx.log.debug('Browser profile directory', { userDataDir });
 
   let browser; 
   let page;    
 
   try {
     browser = await puppeteer.launch({ 
-      headless: false, // Keep false for debugging, true for production
+      headless, // false opens a window, needed to solve a CAPTCHA by hand
       defaultViewport: null, // Use page's default size
       args: [
         '--no-sandbox',
@@ -874,15 +841,18 @@ async function scrapeMarks() {
       ]
     });
     
+    // Closing the browser makes whatever puppeteer call is pending throw, ending the run quickly
+    if (signal) signal.addEventListener('abort', () => browser.close().catch(() => {}), { once: true });
+
     page = await browser.newPage(); 
-    page.setDefaultTimeout(settings.navigationTimeoutMs * 3); // Increased default timeout for robustness
+    page.setDefaultTimeout(ctx.settings.navigationTimeoutMs * 3); // Increased default timeout for robustness
     
     await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
 
     // Enhanced console and response logging
     page.on('console', msg => {
       if (msg.type() === 'log' || msg.type() === 'warn' || msg.type() === 'error') {
-        console.log(`🌐 PAGE JS (${msg.type().toUpperCase()}):`, msg.text());
+        ctx.log.debug('Page console', { type: msg.type(), text: msg.text() });
       }
     });
 
@@ -893,221 +863,234 @@ async function scrapeMarks() {
       const headers = response.headers();
 
       if (status >= 300 && status < 400 && headers.location) {
-        console.log(`🚨 REDIRECT DETECTED: ${url} -> ${headers.location} (Status: ${status})`);
+        ctx.log.debug('Redirect', { url, location: headers.location, status });
       } else if (status === 401 || status === 403) {
-        console.log(`🔒 AUTH ISSUE DETECTED: ${url} (Status: ${status})`);
+        ctx.log.warn('Authorization refused', { url, status });
       }
     });
 
     // Load cookies if they exist
-    if (fs.existsSync(COOKIES_PATH)) {
+    if (fs.existsSync(ctx.cookiesPath)) {
         try {
-            const cookiesString = fs.readFileSync(COOKIES_PATH);
+            const cookiesString = fs.readFileSync(ctx.cookiesPath);
             const cookies = JSON.parse(cookiesString);
             await page.setCookie(...cookies);
-            console.log('🍪 Loaded existing cookies.');
+            ctx.log.debug('Saved cookies loaded', { file: ctx.cookiesPath });
         } catch (error) {
-            console.log('Failed to load cookies (corrupted file?), starting fresh session:', error.message);
-            try { fs.unlinkSync(COOKIES_PATH); } catch (e) { console.log('Error deleting corrupted cookie file:', e.message); }
+            ctx.log.warn('Saved cookies unreadable, starting a fresh session', { file: ctx.cookiesPath, error });
+            try { fs.unlinkSync(ctx.cookiesPath); } catch (e) { ctx.log.warn('Could not delete the unreadable cookies', { error: e }); }
         }
     }
     
-    console.log('\n🔄 Step 0: Checking initial session validity...');
-    let sessionValid = await checkSessionValidity(page);
+    await enterStep('session_check');
+    let sessionValid = await checkSessionValidity(ctx, page);
 
     if (sessionValid) {
-        console.log('✅ Initial session appears valid, skipping login.');
+        ctx.log.info('Saved session valid, skipping the login');
     } else {
-        console.log('❌ Initial session invalid or timed out, proceeding to login.');
-        console.log('\n📝 Step 1: Login Process');
-        const loginResult = await performLogin(page);
+        ctx.log.info('No valid saved session, logging in');
+        await enterStep('login');
+        const loginResult = await performLogin(ctx, page);
         
-        if (loginResult === 'captcha_required') {
-          console.log('⚠️  Manual intervention required for CAPTCHA');
-          console.log('Please solve the CAPTCHA and click login in the browser window...');
-          console.log(`Waiting ${settings.captchaSolveTimeMs / 1000} seconds for you to complete login...`);
+        if (loginResult === 'captcha_required' && onCaptcha) {
+          await enterStep('captcha');
+          const captchaResult = await handOffCaptcha(ctx, page, onCaptcha);
+          if (signal) signal.throwIfAborted();
+          const failure = captchaOutcome(captchaResult, ctx.settings);
+          if (failure) return finish(failure.status, failure.message);
+        } else if (loginResult === 'captcha_required' && headless) {
+          ctx.log.error('CAPTCHA shown but the browser is headless and nobody takes the hand-off');
+          return finish(SCRAPE_STATUS.CAPTCHA_REQUIRED, 'CAPTCHA required; run with headless false to solve it by hand, or hand it off with onCaptcha');
+        } else if (loginResult === 'captcha_required') {
+          ctx.log.warn('CAPTCHA shown: solve it and log in in the browser window', { timeoutMs: ctx.settings.captchaSolveTimeMs });
           
-          const startTime = Date.now();
-          while (Date.now() - startTime < settings.captchaSolveTimeMs) {
-            await delay(2000);
-            const isLogin = await isLoginPage(page);
-            if (!isLogin) {
-              console.log('✅ Manual login completed successfully!');
-              break;
-            }
-          }
+          const completed = await waitFor(async () => !(await isLoginPage(ctx, page)), {
+            timeoutMs: ctx.settings.captchaSolveTimeMs,
+            intervalMs: 2000,
+            signal,
+          });
+          if (completed) ctx.log.info('Manual login completed');
           
-          const finalCheck = await isLoginPage(page);
+          const finalCheck = await isLoginPage(ctx, page);
           if (finalCheck) {
-            console.log('❌ Manual login not completed within time limit. Exiting.');
-            return;
+            ctx.log.error('Manual login not completed in time');
+            return finish(SCRAPE_STATUS.CAPTCHA_REQUIRED, 'Manual CAPTCHA login not completed within time limit');
           }
           
           const cookies = await page.cookies();
-          fs.writeFileSync(COOKIES_PATH, JSON.stringify(cookies, null, 2));
-          console.log('Cookies saved after manual login');
+          fs.writeFileSync(ctx.cookiesPath, JSON.stringify(cookies, null, 2));
+          ctx.log.debug('Cookies saved after the manual login', { file: ctx.cookiesPath });
         } else if (loginResult === 'already_logged_in_or_redirected') {
-            console.log('Scraper was redirected from login page, likely already logged in or login not required.');
+            ctx.log.info('Redirected away from the login page; already logged in or no login needed');
             // Continue as if login was successful
         } else if (loginResult !== 'success') {
-          console.log('❌ Login failed. Exiting.');
-          return;
+          ctx.log.error('Login failed');
+          return finish(SCRAPE_STATUS.LOGIN_FAILED, `Login failed: ${loginResult}`);
         }
 
-        console.log('\n🔄 Post-Login: Re-checking session validity...');
-        sessionValid = await checkSessionValidity(page);
+        ctx.log.info('Re-checking the session after the login');
+        sessionValid = await checkSessionValidity(ctx, page);
         if (!sessionValid) {
-            console.log('❌ Session still invalid after login attempt. This indicates a deeper issue with the login process or cookie handling. Exiting.');
-            return;
+            ctx.log.error('Session still invalid after the login; the login or the cookie handling is broken');
+            return finish(SCRAPE_STATUS.LOGIN_FAILED, 'Session still invalid after login');
         }
+        loggedIn = true;
+    }
+
+    if (loginOnly) {
+      return finish(SCRAPE_STATUS.LOGGED_IN, 'Logged in; stopping before the marksheet (loginOnly)');
     }
     
-    console.log('\n📊 Step 2: Navigate to Marksheet');
-    const marksheetSuccess = await navigateToMarksheet(page);
+    await enterStep('navigate');
+    const marksheetSuccess = await navigateToMarksheet(ctx, page);
     
     if (!marksheetSuccess) {
-      console.log('❌ Failed to reach marksheet page with expected content. Exiting.');
-      return;
+      ctx.log.error('Marksheet unreachable');
+      return finish(SCRAPE_STATUS.MARKSHEET_UNREACHABLE, 'Marksheet page not reachable');
     }
     
-    console.log('\n🔍 Step 3: Handle Page Interactions');
-    
-    const dropdowns = await page.$$('select');
-    console.log(`Found ${dropdowns.length} dropdown(s)`);
-    
-    for (let i = 0; i < dropdowns.length; i++) {
-      const dropdown = dropdowns[i];
-      const options = await dropdown.$$eval('option', opts => 
-        opts.map(opt => ({ value: opt.value, text: opt.textContent.trim() }))
-      );
-      
-      console.log(`Dropdown ${i} options:`, options.slice(0, 3)); // Log first 3 options for brevity
-      
-      const selectedValue = await dropdown.evaluate(el => el.value);
-      if (!selectedValue && options.length > 1) {
-        const firstOption = options.find(opt => opt.value && opt.value !== '');
-        if (firstOption) {
-          console.log(`Selecting: ${firstOption.text} (value: ${firstOption.value}) in dropdown ${i+1}`);
-          await page.select(`select:nth-of-type(${i + 1})`, firstOption.value);
-          await delay(settings.pageLoadWaitMs * 2);
-          await takeScreenshot(page, `after_dropdown_${i}_selection`);
-          if (await isLoginPage(page)) {
-              console.log('❌ Redirected to login after dropdown selection. Session expired. Exiting.');
-              return;
-          }
-        } else {
-            console.log(`Dropdown ${i+1} has no selectable options with values.`);
-        }
-      } else {
-          console.log(`Dropdown ${i+1} already has value selected: ${selectedValue}`);
-      }
+    let periodChoices = await enumeratePeriods(ctx, page);
+    if (periodChoices.length > ctx.settings.maxPeriods) {
+      ctx.log.warn('More academic periods than settings.maxPeriods, scraping the first ones', { found: periodChoices.length, maxPeriods: ctx.settings.maxPeriods });
+      periodChoices = periodChoices.slice(0, ctx.settings.maxPeriods);
     }
-    
-    const buttons = await page.$$eval('input[type="submit"], button', btns =>
-      btns.map(btn => ({
-        id: btn.id,
-        value: btn.value || btn.textContent,
-        visible: btn.offsetParent !== null // Check if element is visible
-      })).filter(btn => btn.visible && btn.value && !btn.value.toLowerCase().includes('cancel'))
-    );
-    
-    console.log('Available buttons:', buttons);
-    
-    if (buttons.length > 0) {
-      const viewButton = buttons.find(btn => 
-        btn.value.toLowerCase().includes('view') ||
-        btn.value.toLowerCase().includes('show') ||
-        btn.value.toLowerCase().includes('display') ||
-        btn.value.toLowerCase().includes('get') ||
-        btn.value.toLowerCase().includes('submit') ||
-        btn.value.toLowerCase().includes('generate')
-      );
-
-      const buttonToClick = viewButton || buttons[0]; // Prioritize 'view' button, else click the first available
-
-      if (buttonToClick) {
-        console.log(`Clicking button: "${buttonToClick.value}" (ID: ${buttonToClick.id || 'N/A'})`);
-        
-        try {
-            await Promise.all([
-                page.waitForNavigation({ waitUntil: 'networkidle2', timeout: settings.navigationTimeoutMs * 2 }),
-                buttonToClick.id 
-                    ? page.click(`#${buttonToClick.id}`) 
-                    : page.evaluate(btnValue => {
-                        const btn = Array.from(document.querySelectorAll('input[type="submit"], button')).find(
-                            el => (el.value && el.value.toLowerCase().includes(btnValue.toLowerCase())) || 
-                                  (el.textContent && el.textContent.toLowerCase().includes(btnValue.toLowerCase()))
-                        );
-                        if (btn) btn.click();
-                        else throw new Error(`Button with value "${btnValue}" not found.`);
-                    }, buttonToClick.value)
-            ]);
-        } catch (e) {
-          console.log(`Button click or navigation timeout/error for "${buttonToClick.value}": ${e.message}. Checking if page changed successfully anyway.`);
-          // If a navigation timeout occurs, it doesn't always mean failure.
-          // The page might have loaded but waitForNavigation timed out because of lingering network requests.
-        }
-        
-        await delay(settings.pageLoadWaitMs * 3); // Give extra time for AJAX content after button click
-        await takeScreenshot(page, 'after_button_click');
-        
-        if (await isLoginPage(page)) {
-          console.log('❌ Session expired or invalid after button click. Redirected to login. Exiting.');
-          return;
+    ctx.log.info('Academic periods found', { periods: periodChoices.map(choices => choices.map(choice => choice.text).join(' / ')) });
+
+    const extractions = [];
+    let portalDown = false;
+    for (const [i, choices] of periodChoices.entries()) {
+      const report = {
+        index: i + 1,
+        total: periodChoices.length,
+        period: choices.map(choice => choice.text).join(' / ') || null,
+        choices: choices.map(({ dropdown, value, text }) => ({ dropdown, value, text })),
+        status: null,
+        message: null,
+        semesters: 0,
+        courses: 0,
+      };
+      ctx.log.info('Scraping an academic period', { period: report.period, index: report.index, total: report.total });
+
+      try {
+        const outcome = await scrapePeriod(ctx, page, choices, { name: `period_${report.index}`, enterStep });
+        report.status = outcome.status;
+        report.message = outcome.message;
+        if (outcome.data) {
+          extractions.push({ period: report.period, data: outcome.data });
+          report.semesters = outcome.data.semesters.length;
+          report.courses = outcome.data.semesters.reduce((count, semester) => count + semester.courses.length, 0);
         }
-      } else {
-        console.log('No suitable button to click found.');
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        ctx.log.error('Academic period failed', { period: report.period, error });
+        report.status = 'error';
+        report.message = error.message;
+        portalDown = isTransientError(error);
+      }
+      ctx.log.info('Academic period done', report);
+      periodReports.push(report);
+      await onPeriod(report);
+
+      if (report.status === 'session_expired') {
+        marksData = mergeMarksData(extractions, { profile });
+        return finish(SCRAPE_STATUS.SESSION_EXPIRED, `${report.message} (period ${report.index}/${report.total})`);
+      }
+      // The next periods would fail the same way, and add to the portal's load
+      if (portalDown) {
+        marksData = mergeMarksData(extractions, { profile });
+        return finish(SCRAPE_STATUS.PORTAL_UNAVAILABLE, `Portal unavailable: ${report.message} (period ${report.index}/${report.total})`);
       }
-    } else {
-        console.log('No interactive buttons found on the page.');
     }
-    
-    console.log('\n⏳ Step 4: Wait for Marks to Load');
-    const marksLoaded = await waitForMarksToLoad(page, 90000); // Increased maxWaitTime
-    
-    if (!marksLoaded) {
-      console.log('⚠️  No marks data detected after waiting. Proceeding with extraction anyway, but results might be incomplete.');
+
+    marksData = mergeMarksData(extractions, { profile });
+    layout = summarizeLayout(marksData.debug.mappings);
+    ctx.log.info('Column mapping', { signature: layout.signature, confidence: layout.confidence, tables: layout.tables.length });
+    for (const table of layout.tables) {
+      const { semesters, unmapped, ambiguous, missing, confidence } = table;
+      if (ambiguous.length > 0 || missing.length > 0) {
+        ctx.log.warn('Columns not mapped with confidence', { semesters, unmapped, ambiguous, missing, confidence });
+      } else if (unmapped.length > 0) {
+        ctx.log.info('Unmapped columns kept as extra', { semesters, unmapped });
+      }
     }
     
-    console.log('\n📚 Step 5: Extracting Marks Data');
-    const marksData = await extractMarksData(page);
-    
-    // --- CRITICAL LOGGING ---
-    console.log('--- RAW EXTRACTED MARKS DATA (Step 5) ---');
-    console.log(JSON.stringify(marksData, null, 2));
-    console.log('--- END RAW EXTRACTED MARKS DATA ---');
-    // --- END CRITICAL LOGGING ---
+    await saveArtifact(ctx, { kind: 'json', name: 'extracted_marks', extension: 'json', mimeType: 'application/json' },
+      file => fs.promises.writeFile(file, JSON.stringify(marksData, null, 2)));
 
     if (!marksData || !marksData.semesters || marksData.semesters.length === 0) {
-      console.log('❌ No marks data extracted after all steps or semesters array is empty. Saving skipped. Exiting.');
-      return;
+      ctx.log.warn('No marks extracted, nothing to save');
+      return finish(SCRAPE_STATUS.NO_DATA, 'No marks data extracted');
+    }
+
+    if (!save) {
+      return finish(SCRAPE_STATUS.EXTRACTED, `Extracted ${marksData.semesters.length} semester(s) from ${periodReports.length} period(s); saving disabled`);
     }
     
-    console.log('\n💾 Step 6: Saving Data to Database using Prisma');
-    console.log('Attempting to call saveMarksDataToPrisma...'); // Log before calling
+    await enterStep('save');
+    ctx.log.info('Saving the marks', { semesters: marksData.semesters.length });
     try {
-        const saveResult = await saveMarksDataToPrisma(marksData);
-        console.log('Database save result (Step 6):', saveResult);
+        const saveResult = await saveMarksDataToPrisma(marksData, {
+          // The marks are the logged-in student's; the marksheet's regNo only confirms it
+          studentUuid: options.studentUuid || options.credentials.username,
+          runId: options.runId || null,
+          validation: ctx.profile.validation,
+          log: ctx.log,
+        });
+        if (saveResult.identity && saveResult.identity.error) {
+          ctx.log.error('Student identity not established, nothing saved', { identity: saveResult.identity });
+          return finish(SCRAPE_STATUS.IDENTITY_REFUSED, saveResult.message, { identity: saveResult.identity });
+        }
+        ctx.log.info('Marks saved', { success: saveResult.success, message: saveResult.message, stats: saveResult.stats || null, student: saveResult.identity || null });
+        return finish(saveResult.success ? SCRAPE_STATUS.SAVED : SCRAPE_STATUS.SAVE_FAILED, saveResult.message, {
+          stats: saveResult.stats || null,
+          rows: saveResult.rows,
+          identity: saveResult.identity,
+        });
     } catch (saveError) {
-        console.error('❌ Error during saveMarksDataToPrisma (caught in main scraper):', saveError);
+        ctx.log.error('Saving the marks failed', { error: saveError });
+        return finish(SCRAPE_STATUS.SAVE_FAILED, `Saving failed: ${saveError.message}`);
     }
 
   } catch (error) {
-    console.error('🔥 CRITICAL SCRAPER ERROR (Top-Level Catch):', error);
+    if (signal && signal.aborted) {
+      ctx.log.warn('Scrape cancelled');
+      return finish(SCRAPE_STATUS.CANCELLED, 'Scrape cancelled');
+    }
+    const portalDown = isTransientError(error);
+    if (portalDown) ctx.log.error('Portal unavailable, giving up', { error });
+    else ctx.log.error('Scrape crashed', { error });
     if (page) {
-      await takeScreenshot(page, 'error_page');
+      await takeScreenshot(ctx, page, 'error_page');
+      await savePageHtml(ctx, page, 'error_page');
     }
+    if (portalDown) return finish(SCRAPE_STATUS.PORTAL_UNAVAILABLE, `Portal unavailable: ${error.message}`);
+    return finish(SCRAPE_STATUS.ERROR, error.message);
   } finally {
     if (browser) {
-      await browser.close();
-      console.log('Browser closed.');
+      await browser.close().catch(() => {}); // Already closed when the run was cancelled
+      ctx.log.debug('Browser closed');
     }
-    // Disconnect Prisma Client when the application exits.
-    await prisma.$disconnect();
-    console.log('Prisma Client disconnected.');
-    console.log('✅ Scraper finished.');
+    ctx.log.info('Scrape finished');
   }
 }
-scrapeMarks();
-// Execute the scraper
-// export default scrapeMarks;
\ No newline at end of file
+
+export { scrapeMarks, extractMarksData, SCRAPE_STEPS, SCRAPE_STATUS, DEFAULT_SETTINGS };
+
+// Execute the scraper when this file is run directly (node service/scrapUlkMiss.js),
+// with the credentials and settings of config/credentials.js and config/settings.js
+if (process.argv[1] === __filename) {
+  const { default: dotenv } = await import('dotenv');
+  dotenv.config(); // Load environment variables from .env file
+  const { default: credentials } = await import('../config/credentials.js');
+  const { default: settings } = await import('../config/settings.js');
+  // Queues webhook events for the marks this run saves
+  const { whenMarkEventsQueued } = await import('./webhookService.js');
+
+  const result = await scrapeMarks({ credentials, settings, headless: false }); // A window lets you solve a CAPTCHA
+  logger.info('Scrape finished', { status: result.status, message: result.message });
+  await whenMarkEventsQueued();
+  // Disconnect Prisma Client when the application exits.
+  await prisma.$disconnect();
+  logger.debug('Prisma Client disconnected');
+  process.exitCode = result.success ? 0 : 1;
+}
@@ -0,0 +1,132 @@
+/**
+ * The settings, status codes and steps of a scrape run, and the per-run
+ * context the scraper (scrapUlkMiss.js) passes to its helpers. Kept apart
+ * from the scraper so that they load without puppeteer or a database.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Settings used when scrapeMarks is not given them. The portal URLs default
+// to the site profile's `urls`; loginUrl, dashboardUrl and marksheetUrl
+// override them (see config/settings.js). siteProfile names the profile.
+// Each run keeps its log, screenshots, page sources and extracted marks in
+// artifactsDir/<run id>. retry overrides the retry policies of resilience.js
+// per step, e.g. { navigate: { attempts: 5 } }.
+const DEFAULT_SETTINGS = {
+    dataDir: path.join(__dirname, '..', 'data'),
+    artifactsDir: path.join(__dirname, '..', 'data', 'runs'),
+    navigationTimeoutMs: 30000,
+    settleTimeoutMs: 15000, // longest wait for a page to settle or show what is expected; it usually ends sooner
+    retry: {},
+    captchaSolveTimeMs: 120000,
+    captchaMaxAttempts: 3, // CAPTCHA solutions tried through options.onCaptcha before giving up
+    maxPeriods: 40, // academic period combinations scraped per run, against runaway dropdowns
+    marksLoadTimeoutMs: 90000,
+};
+
+// Outcome codes of a scrape run (ScrapeResult.status)
+const SCRAPE_STATUS = {
+    SAVED: 'saved',
+    LOGGED_IN: 'logged_in', // login succeeded, stopped there through options.loginOnly
+    EXTRACTED: 'extracted', // data extracted, saving disabled through options.save
+    NO_DATA: 'no_data',
+    LOGIN_FAILED: 'login_failed',
+    CAPTCHA_REQUIRED: 'captcha_required',
+    SESSION_EXPIRED: 'session_expired',
+    MARKSHEET_UNREACHABLE: 'marksheet_unreachable',
+    PORTAL_UNAVAILABLE: 'portal_unavailable', // the portal kept timing out or failing (5xx) through the step's retries
+    IDENTITY_REFUSED: 'identity_refused', // the marksheet's registration number is not the logged-in student's, nothing saved
+    SAVE_FAILED: 'save_failed',
+    CANCELLED: 'cancelled',
+    ERROR: 'error',
+};
+
+// Outcomes of a run that did what it was asked (ScrapeResult.success)
+const SUCCESS_STATUSES = [SCRAPE_STATUS.SAVED, SCRAPE_STATUS.EXTRACTED, SCRAPE_STATUS.LOGGED_IN];
+
+// Steps reported through onStep, in the order a run goes through them
+// (captcha only when the login shows a CAPTCHA handed off through options.onCaptcha;
+// wait and extract once per academic period)
+const SCRAPE_STEPS = ['session_check', 'login', 'captcha', 'navigate', 'wait', 'extract', 'save'];
+
+/**
+ * Builds the per-run context passed to every helper: settings, credentials,
+ * site profile, logger, cookie path, the run's artifacts directory and the
+ * artifacts written so far, and the step the run is at.
+ * @param {object} options - The scrapeMarks options.
+ * @param {object} profile - The loaded site profile.
+ * @returns {object}
+ * @throws {TypeError} When credentials or portal URLs are missing.
+ */
+function createContext(options, profile) {
+    const { credentials, timeouts = {} } = options;
+    if (!credentials || !credentials.username || !credentials.password) {
+        throw new TypeError('scrapeMarks: options.credentials.username and options.credentials.password are required');
+    }
+
+    const settings = { ...DEFAULT_SETTINGS, ...options.settings };
+    if (timeouts.navigationMs !== undefined) settings.navigationTimeoutMs = timeouts.navigationMs;
+    if (timeouts.settleMs !== undefined) settings.settleTimeoutMs = timeouts.settleMs;
+    if (timeouts.captchaSolveMs !== undefined) settings.captchaSolveTimeMs = timeouts.captchaSolveMs;
+    if (timeouts.marksLoadMs !== undefined) settings.marksLoadTimeoutMs = timeouts.marksLoadMs;
+
+    const profileUrls = profile.urls || {};
+    settings.loginUrl = settings.loginUrl || profileUrls.login;
+    settings.dashboardUrl = settings.dashboardUrl || profileUrls.dashboard;
+    settings.marksheetUrl = settings.marksheetUrl || profileUrls.marksheet;
+
+    const missingUrls = ['loginUrl', 'dashboardUrl', 'marksheetUrl'].filter(key => !settings[key]);
+    if (missingUrls.length > 0) {
+        throw new TypeError(`scrapeMarks: options.settings is missing ${missingUrls.join(', ')}, and site profile "${profile.id}" has no default`);
+    }
+
+    const runKey = options.runId ? String(options.runId) : `local-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    return {
+        settings,
+        credentials,
+        profile,
+        log: null, // set once the run directory exists, see scrapeMarks
+        cookiesPath: path.join(settings.dataDir, 'cookies.json'),
+        runDir: path.join(settings.artifactsDir, runKey),
+        artifacts: [],
+        onArtifact: options.onArtifact || (() => {}),
+        signal: options.signal || null,
+        step: null,
+    };
+}
+
+/**
+ * How a CAPTCHA hand-off ends the run when it did not log in.
+ * @param {string} captchaResult - What handOffCaptcha returned: success, captcha_expired, captcha_rejected or login_failed.
+ * @param {object} settings - The run's settings.
+ * @returns {{ status: string, message: string }|null} null when the login went through.
+ */
+function captchaOutcome(captchaResult, settings) {
+    if (captchaResult === 'success') return null;
+    if (captchaResult === 'captcha_expired') {
+        return { status: SCRAPE_STATUS.CAPTCHA_REQUIRED, message: `CAPTCHA not solved within ${settings.captchaSolveTimeMs / 1000}s` };
+    }
+    if (captchaResult === 'captcha_rejected') {
+        return { status: SCRAPE_STATUS.LOGIN_FAILED, message: `CAPTCHA solution rejected ${settings.captchaMaxAttempts} time(s)` };
+    }
+    return { status: SCRAPE_STATUS.LOGIN_FAILED, message: `Login failed: ${captchaResult}` };
+}
+
+/**
+ * The login outcome a finished run counts in miss_scrape_logins_total.
+ * @param {string} status - The run's SCRAPE_STATUS.
+ * @param {boolean} loggedIn - Whether the run got past the login page.
+ * @returns {string|null} success, captcha or failed; null when the run never
+ *   tried to log in, e.g. it reused a saved session.
+ */
+function loginOutcome(status, loggedIn) {
+    if (loggedIn) return 'success';
+    if (status === SCRAPE_STATUS.CAPTCHA_REQUIRED) return 'captcha';
+    if (status === SCRAPE_STATUS.LOGIN_FAILED) return 'failed';
+    return null;
+}
+
+export { DEFAULT_SETTINGS, SCRAPE_STATUS, SUCCESS_STATUSES, SCRAPE_STEPS, createContext, captchaOutcome, loginOutcome };
@@ -0,0 +1,429 @@
+/**
+ * Background scrape jobs.
+ *
+ * Each job is a ScrapeRun row. Queued runs are started in creation order,
+ * at most SCRAPE_CONCURRENCY at a time and never two for the same account;
+ * the run's status and current step are written back as the scraper goes.
+ * The queue rules are in runQueue.js.
+ * Runs of a registered Account use its stored credentials and own data
+ * directory; other runs use the config/credentials.js login.
+ *
+ * `scrapeEvents` emits 'finished' with `{ run, status }` once a run has ended
+ * and its outcome is stored, including queued runs cancelled before they started.
+ *
+ * Runs are headless, so a CAPTCHA on the login page is handed off: the run
+ * parks on step 'captcha' with the challenge image, available through
+ * getCaptchaChallenge, until solveCaptcha gives the answer or
+ * SCRAPE_CAPTCHA_TIMEOUT_SECONDS pass (see captchaHandoff.js).
+ *
+ * Each run logs to its own file and keeps its artifacts, indexed through
+ * runArtifacts.js; old ones are pruned as runs finish.
+ *
+ * The column mapping a run inferred is stored with it and compared with the
+ * last succeeded run of the same site profile: a difference is logged and
+ * published as a layout.changed webhook event, so a portal redesign is
+ * noticed on the first run it breaks.
+ *
+ * Runs ending as portal_unavailable (the portal kept failing through the
+ * scraper's retries) count towards the portal circuit breaker: after
+ * PORTAL_BREAKER_THRESHOLD of them in a row, scheduled runs are held back for
+ * PORTAL_BREAKER_COOLDOWN_MINUTES, then one goes through as a probe. Any run
+ * that reaches the portal closes it again. Manual and batch runs always go.
+ */
+
+import { EventEmitter } from 'events';
+import prisma from './prismaClient.js';
+import { scrapeOptionsFor } from './accountService.js';
+import { logger as rootLogger } from './logger.js';
+import { recordRunArtifact, pruneRunArtifacts } from './runArtifacts.js';
+import { compareLayouts } from './marksheetParser.js';
+import { publishEvent } from './webhookService.js';
+import { CircuitBreaker } from './resilience.js';
+import { setPortalCircuitState } from './metrics.js';
+import { startQueuedRuns, runOutcome } from './runQueue.js';
+import { waitForCaptchaSolution, getCaptchaChallenge, solveCaptcha } from './captchaHandoff.js';
+
+const MAX_CONCURRENT_RUNS = Number(process.env.SCRAPE_CONCURRENCY) || 1;
+const CAPTCHA_TIMEOUT_MS = (Number(process.env.SCRAPE_CAPTCHA_TIMEOUT_SECONDS) || 300) * 1000;
+// Succeeded runs searched for one of the same site profile to compare layouts with
+const LAYOUT_BASELINE_SEARCH = 50;
+const BREAKER_THRESHOLD = Number(process.env.PORTAL_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS = (Number(process.env.PORTAL_BREAKER_COOLDOWN_MINUTES) || 30) * 60 * 1000;
+
+// Runs started by this process: run id -> { account, controller }
+const activeRuns = new Map();
+
+const scrapeEvents = new EventEmitter();
+
+const logger = rootLogger.child({ component: 'scrape_jobs' });
+
+const portalCircuit = new CircuitBreaker({
+    failureThreshold: BREAKER_THRESHOLD,
+    cooldownMs: BREAKER_COOLDOWN_MS,
+    onStateChange: state => {
+        setPortalCircuitState(state.state);
+        if (state.state === 'open') logger.warn('Portal circuit open, holding scheduled scrapes back', state);
+        else logger.info(`Portal circuit ${state.state === 'closed' ? 'closed' : 'half open, probing the portal'}`, state);
+    },
+});
+
+let processing = false;
+let processAgain = false;
+
+/**
+ * The scraper is loaded on first use so that the API still starts when
+ * puppeteer or the scraper config are not installed.
+ * @returns {Promise<object>} The scraper module.
+ */
+function loadScraper() {
+    return import('./scrapUlkMiss.js');
+}
+
+/**
+ * The portal settings from config/settings.js.
+ * @returns {Promise<object>}
+ */
+async function loadScraperSettings() {
+    const { default: settings } = await import('../config/settings.js');
+    return settings;
+}
+
+/**
+ * The MIS login from config/credentials.js, used by runs without an Account.
+ * @returns {Promise<object>} `{ username, password }`.
+ */
+async function loadDefaultCredentials() {
+    const { default: credentials } = await import('../config/credentials.js');
+    return credentials;
+}
+
+/**
+ * Queues a scrape run and starts it as soon as its account is free.
+ * @param {object} [options]
+ * @param {object} [options.account] - The Account to scrape; the config/credentials.js login when omitted.
+ * @param {string} [options.trigger='manual'] - What queued the run: manual, batch or schedule.
+ * @param {number} [options.scheduleId] - The Schedule that queued the run.
+ * @returns {Promise<object>} The queued ScrapeRun.
+ */
+async function enqueueScrapeJob({ account, trigger = 'manual', scheduleId = null } = {}) {
+    const data = account
+        ? { account: account.username, account_id: account.id }
+        : { account: (await loadDefaultCredentials()).username };
+    const run = await prisma.scrapeRun.create({ data: { ...data, trigger, schedule_id: scheduleId } });
+    processQueue();
+    return run;
+}
+
+/**
+ * Queues one scrape run per active Account.
+ * @param {object} [options]
+ * @param {string} [options.trigger='batch'] - What queued the runs.
+ * @param {number} [options.scheduleId] - The Schedule that queued the runs.
+ * @returns {Promise<object[]>} The queued ScrapeRuns.
+ */
+async function enqueueBatchScrape({ trigger = 'batch', scheduleId = null } = {}) {
+    const accounts = await prisma.account.findMany({ where: { active: true }, orderBy: { id: 'asc' } });
+    const runs = [];
+    for (const account of accounts) {
+        runs.push(await prisma.scrapeRun.create({
+            data: { account: account.username, account_id: account.id, trigger, schedule_id: scheduleId },
+        }));
+    }
+    processQueue();
+    return runs;
+}
+
+/**
+ * Checks whether this process is running a scrape for a username.
+ * @param {string} username - The MIS username.
+ * @returns {boolean}
+ */
+function isAccountBusy(username) {
+    return Array.from(activeRuns.values()).some(run => run.account === username);
+}
+
+/**
+ * Builds the scrapeMarks options of a run: its Account's credentials and data
+ * directory, or the config/credentials.js login.
+ * @param {object} run - The ScrapeRun.
+ * @returns {Promise<object>}
+ */
+async function scrapeOptionsForRun(run) {
+    const settings = await loadScraperSettings();
+    if (run.account_id === null) {
+        const credentials = await loadDefaultCredentials();
+        // The run's Account was deleted; never fall back to another login
+        if (credentials.username !== run.account) throw new Error(`Account ${run.account} no longer exists`);
+        return { credentials, settings };
+    }
+    const account = await prisma.account.findUnique({ where: { id: run.account_id } });
+    if (!account) throw new Error(`Account ${run.account_id} no longer exists`);
+    return scrapeOptionsFor(account, settings);
+}
+
+/**
+ * Starts queued runs while there is capacity, skipping accounts that already
+ * have a run in progress.
+ */
+async function processQueue() {
+    if (processing) {
+        // Runs queued while the loop is busy are picked up by one more pass
+        processAgain = true;
+        return;
+    }
+    processing = true;
+    processAgain = false;
+    try {
+        await startQueuedRuns(activeRuns, {
+            findNext: busyAccounts => prisma.scrapeRun.findFirst({
+                where: { status: 'queued', account: { notIn: busyAccounts } },
+                orderBy: { created_at: 'asc' },
+            }),
+            claim: async next => {
+                const claimed = await prisma.scrapeRun.updateMany({
+                    where: { id: next.id, status: 'queued' },
+                    data: { status: 'running', started_at: new Date() },
+                });
+                return claimed.count > 0;
+            },
+            start: next => {
+                const controller = new AbortController();
+                activeRuns.set(next.id, { account: next.account, controller });
+                runJob(next, controller.signal);
+            },
+        }, MAX_CONCURRENT_RUNS);
+    } catch (error) {
+        logger.error('Could not start queued runs', { error });
+    } finally {
+        processing = false;
+    }
+    if (processAgain) processQueue();
+}
+
+/**
+ * Compares a run's column layout with the last succeeded run of the same site
+ * profile; a change is logged and published as a layout.changed event.
+ * @param {object} run - The ScrapeRun.
+ * @param {object} result - The ScrapeResult, with its layout and profile.
+ * @returns {Promise<object>} The ScrapeRun columns to store: layout, layout_signature and layout_changed.
+ */
+async function checkLayoutDrift(run, { layout, profile }) {
+    const recent = await prisma.scrapeRun.findMany({
+        where: { status: 'succeeded', layout_signature: { not: null }, id: { not: run.id } },
+        orderBy: { finished_at: 'desc' },
+        take: LAYOUT_BASELINE_SEARCH,
+    });
+    const baseline = recent.find(candidate => candidate.layout && candidate.layout.profile === profile.id);
+
+    const drift = baseline
+        ? { baseline_run_id: baseline.id, baseline_signature: baseline.layout_signature, ...compareLayouts(layout, baseline.layout) }
+        : null;
+    if (drift && drift.changed) {
+        logger.warn('Portal layout changed', {
+            run_id: run.id,
+            profile: profile.id,
+            baseline_run_id: baseline.id,
+            added: drift.added,
+            removed: drift.removed,
+            remapped: drift.remapped,
+        });
+        await publishEvent('layout.changed', {
+            run: { id: run.id, account: run.account, account_id: run.account_id },
+            profile,
+            confidence: layout.confidence,
+            ...drift,
+        }).catch(error => logger.error('Could not queue the layout.changed event', { run_id: run.id, error }));
+    }
+
+    return {
+        layout: { profile: profile.id, ...layout, drift },
+        layout_signature: layout.signature,
+        layout_changed: Boolean(drift && drift.changed),
+    };
+}
+
+/**
+ * The portal circuit breaker's state.
+ * @returns {object} `{ state, failures, failure_threshold, cooldown_ms, opened_at, retry_at }`.
+ */
+function getPortalCircuit() {
+    return portalCircuit.snapshot();
+}
+
+/**
+ * Whether scheduled runs are being held back.
+ * @returns {boolean}
+ */
+function isPortalCircuitOpen() {
+    return portalCircuit.isOpen();
+}
+
+/**
+ * Closes the portal circuit breaker, e.g. once the portal is known to be back.
+ * @returns {object} The new state.
+ */
+function resetPortalCircuit() {
+    portalCircuit.reset();
+    return portalCircuit.snapshot();
+}
+
+/**
+ * Feeds a run's outcome to the portal circuit breaker.
+ * @param {object} result - The ScrapeResult.
+ * @param {object} SCRAPE_STATUS
+ */
+function recordPortalOutcome(result, SCRAPE_STATUS) {
+    if (result.status === SCRAPE_STATUS.CANCELLED || result.status === SCRAPE_STATUS.ERROR) {
+        // Nothing learnt about the portal
+        portalCircuit.releaseProbe();
+    } else if (result.status === SCRAPE_STATUS.PORTAL_UNAVAILABLE) {
+        portalCircuit.recordFailure();
+    } else {
+        portalCircuit.recordSuccess();
+    }
+}
+
+/**
+ * Runs the scraper for a claimed run and records the outcome.
+ * @param {object} run - The claimed ScrapeRun.
+ * @param {AbortSignal} signal - Aborted by cancelScrapeJob.
+ */
+async function runJob(run, signal) {
+    const { id } = run;
+    if (run.trigger === 'schedule' && !portalCircuit.allowRequest()) {
+        activeRuns.delete(id);
+        const { retry_at: retryAt } = portalCircuit.snapshot();
+        logger.warn('Scheduled run held back by the open portal circuit', { run_id: id, retry_at: retryAt });
+        const until = retryAt && retryAt.getTime() > Date.now() ? `until ${retryAt.toISOString()}` : 'for the probe run to end';
+        return finishRun(id, { status: 'cancelled', error: `Portal unavailable, scheduled runs wait ${until}`, layout: {} });
+    }
+
+    const outcome = { status: 'failed', error: null, result: undefined, layout: {} };
+    const periods = [];
+    try {
+        const [{ scrapeMarks, SCRAPE_STATUS }, options] = await Promise.all([
+            loadScraper(),
+            scrapeOptionsForRun(run),
+        ]);
+        const result = await scrapeMarks({
+            ...options,
+            headless: process.env.SCRAPE_HEADLESS !== 'false',
+            timeouts: { captchaSolveMs: CAPTCHA_TIMEOUT_MS },
+            signal,
+            runId: id,
+            accountId: run.account_id,
+            logger,
+            onArtifact: artifact => recordRunArtifact(id, artifact),
+            onStep: step => prisma.scrapeRun.update({ where: { id }, data: { step } }),
+            onPeriod: report => {
+                periods.push(report);
+                return prisma.scrapeRun.update({ where: { id }, data: { progress: periods } });
+            },
+            onCaptcha: challenge => waitForCaptchaSolution(id, challenge, signal),
+        });
+        outcome.result = result;
+        recordPortalOutcome(result, SCRAPE_STATUS);
+        if (result.layout) {
+            try {
+                outcome.layout = await checkLayoutDrift(run, result);
+            } catch (error) {
+                logger.error('Could not compare the column layout', { run_id: id, error });
+            }
+        }
+        Object.assign(outcome, runOutcome(result, SCRAPE_STATUS));
+    } catch (error) {
+        logger.error('Run crashed', { run_id: id, account_id: run.account_id, error });
+        if (outcome.result === undefined) portalCircuit.releaseProbe();
+        outcome.status = signal.aborted ? 'cancelled' : 'failed';
+        outcome.error = error.message;
+    } finally {
+        activeRuns.delete(id);
+    }
+    await finishRun(id, outcome);
+}
+
+/**
+ * Stores the outcome of a run, announces it and starts the next queued runs.
+ * @param {number} id - The ScrapeRun id.
+ * @param {object} outcome - `{ status, error, result?, layout }`.
+ */
+async function finishRun(id, outcome) {
+    try {
+        const finished = await prisma.scrapeRun.update({
+            where: { id },
+            data: {
+                status: outcome.status,
+                error: outcome.error,
+                finished_at: new Date(),
+                ...outcome.layout,
+                ...(outcome.result !== undefined ? { result: outcome.result } : {}),
+            },
+        });
+        scrapeEvents.emit('finished', { run: finished, status: outcome.status });
+    } catch (error) {
+        logger.error('Could not record the outcome of a run', { run_id: id, error });
+    }
+    pruneRunArtifacts().catch(error => logger.warn('Could not prune old run artifacts', { error }));
+    processQueue();
+}
+
+/**
+ * Cancels a run. Queued runs are cancelled right away; running ones are
+ * aborted and become cancelled once the scraper has stopped.
+ *
+ * @param {number} id - The ScrapeRun id.
+ * @returns {Promise<{ run: object|null, cancelled: boolean }>} cancelled is false when the run had already finished.
+ */
+async function cancelScrapeJob(id) {
+    const run = await prisma.scrapeRun.findUnique({ where: { id } });
+    if (!run) return { run: null, cancelled: false };
+
+    if (run.status === 'queued') {
+        const { count } = await prisma.scrapeRun.updateMany({
+            where: { id, status: 'queued' },
+            data: { status: 'cancelled', finished_at: new Date() },
+        });
+        if (count > 0) {
+            const cancelled = await prisma.scrapeRun.findUnique({ where: { id } });
+            scrapeEvents.emit('finished', { run: cancelled, status: 'cancelled' });
+            return { run: cancelled, cancelled: true };
+        }
+    }
+
+    const active = activeRuns.get(id);
+    if (active) {
+        active.controller.abort();
+        return { run: await prisma.scrapeRun.findUnique({ where: { id } }), cancelled: true };
+    }
+
+    return { run, cancelled: false };
+}
+
+/**
+ * Marks runs left running by a previous process as failed, then starts any
+ * queued runs. Called once when the server starts.
+ */
+async function recoverScrapeJobs() {
+    const { count } = await prisma.scrapeRun.updateMany({
+        where: { status: 'running' },
+        data: { status: 'failed', error: 'Interrupted by a server restart', finished_at: new Date() },
+    });
+    if (count > 0) logger.warn('Marked interrupted runs as failed', { count });
+    pruneRunArtifacts().catch(error => logger.warn('Could not prune old run artifacts', { error }));
+    processQueue();
+}
+
+export {
+    scrapeEvents,
+    enqueueScrapeJob,
+    enqueueBatchScrape,
+    isAccountBusy,
+    loadScraperSettings,
+    getCaptchaChallenge,
+    solveCaptcha,
+    cancelScrapeJob,
+    recoverScrapeJobs,
+    getPortalCircuit,
+    isPortalCircuitOpen,
+    resetPortalCircuit,
+};
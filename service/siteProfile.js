@@ -0,0 +1,122 @@
+/**
+ * Site profiles: what the scraper looks for on a given MIS portal.
+ *
+ * A profile is a JSON or YAML file in profiles/ (or anywhere, by path) that
+ * describes the login form, the logged-in indicators, how to recognise the
+ * marksheet and when it has loaded, where the student fields are and how
+ * table headers map to course fields. It is checked against
+ * profiles/site-profile.schema.json when loaded, so a broken profile fails
+ * before any browser starts.
+ *
+ * Supporting another portal, or following a layout change, means writing or
+ * editing a profile rather than the scraper.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+
+const PROFILES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'profiles');
+const SCHEMA_PATH = path.join(PROFILES_DIR, 'site-profile.schema.json');
+const DEFAULT_PROFILE = 'ulk';
+const EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const cache = new Map();
+let validateProfile = null;
+
+class SiteProfileError extends Error {
+    /**
+     * @param {string} message
+     * @param {string[]} [errors] - Schema violations, one per entry.
+     */
+    constructor(message, errors = []) {
+        super(errors.length > 0 ? `${message}:\n  ${errors.join('\n  ')}` : message);
+        this.name = 'SiteProfileError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * The profile file for a name or path.
+ * @param {string} nameOrPath - A profile id in profiles/, or a file path.
+ * @returns {string}
+ */
+function resolveProfilePath(nameOrPath) {
+    if (nameOrPath.includes('/') || nameOrPath.includes(path.sep) || EXTENSIONS.includes(path.extname(nameOrPath))) {
+        return path.resolve(nameOrPath);
+    }
+    for (const extension of EXTENSIONS) {
+        const file = path.join(PROFILES_DIR, `${nameOrPath}${extension}`);
+        if (fs.existsSync(file)) return file;
+    }
+    throw new SiteProfileError(`No site profile named "${nameOrPath}" in ${PROFILES_DIR}`);
+}
+
+/**
+ * Checks a profile against the schema, and that its patterns compile.
+ * @param {object} profile - A parsed profile.
+ * @returns {string[]} The problems found; empty when the profile is valid.
+ */
+function validateSiteProfile(profile) {
+    if (!validateProfile) {
+        const ajv = new Ajv({ allErrors: true });
+        validateProfile = ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')));
+    }
+    if (!validateProfile(profile)) {
+        return validateProfile.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+    }
+
+    const errors = [];
+    const titlePatterns = (profile.tables.semesterTitle || {}).patterns || [];
+    const patterns = [
+        ...titlePatterns.map((pattern, i) => [`/tables/semesterTitle/patterns/${i}`, pattern]),
+        ...profile.columns.map((rule, i) => [`/columns/${i}/pattern`, rule.pattern]).filter(([, pattern]) => pattern),
+    ];
+    for (const [pointer, pattern] of patterns) {
+        try {
+            new RegExp(pattern, 'i');
+        } catch (error) {
+            errors.push(`${pointer} ${error.message}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Loads and validates a site profile. Profiles are read once per process.
+ * @param {string} [nameOrPath] - A profile id in profiles/ or a file path;
+ *   defaults to SITE_PROFILE, then "ulk".
+ * @returns {Promise<object>} The profile.
+ * @throws {SiteProfileError} When the profile is missing, unreadable or invalid.
+ */
+async function loadSiteProfile(nameOrPath = process.env.SITE_PROFILE || DEFAULT_PROFILE) {
+    const file = resolveProfilePath(nameOrPath);
+    if (cache.has(file)) return cache.get(file);
+
+    let profile;
+    try {
+        const source = fs.readFileSync(file, 'utf8');
+        if (path.extname(file) === '.json') {
+            profile = JSON.parse(source);
+        } else {
+            // yaml is only needed for YAML profiles
+            const { parse } = await import('yaml');
+            profile = parse(source);
+        }
+    } catch (error) {
+        throw new SiteProfileError(`Could not read site profile ${file}: ${error.message}`);
+    }
+
+    const errors = validateSiteProfile(profile);
+    if (errors.length > 0) throw new SiteProfileError(`Invalid site profile ${file}`, errors);
+
+    cache.set(file, profile);
+    return profile;
+}
+
+export {
+    SiteProfileError,
+    validateSiteProfile,
+    loadSiteProfile,
+};
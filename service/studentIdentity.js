@@ -0,0 +1,163 @@
+/**
+ * Whose marks are being saved.
+ *
+ * A scrape's marks belong to the student logged in: the account's student_uuid,
+ * or its username (MIS logins are registration numbers). The registration number
+ * read from the marksheet is only a cross-check; when the two disagree the page
+ * shown is not the account's own and nothing may be saved. Imports have no
+ * login, the payload's regNo is their identity.
+ *
+ * The marksheet's studentInfo also refreshes the Student profile; changed
+ * fields are kept as StudentProfileHistory rows.
+ *
+ * Saves used to fall back to a shared 'abc123-uuid' student instead;
+ * planIdentityRepair works out where those results belong
+ * (scripts/repairStudentIdentity.js applies it).
+ */
+
+// studentInfo key -> Student column
+const PROFILE_FIELDS = { name: 'name', regNo: 'reg_no', program: 'program', faculty: 'faculty' };
+
+/**
+ * A trimmed studentInfo value, null when blank or the extractor's 'N/A'.
+ * @param {*} value
+ * @returns {string|null}
+ */
+function profileValue(value) {
+    const text = typeof value === 'string' ? value.trim() : (typeof value === 'number' ? String(value) : '');
+    return text && text !== 'N/A' ? text : null;
+}
+
+/**
+ * The form registration numbers are compared in: no whitespace, upper case.
+ * @param {string} regNo
+ * @returns {string}
+ */
+function regNoKey(regNo) {
+    return regNo.replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Establishes the student a save belongs to.
+ *
+ * @param {object} options
+ * @param {string} [options.studentUuid] - The logged-in account's student, absent for imports.
+ * @param {object} [options.studentInfo] - `{ regNo, ... }` from extractMarksData.
+ * @returns {{ uuid: string|null, source: string|null, reg_no: string|null, verified: boolean, error: string|null }}
+ * uuid is null, and error says why, when the save must be refused. source is
+ * 'account' or 'marksheet'; verified tells whether the marksheet's regNo confirmed the account.
+ */
+function resolveStudentIdentity({ studentUuid, studentInfo } = {}) {
+    const expected = profileValue(studentUuid);
+    const regNo = profileValue(studentInfo && studentInfo.regNo);
+
+    if (expected && regNo) {
+        if (regNoKey(expected) !== regNoKey(regNo)) {
+            return {
+                uuid: null,
+                source: 'account',
+                reg_no: regNo,
+                verified: false,
+                error: `The marksheet shows registration number ${regNo}, not ${expected} of the logged-in account`,
+            };
+        }
+        return { uuid: expected, source: 'account', reg_no: regNo, verified: true, error: null };
+    }
+    if (expected) return { uuid: expected, source: 'account', reg_no: null, verified: false, error: null };
+    if (regNo) return { uuid: regNo, source: 'marksheet', reg_no: regNo, verified: false, error: null };
+    return {
+        uuid: null,
+        source: null,
+        reg_no: null,
+        verified: false,
+        error: 'No student identity: no logged-in account and no registration number in the data',
+    };
+}
+
+/**
+ * The Student columns studentInfo provides. Blank fields are left out, so they
+ * never overwrite stored ones.
+ * @param {object} studentInfo - `{ name, regNo, program, faculty }`.
+ * @returns {object} `{ name?, reg_no?, program?, faculty? }`.
+ */
+function profileFromStudentInfo(studentInfo) {
+    const profile = {};
+    for (const [key, column] of Object.entries(PROFILE_FIELDS)) {
+        const value = profileValue(studentInfo && studentInfo[key]);
+        if (value) profile[column] = value;
+    }
+    return profile;
+}
+
+/**
+ * The profile fields a save changes.
+ * @param {object} student - The stored Student.
+ * @param {object} profile - From profileFromStudentInfo.
+ * @returns {{ field: string, old_value: string|null, new_value: string }[]}
+ */
+function profileChanges(student, profile) {
+    return Object.entries(profile)
+        .filter(([field, value]) => student[field] !== value)
+        .map(([field, value]) => ({ field, old_value: student[field], new_value: value }));
+}
+
+/**
+ * Plans the reassignment of results saved under a placeholder student.
+ *
+ * A result belongs to the student of the last scrape run that saved it or found
+ * it unchanged: that run's marks are the ones it holds. Earlier runs for other
+ * students had their marks overwritten; they are listed in `overwritten` so
+ * those students can be scraped again. Results no run reports go to `to` when
+ * given, and are left in place otherwise. A result is never moved onto a
+ * (course, period) its new student already has.
+ *
+ * @param {{ id: number, course_id: number, period_id: number }[]} results - The placeholder's Results.
+ * @param {object} options
+ * @param {{ id: number, student_uuid: string, result_ids: number[] }[]} options.runs - Scrape runs, oldest first, with the results their report lists.
+ * @param {Set<string>} [options.taken] - `<student_uuid>:<course_id>:<period_id>` of the results the students already have.
+ * @param {string|null} [options.to] - Student for the results no run reports.
+ * @returns {{ moves: object[], conflicts: object[], unattributed: number[] }}
+ * moves are `{ result_id, to, run_id, overwritten }` (run_id null when moved through `to`),
+ * conflicts `{ result_id, to, reason }`.
+ */
+function planIdentityRepair(results, { runs, taken = new Set(), to = null }) {
+    // Result id -> runs reporting it, oldest first
+    const reportedBy = new Map();
+    for (const run of runs) {
+        for (const id of run.result_ids) {
+            if (!reportedBy.has(id)) reportedBy.set(id, []);
+            reportedBy.get(id).push(run);
+        }
+    }
+
+    const plan = { moves: [], conflicts: [], unattributed: [] };
+    const claimed = new Set(taken);
+    for (const result of results) {
+        const reports = reportedBy.get(result.id) || [];
+        const last = reports.length > 0 ? reports[reports.length - 1] : null;
+        const target = last ? last.student_uuid : to;
+        if (!target) {
+            plan.unattributed.push(result.id);
+            continue;
+        }
+
+        const key = `${target}:${result.course_id}:${result.period_id}`;
+        if (claimed.has(key)) {
+            plan.conflicts.push({ result_id: result.id, to: target, reason: `${target} already has a result for this course and period` });
+            continue;
+        }
+        claimed.add(key);
+
+        const overwritten = [...new Set(reports.map(run => run.student_uuid))].filter(uuid => uuid !== target);
+        plan.moves.push({ result_id: result.id, to: target, run_id: last ? last.id : null, overwritten });
+    }
+    return plan;
+}
+
+export {
+    PROFILE_FIELDS,
+    resolveStudentIdentity,
+    profileFromStudentInfo,
+    profileChanges,
+    planIdentityRepair,
+};
@@ -0,0 +1,31 @@
+/**
+ * Read helpers for the normalized student records.
+ */
+
+import prisma from './prismaClient.js';
+import { MARK_INCLUDE } from './marksheetService.js';
+import { groupByPeriod } from './markRows.js';
+
+/**
+ * Loads a student's results grouped by academic period, in the order the
+ * periods were first stored.
+ *
+ * @param {number} studentId - The Student id.
+ * @returns {Promise<object|null>} `{ student, periods: [{ id, title, results }] }`, or null when the student does not exist.
+ */
+async function getStudentResultsByPeriod(studentId) {
+    const student = await prisma.student.findUnique({ where: { id: studentId } });
+    if (!student) return null;
+
+    const results = await prisma.result.findMany({
+        where: { student_id: studentId },
+        include: MARK_INCLUDE,
+        orderBy: [{ period_id: 'asc' }, { course: { code: 'asc' } }],
+    });
+
+    return { student, periods: groupByPeriod(results) };
+}
+
+export {
+    getStudentResultsByPeriod,
+};
@@ -0,0 +1,230 @@
+/**
+ * Unofficial transcripts: a student's profile and results grouped by
+ * academic period with semester GPA and CGPA, rendered as a PDF.
+ *
+ * Every transcript carries a SHA-256 hash of its content (not of the PDF, so
+ * the generation time does not change it). A printed copy can be checked by
+ * comparing its hash with the one computed from the database now: they
+ * differ as soon as a mark or the profile changed.
+ */
+
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import PDFDocument from 'pdfkit';
+import { gradeFor, gradableTotal, computeGpa } from './grading.js';
+
+// Text shown for a mark component that holds no number, by *_status
+const STATUS_LABELS = { pending: '-', absent: 'ABS', exempt: 'EX' };
+
+const PAGE_MARGIN = 50;
+// Footer height kept free at the bottom of every page
+const FOOTER_HEIGHT = 40;
+const TABLE_COLUMNS = [
+    { key: 'code', title: 'Code', width: 60 },
+    { key: 'name', title: 'Course', width: 175 },
+    { key: 'credit', title: 'Credits', width: 40, align: 'right' },
+    { key: 'cat1', title: 'CAT1', width: 40, align: 'right' },
+    { key: 'cat2', title: 'CAT2', width: 40, align: 'right' },
+    { key: 'exam_mark', title: 'Exam', width: 40, align: 'right' },
+    { key: 'total_mark', title: 'Total', width: 40, align: 'right' },
+    { key: 'grade', title: 'Grade', width: 40, align: 'right' },
+];
+const ROW_HEIGHT = 16;
+
+/**
+ * A mark component as printed: the number, or what its status means.
+ */
+function markText(mark, field) {
+    const status = mark[`${field}_status`];
+    if (status === 'published' && typeof mark[field] === 'number') return String(Math.round(mark[field] * 100) / 100);
+    return STATUS_LABELS[status] || '-';
+}
+
+/**
+ * Builds the transcript content from a student's results.
+ * @param {object} data - `{ student, periods }` from getStudentResultsByPeriod.
+ * @param {object} options
+ * @param {string} options.scale - The grading scale name.
+ * @param {object[]} options.bands - The scale bands from getScale.
+ * @returns {object} `{ student, scale, periods: [{ title, courses, credits, gpa, cgpa }], total_credits, cgpa }`.
+ */
+function buildTranscript({ student, periods }, { scale, bands }) {
+    const gpa = computeGpa(periods, bands);
+
+    return {
+        student: {
+            uuid: student.uuid,
+            name: student.name,
+            reg_no: student.reg_no,
+            program: student.program,
+            faculty: student.faculty,
+        },
+        scale,
+        periods: periods.map((period, i) => ({
+            title: period.title,
+            courses: period.results.map(mark => {
+                const derived = gradeFor(gradableTotal(mark), bands);
+                return {
+                    code: mark.code,
+                    name: mark.name,
+                    credit: mark.credit,
+                    cat1: markText(mark, 'cat1'),
+                    cat2: markText(mark, 'cat2'),
+                    exam_mark: markText(mark, 'exam_mark'),
+                    total_mark: markText(mark, 'total_mark'),
+                    // The portal's grade when it shows one
+                    grade: mark.grade || (derived ? derived.grade : '-'),
+                };
+            }),
+            credits: gpa.periods[i].credits,
+            gpa: gpa.periods[i].gpa,
+            cgpa: gpa.periods[i].cgpa,
+        })),
+        total_credits: gpa.total_credits,
+        cgpa: gpa.cgpa,
+    };
+}
+
+/**
+ * @param {object} transcript - From buildTranscript.
+ * @returns {string} Hex SHA-256 of the transcript content.
+ */
+function transcriptHash(transcript) {
+    return crypto.createHash('sha256').update(JSON.stringify(transcript)).digest('hex');
+}
+
+const orDash = value => (value === null || value === undefined || value === '' ? '-' : String(value));
+const gpaText = value => (value === null ? '-' : value.toFixed(2));
+
+function drawTableRow(doc, cells, { bold = false } = {}) {
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    for (const column of TABLE_COLUMNS) {
+        doc.text(cells[column.key], x + 2, y + 4, { width: column.width - 4, align: column.align || 'left', lineBreak: false, ellipsis: true });
+        x += column.width;
+    }
+    doc.moveTo(PAGE_MARGIN, y + ROW_HEIGHT).lineTo(x, y + ROW_HEIGHT).lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.x = PAGE_MARGIN;
+    doc.y = y + ROW_HEIGHT;
+}
+
+/**
+ * Starts a new page unless `height` more points fit above the footer.
+ */
+function ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT) doc.addPage();
+}
+
+function drawHeader(doc, transcript) {
+    doc.font('Helvetica-Bold').fontSize(16).text('Unofficial Transcript', { align: 'center' });
+    doc.moveDown(0.8);
+
+    const { student } = transcript;
+    const profile = [['Name', student.name], ['Registration no.', student.reg_no], ['Program', student.program], ['Faculty', student.faculty]];
+    for (const [label, value] of profile) {
+        doc.font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true });
+        doc.font('Helvetica').text(orDash(value));
+    }
+    doc.moveDown(1);
+}
+
+function drawPeriod(doc, period) {
+    const header = {};
+    for (const column of TABLE_COLUMNS) header[column.key] = column.title;
+
+    // Keep the period title with its table header and first row
+    ensureSpace(doc, 20 + ROW_HEIGHT * 2);
+    doc.font('Helvetica-Bold').fontSize(11).text(period.title, PAGE_MARGIN);
+    doc.moveDown(0.3);
+    drawTableRow(doc, header, { bold: true });
+
+    for (const course of period.courses) {
+        if (doc.y + ROW_HEIGHT > doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT) {
+            doc.addPage();
+            drawTableRow(doc, header, { bold: true });
+        }
+        drawTableRow(doc, { ...course, credit: orDash(course.credit) });
+    }
+
+    ensureSpace(doc, 20);
+    doc.font('Helvetica').fontSize(9).text(
+        `Credits: ${period.credits}    Semester GPA: ${gpaText(period.gpa)}    CGPA: ${gpaText(period.cgpa)}`,
+        PAGE_MARGIN, doc.y + 4,
+    );
+    doc.moveDown(1.2);
+}
+
+function drawSummary(doc, transcript) {
+    ensureSpace(doc, 50);
+    doc.font('Helvetica-Bold').fontSize(11).text('Summary', PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(10)
+        .text(`Total credits: ${transcript.total_credits}`)
+        .text(`Cumulative GPA: ${gpaText(transcript.cgpa)}`)
+        .text(`Grading scale: ${transcript.scale}`);
+}
+
+/**
+ * Watermark and footer, drawn over every page once the content is laid out.
+ */
+function drawPageDecorations(doc, { generatedAt, hash }) {
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        const { width, height } = doc.page;
+
+        doc.save();
+        doc.rotate(-45, { origin: [width / 2, height / 2] });
+        doc.font('Helvetica-Bold').fontSize(90).fillColor('#d0d0d0').opacity(0.35)
+            .text('UNOFFICIAL', 0, height / 2 - 45, { width, align: 'center', lineBreak: false });
+        doc.restore();
+
+        // Writing inside the bottom margin would otherwise add a page
+        const bottomMargin = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(7).fillColor('#555555').opacity(1);
+        doc.text(`Unofficial transcript generated ${generatedAt.toISOString()} - page ${i - start + 1} of ${count}`,
+            PAGE_MARGIN, height - PAGE_MARGIN - 18, { width: width - PAGE_MARGIN * 2, align: 'center', lineBreak: false });
+        doc.text(`Verification hash (SHA-256): ${hash}`,
+            PAGE_MARGIN, height - PAGE_MARGIN - 8, { width: width - PAGE_MARGIN * 2, align: 'center', lineBreak: false });
+        doc.page.margins.bottom = bottomMargin;
+    }
+}
+
+/**
+ * Renders a transcript as a PDF into a writable stream (usually the HTTP response), and ends it.
+ * @param {import('stream').Writable} stream
+ * @param {object} transcript - From buildTranscript.
+ * @param {object} options
+ * @param {string} options.hash - From transcriptHash.
+ * @param {Date} [options.generatedAt=new Date()]
+ * @returns {Promise<void>} Resolves once the PDF is written; rejects with
+ *   ERR_STREAM_PREMATURE_CLOSE when the stream is closed first.
+ */
+function renderTranscriptPdf(stream, transcript, { hash, generatedAt = new Date() }) {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: { Title: `Unofficial transcript - ${orDash(transcript.student.name)}`, Subject: `SHA-256 ${hash}` },
+    });
+    // Rejects, and destroys the document, when the stream closes early, e.g. on a client abort
+    const done = pipeline(doc, stream);
+
+    drawHeader(doc, transcript);
+    if (transcript.periods.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('No results recorded.');
+    }
+    for (const period of transcript.periods) drawPeriod(doc, period);
+    drawSummary(doc, transcript);
+    drawPageDecorations(doc, { generatedAt, hash });
+
+    doc.end();
+    return done;
+}
+
+export {
+    buildTranscript,
+    transcriptHash,
+    renderTranscriptPdf,
+};
@@ -0,0 +1,82 @@
+/**
+ * The webhook events of a marks save and the signature of a delivery, apart
+ * from queueing and sending them (see webhookService.js).
+ */
+
+import crypto from 'crypto';
+import { MARK_COMPONENTS, toMarkRow } from './markRows.js';
+
+/**
+ * Signs a webhook body.
+ * @param {string} secret - The webhook secret.
+ * @param {string} timestamp - Unix seconds, sent as X-Miss-Timestamp.
+ * @param {string} body - The raw JSON body.
+ * @returns {string} The X-Miss-Signature header value.
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Works out the events of one save by comparing each saved result with its
+ * previous state.
+ * @param {{ student: object, saved: object[] }} save - A markEvents 'saved' event.
+ * @param {function(object): Promise<object[]>} findResults - Loads the Results matching
+ *   a Prisma `where`, with their student, course and period.
+ * @returns {Promise<{ event: string, data: object }[]>}
+ */
+async function deriveMarkEvents({ student, saved }, findResults) {
+    const results = await findResults({ id: { in: saved.map(entry => entry.result.id) } });
+    const rowsById = new Map(results.map(result => [result.id, toMarkRow(result)]));
+    const studentRef = { id: student.id, uuid: student.uuid, name: student.name };
+
+    const events = [];
+    // Periods where a total mark stopped being pending in this save
+    const settledPeriods = new Map();
+
+    for (const { result, action, changes } of saved) {
+        const mark = rowsById.get(result.id);
+        if (!mark) continue;
+
+        const before = {};
+        if (action === 'updated') {
+            for (const change of changes) before[change.field] = change;
+        }
+
+        const published = MARK_COMPONENTS.filter(field => result[`${field}_status`] === 'published' &&
+            (action === 'created' || (before[field] && before[field].old_status !== 'published')));
+        if (published.length > 0) {
+            events.push({ event: 'mark.published', data: { student: studentRef, mark, components: published } });
+        }
+
+        const changed = changes.filter(change => change.old_status === 'published' &&
+            (change.new_status !== 'published' || change.old_value !== change.new_value));
+        if (changed.length > 0) {
+            events.push({ event: 'mark.changed', data: { student: studentRef, mark, changes: changed } });
+        }
+
+        const totalSettled = result.total_mark_status !== 'pending' &&
+            (action === 'created' || (before.total_mark && before.total_mark.old_status === 'pending'));
+        if (totalSettled) settledPeriods.set(result.period_id, mark.academic_period);
+    }
+
+    for (const [periodId, title] of settledPeriods) {
+        const periodResults = await findResults({ student_id: student.id, period_id: periodId });
+        if (periodResults.some(result => result.total_mark_status === 'pending')) continue;
+        events.push({
+            event: 'semester.completed',
+            data: {
+                student: studentRef,
+                academic_period: { id: periodId, title },
+                marks: periodResults.map(toMarkRow),
+            },
+        });
+    }
+
+    return events;
+}
+
+export {
+    signPayload,
+    deriveMarkEvents,
+};
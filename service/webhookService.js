@@ -0,0 +1,281 @@
+/**
+ * Webhooks for mark events.
+ *
+ * After each save of scraped or imported marks (markEvents 'saved'), the
+ * stored results are compared with what was there before:
+ * - mark.published: a mark component became published (including on a new result),
+ * - mark.changed: a published mark component changed its value or status,
+ * - semester.completed: the last pending total mark of a student's academic period was published.
+ * Scrape runs add layout.changed when the marks tables are no longer read as
+ * in the last succeeded run (see scrapeJobs.js).
+ *
+ * Each event is queued as one WebhookDelivery per subscribed webhook and
+ * POSTed as JSON, signed with the webhook's secret:
+ *   X-Miss-Signature: sha256=<hex HMAC-SHA256 of `${X-Miss-Timestamp}.${body}`>
+ * Deliveries that fail are retried with exponential backoff, up to
+ * WEBHOOK_MAX_ATTEMPTS, and stay in the table as the delivery log.
+ */
+
+import crypto from 'crypto';
+import prisma from './prismaClient.js';
+import { markEvents, MARK_INCLUDE } from './marksheetService.js';
+import { signPayload, deriveMarkEvents } from './webhookEvents.js';
+import { logger as rootLogger } from './logger.js';
+
+const WEBHOOK_EVENTS = ['mark.published', 'mark.changed', 'semester.completed', 'layout.changed'];
+
+const POLL_MS = (Number(process.env.WEBHOOK_POLL_SECONDS) || 5) * 1000;
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const TIMEOUT_MS = (Number(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+// Deliveries sent per dispatch pass
+const BATCH_SIZE = 20;
+// Response bodies kept in last_error are cut to this length
+const MAX_ERROR_LENGTH = 500;
+
+const logger = rootLogger.child({ component: 'webhooks' });
+
+let timer = null;
+let dispatching = false;
+let dispatchAgain = false;
+
+/**
+ * The webhook as returned by the API, without its secret.
+ * @param {object} webhook - A Webhook row.
+ * @returns {object}
+ */
+function toPublicWebhook(webhook) {
+    const { secret: _secret, ...rest } = webhook;
+    return rest;
+}
+
+/**
+ * Validates a webhook body.
+ * @param {object} body - `{ url, events?, secret?, description?, active? }`.
+ * @returns {{ data: object, errors: string[] }}
+ */
+function validateWebhook(body) {
+    const errors = [];
+    const data = {};
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { data, errors: ['Request body must be a JSON object'] };
+    }
+
+    if (typeof body.url !== 'string' || body.url.trim() === '') {
+        errors.push('url is required');
+    } else {
+        let url = null;
+        try {
+            url = new URL(body.url.trim());
+        } catch {
+            // reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push('url must be an http or https URL');
+        else data.url = url.toString();
+    }
+
+    if (body.events === undefined) {
+        data.events = WEBHOOK_EVENTS;
+    } else if (!Array.isArray(body.events) || body.events.length === 0) {
+        errors.push(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+    } else {
+        const unknown = body.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) errors.push(`Unknown events: ${unknown.join(', ')}; events must be among: ${WEBHOOK_EVENTS.join(', ')}`);
+        else data.events = Array.from(new Set(body.events));
+    }
+
+    if (body.secret !== undefined) {
+        if (typeof body.secret !== 'string' || body.secret.length < 16) errors.push('secret must be a string of at least 16 characters');
+        else data.secret = body.secret;
+    }
+
+    if (body.description !== undefined) {
+        if (body.description !== null && typeof body.description !== 'string') errors.push('description must be a string or null');
+        else data.description = body.description;
+    }
+
+    if (body.active !== undefined) {
+        if (typeof body.active !== 'boolean') errors.push('active must be a boolean');
+        else data.active = body.active;
+    }
+
+    return { data, errors };
+}
+
+/**
+ * Registers a webhook. A secret is generated when none is given; this is the
+ * only response that includes it.
+ * @param {object} data - Validated webhook fields.
+ * @returns {Promise<object>} The Webhook, with its secret.
+ */
+async function createWebhook(data) {
+    return prisma.webhook.create({
+        data: { secret: crypto.randomBytes(32).toString('hex'), ...data },
+    });
+}
+
+/**
+ * Queues an event for every active webhook subscribed to it.
+ * @param {string} event - One of WEBHOOK_EVENTS.
+ * @param {object} data - The event data.
+ * @returns {Promise<number>} The number of deliveries queued.
+ */
+async function publishEvent(event, data) {
+    const webhooks = await prisma.webhook.findMany({ where: { active: true } });
+    const subscribed = webhooks.filter(webhook => Array.isArray(webhook.events) && webhook.events.includes(event));
+    if (subscribed.length === 0) return 0;
+
+    // Every subscriber gets the same event id, so consumers can deduplicate retries
+    const payload = { id: crypto.randomUUID(), event, created_at: new Date().toISOString(), data };
+    await prisma.webhookDelivery.createMany({
+        data: subscribed.map(webhook => ({ webhook_id: webhook.id, event, payload })),
+    });
+    // Elsewhere, e.g. in the scraper CLI, the server's dispatcher picks them up
+    if (timer) dispatchDue();
+    return subscribed.length;
+}
+
+/**
+ * Sends one delivery and records the attempt.
+ * @param {object} delivery - A WebhookDelivery with its webhook.
+ */
+async function deliver(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let error = null;
+
+    try {
+        const response = await fetch(delivery.webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'miss-service-webhooks',
+                'X-Miss-Event': delivery.event,
+                'X-Miss-Delivery': String(delivery.id),
+                'X-Miss-Timestamp': timestamp,
+                'X-Miss-Signature': signPayload(delivery.webhook.secret, timestamp, body),
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS),
+        });
+        responseStatus = response.status;
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            error = `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_ERROR_LENGTH)}` : ''}`;
+        }
+    } catch (fetchError) {
+        error = fetchError.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS / 1000}s` : fetchError.message;
+    }
+
+    const data = { attempts, response_status: responseStatus, last_error: error };
+    if (!error) {
+        data.status = 'delivered';
+        data.delivered_at = new Date();
+    } else if (attempts >= MAX_ATTEMPTS) {
+        data.status = 'failed';
+    } else {
+        const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+        data.next_attempt_at = new Date(Date.now() + delay);
+    }
+    await prisma.webhookDelivery.update({ where: { id: delivery.id }, data });
+}
+
+/**
+ * Sends the pending deliveries that are due, oldest first.
+ */
+async function dispatchDue() {
+    if (dispatching) {
+        dispatchAgain = true;
+        return;
+    }
+    dispatching = true;
+    dispatchAgain = false;
+    try {
+        for (;;) {
+            const due = await prisma.webhookDelivery.findMany({
+                where: { status: 'pending', next_attempt_at: { lte: new Date() }, webhook: { active: true } },
+                include: { webhook: true },
+                orderBy: { next_attempt_at: 'asc' },
+                take: BATCH_SIZE,
+            });
+            if (due.length === 0) break;
+            for (const delivery of due) {
+                try {
+                    await deliver(delivery);
+                } catch (error) {
+                    logger.error('Could not record a delivery', { delivery_id: delivery.id, error });
+                }
+            }
+            if (due.length < BATCH_SIZE) break;
+        }
+    } catch (error) {
+        logger.error('Could not load the due deliveries', { error });
+    } finally {
+        dispatching = false;
+    }
+    if (dispatchAgain) dispatchDue();
+}
+
+/**
+ * Queues a failed or delivered delivery to be sent again.
+ * @param {number} webhookId - The Webhook id.
+ * @param {number} deliveryId - The WebhookDelivery id.
+ * @returns {Promise<object|null>} The delivery, or null when it does not belong to the webhook.
+ */
+async function redeliver(webhookId, deliveryId) {
+    const { count } = await prisma.webhookDelivery.updateMany({
+        where: { id: deliveryId, webhook_id: webhookId },
+        data: { status: 'pending', next_attempt_at: new Date(), attempts: 0 },
+    });
+    if (count === 0) return null;
+    dispatchDue();
+    return prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+}
+
+// Mark events being queued, for whenMarkEventsQueued
+const queueing = new Set();
+
+// Saves queue their events in every process that imports this module: the
+// server, and the scraper CLI (service/scrapUlkMiss.js run directly), which
+// waits for them before it exits. The server's dispatcher sends them.
+markEvents.on('saved', save => {
+    const queued = deriveMarkEvents(save, where => prisma.result.findMany({ where, include: MARK_INCLUDE }))
+        .then(events => Promise.all(events.map(({ event, data }) => publishEvent(event, data))))
+        .catch(error => logger.error('Could not queue mark events', { student_uuid: save.student.uuid, error }))
+        .finally(() => queueing.delete(queued));
+    queueing.add(queued);
+});
+
+/**
+ * Waits until the events of the saves so far are queued, e.g. before disconnecting the database.
+ * @returns {Promise<void>}
+ */
+async function whenMarkEventsQueued() {
+    await Promise.all([...queueing]);
+}
+
+/**
+ * Starts sending deliveries every WEBHOOK_POLL_SECONDS. Called once when the server starts.
+ */
+function startWebhookDispatcher() {
+    if (timer) return;
+    timer = setInterval(dispatchDue, POLL_MS);
+    dispatchDue();
+}
+
+export {
+    WEBHOOK_EVENTS,
+    toPublicWebhook,
+    validateWebhook,
+    createWebhook,
+    signPayload,
+    publishEvent,
+    redeliver,
+    startWebhookDispatcher,
+    whenMarkEventsQueued,
+};
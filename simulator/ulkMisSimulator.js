@@ -0,0 +1,383 @@
+/**
+ * Local stand-in for the ULK MIS portal, for running the scraper end to end
+ * without touching the real site.
+ *
+ * It serves the pages the scraper goes through, with the same element ids:
+ * - Default.aspx: the login form (#txtUserName, #txtPassword, #btnLogIn),
+ *   optionally with a CAPTCHA (#imgCaptcha, #txtimgcode),
+ * - Home.aspx: the dashboard, with the welcome label and Marksheet/Logout links,
+ * - Marksheet.aspx: academic year and semester dropdowns (choosing a year posts
+ *   back to list its semesters) and a View button; the marks table of the
+ *   chosen period is loaded by AJAX after `marksDelayMs`, behind a loading spinner.
+ *
+ * Failure modes are options: sessions that expire after a time or a number
+ * of pages, and a redirect loop on the marksheet.
+ *
+ * Run it on its own with `npm run simulator` (SIMULATOR_PORT, default 4000;
+ * SIMULATOR_CAPTCHA=true for a CAPTCHA) and point config/settings.js at it,
+ * or start it from a test with startSimulator.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { fileURLToPath } from 'url';
+
+const SESSION_COOKIE = 'ASP.NET_SessionId';
+const DEFAULT_CAPTCHA_CODE = 'K7P2Q';
+
+// The student served when no `students` option is given
+const DEFAULT_STUDENTS = {
+    '2201001': {
+        password: 'secret',
+        studentInfo: {
+            name: 'Alice Uwase',
+            regNo: '2201001',
+            program: 'BSc Computer Science',
+            faculty: 'Faculty of Science and Technology',
+        },
+        periods: [
+            {
+                year: '2023/2024',
+                semester: 'Semester 1',
+                courses: [
+                    { code: 'CSC3101', name: 'Data Structures', credits: 4, cat1: 17, cat2: 18.5, exam: 44, totalMark: 79.5, grade: 'A', gradePoint: 4 },
+                    { code: 'CSC3102', name: 'Operating Systems', credits: 3, cat1: 14, cat2: 'ABS', exam: 38, totalMark: 52, grade: 'C', gradePoint: 2 },
+                    { code: 'MAT3103', name: 'Linear Algebra', credits: 3, cat1: 12, cat2: 15, exam: '-', totalMark: '-', grade: '', gradePoint: null },
+                ],
+            },
+            {
+                year: '2023/2024',
+                semester: 'Semester 2',
+                courses: [
+                    { code: 'CSC3201', name: 'Databases', credits: 4, cat1: 16, cat2: 17, exam: 41, totalMark: 74, grade: 'B', gradePoint: 3 },
+                    { code: 'CSC3202', name: 'Computer Networks', credits: 3, cat1: 13, cat2: 14, exam: 35, totalMark: 62, grade: 'B', gradePoint: 3 },
+                ],
+            },
+            {
+                year: '2024/2025',
+                semester: 'Semester 1',
+                courses: [
+                    { code: 'CSC4101', name: 'Software Engineering', credits: 4, cat1: 15, cat2: '-', exam: '-', totalMark: '-', grade: '', gradePoint: null },
+                ],
+            },
+        ],
+    },
+};
+
+// The marks table heading of a period, e.g. "Semester 1 2023/2024"
+const periodTitle = period => `${period.semester} ${period.year}`;
+
+const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Wraps a page body in the portal layout.
+ */
+function layout(title, body, { loggedIn = false, studentName = '' } = {}) {
+    const menu = loggedIn
+        ? `<div id="menu">
+             <span id="ctl00_lblWelcomeMessage">Welcome, ${escapeHtml(studentName)}</span>
+             <a href="Home.aspx">Home</a> | <a href="Marksheet.aspx">Marksheet</a> | <a href="Logout.aspx">Logout</a>
+           </div>`
+        : '';
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>ULK MIS - ${escapeHtml(title)}</title>
+  <style>
+    body { font-family: sans-serif; }
+    #updateProgress { padding: 1em; }
+    #imgCaptcha { border: 1px solid #999; }
+  </style>
+</head>
+<body>
+  <div id="mainContent">
+    ${menu}
+    ${body}
+  </div>
+</body>
+</html>`;
+}
+
+function loginPage({ captcha, error, returnUrl }) {
+    const action = returnUrl ? `Default.aspx?ReturnUrl=${encodeURIComponent(returnUrl)}` : 'Default.aspx';
+    return layout('Login', `
+    <form id="form1" method="post" action="${escapeHtml(action)}">
+      <h2>Student Login</h2>
+      ${error ? `<span id="lblError" class="error">${escapeHtml(error)}</span>` : ''}
+      <table>
+        <tr><td>Username</td><td><input type="text" id="txtUserName" name="txtUserName"></td></tr>
+        <tr><td>Password</td><td><input type="password" id="txtPassword" name="txtPassword"></td></tr>
+        ${captcha
+        ? `<tr><td><img id="imgCaptcha" src="CaptchaImage.aspx?t=${Date.now()}" alt="CAPTCHA" width="150" height="50"></td>
+               <td><input type="text" id="txtimgcode" name="txtimgcode"></td></tr>`
+        : ''}
+      </table>
+      <input type="submit" id="btnLogIn" name="btnLogIn" value="Log In">
+    </form>`);
+}
+
+function homePage(student) {
+    return layout('Home', `
+    <h2>Student Dashboard</h2>
+    <div id="studentInfo">
+      <p id="ctl00_ContentPlaceHolder1_StudentNameLabel">${escapeHtml(student.studentInfo.name)}</p>
+      <p>${escapeHtml(student.studentInfo.program)}</p>
+    </div>`, { loggedIn: true, studentName: student.studentInfo.name });
+}
+
+function marksheetPage(student, { year, semester, period }) {
+    const optionsOf = (values, selected) => values.map(value =>
+        `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(value)}</option>`).join('');
+    const years = Array.from(new Set(student.periods.map(({ year: periodYear }) => periodYear)));
+    // Semesters are only listed once a year is chosen
+    const semesters = student.periods.filter(({ year: periodYear }) => periodYear === year).map(({ semester: name }) => name);
+    const info = student.studentInfo;
+
+    // The table is fetched after the page has loaded, as the portal's UpdatePanel does
+    const loader = period
+        ? `<div id="updateProgress" class="loader">Loading marks, please wait...</div>
+           <div id="marksContainer"></div>
+           <script>
+             fetch('Marksheet.aspx/GetMarks?year=' + encodeURIComponent(${JSON.stringify(period.year)}) +
+                   '&semester=' + encodeURIComponent(${JSON.stringify(period.semester)}), { credentials: 'same-origin' })
+               .then(function (response) {
+                 if (response.status === 401) { window.location.href = 'Default.aspx?ReturnUrl=%2fMarksheet.aspx'; return null; }
+                 return response.text();
+               })
+               .then(function (html) {
+                 if (html === null) return;
+                 document.getElementById('marksContainer').innerHTML = html;
+                 document.getElementById('updateProgress').style.display = 'none';
+               });
+           </script>`
+        : '<p id="lblHint">Choose an academic period and click View Marks.</p>';
+
+    return layout('Marksheet', `
+    <h2><span id="lblPageTitle">Academic Results</span></h2>
+    <table id="tblStudent">
+      <tr><td>Student Name</td><td><span id="lblStudentName">${escapeHtml(info.name)}</span></td></tr>
+      <tr><td>Registration No</td><td><span id="lblRegNo">${escapeHtml(info.regNo)}</span></td></tr>
+      <tr><td>Program</td><td><span id="lblProgram">${escapeHtml(info.program)}</span></td></tr>
+      <tr><td>Faculty</td><td><span id="lblFaculty">${escapeHtml(info.faculty)}</span></td></tr>
+    </table>
+    <form id="form1" method="get" action="Marksheet.aspx">
+      <label for="ddlAcademicYear">Academic year</label>
+      <select id="ddlAcademicYear" name="year" onchange="this.form.submit()">
+        <option value="">-- Select year --</option>
+        ${optionsOf(years, year)}
+      </select>
+      <label for="ddlSemester">Semester</label>
+      <select id="ddlSemester" name="semester">
+        <option value="">-- Select semester --</option>
+        ${optionsOf(semesters, semester)}
+      </select>
+      <input type="submit" id="btnView" value="View Marks">
+    </form>
+    ${loader}`, { loggedIn: true, studentName: info.name });
+}
+
+function marksTable(period) {
+    const cell = value => `<td>${escapeHtml(value)}</td>`;
+    const rows = period.courses.map(course => `<tr>${[
+        course.code, course.name, course.credits, course.cat1, course.cat2,
+        course.exam, course.totalMark, course.grade, course.gradePoint,
+    ].map(cell).join('')}</tr>`).join('');
+    return `<h3>${escapeHtml(periodTitle(period))}</h3>
+<table id="ctl00_ContentPlaceHolder1_GridviewMarks">
+  <tr><th>Course Code</th><th>Course Name</th><th>Credits</th><th>CAT1</th><th>CAT2</th><th>Exam</th><th>Total Marks</th><th>Grade</th><th>Grade Point</th></tr>
+  ${rows}
+</table>`;
+}
+
+function captchaImage(code) {
+    // Shifted, rotated glyphs over noise lines; readable by a person, served as SVG
+    const glyphs = code.split('').map((char, i) =>
+        `<text x="${18 + i * 25}" y="${32 + (i % 2) * 6}" transform="rotate(${(i % 3) * 8 - 8} ${18 + i * 25} 30)">${escapeHtml(char)}</text>`).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="150" height="50" viewBox="0 0 150 50">
+  <rect width="150" height="50" fill="#f4f1e8"/>
+  <path d="M0 12 L150 38 M0 40 L150 8" stroke="#b9b2a0" stroke-width="2"/>
+  <g font-family="monospace" font-size="26" font-weight="bold" fill="#333">${glyphs}</g>
+</svg>`;
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+    return cookies;
+}
+
+/**
+ * Builds the simulator app.
+ *
+ * @param {object} [options]
+ * @param {object} [options.students] - username -> `{ password, studentInfo, periods: [{ year, semester, courses }] }`.
+ * @param {boolean|{ code: string }} [options.captcha=false] - Ask for a CAPTCHA at login; `code` is its answer.
+ * @param {number} [options.marksDelayMs=1500] - How long the marks AJAX request takes.
+ * @param {number} [options.sessionTtlMs] - Sessions expire this long after login.
+ * @param {number} [options.sessionMaxRequests] - Sessions expire after this many logged-in page views.
+ * @param {boolean} [options.redirectLoop=false] - Marksheet.aspx and Home.aspx redirect to each other forever.
+ * @param {number} [options.unavailableRequests=0] - The first requests answered 503, as an overloaded portal does; Infinity for an outage.
+ * @returns {{ app: express.Application, state: object }} state: `{ sessions, logins, failedLogins, unavailable }`, for assertions.
+ */
+function createSimulatorApp(options = {}) {
+    const {
+        students = DEFAULT_STUDENTS,
+        captcha = false,
+        marksDelayMs = 1500,
+        sessionTtlMs = null,
+        sessionMaxRequests = null,
+        redirectLoop = false,
+        unavailableRequests = 0,
+    } = options;
+    const captchaCode = captcha ? (captcha.code || DEFAULT_CAPTCHA_CODE) : null;
+
+    // session id -> { username, createdAt, requests }
+    const sessions = new Map();
+    const state = { sessions, logins: 0, failedLogins: 0, unavailable: 0 };
+
+    const app = express();
+    app.use((req, res, next) => {
+        if (state.unavailable >= unavailableRequests) return next();
+        state.unavailable++;
+        res.status(503).send('<h1>Service Unavailable</h1>');
+    });
+    app.use(express.urlencoded({ extended: false }));
+
+    const sessionOf = req => {
+        const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const session = id ? sessions.get(id) : null;
+        if (!session) return null;
+        const expired = (sessionTtlMs !== null && Date.now() - session.createdAt > sessionTtlMs) ||
+            (sessionMaxRequests !== null && session.requests >= sessionMaxRequests);
+        if (expired) {
+            sessions.delete(id);
+            return null;
+        }
+        return session;
+    };
+
+    // Logged-in pages; anonymous visitors are sent to the login page, as ASP.NET forms auth does
+    const requireSession = (req, res, next) => {
+        const session = sessionOf(req);
+        if (!session) {
+            return res.redirect(`/Default.aspx?ReturnUrl=${encodeURIComponent(req.path)}`);
+        }
+        session.requests++;
+        req.student = students[session.username];
+        next();
+    };
+
+    app.get('/', (req, res) => res.redirect('/Default.aspx'));
+
+    app.get('/Default.aspx', (req, res) => {
+        res.send(loginPage({ captcha: Boolean(captchaCode), returnUrl: req.query.ReturnUrl }));
+    });
+
+    app.post('/Default.aspx', (req, res) => {
+        const { txtUserName: username, txtPassword: password, txtimgcode: code } = req.body || {};
+        let error = null;
+        if (captchaCode && (code || '').trim().toUpperCase() !== captchaCode.toUpperCase()) {
+            error = 'Invalid security code';
+        } else if (!students[username] || students[username].password !== password) {
+            error = 'Invalid username or password';
+        }
+        if (error) {
+            state.failedLogins++;
+            return res.send(loginPage({ captcha: Boolean(captchaCode), error, returnUrl: req.query.ReturnUrl }));
+        }
+
+        state.logins++;
+        const id = crypto.randomBytes(12).toString('hex');
+        sessions.set(id, { username, createdAt: Date.now(), requests: 0 });
+        res.cookie(SESSION_COOKIE, id, { httpOnly: true, path: '/' });
+        res.redirect('/Home.aspx');
+    });
+
+    app.get('/CaptchaImage.aspx', (req, res) => {
+        if (!captchaCode) return res.status(404).end();
+        res.set('Cache-Control', 'no-store').type('image/svg+xml').send(captchaImage(captchaCode));
+    });
+
+    app.get('/Logout.aspx', (req, res) => {
+        const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (id) sessions.delete(id);
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.redirect('/Default.aspx');
+    });
+
+    app.get('/Home.aspx', requireSession, (req, res) => {
+        if (redirectLoop && req.query.next) return res.redirect('/Marksheet.aspx');
+        res.send(homePage(req.student));
+    });
+
+    app.get('/Marksheet.aspx', requireSession, (req, res) => {
+        if (redirectLoop) return res.redirect('/Home.aspx?next=Marksheet.aspx');
+        const { year = '', semester = '' } = req.query;
+        const period = req.student.periods.find(candidate => candidate.year === year && candidate.semester === semester) || null;
+        res.send(marksheetPage(req.student, { year, semester, period }));
+    });
+
+    // The AJAX call does not count as a page view
+    app.get('/Marksheet.aspx/GetMarks', (req, res) => {
+        const session = sessionOf(req);
+        if (!session) return res.status(401).end();
+        const period = students[session.username].periods
+            .find(({ year, semester }) => year === req.query.year && semester === req.query.semester);
+        if (!period) return res.status(404).send('<p>No results for this academic period.</p>');
+        setTimeout(() => res.send(marksTable(period)), marksDelayMs);
+    });
+
+    return { app, state };
+}
+
+/**
+ * Starts the simulator on a local port.
+ *
+ * @param {object} [options] - createSimulatorApp options, plus `port` (default: any free port).
+ * @returns {Promise<object>} `{ url, settings, state, close }`; settings holds the
+ *   loginUrl, dashboardUrl and marksheetUrl to pass to scrapeMarks.
+ */
+function startSimulator({ port = 0, ...options } = {}) {
+    const { app, state } = createSimulatorApp(options);
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                url,
+                settings: {
+                    loginUrl: `${url}/Default.aspx`,
+                    dashboardUrl: `${url}/Home.aspx`,
+                    marksheetUrl: `${url}/Marksheet.aspx`,
+                },
+                state,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(() => done());
+                }),
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+export { DEFAULT_STUDENTS, DEFAULT_CAPTCHA_CODE, periodTitle, createSimulatorApp, startSimulator };
+
+// Run on its own: node simulator/ulkMisSimulator.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const simulator = await startSimulator({
+        port: Number(process.env.SIMULATOR_PORT) || 4000,
+        captcha: process.env.SIMULATOR_CAPTCHA === 'true',
+    });
+    const [username, { password }] = Object.entries(DEFAULT_STUDENTS)[0];
+    console.log(`ULK MIS simulator listening on ${simulator.url}`);
+    console.log(`Log in as ${username} / ${password}${process.env.SIMULATOR_CAPTCHA === 'true' ? ` with CAPTCHA ${DEFAULT_CAPTCHA_CODE}` : ''}`);
+    console.log('Settings:', simulator.settings);
+}
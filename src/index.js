@@ -2,17 +2,49 @@ import express from 'express';
 const app = express();
 const  PORT = process.env.PORT ||5000
 import marks from '../routes/marksheetRoute.js';
+import students from '../routes/studentRoute.js';
+import catalog from '../routes/catalogRoute.js';
+import scrape from '../routes/scrapeRoute.js';
+import accounts from '../routes/accountRoute.js';
+import schedules from '../routes/scheduleRoute.js';
+import webhooks from '../routes/webhookRoute.js';
+import health from '../routes/healthRoute.js';
+import auth from '../routes/authRoute.js';
+import { authenticate } from '../service/authService.js';
+import { httpMetrics } from '../service/metrics.js';
+import { recoverScrapeJobs } from '../service/scrapeJobs.js';
+import { startScheduler } from '../service/scheduler.js';
+import { startWebhookDispatcher } from '../service/webhookService.js';
+
+// Count and time every request, see /metrics
+app.use(httpMetrics);
 
 // Middleware to parse JSON bodies
 app.use(express.json());
 
+// Probes for the orchestrator: /health, /ready and /metrics
+app.use('/', health);
+
 // Use the marks route
 // app.use('api/marksheet', marks);
 
+// Every /api route needs a token (see service/authService.js); the routers check roles
+app.use('/api', authenticate);
+
+app.use('/api/auth', auth);
 app.use('/api/marks', marks);
+app.use('/api/students', students);
+app.use('/api/scrape', scrape);
+app.use('/api/accounts', accounts);
+app.use('/api/schedules', schedules);
+app.use('/api/webhooks', webhooks);
+app.use('/api', catalog);
 
 
 
 
 app.listen(PORT, () => {  console.log(`Server is running on port ${PORT}`);
+  recoverScrapeJobs().catch(error => console.error('Could not recover scrape jobs:', error.message));
+  startScheduler().catch(error => console.error('Could not start the scheduler:', error.message));
+  startWebhookDispatcher();
 });
\ No newline at end of file
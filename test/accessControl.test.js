@@ -0,0 +1,104 @@
+/**
+ * Token checks and role rules (service/accessControl.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { hashToken, verifyToken, authorize, studentScope, canSeeStudent } from '../service/accessControl.js';
+
+const request = auth => ({ auth, method: 'GET', baseUrl: '/marks', path: '/', originalUrl: '/marks', ip: '127.0.0.1', get: () => undefined });
+
+function response() {
+    return {
+        statusCode: null,
+        body: null,
+        headers: {},
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+}
+
+/**
+ * Runs a middleware and tells whether it let the request through.
+ */
+function run(middleware, auth) {
+    const res = response();
+    let passed = false;
+    middleware(request(auth), res, () => { passed = true; });
+    return { passed, res };
+}
+
+const admin = { token_id: 1, role: 'admin', student_uuid: null };
+const student = { token_id: 2, role: 'student', student_uuid: '2201001' };
+const service = { token_id: 3, role: 'service', student_uuid: null };
+
+test('authorize lets admins and the listed roles through', () => {
+    const studentRoutes = authorize('student');
+    assert.equal(run(studentRoutes, admin).passed, true);
+    assert.equal(run(studentRoutes, student).passed, true);
+
+    const denied = run(studentRoutes, service);
+    assert.equal(denied.passed, false);
+    assert.equal(denied.res.statusCode, 403);
+    assert.equal(denied.res.body.message, 'Role service may not GET /marks/');
+
+    const serviceRoutes = authorize('service');
+    assert.equal(run(serviceRoutes, service).passed, true);
+    assert.equal(run(serviceRoutes, student).res.statusCode, 403);
+    assert.equal(run(authorize(), admin).passed, true);
+});
+
+test('authorize refuses requests without a verified token', () => {
+    const { passed, res } = run(authorize('student', 'service'), undefined);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.headers['WWW-Authenticate'], 'Bearer');
+});
+
+test('students only see their own records', () => {
+    assert.equal(studentScope(request(student)), '2201001');
+    assert.equal(studentScope(request(admin)), null);
+    assert.equal(studentScope(request(service)), null);
+
+    assert.equal(canSeeStudent(request(student), '2201001'), true);
+    assert.equal(canSeeStudent(request(student), '2201002'), false);
+    assert.equal(canSeeStudent(request(admin), '2201002'), true);
+    assert.equal(canSeeStudent(request(service), '2201002'), true);
+});
+
+test('verifyToken refuses unknown, revoked and expired tokens', async () => {
+    const rows = new Map([
+        [hashToken('miss_active'), { id: 1, name: 'ci', role: 'service', student_uuid: null, revoked_at: null, expires_at: null }],
+        [hashToken('miss_revoked'), { id: 2, name: 'old', role: 'admin', student_uuid: null, revoked_at: new Date('2026-01-01'), expires_at: null }],
+        [hashToken('miss_expired'), { id: 3, name: 'temp', role: 'admin', student_uuid: null, revoked_at: null, expires_at: new Date('2026-01-01') }],
+    ]);
+    const findToken = async tokenHash => rows.get(tokenHash) || null;
+
+    const active = await verifyToken('miss_active', findToken);
+    assert.deepEqual(active.auth, { token_id: 1, name: 'ci', role: 'service', student_uuid: null });
+    assert.equal(active.reason, null);
+
+    assert.deepEqual(await verifyToken('miss_unknown', findToken), { auth: null, reason: 'Unknown token', record: null });
+    assert.equal((await verifyToken('miss_revoked', findToken)).reason, 'Token revoked');
+    assert.equal((await verifyToken('miss_expired', findToken)).reason, 'Token expired');
+});
+
+test('verifyToken takes the role of a JWT from its stored row, not its claims', async () => {
+    const previous = process.env.AUTH_JWT_SECRET;
+    process.env.AUTH_JWT_SECRET = 'test-secret';
+    try {
+        const token = jwt.sign({ role: 'admin' }, 'test-secret', { algorithm: 'HS256' });
+        const row = { id: 4, name: 'app', role: 'student', student_uuid: '2201001', revoked_at: null, expires_at: null };
+        const findToken = async tokenHash => (tokenHash === hashToken(token) ? row : null);
+
+        assert.equal((await verifyToken(token, findToken)).auth.role, 'student');
+
+        const forged = jwt.sign({ role: 'admin' }, 'another-secret', { algorithm: 'HS256' });
+        assert.match((await verifyToken(forged, findToken)).reason, /^Invalid token: invalid signature/);
+    } finally {
+        if (previous === undefined) delete process.env.AUTH_JWT_SECRET;
+        else process.env.AUTH_JWT_SECRET = previous;
+    }
+});
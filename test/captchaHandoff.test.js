@@ -0,0 +1,57 @@
+/**
+ * CAPTCHAs handed off by headless runs (service/captchaHandoff.js) and how
+ * the hand-off ends a run (service/scrapeContext.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { waitForCaptchaSolution, getCaptchaChallenge, solveCaptcha } from '../service/captchaHandoff.js';
+import { DEFAULT_SETTINGS, SCRAPE_STATUS, captchaOutcome } from '../service/scrapeContext.js';
+
+const image = Buffer.from('png');
+const challenge = timeoutMs => ({ image, mimeType: 'image/png', attempt: 1, timeoutMs });
+
+test('a solved CAPTCHA resumes the run with the solution', async () => {
+    const waiting = waitForCaptchaSolution(1, challenge(60000), new AbortController().signal);
+
+    const shown = getCaptchaChallenge(1);
+    assert.deepEqual(Object.keys(shown).sort(), ['attempt', 'created_at', 'expires_at', 'image', 'mime_type', 'run_id']);
+    assert.equal(shown.run_id, 1);
+    assert.equal(shown.image, image);
+    assert.equal(shown.mime_type, 'image/png');
+    assert.equal(shown.expires_at.getTime() - shown.created_at.getTime(), 60000);
+
+    assert.equal(solveCaptcha(1, 'x7kq'), true);
+    assert.equal(await waiting, 'x7kq');
+    assert.equal(getCaptchaChallenge(1), null);
+    assert.equal(solveCaptcha(1, 'again'), false, 'nothing is pending once solved');
+});
+
+test('an unsolved CAPTCHA expires', async () => {
+    const waiting = waitForCaptchaSolution(2, challenge(20), new AbortController().signal);
+    assert.notEqual(getCaptchaChallenge(2), null);
+
+    assert.equal(await waiting, null);
+    assert.equal(getCaptchaChallenge(2), null);
+    assert.equal(solveCaptcha(2, 'late'), false);
+});
+
+test('cancelling the run drops its CAPTCHA', async () => {
+    const controller = new AbortController();
+    const waiting = waitForCaptchaSolution(3, challenge(60000), controller.signal);
+
+    controller.abort();
+    assert.equal(await waiting, null);
+    assert.equal(getCaptchaChallenge(3), null);
+});
+
+test('a hand-off that did not log in ends the run', () => {
+    const settings = { ...DEFAULT_SETTINGS, captchaSolveTimeMs: 300000, captchaMaxAttempts: 3 };
+    assert.equal(captchaOutcome('success', settings), null);
+    assert.deepEqual(captchaOutcome('captcha_expired', settings),
+        { status: SCRAPE_STATUS.CAPTCHA_REQUIRED, message: 'CAPTCHA not solved within 300s' });
+    assert.deepEqual(captchaOutcome('captcha_rejected', settings),
+        { status: SCRAPE_STATUS.LOGIN_FAILED, message: 'CAPTCHA solution rejected 3 time(s)' });
+    assert.deepEqual(captchaOutcome('login_failed', settings),
+        { status: SCRAPE_STATUS.LOGIN_FAILED, message: 'Login failed: login_failed' });
+});
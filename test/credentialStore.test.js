@@ -0,0 +1,69 @@
+/**
+ * Encryption of stored account passwords (service/credentialStore.js).
+ */
+
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CredentialStoreError, encryptSecret, decryptSecret } from '../service/credentialStore.js';
+
+const HEX_KEY = '00112233445566778899aabbccddeeff00112233445566778899aabbccddeeff';
+const previousKey = process.env.CREDENTIALS_MASTER_KEY;
+
+beforeEach(() => {
+    process.env.CREDENTIALS_MASTER_KEY = HEX_KEY;
+});
+
+after(() => {
+    if (previousKey === undefined) delete process.env.CREDENTIALS_MASTER_KEY;
+    else process.env.CREDENTIALS_MASTER_KEY = previousKey;
+});
+
+/**
+ * Flips the first byte of one base64 part of a stored value.
+ */
+function tamper(stored, index) {
+    const parts = stored.split(':');
+    const bytes = Buffer.from(parts[index], 'base64');
+    bytes[0] ^= 0x01;
+    parts[index] = bytes.toString('base64');
+    return parts.join(':');
+}
+
+test('secrets round-trip in the v1:iv:tag:ciphertext format', () => {
+    const stored = encryptSecret('pässwörd:with:colons');
+    const [version, iv, tag, ciphertext] = stored.split(':');
+    assert.equal(version, 'v1');
+    assert.equal(Buffer.from(iv, 'base64').length, 12);
+    assert.equal(Buffer.from(tag, 'base64').length, 16);
+    assert.ok(ciphertext.length > 0);
+
+    assert.equal(decryptSecret(stored), 'pässwörd:with:colons');
+    // A fresh IV per encryption
+    assert.notEqual(encryptSecret('pässwörd:with:colons'), stored);
+});
+
+test('a passphrase master key works as well as a hex one', () => {
+    process.env.CREDENTIALS_MASTER_KEY = 'correct horse battery staple';
+    assert.equal(decryptSecret(encryptSecret('secret')), 'secret');
+});
+
+test('a modified tag or ciphertext is detected', () => {
+    const stored = encryptSecret('secret');
+    assert.throws(() => decryptSecret(tamper(stored, 2)), CredentialStoreError);
+    assert.throws(() => decryptSecret(tamper(stored, 3)), CredentialStoreError);
+    assert.throws(() => decryptSecret(tamper(stored, 1)), CredentialStoreError);
+});
+
+test('a value encrypted under another key does not decrypt', () => {
+    const stored = encryptSecret('secret');
+    process.env.CREDENTIALS_MASTER_KEY = HEX_KEY.replace(/^00/, '01');
+    assert.throws(() => decryptSecret(stored), /was CREDENTIALS_MASTER_KEY changed\?/);
+});
+
+test('malformed values and a missing key are refused', () => {
+    assert.throws(() => decryptSecret('plaintext'), /unknown format/);
+    assert.throws(() => decryptSecret(`v2:${encryptSecret('secret').slice(3)}`), /unknown format/);
+
+    delete process.env.CREDENTIALS_MASTER_KEY;
+    assert.throws(() => encryptSecret('secret'), /CREDENTIALS_MASTER_KEY is not set/);
+});
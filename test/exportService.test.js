@@ -0,0 +1,135 @@
+/**
+ * Marks export writers, fed from an in-memory row source instead of the database.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough, Writable } from 'stream';
+import ExcelJS from 'exceljs';
+import { ExportAbortedError, DEFAULT_EXPORT_COLUMNS, parseExportOptions, writeMarksExport } from '../service/exportService.js';
+import { getScale } from '../service/grading.js';
+
+const bands = getScale('ulk');
+
+const mark = (fields) => ({
+    id: 1,
+    student_uuid: 'student-1',
+    code: 'CS101',
+    name: 'Intro to Computing',
+    academic_period: '2024-2025 Semester 1',
+    credit: 4,
+    cat1: 18,
+    cat1_status: 'published',
+    cat2: 17,
+    cat2_status: 'published',
+    exam_mark: 40,
+    exam_mark_status: 'published',
+    total_mark: 75,
+    total_mark_status: 'published',
+    grade: 'B',
+    grade_point: 3,
+    extra: null,
+    created_at: new Date('2025-01-15T10:00:00Z'),
+    updated_at: new Date('2025-01-15T10:00:00Z'),
+    ...fields,
+});
+
+async function* rowsOf(marks) {
+    for (const row of marks) yield row;
+}
+
+async function exportToBuffer(marks, options) {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    const count = await writeMarksExport(stream, rowsOf(marks), { bands, ...options });
+    return { count, body: Buffer.concat(chunks) };
+}
+
+test('parseExportOptions defaults to CSV without the extra column', () => {
+    assert.deepEqual(parseExportOptions({}), { format: 'csv', columns: DEFAULT_EXPORT_COLUMNS, errors: [] });
+    assert.ok(!DEFAULT_EXPORT_COLUMNS.includes('extra'));
+});
+
+test('parseExportOptions rejects unknown formats and columns', () => {
+    const { errors } = parseExportOptions({ format: 'pdf', columns: 'code,shoe_size' });
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /format must be one of/);
+    assert.match(errors[1], /Unknown columns: shoe_size/);
+});
+
+test('CSV export quotes fields and adds the derived grade', async () => {
+    const { count, body } = await exportToBuffer(
+        [mark(), mark({ id: 2, name: 'Ethics, "Law" and IT', total_mark: null, total_mark_status: 'pending', grade: null, grade_point: null })],
+        { format: 'csv', columns: ['id', 'name', 'total_mark', 'derived_grade', 'derived_grade_point'] },
+    );
+    assert.equal(count, 2);
+    assert.equal(body.toString('utf8'), [
+        'id,name,total_mark,derived_grade,derived_grade_point',
+        '1,Intro to Computing,75,B,3',
+        '2,"Ethics, ""Law"" and IT",,,',
+        '',
+    ].join('\r\n'));
+});
+
+test('NDJSON export writes one object per row with the selected columns', async () => {
+    const { body } = await exportToBuffer(
+        [mark({ total_mark_status: 'absent', total_mark: null })],
+        { format: 'ndjson', columns: ['code', 'derived_grade', 'derived_grade_point', 'created_at'] },
+    );
+    const lines = body.toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines, [{ code: 'CS101', derived_grade: 'F', derived_grade_point: 0, created_at: '2025-01-15T10:00:00.000Z' }]);
+});
+
+test('XLSX export opens as a workbook with a header row', async () => {
+    const { body } = await exportToBuffer(
+        [mark(), mark({ id: 2, code: 'CS102', total_mark: 85, extra: { room: 'B12' } })],
+        { format: 'xlsx', columns: ['code', 'total_mark', 'derived_grade', 'extra'] },
+    );
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(body);
+    const sheet = workbook.getWorksheet('Marks');
+    const values = [];
+    sheet.eachRow(row => values.push(row.values.slice(1)));
+    assert.deepEqual(values, [
+        ['code', 'total_mark', 'derived_grade', 'extra'],
+        ['CS101', 75, 'B'],
+        ['CS102', 85, 'A', '{"room":"B12"}'],
+    ]);
+});
+
+/**
+ * A client that stops reading, then goes away: writes are never acknowledged,
+ * so the stream fills up and never drains, and it is destroyed a moment later.
+ */
+function abortedExport(format) {
+    const stream = new Writable({ highWaterMark: 1024, write() {} });
+    const source = { read: 0, closed: false, backedUp: false };
+    async function* endless() {
+        try {
+            for (let id = 1; ; id++) {
+                await new Promise(resolve => setImmediate(resolve));
+                source.read++;
+                yield mark({ id });
+            }
+        } finally {
+            source.closed = true;
+        }
+    }
+    setTimeout(() => {
+        source.backedUp = stream.writableNeedDrain;
+        stream.destroy();
+    }, 100);
+    const exported = writeMarksExport(stream, endless(), { bands, format, columns: DEFAULT_EXPORT_COLUMNS });
+    return { exported, source };
+}
+
+test('an export ends when the client goes away while the response is backed up', async () => {
+    for (const format of ['csv', 'ndjson', 'xlsx']) {
+        const { exported, source } = abortedExport(format);
+        await assert.rejects(exported, ExportAbortedError, format);
+        assert.equal(source.backedUp, true, `${format} waited for the stream to drain`);
+        assert.ok(source.read > 0);
+        assert.equal(source.closed, true, `${format} stops reading the marks`);
+    }
+});
@@ -0,0 +1,86 @@
+/**
+ * Grades and credit-weighted GPA / CGPA (service/grading.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getScale, gradeFor, computeGpa } from '../service/grading.js';
+
+const ulk = getScale('ulk');
+
+let nextId = 1;
+const mark = fields => ({
+    id: nextId++,
+    code: `C${nextId}`,
+    credit: 3,
+    total_mark: 75,
+    total_mark_status: 'published',
+    grade: null,
+    grade_point: null,
+    ...fields,
+});
+
+test('gradeFor maps totals to the band at or below them', () => {
+    assert.deepEqual(gradeFor(80, ulk), { grade: 'A', grade_point: 4 });
+    assert.deepEqual(gradeFor(79.99, ulk), { grade: 'B', grade_point: 3 });
+    assert.deepEqual(gradeFor(0, ulk), { grade: 'F', grade_point: 0 });
+    assert.equal(gradeFor(null, ulk), null);
+});
+
+test('GPAs are weighted by credits and the CGPA runs across periods', () => {
+    const { periods, total_credits, cgpa } = computeGpa([
+        { id: 1, title: 'Semester 1', results: [mark({ credit: 4, total_mark: 85 }), mark({ credit: 2, total_mark: 55 })] },
+        { id: 2, title: 'Semester 2', results: [mark({ credit: 3, total_mark: 65 })] },
+    ], ulk);
+
+    // (4 * 4 + 2 * 1) / 6
+    assert.equal(periods[0].gpa, 3);
+    assert.equal(periods[0].quality_points, 18);
+    assert.equal(periods[0].cgpa, 3);
+    assert.equal(periods[1].gpa, 2);
+    // (18 + 3 * 2) / 9
+    assert.equal(periods[1].cgpa, 2.67);
+    assert.equal(total_credits, 9);
+    assert.equal(cgpa, 2.67);
+});
+
+test('pending, exempt and credit-less courses do not count; absent ones fail', () => {
+    const { periods, cgpa } = computeGpa([{
+        id: 1,
+        title: 'Semester 1',
+        results: [
+            mark({ credit: 3, total_mark: 90 }),
+            mark({ credit: 3, total_mark: null, total_mark_status: 'pending' }),
+            mark({ credit: 3, total_mark: null, total_mark_status: 'exempt' }),
+            mark({ credit: 0, total_mark: 40 }),
+            mark({ credit: 1, total_mark: null, total_mark_status: 'absent' }),
+        ],
+    }], ulk);
+
+    assert.equal(periods[0].courses_counted, 2);
+    assert.equal(periods[0].credits, 4);
+    // (3 * 4 + 1 * 0) / 4
+    assert.equal(cgpa, 3);
+
+    const empty = computeGpa([{ id: 2, title: 'Semester 2', results: [mark({ total_mark: null, total_mark_status: 'pending' })] }], ulk);
+    assert.equal(empty.periods[0].gpa, null);
+    assert.equal(empty.cgpa, null);
+});
+
+test('portal grades that disagree with the computed ones are listed', () => {
+    const agreeing = mark({ total_mark: 72, grade: 'b', grade_point: 3 });
+    const wrongPoint = mark({ total_mark: 72, grade: 'B', grade_point: 4 });
+    const wrongGrade = mark({ total_mark: 81, grade: 'B', grade_point: null });
+    const { cross_check } = computeGpa([{ id: 1, title: 'Semester 1', results: [agreeing, wrongPoint, wrongGrade, mark({})] }], ulk);
+
+    assert.equal(cross_check.compared, 3);
+    assert.deepEqual(cross_check.mismatches.map(mismatch => mismatch.result_id), [wrongPoint.id, wrongGrade.id]);
+    assert.deepEqual(cross_check.mismatches[1], {
+        result_id: wrongGrade.id,
+        code: wrongGrade.code,
+        academic_period: 'Semester 1',
+        total_mark: 81,
+        computed: { grade: 'A', grade_point: 4 },
+        scraped: { grade: 'B', grade_point: null },
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * The structured logger (service/logger.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLogger, fileSink, readLogFile } from '../service/logger.js';
+
+/**
+ * A sink keeping the entries it gets.
+ */
+function memorySink(level = 'debug') {
+    const entries = [];
+    return { level, entries, write: line => entries.push(JSON.parse(line)) };
+}
+
+test('writes one JSON line per entry with the bound fields', () => {
+    const sink = memorySink();
+    const logger = createLogger({ fields: { run_id: 4 }, sinks: [sink] });
+
+    logger.info('Login succeeded', { url: 'http://mis/Home.aspx' });
+
+    assert.equal(sink.entries.length, 1);
+    const [entry] = sink.entries;
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.msg, 'Login succeeded');
+    assert.equal(entry.run_id, 4);
+    assert.equal(entry.url, 'http://mis/Home.aspx');
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+});
+
+test('filters by the level of each sink', () => {
+    const everything = memorySink('debug');
+    const problems = memorySink('warn');
+    const logger = createLogger({ sinks: [everything, problems] });
+
+    logger.debug('Loading check');
+    logger.info('Marks loaded');
+    logger.error('Scrape crashed');
+
+    assert.deepEqual(everything.entries.map(({ msg }) => msg), ['Loading check', 'Marks loaded', 'Scrape crashed']);
+    assert.deepEqual(problems.entries.map(({ msg }) => msg), ['Scrape crashed']);
+});
+
+test('children add fields and sinks; assign changes fields in place', () => {
+    const parent = memorySink();
+    const own = memorySink();
+    const logger = createLogger({ fields: { component: 'scrape_jobs' }, sinks: [parent] });
+    const run = logger.child({ run_id: 9, step: null }, { sinks: [own] });
+
+    run.assign({ step: 'login' });
+    run.info('Login succeeded');
+    logger.info('Queue empty');
+
+    assert.deepEqual(own.entries.map(({ msg, component, run_id, step }) => ({ msg, component, run_id, step })), [
+        { msg: 'Login succeeded', component: 'scrape_jobs', run_id: 9, step: 'login' },
+    ]);
+    assert.deepEqual(parent.entries.map(({ msg }) => msg), ['Login succeeded', 'Queue empty']);
+    assert.equal(parent.entries[1].step, undefined);
+});
+
+test('serializes errors', () => {
+    const sink = memorySink();
+    const logger = createLogger({ sinks: [sink] });
+
+    logger.error('Scrape crashed', new TypeError('boom'));
+    logger.warn('Loading check failed', { error: new Error('detached frame') });
+
+    assert.equal(sink.entries[0].error.name, 'TypeError');
+    assert.equal(sink.entries[0].error.message, 'boom');
+    assert.match(sink.entries[0].error.stack, /boom/);
+    assert.equal(sink.entries[1].error.message, 'detached frame');
+});
+
+test('reads back what a file sink wrote', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'miss-logger-'));
+    try {
+        const file = path.join(dir, 'run.log');
+        const logger = createLogger({ sinks: [fileSink(file)] });
+        logger.debug('Page check', { isLoginPage: false });
+        logger.info('Scrape finished');
+        fs.appendFileSync(file, 'not json\n');
+
+        assert.deepEqual(readLogFile(file).map(({ level, msg }) => [level, msg]), [['debug', 'Page check'], ['info', 'Scrape finished']]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
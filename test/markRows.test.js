@@ -0,0 +1,173 @@
+/**
+ * Checking marks API request bodies, reading mark cells and grouping stored marks (service/markRows.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    toMarkRow,
+    toHistoryRow,
+    groupByPeriod,
+    markChanges,
+    academicPeriodOf,
+    extraColumnsOf,
+    validateMarksheet,
+    parseMarkForDB,
+    parseNumberForDB,
+} from '../service/markRows.js';
+
+const body = {
+    student_uuid: ' 2201001 ',
+    code: 'CSC101',
+    name: 'Introduction to Computing',
+    credit: 3,
+    cat1: 15,
+    cat2: 16.5,
+    exam_mark: 40,
+    total_mark: 71.5,
+};
+
+test('a full body is trimmed, defaulted and accepted', () => {
+    const { data, errors } = validateMarksheet(body);
+    assert.deepEqual(errors, []);
+    assert.equal(data.student_uuid, '2201001');
+    assert.equal(data.cat2, 16.5);
+    assert.equal(data.cat1_status, 'published');
+    assert.equal(data.academic_period, undefined);
+});
+
+test('missing and unknown fields are reported, unless the body is partial', () => {
+    const { errors } = validateMarksheet({ code: 'CSC101', credit: 3, semester: 'Semester 1' });
+    assert.ok(errors.includes('student_uuid is required'));
+    assert.ok(errors.includes('name is required'));
+    assert.ok(!errors.includes('academic_period is required'));
+    assert.ok(!errors.includes('cat1 is required'), 'mark components may be left out');
+    assert.ok(errors.includes('Unknown fields: semester'));
+
+    assert.deepEqual(validateMarksheet({ cat1: 12 }, { partial: true }), { data: { cat1: 12, cat1_status: 'published' }, errors: [] });
+    assert.deepEqual(validateMarksheet({}, { partial: true }).errors, ['At least one field must be provided']);
+    assert.deepEqual(validateMarksheet([]).errors, ['Request body must be a JSON object']);
+});
+
+test('marks must be non-negative numbers or null, credits non-negative integers', () => {
+    const { errors } = validateMarksheet({ ...body, cat1: -1, cat2: '12', exam_mark: Infinity, credit: 2.5, grade_point: -0.5 });
+    assert.ok(errors.includes('cat1 must be a non-negative number or null'));
+    assert.ok(errors.includes('cat2 must be a non-negative number or null'));
+    assert.ok(errors.includes('exam_mark must be a non-negative number or null'));
+    assert.ok(errors.includes('credit must be a non-negative integer'));
+    assert.ok(errors.includes('grade_point must be a non-negative number or null'));
+    assert.deepEqual(validateMarksheet({ ...body, name: '  ' }).errors, ['name must be a non-empty string']);
+    for (const gradePoint of [Infinity, NaN]) {
+        assert.deepEqual(validateMarksheet({ grade_point: gradePoint }, { partial: true }).errors,
+            ['grade_point must be a non-negative number or null']);
+    }
+});
+
+test('statuses must agree with the mark', () => {
+    const pending = validateMarksheet({ cat1: null }, { partial: true });
+    assert.deepEqual(pending.data, { cat1: null, cat1_status: 'pending' });
+
+    assert.deepEqual(validateMarksheet({ exam_mark: null, exam_mark_status: 'absent' }, { partial: true }).errors, []);
+    assert.deepEqual(validateMarksheet({ cat2: null, cat2_status: 'published' }, { partial: true }).errors,
+        ['cat2 cannot be null when cat2_status is published']);
+    assert.deepEqual(validateMarksheet({ cat2: 10, cat2_status: 'exempt' }, { partial: true }).errors,
+        ['cat2 must be null when cat2_status is exempt']);
+    assert.deepEqual(validateMarksheet({ cat1_status: 'late' }, { partial: true }).errors,
+        ['cat1_status must be one of: published, pending, absent, exempt']);
+});
+
+test('mark cells are read as numbers or status texts', () => {
+    assert.deepEqual(parseMarkForDB('17.5'), { value: 17.5, status: 'published' });
+    assert.deepEqual(parseMarkForDB(12), { value: 12, status: 'published' });
+    assert.deepEqual(parseMarkForDB(' '), { value: null, status: 'pending' });
+    assert.deepEqual(parseMarkForDB(null), { value: null, status: 'pending' });
+    assert.deepEqual(parseMarkForDB('—'), { value: null, status: 'pending' });
+    assert.deepEqual(parseMarkForDB('not  published'), { value: null, status: 'pending' });
+    assert.deepEqual(parseMarkForDB('abs'), { value: null, status: 'absent' });
+    assert.deepEqual(parseMarkForDB('N/A'), { value: null, status: 'exempt' });
+    assert.equal(parseMarkForDB('abc'), null);
+    assert.equal(parseMarkForDB({}), null);
+
+    assert.equal(parseNumberForDB('3.6'), 4);
+    assert.equal(parseNumberForDB('', 0), 0);
+    assert.equal(parseNumberForDB('x', 2), 2);
+});
+
+// Prisma Decimals convert through valueOf, which gives their digits
+const decimal = digits => ({ valueOf: () => digits });
+
+test('stored Decimal marks are read as numbers', () => {
+    const row = toMarkRow({
+        id: 1,
+        student: { uuid: '2201001' },
+        course: { code: 'CSC101', name: 'Introduction to Computing', credits: 3 },
+        period: { title: 'Semester 1' },
+        cat1: decimal('16.5'),
+        cat1_status: 'published',
+        cat2: null,
+        cat2_status: 'absent',
+        exam_mark: decimal('40'),
+        exam_mark_status: 'published',
+        total_mark: decimal('56.5'),
+        total_mark_status: 'published',
+        grade: null,
+        grade_point: null,
+        extra: null,
+    });
+    assert.equal(row.cat1, 16.5);
+    assert.equal(row.cat2, null);
+    assert.equal(row.exam_mark, 40);
+    assert.equal(row.total_mark, 56.5);
+
+    const entry = toHistoryRow({ id: 3, field: 'cat1', old_value: null, new_value: decimal('16.5'), old_status: 'pending', new_status: 'published' });
+    assert.deepEqual([entry.old_value, entry.new_value, entry.field], [null, 16.5, 'cat1']);
+});
+
+test('a re-scrape records the components whose value or status changed', () => {
+    const stored = {
+        cat1: decimal('15'), cat1_status: 'published',
+        cat2: decimal('16.5'), cat2_status: 'published',
+        exam_mark: null, exam_mark_status: 'pending',
+        total_mark: null, total_mark_status: 'pending',
+    };
+    const same = { cat1: 15, cat1_status: 'published', cat2: 16.5, cat2_status: 'published', exam_mark: null, exam_mark_status: 'pending', total_mark: null, total_mark_status: 'pending' };
+    assert.deepEqual(markChanges(stored, same), [], 'equal Decimals and numbers are no change');
+
+    const corrected = { ...same, cat2: 17, exam_mark: 40, exam_mark_status: 'published', total_mark_status: 'absent' };
+    assert.deepEqual(markChanges(stored, corrected), [
+        { field: 'cat2', old_value: 16.5, new_value: 17, old_status: 'published', new_status: 'published' },
+        { field: 'exam_mark', old_value: null, new_value: 40, old_status: 'pending', new_status: 'published' },
+        { field: 'total_mark', old_value: null, new_value: null, old_status: 'pending', new_status: 'absent' },
+    ]);
+});
+
+test('extracted semesters and courses map to periods and extra columns', () => {
+    assert.equal(academicPeriodOf({ title: ' 2024/2025 Semester 1 ' }), '2024/2025 Semester 1');
+    assert.equal(academicPeriodOf({ title: '  ' }), 'Unassigned');
+    assert.equal(academicPeriodOf({}), 'Unassigned');
+
+    assert.equal(extraColumnsOf({ code: 'CSC101', name: 'Intro', credits: '3', cat1: '15', grade: 'B', gradePoint: 3, period: 'Semester 1' }), null);
+    assert.deepEqual(extraColumnsOf({ code: 'CSC101', Remarks: 'Resit', Lecturer: 'Dr. K' }), { Remarks: 'Resit', Lecturer: 'Dr. K' });
+});
+
+test('results are grouped by period in the order they come', () => {
+    const result = (id, period, code) => ({
+        id,
+        period_id: period.id,
+        student: { uuid: '2201001' },
+        course: { code, name: code, credits: 3 },
+        period,
+        cat1: null, cat1_status: 'pending', cat2: null, cat2_status: 'pending',
+        exam_mark: null, exam_mark_status: 'pending', total_mark: decimal('70'), total_mark_status: 'published',
+    });
+    const first = { id: 2, title: 'Semester 1' };
+    const second = { id: 1, title: 'Semester 2' };
+
+    const periods = groupByPeriod([result(1, first, 'CSC101'), result(2, second, 'CSC201'), result(3, first, 'CSC102')]);
+    assert.deepEqual(periods.map(period => [period.id, period.title, period.results.map(row => row.code)]), [
+        [2, 'Semester 1', ['CSC101', 'CSC102']],
+        [1, 'Semester 2', ['CSC201']],
+    ]);
+    assert.equal(periods[0].results[0].total_mark, 70);
+    assert.deepEqual(groupByPeriod([]), []);
+});
@@ -0,0 +1,72 @@
+/**
+ * Validation of extracted marks before saving.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMarksData, validationRules } from '../service/markValidation.js';
+
+// The cells these tests use, parsed as parseMarkForDB does
+function parseMark(cell) {
+    if (typeof cell === 'number') return { value: cell, status: 'published' };
+    if (cell === undefined || cell === null || cell === '' || cell === '-') return { value: null, status: 'pending' };
+    if (cell === 'ABS') return { value: null, status: 'absent' };
+    return null;
+}
+
+const course = (fields) => ({ code: 'CSC3101', name: 'Data Structures', credits: 4, cat1: 17, cat2: 18, exam: 44, totalMark: 79, grade: 'B', gradePoint: 3, ...fields });
+const payload = (...semesters) => ({ studentInfo: { regNo: 'REG-001' }, semesters });
+const rulesOf = issues => issues.map(issue => [issue.semester_index, issue.index, issue.rule, issue.severity]);
+
+test('consistent courses have no issues', () => {
+    const issues = validateMarksData(payload({ title: 'Semester 1', courses: [course(), course({ code: 'CSC3102', cat2: 'ABS', totalMark: 61, grade: 'C', gradePoint: 2 })] }), { parseMark });
+    assert.deepEqual(issues, []);
+});
+
+test('a credit read as the total fails the sum check', () => {
+    const issues = validateMarksData(payload({ title: 'Semester 1', courses: [course({ totalMark: 4, grade: null, gradePoint: null })] }), { parseMark });
+    assert.deepEqual(rulesOf(issues), [[0, 0, 'total_mismatch', 'error']]);
+    assert.equal(issues[0].field, 'total_mark');
+    assert.match(issues[0].message, /= 79 but total_mark is 4/);
+});
+
+test('components outside the configured maxima are errors', () => {
+    const rules = validationRules({ maxima: { cat1: 20, cat2: 20, exam: 60 } });
+    const issues = validateMarksData(payload({ title: 'Semester 1', courses: [course({ cat1: 25, exam: 37 })] }), { parseMark, rules });
+    assert.deepEqual(rulesOf(issues), [[0, 0, 'out_of_range', 'error']]);
+    assert.equal(issues[0].field, 'cat1');
+});
+
+test('implausible credits and duplicate codes are flagged', () => {
+    const issues = validateMarksData(payload(
+        { title: 'Semester 1', courses: [course({ credits: 75 }), course({ credits: 0 })] },
+        { title: 'Semester 2', courses: [course()] },
+    ), { parseMark });
+    assert.deepEqual(rulesOf(issues), [
+        [0, 0, 'implausible_credits', 'error'],
+        [0, 1, 'duplicate_code', 'error'],
+        [0, 1, 'implausible_credits', 'warning'],
+    ]);
+});
+
+test('semesters sharing a title are one period for duplicates', () => {
+    const issues = validateMarksData(payload(
+        { title: 'Semester 1', courses: [course()] },
+        { title: ' Semester 1 ', courses: [course()] },
+    ), { parseMark });
+    assert.deepEqual(rulesOf(issues), [[1, 0, 'duplicate_code', 'error']]);
+});
+
+test('a grade disagreeing with the total is a warning', () => {
+    const issues = validateMarksData(payload({ title: 'Semester 1', courses: [course({ grade: 'A', gradePoint: 4 })] }), { parseMark });
+    assert.deepEqual(rulesOf(issues), [[0, 0, 'grade_mismatch', 'warning'], [0, 0, 'grade_mismatch', 'warning']]);
+    assert.deepEqual(issues.map(issue => issue.field), ['grade', 'grade_point']);
+});
+
+test('pending components skip the sum check and unparseable cells are left to the save', () => {
+    const issues = validateMarksData(payload({ title: 'Semester 1', courses: [
+        course({ exam: '-', totalMark: '-', grade: null, gradePoint: null }),
+        course({ code: 'CSC3102', totalMark: 'n/a?' }),
+    ] }), { parseMark });
+    assert.deepEqual(issues, []);
+});
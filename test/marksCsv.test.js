@@ -0,0 +1,108 @@
+/**
+ * CSV marks imports (service/marksCsv.js): column mapping, conversion to
+ * payloads and the per-line report, on test/fixtures/imports/marks.csv.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_CSV_MAPPING, parseCsvMapping, csvToMarksData, importCsvRows } from '../service/marksCsv.js';
+
+const csv = fs.readFileSync(path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'imports', 'marks.csv'), 'utf8');
+
+// The fixture's headers, given in other cases than the file's
+const ALIASES = JSON.stringify({ student_uuid: 'reg no', code: 'Course Code', name: 'course title', cat1: 'CAT 1', cat2: 'cat 2', totalMark: 'total' });
+
+/**
+ * Stands in for saveMarksDataToPrisma: a course with a non-numeric mark is rejected, others saved.
+ */
+async function save(marksData) {
+    const rows = [];
+    for (const semester of marksData.semesters) {
+        semester.courses.forEach((course, index) => {
+            const row = { semester: semester.title, index, code: course.code, name: course.name };
+            if (['cat1', 'cat2'].some(field => course[field] !== undefined && isNaN(Number(course[field])))) {
+                rows.push({ ...row, status: 'rejected', reason: 'Unrecognized values for: cat1' });
+            } else {
+                rows.push({ ...row, status: 'saved' });
+            }
+        });
+    }
+    return { success: true, rows };
+}
+
+test('parseCsvMapping merges overrides and refuses unknown fields', () => {
+    assert.deepEqual(parseCsvMapping(undefined), { mapping: DEFAULT_CSV_MAPPING, errors: [] });
+    assert.equal(parseCsvMapping(ALIASES).mapping.totalMark, 'total');
+    assert.equal(parseCsvMapping(ALIASES).mapping.exam, 'exam');
+
+    assert.deepEqual(parseCsvMapping({ grade: 'Grade', code: ' ' }).errors, [
+        'Unknown mapping field "grade". Expected one of: student_uuid, semester, code, name, credits, cat1, cat2, exam, totalMark',
+        'Column header for "code" must be a non-empty string',
+    ]);
+    assert.match(parseCsvMapping('{not json').errors[0], /^mapping is not valid JSON/);
+});
+
+test('header aliases are matched case-insensitively and rows grouped per student', () => {
+    const { groups, rejected, errors } = csvToMarksData(csv, { mapping: parseCsvMapping(ALIASES).mapping });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rejected, [{ line: 3, status: 'rejected', reason: 'Row has no student_uuid' }]);
+
+    assert.deepEqual(groups.map(group => group.marksData.studentInfo.regNo), ['2201001', '2201002']);
+    assert.deepEqual(groups[0].marksData.semesters, [
+        { title: 'Semester 1', courses: [{ code: 'CSC101', name: 'Introduction to Computing', credits: '3', cat1: '15', cat2: '16', exam: '40', totalMark: '71' }] },
+        { title: 'Semester 2', courses: [{ code: 'CSC201', name: 'Algorithms', credits: '4', cat1: '18', cat2: '17', exam: 'ABS', totalMark: '35' }] },
+    ]);
+    // Blank semesters fall back to 'Imported'; blank lines are skipped without shifting line numbers
+    assert.equal(groups[1].marksData.semesters[0].title, 'Imported');
+    assert.deepEqual(groups[0].lines.get('Semester 2'), [6]);
+});
+
+test('a file without the mapped columns is refused as a whole', () => {
+    assert.deepEqual(csvToMarksData(csv, { mapping: DEFAULT_CSV_MAPPING }).errors, [
+        'CSV needs a "code" or "name" column',
+        'CSV needs a "student_uuid" column or a student_uuid parameter',
+    ]);
+    assert.deepEqual(csvToMarksData('', { mapping: DEFAULT_CSV_MAPPING }).errors, ['CSV is empty']);
+});
+
+test('the import reports every line and summarises the statuses', async () => {
+    const { summary, rows, errors } = await importCsvRows(csv, { mapping: parseCsvMapping(ALIASES).mapping }, save);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(summary, { saved: 2, skipped: 0, rejected: 2, quarantined: 0 });
+    assert.deepEqual(rows.map(row => [row.line, row.student_uuid, row.status]), [
+        [2, '2201001', 'saved'],
+        [3, undefined, 'rejected'],
+        [4, '2201002', 'rejected'],
+        [6, '2201001', 'saved'],
+    ]);
+    assert.equal(rows[2].reason, 'Unrecognized values for: cat1');
+    assert.equal(rows[2].semester, 'Imported');
+});
+
+test('a default student covers rows without a student column', async () => {
+    const noStudentColumn = 'code,cat1\nCSC101,12\n';
+    const { summary, rows } = await importCsvRows(noStudentColumn, { mapping: DEFAULT_CSV_MAPPING, studentUuid: '2201009' }, save);
+    assert.deepEqual(summary, { saved: 1, skipped: 0, rejected: 0, quarantined: 0 });
+    assert.equal(rows[0].student_uuid, '2201009');
+});
+
+test('the lines of a refused student are reported as rejected with the refusal', async () => {
+    const refusing = async marksData => (marksData.studentInfo.regNo === '2201001'
+        ? { success: false, refused: true, message: 'Refused: registration number 2201001 is locked.', rows: [] }
+        : save(marksData));
+    const { summary, rows } = await importCsvRows(csv, { mapping: parseCsvMapping(ALIASES).mapping }, refusing);
+
+    assert.deepEqual(summary, { saved: 0, skipped: 0, rejected: 4, quarantined: 0 });
+    assert.deepEqual(rows.map(row => [row.line, row.student_uuid, row.code, row.status]), [
+        [2, '2201001', 'CSC101', 'rejected'],
+        [3, undefined, undefined, 'rejected'],
+        [4, '2201002', 'CSC101', 'rejected'],
+        [6, '2201001', 'CSC201', 'rejected'],
+    ]);
+    assert.equal(rows[0].reason, 'Refused: registration number 2201001 is locked.');
+    assert.equal(rows[3].semester, 'Semester 2');
+});
@@ -0,0 +1,211 @@
+/**
+ * Marksheet extraction against saved pages.
+ *
+ * Every test/fixtures/marksheets/<name>.html is parsed and compared with
+ * <name>.expected.json. To add a layout, save the page there and write its
+ * expected output with:
+ *   npm run parse-marksheet -- test/fixtures/marksheets/<name>.html --out test/fixtures/marksheets/<name>.expected.json
+ * then check the output by hand before committing it.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+import {
+    hasMarksheetContent,
+    inspectMarksLoading,
+    extractMarksFromDocument,
+    mergeMarksData,
+    summarizeLayout,
+    compareLayouts,
+    parseMarksheetHtml,
+} from '../service/marksheetParser.js';
+import { loadSiteProfile, validateSiteProfile } from '../service/siteProfile.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'marksheets');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.html'))
+    .map(file => path.basename(file, '.html'));
+
+const readFixture = name => fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+const documentOf = html => new JSDOM(html).window.document;
+const profile = await loadSiteProfile('ulk');
+
+for (const name of fixtures) {
+    test(`extracts ${name} as expected`, async () => {
+        const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.expected.json`), 'utf8'));
+        const { debug, ...marksData } = await parseMarksheetHtml(readFixture(name));
+
+        assert.deepEqual(marksData, expected);
+        assert.equal(typeof debug.totalTables, 'number');
+    });
+}
+
+test('extraction runs from its serialized source, as page.evaluate does', () => {
+    const document = documentOf(readFixture('gridview-labels'));
+    // No module scope: only what the page would have
+    const extract = vm.runInNewContext(`(${extractMarksFromDocument.toString()})`, { console: { log() {} } });
+    // The profile crosses over as JSON too
+    const pageProfile = JSON.parse(JSON.stringify(profile));
+
+    // The result crosses back as JSON, as puppeteer returns it
+    const { debug, ...marksData } = JSON.parse(JSON.stringify(extract(document, { profile: pageProfile, verbose: false })));
+    const { debug: _debug, ...direct } = extractMarksFromDocument(document, { profile, verbose: false });
+    assert.deepEqual(marksData, direct);
+    assert.equal(debug.totalTables, 1);
+});
+
+test('recognizes marksheet pages', () => {
+    for (const name of fixtures) {
+        assert.equal(hasMarksheetContent(documentOf(readFixture(name)), { profile, verbose: false }), true, name);
+    }
+});
+
+test('does not take the login page for the marksheet', () => {
+    const login = documentOf(`
+        <form id="form1"><h2>Sign in</h2>
+          <input id="txtUserName"><input id="txtPassword" type="password">
+          <input type="submit" value="Login">
+        </form>`);
+    assert.equal(hasMarksheetContent(login, { profile, verbose: false }), false);
+});
+
+test('maps marks header variants to the same fields', () => {
+    const headers = ['Code', 'Subject', 'Credits', 'Continuous Assessment 1', 'CA 2', 'Examination', 'Grand Total', 'Grade', 'Points'];
+    const document = documentOf(`<table>
+        <tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr>
+        <tr><td>BIO101</td><td>Cell Biology</td><td>3</td><td>10</td><td>12.5</td><td>-</td><td>22.5</td><td></td><td></td></tr>
+        <tr><td>BIO102</td><td>Genetics</td><td>3</td><td>ABS</td><td>9</td><td>41</td><td>50</td><td>D</td><td>1</td></tr>
+    </table>`);
+
+    const { semesters } = extractMarksFromDocument(document, { profile, verbose: false });
+    assert.deepEqual(semesters[0].courses[0], {
+        code: 'BIO101', name: 'Cell Biology', credits: 3,
+        cat1: 10, cat2: 12.5, exam: '-', totalMark: 22.5, grade: '', gradePoint: null,
+    });
+    assert.equal(semesters[0].courses[1].cat1, 'ABS');
+});
+
+test('reports visible loading indicators only', () => {
+    const loading = documentOf('<div id="updateProgress">Please wait</div><table><tr><td>Course</td></tr></table>');
+    const loaded = documentOf('<div class="loader" style="display:none"></div><table><tr><td>Course</td></tr></table>');
+
+    assert.equal(inspectMarksLoading(loading, { profile }).visibleLoadingElementsCount, 1);
+    assert.equal(inspectMarksLoading(loaded, { profile }).visibleLoadingElementsCount, 0);
+    assert.equal(inspectMarksLoading(loaded, { profile }).marksTables, 1);
+});
+
+test('follows the column mapping of the profile', () => {
+    const document = documentOf(`<table>
+        <tr><th>Ref</th><th>Title</th><th>Score</th><th>Comment</th></tr>
+        <tr><td>BIO101</td><td>Cell Biology</td><td>71</td><td>Good</td></tr>
+        <tr><td>BIO102</td><td>Genetics</td><td>ABS</td><td></td></tr>
+    </table>`);
+    const custom = {
+        ...profile,
+        columns: [
+            { field: 'code', equals: ['ref'] },
+            { field: 'name', includes: ['title'] },
+            { field: 'totalMark', pattern: '^score$', type: 'mark' },
+        ],
+        keepUnmappedColumns: false,
+    };
+
+    const { semesters } = extractMarksFromDocument(document, { profile: custom, verbose: false });
+    assert.deepEqual(semesters[0].courses, [
+        { code: 'BIO101', name: 'Cell Biology', totalMark: 71 },
+        { code: 'BIO102', name: 'Genetics', totalMark: 'ABS' },
+    ]);
+});
+
+test('merges the marks of several periods, tagging courses with their period', () => {
+    const cs101 = { code: 'CS101', name: 'Programming', totalMark: 70 };
+    const parts = [
+        { period: '2023 / S1', data: { studentInfo: { name: 'A', regNo: '' }, semesters: [{ title: 'Academic Period 1', courses: [cs101] }] } },
+        { period: '2023 / S2', data: { studentInfo: { regNo: '1' }, semesters: [{ title: 'Semester 2 2023', courses: [{ code: 'CS102', name: 'Data', totalMark: 65 }] }] } },
+        // The same page shown again, e.g. a period without marks of its own
+        { period: '2023 / S3', data: { studentInfo: {}, semesters: [{ title: 'Semester 2 2023', courses: [{ code: 'CS102', name: 'Data', totalMark: 65 }] }] } },
+    ];
+
+    const { studentInfo, semesters, debug } = mergeMarksData(parts, { profile });
+    assert.deepEqual(studentInfo, { name: 'A', regNo: '1' });
+    assert.deepEqual(semesters, [
+        { title: '2023 / S1', period: '2023 / S1', courses: [{ ...cs101, period: '2023 / S1' }] },
+        { title: 'Semester 2 2023', period: '2023 / S2', courses: [{ code: 'CS102', name: 'Data', totalMark: 65, period: '2023 / S2' }] },
+    ]);
+    assert.deepEqual(debug.periods.map(({ period }) => period), ['2023 / S1', '2023 / S2', '2023 / S3']);
+});
+
+const marksTable = headers => documentOf(`<h3>Semester 1 2024</h3><table>
+    <tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr>
+    <tr><td>CSC101</td><td>Programming</td><td>4</td><td>15</td><td>16</td><td>40</td><td>71</td><td>B</td></tr>
+    <tr><td>CSC102</td><td>Databases</td><td>3</td><td>12</td><td>14</td><td>35</td><td>61</td><td>C</td></tr>
+</table>`);
+const BASELINE_HEADERS = ['Course Code', 'Course Name', 'Credits', 'CAT1', 'CAT2', 'Exam', 'Total', 'Grade', 'Remarks'];
+// The portal renamed Credits to "CH Mark": the loose "mark" rule reads it as the total
+const DRIFTED_HEADERS = ['Course Code', 'Course Name', 'CH Mark', 'CAT1', 'CAT2', 'Exam', 'Total', 'Grade'];
+
+test('reports the column mapping of each marks table', () => {
+    const { debug } = extractMarksFromDocument(marksTable(BASELINE_HEADERS), { profile, verbose: false });
+    assert.equal(debug.mappings.length, 1);
+    const [mapping] = debug.mappings;
+    assert.deepEqual(mapping.columns.map(column => [column.header, column.field, column.source]), [
+        ['course code', 'code', 'rule'],
+        ['course name', 'name', 'rule'],
+        ['credits', 'credits', 'rule'],
+        ['cat1', 'cat1', 'rule'],
+        ['cat2', 'cat2', 'rule'],
+        ['exam', 'exam', 'rule'],
+        ['total', 'totalMark', 'rule'],
+        ['grade', 'grade', 'rule'],
+        ['remarks', null, null],
+    ]);
+    assert.deepEqual([mapping.semester, mapping.unmapped, mapping.ambiguous, mapping.missing, mapping.confidence],
+        ['Semester 1 2024', ['remarks'], [], [], 0.94]);
+});
+
+test('detects a layout change against the known-good layout', () => {
+    const layoutOf = (headers, options = profile) => summarizeLayout(extractMarksFromDocument(marksTable(headers), { profile: options, verbose: false }).debug.mappings);
+    const baseline = layoutOf(BASELINE_HEADERS);
+    const drifted = layoutOf(DRIFTED_HEADERS);
+
+    assert.equal(layoutOf(BASELINE_HEADERS).signature, baseline.signature);
+    assert.deepEqual(drifted.tables[0].ambiguous, ['ch mark', 'total']);
+    assert.deepEqual(drifted.tables[0].missing, ['credits']);
+    assert.ok(drifted.confidence < baseline.confidence);
+    assert.deepEqual(compareLayouts(drifted, baseline), {
+        changed: true,
+        added: ['ch mark'],
+        removed: ['credits', 'remarks'],
+        remapped: [],
+    });
+
+    // A manual override puts the column back where it belongs
+    const overridden = { ...profile, columnOverrides: { 'ch mark': 'credits' } };
+    assert.deepEqual(validateSiteProfile(overridden), []);
+    const { semesters, debug } = extractMarksFromDocument(marksTable(DRIFTED_HEADERS), { profile: overridden, verbose: false });
+    assert.deepEqual(semesters[0].courses.map(course => [course.credits, course.totalMark]), [[4, 71], [3, 61]]);
+    assert.deepEqual(debug.mappings[0].columns[2], { index: 2, header: 'ch mark', field: 'credits', source: 'override', candidates: ['totalMark'], ambiguous: false });
+    assert.deepEqual([debug.mappings[0].ambiguous, debug.mappings[0].missing], [[], []]);
+});
+
+test('rejects profiles that do not match the schema', () => {
+    const broken = structuredClone(profile);
+    delete broken.login.usernameSelector;
+    broken.columns.push({ field: 'room', includes: ['room'] });
+
+    const errors = validateSiteProfile(broken);
+    assert.ok(errors.some(error => error.includes('usernameSelector')), errors.join('\n'));
+    assert.ok(errors.some(error => error.startsWith('/columns/9/field')), errors.join('\n'));
+
+    // Patterns are only compiled once the shape is right
+    const badPattern = structuredClone(profile);
+    badPattern.tables.semesterTitle.patterns = ['(unclosed'];
+    assert.deepEqual(validateSiteProfile(badPattern).map(error => error.split(' ')[0]), ['/tables/semesterTitle/patterns/0']);
+    assert.deepEqual(validateSiteProfile(profile), []);
+});
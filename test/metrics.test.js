@@ -0,0 +1,66 @@
+/**
+ * The Prometheus metrics (service/metrics.js), read back in the text format.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { httpMetrics, countLogin, setPortalCircuitState, countMarkRecords, renderMetrics } from '../service/metrics.js';
+
+/**
+ * The value of a sample in the text format, 0 when absent.
+ * @param {string} body
+ * @param {string} sample - Metric name and labels, e.g. `miss_scrape_logins_total{outcome="success"}`.
+ */
+function valueOf(body, sample) {
+    const line = body.split('\n').find(candidate => candidate.startsWith(`${sample} `));
+    return line ? Number(line.slice(sample.length + 1)) : 0;
+}
+
+/**
+ * Passes a request through httpMetrics and finishes its response.
+ */
+function handle(req, statusCode) {
+    const res = new EventEmitter();
+    res.statusCode = statusCode;
+    let passed = false;
+    httpMetrics(req, res, () => { passed = true; });
+    res.emit('finish');
+    return passed;
+}
+
+test('requests are labelled with their route pattern, or unmatched', async () => {
+    assert.equal(handle({ method: 'GET', baseUrl: '/api/marks', route: { path: '/:id' } }, 200), true);
+    handle({ method: 'GET', baseUrl: '/api/marks', route: { path: '/:id' } }, 200);
+    handle({ method: 'GET', baseUrl: '', route: undefined }, 404);
+
+    const { contentType, body } = await renderMetrics();
+    assert.match(contentType, /^text\/plain/);
+    assert.equal(valueOf(body, 'miss_http_requests_total{method="GET",route="/api/marks/:id",status="200"}'), 2);
+    assert.equal(valueOf(body, 'miss_http_requests_total{method="GET",route="unmatched",status="404"}'), 1);
+    assert.equal(valueOf(body, 'miss_http_request_duration_seconds_count{method="GET",route="/api/marks/:id",status="200"}'), 2);
+});
+
+test('logins, mark records and the portal circuit are counted', async () => {
+    countLogin('success');
+    countLogin('captcha');
+    countLogin('captcha');
+    countMarkRecords({ saved: 3, skipped: 0, rejected: 2, quarantined: 1 });
+    setPortalCircuitState('open');
+
+    let { body } = await renderMetrics();
+    assert.equal(valueOf(body, 'miss_scrape_logins_total{outcome="success"}'), 1);
+    assert.equal(valueOf(body, 'miss_scrape_logins_total{outcome="captcha"}'), 2);
+    assert.equal(valueOf(body, 'miss_scrape_logins_total{outcome="failed"}'), 0);
+    assert.equal(valueOf(body, 'miss_mark_records_total{outcome="saved"}'), 3);
+    assert.equal(valueOf(body, 'miss_mark_records_total{outcome="errored"}'), 2);
+    assert.equal(valueOf(body, 'miss_mark_records_total{outcome="quarantined"}'), 1);
+    assert.ok(!body.includes('miss_mark_records_total{outcome="skipped"}'), 'outcomes with no records are not counted');
+    assert.equal(valueOf(body, 'miss_portal_circuit_open'), 1);
+
+    setPortalCircuitState('half_open');
+    assert.equal(valueOf((await renderMetrics()).body, 'miss_portal_circuit_open'), 1, 'half open still holds scheduled scrapes back');
+    setPortalCircuitState('closed');
+    ({ body } = await renderMetrics());
+    assert.equal(valueOf(body, 'miss_portal_circuit_open'), 0);
+});
@@ -0,0 +1,65 @@
+/**
+ * The readiness checks that need no database or browser (service/readiness.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { timed, cachedCheck, missingPortalUrls, readiness } from '../service/readiness.js';
+
+test('checks are timed and report the first line of their error', async () => {
+    const passed = await timed(async () => {});
+    assert.equal(passed.ok, true);
+    assert.equal(typeof passed.duration_ms, 'number');
+    assert.equal('error' in passed, false);
+
+    const failed = await timed(async () => {
+        throw new Error('Failed to launch the browser process!\n/usr/bin/chromium: not found');
+    });
+    assert.equal(failed.ok, false);
+    assert.equal(failed.error, 'Failed to launch the browser process!');
+});
+
+test('a slow check is shared while it runs and reused until it is stale', async t => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    let launches = 0;
+    let finish;
+    const check = cachedCheck(() => {
+        launches += 1;
+        return new Promise(resolve => { finish = resolve; });
+    }, 1000);
+
+    const first = check();
+    const second = check();
+    finish({ ok: true, duration_ms: 3 });
+    assert.deepEqual(await Promise.all([first, second]), [
+        { ok: true, duration_ms: 3, cached: false },
+        { ok: true, duration_ms: 3, cached: false },
+    ]);
+    assert.equal(launches, 1);
+
+    t.mock.timers.tick(999);
+    assert.deepEqual(await check(), { ok: true, duration_ms: 3, cached: true });
+    assert.equal(launches, 1);
+
+    t.mock.timers.tick(1);
+    const fresh = check();
+    finish({ ok: false, duration_ms: 5, error: 'gone' });
+    assert.deepEqual(await fresh, { ok: false, duration_ms: 5, error: 'gone', cached: false });
+    assert.equal(launches, 2);
+});
+
+test('portal URLs may come from the settings or the site profile', () => {
+    const profile = { id: 'ulk', urls: { login: 'https://mis.example/login' } };
+    assert.deepEqual(missingPortalUrls({}, profile), ['dashboardUrl', 'marksheetUrl']);
+    assert.deepEqual(missingPortalUrls({ dashboardUrl: 'https://mis.example/home', marksheetUrl: 'https://mis.example/marks' }, profile), []);
+    assert.deepEqual(missingPortalUrls({}, { id: 'bare' }), ['loginUrl', 'dashboardUrl', 'marksheetUrl']);
+});
+
+test('the service is ready only when every check passes', () => {
+    const ok = { ok: true, duration_ms: 1 };
+    assert.equal(readiness({ database: ok, browser: ok, config: ok }).ready, true);
+
+    const down = readiness({ database: { ok: false, duration_ms: 1, error: 'SQLITE_CANTOPEN' }, browser: ok, config: ok });
+    assert.equal(down.ready, false);
+    assert.equal(down.checks.database.error, 'SQLITE_CANTOPEN');
+});
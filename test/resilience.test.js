@@ -0,0 +1,114 @@
+/**
+ * Error classification, retries with backoff and the portal circuit breaker.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PortalError,
+    statusKind,
+    classifyError,
+    retryPolicy,
+    backoffDelay,
+    withRetry,
+    waitFor,
+    CircuitBreaker,
+} from '../service/resilience.js';
+
+test('timeouts, dropped connections and 5xx answers are transient', () => {
+    const timeout = new Error('Navigation timeout of 30000 ms exceeded');
+    timeout.name = 'TimeoutError';
+    const reset = new Error('socket hang up');
+    reset.code = 'ECONNRESET';
+
+    assert.equal(classifyError(timeout), 'transient');
+    assert.equal(classifyError(reset), 'transient');
+    assert.equal(classifyError(new Error('net::ERR_CONNECTION_REFUSED at http://mis')), 'transient');
+    assert.equal(classifyError(new PortalError('503', { status: 503 })), 'transient');
+
+    assert.equal(classifyError(new Error('net::ERR_TOO_MANY_REDIRECTS at http://mis')), 'permanent');
+    assert.equal(classifyError(new PortalError('Not found', { kind: statusKind(404), status: 404 })), 'permanent');
+    assert.deepEqual([500, 503, 408, 429, 400, 403].map(statusKind), ['transient', 'transient', 'transient', 'transient', 'permanent', 'permanent']);
+});
+
+test('backoff doubles up to the cap, with half of it jittered', () => {
+    const policy = retryPolicy('navigate', { navigate: { baseDelayMs: 1000, maxDelayMs: 3000 } });
+    assert.equal(policy.attempts, 3);
+    assert.deepEqual(retryPolicy('extract'), { attempts: 1, baseDelayMs: 0, maxDelayMs: 0 });
+
+    assert.equal(backoffDelay(1, policy, () => 0), 500);
+    assert.equal(backoffDelay(1, policy, () => 1), 1000);
+    assert.equal(backoffDelay(2, policy, () => 0), 1000);
+    assert.equal(backoffDelay(3, policy, () => 1), 3000);
+});
+
+test('withRetry retries transient errors only, within the policy', async () => {
+    const policy = { attempts: 3, baseDelayMs: 100, maxDelayMs: 1000 };
+    const waits = [];
+    const wait = async ms => { waits.push(ms); };
+
+    let calls = 0;
+    const value = await withRetry(async attempt => {
+        calls++;
+        if (attempt < 3) throw new PortalError('Portal answered 503', { status: 503 });
+        return 'page';
+    }, { policy, wait, random: () => 0 });
+    assert.equal(value, 'page');
+    assert.equal(calls, 3);
+    assert.deepEqual(waits, [50, 100]);
+
+    calls = 0;
+    await assert.rejects(withRetry(async () => {
+        calls++;
+        throw new PortalError('Not found', { kind: 'permanent', status: 404 });
+    }, { policy, wait }), /Not found/);
+    assert.equal(calls, 1);
+
+    const retries = [];
+    await assert.rejects(withRetry(async () => {
+        throw new PortalError('Portal answered 502', { status: 502 });
+    }, { policy, wait, onRetry: ({ attempt }) => { retries.push(attempt); } }), /502/);
+    assert.deepEqual(retries, [1, 2]);
+});
+
+test('waitFor returns the condition value, or false on timeout', async () => {
+    let polls = 0;
+    assert.equal(await waitFor(async () => (++polls >= 2 ? 'ready' : null), { timeoutMs: 1000, intervalMs: 1 }), 'ready');
+    assert.equal(await waitFor(async () => null, { timeoutMs: 5, intervalMs: 1 }), false);
+});
+
+test('the circuit breaker opens, probes once after the cooldown and closes on success', () => {
+    let clock = 0;
+    const changes = [];
+    const breaker = new CircuitBreaker({
+        failureThreshold: 2,
+        cooldownMs: 1000,
+        now: () => clock,
+        onStateChange: snapshot => changes.push(snapshot.state),
+    });
+
+    breaker.recordFailure();
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordFailure();
+    assert.equal(breaker.isOpen(), true);
+    assert.equal(breaker.allowRequest(), false);
+    assert.deepEqual(breaker.snapshot().retry_at, new Date(1000));
+
+    clock = 1000;
+    assert.equal(breaker.isOpen(), false);
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.allowRequest(), false, 'only one probe at a time');
+
+    breaker.recordFailure();
+    assert.equal(breaker.snapshot().state, 'open');
+    assert.deepEqual(breaker.snapshot().retry_at, new Date(2000));
+
+    clock = 2000;
+    assert.equal(breaker.allowRequest(), true);
+    breaker.releaseProbe();
+    assert.equal(breaker.allowRequest(), true, 'a released probe lets the next request probe');
+    breaker.recordSuccess();
+    assert.equal(breaker.snapshot().state, 'closed');
+    assert.equal(breaker.snapshot().failures, 0);
+    assert.deepEqual(changes, ['open', 'half_open', 'open', 'half_open', 'closed']);
+});
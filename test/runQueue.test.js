@@ -0,0 +1,81 @@
+/**
+ * Starting queued scrape runs and reading their outcome (service/runQueue.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startQueuedRuns, runOutcome } from '../service/runQueue.js';
+import { SCRAPE_STATUS } from '../service/scrapeContext.js';
+
+/**
+ * A queue of ScrapeRuns in creation order, claimed the way processQueue does.
+ * @param {object[]} runs - `{ id, account }`.
+ * @param {number[]} [cancelled] - Runs cancelled between being found and claimed.
+ */
+function fakeQueue(runs, cancelled = []) {
+    const queued = runs.map(run => ({ ...run, status: 'queued' }));
+    const activeRuns = new Map();
+    const lookups = [];
+    return {
+        activeRuns,
+        lookups,
+        queued,
+        findNext: async busyAccounts => {
+            lookups.push(busyAccounts);
+            return queued.find(run => run.status === 'queued' && !busyAccounts.includes(run.account)) || null;
+        },
+        claim: async next => {
+            if (cancelled.includes(next.id)) {
+                next.status = 'cancelled';
+                return false;
+            }
+            next.status = 'running';
+            return true;
+        },
+        start: next => activeRuns.set(next.id, { account: next.account }),
+    };
+}
+
+test('runs are started in order up to the concurrency limit', async () => {
+    const queue = fakeQueue([{ id: 1, account: 'a' }, { id: 2, account: 'b' }, { id: 3, account: 'c' }]);
+
+    const started = await startQueuedRuns(queue.activeRuns, queue, 2);
+    assert.deepEqual(started.map(run => run.id), [1, 2]);
+    assert.deepEqual(Array.from(queue.activeRuns.keys()), [1, 2]);
+    assert.equal(queue.queued[2].status, 'queued');
+
+    queue.activeRuns.delete(1);
+    assert.deepEqual((await startQueuedRuns(queue.activeRuns, queue, 2)).map(run => run.id), [3]);
+    assert.deepEqual(await startQueuedRuns(queue.activeRuns, queue, 2), [], 'no capacity left');
+});
+
+test('an account with a run in progress is skipped until it is free', async () => {
+    const queue = fakeQueue([{ id: 1, account: 'a' }, { id: 2, account: 'a' }, { id: 3, account: 'b' }]);
+
+    const started = await startQueuedRuns(queue.activeRuns, queue, 3);
+    assert.deepEqual(started.map(run => run.id), [1, 3]);
+    assert.deepEqual(queue.lookups, [[], ['a'], ['a', 'b']]);
+    assert.equal(queue.queued[1].status, 'queued');
+
+    queue.activeRuns.delete(1);
+    assert.deepEqual((await startQueuedRuns(queue.activeRuns, queue, 3)).map(run => run.id), [2]);
+});
+
+test('a run cancelled before it is claimed is not started', async () => {
+    const queue = fakeQueue([{ id: 1, account: 'a' }, { id: 2, account: 'b' }], [1]);
+
+    const started = await startQueuedRuns(queue.activeRuns, queue, 1);
+    assert.deepEqual(started.map(run => run.id), [2]);
+    assert.equal(queue.queued[0].status, 'cancelled');
+    assert.deepEqual(Array.from(queue.activeRuns.keys()), [2]);
+});
+
+test('scraper results map to the run status and error', () => {
+    assert.deepEqual(runOutcome({ status: 'saved', success: true }, SCRAPE_STATUS), { status: 'succeeded', error: null });
+    assert.deepEqual(runOutcome({ status: 'cancelled', success: false, message: 'Cancelled' }, SCRAPE_STATUS),
+        { status: 'cancelled', error: null });
+    assert.deepEqual(runOutcome({ status: 'login_failed', success: false, message: 'Wrong password' }, SCRAPE_STATUS),
+        { status: 'failed', error: 'Wrong password' });
+    assert.deepEqual(runOutcome({ status: 'no_data', success: false, message: 'No marks on the marksheet' }, SCRAPE_STATUS),
+        { status: 'failed', error: 'No marks on the marksheet' });
+});
@@ -0,0 +1,78 @@
+/**
+ * Schedule validation, quiet hours, next run times and backoff.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchedule, inQuietHours, computeNextRun, backoffDelay, fireOutcome } from '../service/scheduleTiming.js';
+
+const MINUTE = 60 * 1000;
+
+test('validateSchedule checks cron, time zone and quiet hours', () => {
+    const { data, errors } = validateSchedule({ cron: ' 0 6 * * * ', timezone: 'Africa/Kigali', quiet_hours_start: '22:00', quiet_hours_end: '06:00' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(data, { cron: '0 6 * * *', timezone: 'Africa/Kigali', quiet_hours_start: '22:00', quiet_hours_end: '06:00' });
+
+    assert.deepEqual(validateSchedule({}).errors, ['cron is required']);
+    assert.match(validateSchedule({ cron: 'every day' }).errors[0], /^cron is invalid/);
+    assert.deepEqual(validateSchedule({ cron: '0 6 * * *', timezone: 'Mars/Olympus' }).errors, [
+        'timezone must be an IANA time zone name (e.g. Africa/Kigali) or null',
+    ]);
+    assert.deepEqual(validateSchedule({ cron: '0 6 * * *', quiet_hours_start: '24:00', quiet_hours_end: '06:00' }).errors, [
+        'quiet_hours_start must be a "HH:MM" time or null',
+        'quiet_hours_start and quiet_hours_end must be set together',
+    ]);
+});
+
+test('validateSchedule checks updates against the stored schedule', () => {
+    const existing = { cron: '0 6 * * *', timezone: null, quiet_hours_start: '22:00', quiet_hours_end: '06:00' };
+    assert.deepEqual(validateSchedule({ jitter_seconds: 30 }, { partial: true, existing }), { data: { jitter_seconds: 30 }, errors: [] });
+    assert.deepEqual(validateSchedule({ quiet_hours_end: null }, { partial: true, existing }).errors, [
+        'quiet_hours_start and quiet_hours_end must be set together',
+    ]);
+    assert.deepEqual(validateSchedule({ jitter_seconds: -1, enabled: 'yes' }, { partial: true, existing }).errors, [
+        'jitter_seconds must be a non-negative integer',
+        'enabled must be a boolean',
+    ]);
+});
+
+test('quiet hours wrap past midnight', () => {
+    const night = { quiet_hours_start: '22:00', quiet_hours_end: '06:00', timezone: 'UTC' };
+    assert.equal(inQuietHours(night, new Date('2026-10-19T23:30:00Z')), true);
+    assert.equal(inQuietHours(night, new Date('2026-10-20T05:59:00Z')), true);
+    assert.equal(inQuietHours(night, new Date('2026-10-20T06:00:00Z')), false);
+    assert.equal(inQuietHours(night, new Date('2026-10-19T21:59:00Z')), false);
+
+    const lunch = { quiet_hours_start: '12:00', quiet_hours_end: '13:00', timezone: 'UTC' };
+    assert.equal(inQuietHours(lunch, new Date('2026-10-19T12:30:00Z')), true);
+    assert.equal(inQuietHours(lunch, new Date('2026-10-19T23:30:00Z')), false);
+
+    // 22:30 UTC is 00:30 in Kigali
+    assert.equal(inQuietHours({ quiet_hours_start: '00:00', quiet_hours_end: '01:00', timezone: 'Africa/Kigali' }, new Date('2026-10-19T22:30:00Z')), true);
+    assert.equal(inQuietHours({ timezone: 'UTC' }, new Date('2026-10-19T23:30:00Z')), false);
+});
+
+test('computeNextRun skips quiet hours and adds jitter within jitter_seconds', () => {
+    const schedule = { cron: '0 * * * *', timezone: 'UTC', jitter_seconds: 60, quiet_hours_start: null, quiet_hours_end: null };
+    const after = new Date('2026-10-19T10:15:00Z');
+
+    assert.deepEqual(computeNextRun(schedule, after, () => 0), new Date('2026-10-19T11:00:00Z'));
+    assert.deepEqual(computeNextRun(schedule, after, () => 0.9999), new Date('2026-10-19T11:01:00Z'));
+    assert.deepEqual(computeNextRun({ ...schedule, jitter_seconds: 0 }, after, () => 0.9999), new Date('2026-10-19T11:00:00Z'));
+
+    const quiet = { ...schedule, quiet_hours_start: '22:00', quiet_hours_end: '06:00' };
+    assert.deepEqual(computeNextRun(quiet, new Date('2026-10-19T21:30:00Z'), () => 0), new Date('2026-10-20T06:00:00Z'));
+});
+
+test('backoff doubles per failure up to the cap', () => {
+    assert.equal(backoffDelay(0), 0);
+    assert.equal(backoffDelay(1), 5 * MINUTE);
+    assert.equal(backoffDelay(3), 20 * MINUTE);
+    assert.equal(backoffDelay(20), 24 * 60 * MINUTE);
+});
+
+test('a fire fails when any of its runs failed', () => {
+    assert.equal(fireOutcome(['succeeded', 'failed', 'failed']), 'failed');
+    assert.equal(fireOutcome(['cancelled', 'succeeded']), 'succeeded');
+    assert.equal(fireOutcome(['cancelled']), 'cancelled');
+});
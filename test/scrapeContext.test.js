@@ -0,0 +1,79 @@
+/**
+ * The per-run context of the scraper and how a run's login is counted (service/scrapeContext.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { DEFAULT_SETTINGS, SCRAPE_STATUS, SUCCESS_STATUSES, createContext, loginOutcome } from '../service/scrapeContext.js';
+
+const credentials = { username: '2201001', password: 'secret' };
+const profile = {
+    id: 'ulk',
+    urls: { login: 'https://mis.example/login', dashboard: 'https://mis.example/home', marksheet: 'https://mis.example/marks' },
+};
+
+test('credentials are required', () => {
+    for (const options of [{}, { credentials: { username: '2201001' } }, { credentials: { username: '', password: 'secret' } }]) {
+        assert.throws(() => createContext(options, profile), {
+            name: 'TypeError',
+            message: 'scrapeMarks: options.credentials.username and options.credentials.password are required',
+        });
+    }
+});
+
+test('timeouts and settings override the defaults', () => {
+    const ctx = createContext({
+        credentials,
+        settings: { dataDir: '/srv/miss', maxPeriods: 5 },
+        timeouts: { navigationMs: 1000, settleMs: 2000, captchaSolveMs: 3000, marksLoadMs: 4000 },
+    }, profile);
+
+    assert.equal(ctx.settings.navigationTimeoutMs, 1000);
+    assert.equal(ctx.settings.settleTimeoutMs, 2000);
+    assert.equal(ctx.settings.captchaSolveTimeMs, 3000);
+    assert.equal(ctx.settings.marksLoadTimeoutMs, 4000);
+    assert.equal(ctx.settings.maxPeriods, 5);
+    assert.equal(ctx.settings.captchaMaxAttempts, DEFAULT_SETTINGS.captchaMaxAttempts);
+    assert.equal(ctx.cookiesPath, path.join('/srv/miss', 'cookies.json'));
+    assert.equal(DEFAULT_SETTINGS.navigationTimeoutMs, 30000, 'the defaults are not changed');
+
+    const defaults = createContext({ credentials }, profile);
+    assert.equal(defaults.settings.navigationTimeoutMs, DEFAULT_SETTINGS.navigationTimeoutMs);
+    assert.equal(defaults.settings.marksLoadTimeoutMs, DEFAULT_SETTINGS.marksLoadTimeoutMs);
+});
+
+test('portal URLs come from the settings, then the site profile', () => {
+    const ctx = createContext({ credentials, settings: { loginUrl: 'https://other.example/login' } }, profile);
+    assert.equal(ctx.settings.loginUrl, 'https://other.example/login');
+    assert.equal(ctx.settings.dashboardUrl, profile.urls.dashboard);
+    assert.equal(ctx.settings.marksheetUrl, profile.urls.marksheet);
+
+    assert.throws(() => createContext({ credentials, settings: { loginUrl: 'https://other.example/login' } }, { id: 'bare' }), {
+        name: 'TypeError',
+        message: 'scrapeMarks: options.settings is missing dashboardUrl, marksheetUrl, and site profile "bare" has no default',
+    });
+});
+
+test('a run keeps its artifacts in a directory named after it', () => {
+    const ctx = createContext({ credentials, settings: { artifactsDir: '/srv/runs' }, runId: 42 }, profile);
+    assert.equal(ctx.runDir, path.join('/srv/runs', '42'));
+    assert.deepEqual([ctx.artifacts, ctx.step, ctx.signal], [[], null, null]);
+
+    const local = createContext({ credentials, settings: { artifactsDir: '/srv/runs' } }, profile);
+    assert.match(path.basename(local.runDir), /^local-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/);
+});
+
+test('only saved, extracted and logged-in runs are successes', () => {
+    assert.deepEqual(SUCCESS_STATUSES, [SCRAPE_STATUS.SAVED, SCRAPE_STATUS.EXTRACTED, SCRAPE_STATUS.LOGGED_IN]);
+    assert.ok(!SUCCESS_STATUSES.includes(SCRAPE_STATUS.NO_DATA));
+});
+
+test('a run counts its login as success, captcha or failed', () => {
+    assert.equal(loginOutcome(SCRAPE_STATUS.SAVED, true), 'success');
+    assert.equal(loginOutcome(SCRAPE_STATUS.NO_DATA, true), 'success');
+    assert.equal(loginOutcome(SCRAPE_STATUS.CAPTCHA_REQUIRED, false), 'captcha');
+    assert.equal(loginOutcome(SCRAPE_STATUS.LOGIN_FAILED, false), 'failed');
+    assert.equal(loginOutcome(SCRAPE_STATUS.SAVED, false), null, 'a reused session is no login');
+    assert.equal(loginOutcome(SCRAPE_STATUS.PORTAL_UNAVAILABLE, false), null);
+});
@@ -0,0 +1,241 @@
+/**
+ * End-to-end scraper runs against the local ULK MIS simulator
+ * (simulator/ulkMisSimulator.js), headless, without saving to the database.
+ *
+ * The browser tests need puppeteer with a Chromium that starts, and the
+ * generated Prisma client the scraper imports; they are skipped, with the
+ * reason, when either is missing.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import { startSimulator, periodTitle, DEFAULT_STUDENTS, DEFAULT_CAPTCHA_CODE } from '../simulator/ulkMisSimulator.js';
+import { hasMarksheetContent, extractMarksFromDocument } from '../service/marksheetParser.js';
+import { loadSiteProfile } from '../service/siteProfile.js';
+import { createLogger, readLogFile } from '../service/logger.js';
+
+const [USERNAME, STUDENT] = Object.entries(DEFAULT_STUDENTS)[0];
+const CREDENTIALS = { username: USERNAME, password: STUDENT.password };
+const TIMEOUTS = { navigationMs: 10000, settleMs: 5000, captchaSolveMs: 5000, marksLoadMs: 20000 };
+// Short pauses between attempts, so that the retry tests stay quick
+const RETRY = { session_check: { baseDelayMs: 50 }, login: { baseDelayMs: 50 }, navigate: { baseDelayMs: 50 } };
+const BROWSER_ARGS = ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'];
+const QUIET = createLogger({ sinks: [] });
+
+const profile = await loadSiteProfile('ulk');
+const browserProblem = await findBrowserProblem();
+const scraper = browserProblem ? null : await import('../service/scrapUlkMiss.js');
+
+/**
+ * Why the browser tests cannot run here, or false when they can.
+ */
+async function findBrowserProblem() {
+    try {
+        const { default: puppeteer } = await import('puppeteer');
+        const browser = await puppeteer.launch({ headless: true, args: BROWSER_ARGS });
+        await browser.close();
+        await import('../service/scrapUlkMiss.js');
+        return false;
+    } catch (error) {
+        return `needs puppeteer, a Chromium that starts and the generated Prisma client (${error.message.split('\n')[0]})`;
+    }
+}
+
+/**
+ * Runs scrapeMarks against a fresh simulator, in a throwaway data directory.
+ */
+async function scrapeSimulator(simulatorOptions, scrapeOptions = {}) {
+    const simulator = await startSimulator({ marksDelayMs: 300, ...simulatorOptions });
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'miss-e2e-'));
+    try {
+        const result = await scraper.scrapeMarks({
+            credentials: CREDENTIALS,
+            timeouts: TIMEOUTS,
+            save: false,
+            logger: QUIET,
+            ...scrapeOptions,
+            settings: { ...simulator.settings, dataDir, artifactsDir: path.join(dataDir, 'runs'), retry: RETRY },
+        });
+        const log = readLogFile(result.artifacts[0].path);
+        return { result, state: simulator.state, log };
+    } finally {
+        await simulator.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+const e2e = (name, fn) => test(name, { skip: browserProblem, timeout: 120000 }, fn);
+
+test('simulator pages parse as the ULK profile expects', async () => {
+    const simulator = await startSimulator({ marksDelayMs: 0 });
+    try {
+        const login = await fetch(simulator.settings.loginUrl, {
+            method: 'POST',
+            body: new URLSearchParams({ txtUserName: USERNAME, txtPassword: STUDENT.password }),
+            redirect: 'manual',
+        });
+        assert.equal(login.status, 302);
+        const headers = { cookie: login.headers.get('set-cookie').split(';')[0] };
+
+        const [period] = STUDENT.periods;
+        const query = new URLSearchParams({ year: period.year, semester: period.semester });
+        const page = await fetch(`${simulator.settings.marksheetUrl}?${query}`, { headers });
+        const marks = await fetch(`${simulator.url}/Marksheet.aspx/GetMarks?${query}`, { headers });
+        const document = new JSDOM(await page.text()).window.document;
+        // What the page script does once the AJAX call returns
+        document.getElementById('marksContainer').innerHTML = await marks.text();
+        document.getElementById('updateProgress').remove();
+
+        assert.equal(hasMarksheetContent(document, { profile, verbose: false }), true);
+        const { studentInfo, semesters } = extractMarksFromDocument(document, { profile, verbose: false });
+        assert.deepEqual(studentInfo, STUDENT.studentInfo);
+        assert.deepEqual(semesters, [{ title: periodTitle(period), courses: period.courses }]);
+    } finally {
+        await simulator.close();
+    }
+});
+
+e2e('logs in and extracts the marks of every academic period', async () => {
+    const reports = [];
+    const artifacts = [];
+    const { result, state, log } = await scrapeSimulator({}, {
+        runId: 7,
+        accountId: 3,
+        onPeriod: report => reports.push(report),
+        onArtifact: artifact => artifacts.push(artifact),
+    });
+
+    assert.equal(result.status, scraper.SCRAPE_STATUS.EXTRACTED, result.message);
+    assert.equal(result.success, true);
+    assert.deepEqual(result.profile, { id: profile.id, version: profile.version });
+    assert.deepEqual(result.data.studentInfo, STUDENT.studentInfo);
+    assert.deepEqual(result.data.semesters, STUDENT.periods.map(period => {
+        const label = `${period.year} / ${period.semester}`;
+        return { title: periodTitle(period), period: label, courses: period.courses.map(course => ({ ...course, period: label })) };
+    }));
+    assert.deepEqual(result.periods, reports);
+    assert.deepEqual(reports.map(({ index, total, status, courses }) => ({ index, total, status, courses })),
+        STUDENT.periods.map((period, i) => ({ index: i + 1, total: STUDENT.periods.length, status: 'extracted', courses: period.courses.length })));
+    assert.equal(state.logins, 1);
+
+    // One directory per run, every file indexed as it is written
+    assert.deepEqual(result.artifacts, artifacts);
+    assert.equal(new Set(artifacts.map(artifact => path.dirname(artifact.path))).size, 1);
+    assert.equal(path.basename(path.dirname(artifacts[0].path)), '7');
+    assert.deepEqual(Array.from(new Set(artifacts.map(({ kind }) => kind))).sort(), ['html', 'json', 'log', 'screenshot']);
+    assert.equal(artifacts.find(({ kind }) => kind === 'json').step, 'extract');
+    assert.ok(log.length > 0);
+    assert.ok(log.every(entry => entry.run_id === 7 && entry.account_id === 3 && 'step' in entry), 'fields on every line');
+    assert.ok(log.some(entry => entry.step === 'wait'));
+});
+
+e2e('reuses the saved session on the next run', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'miss-e2e-'));
+    try {
+        const simulator = await startSimulator({ marksDelayMs: 300 });
+        const settings = { ...simulator.settings, dataDir, artifactsDir: path.join(dataDir, 'runs') };
+        try {
+            const first = await scraper.scrapeMarks({ credentials: CREDENTIALS, settings, timeouts: TIMEOUTS, logger: QUIET, loginOnly: true });
+            const second = await scraper.scrapeMarks({ credentials: CREDENTIALS, settings, timeouts: TIMEOUTS, logger: QUIET, loginOnly: true });
+            assert.equal(first.status, scraper.SCRAPE_STATUS.LOGGED_IN, first.message);
+            assert.equal(second.status, scraper.SCRAPE_STATUS.LOGGED_IN, second.message);
+            assert.equal(second.step, 'session_check');
+            assert.equal(simulator.state.logins, 1);
+        } finally {
+            await simulator.close();
+        }
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+e2e('reports a wrong password as a failed login', async () => {
+    const { result, state } = await scrapeSimulator({}, { credentials: { ...CREDENTIALS, password: 'wrong' } });
+
+    assert.equal(result.status, scraper.SCRAPE_STATUS.LOGIN_FAILED, result.message);
+    assert.equal(result.step, 'login');
+    assert.equal(state.failedLogins, 1);
+});
+
+e2e('hands the CAPTCHA off and retries a rejected solution', async () => {
+    const challenges = [];
+    const { result, state } = await scrapeSimulator({ captcha: true }, {
+        onCaptcha: async challenge => {
+            challenges.push(challenge);
+            return challenge.attempt === 1 ? 'WRONG' : DEFAULT_CAPTCHA_CODE;
+        },
+    });
+
+    assert.equal(result.status, scraper.SCRAPE_STATUS.EXTRACTED, result.message);
+    assert.deepEqual(challenges.map(({ attempt }) => attempt), [1, 2]);
+    assert.equal(challenges[0].mimeType, 'image/png');
+    assert.deepEqual([...challenges[0].image.subarray(1, 4)], [...Buffer.from('PNG')]);
+    assert.equal(state.failedLogins, 1);
+    assert.equal(state.logins, 1);
+});
+
+e2e('gives up when nobody solves the CAPTCHA', async () => {
+    const { result } = await scrapeSimulator({ captcha: true }, { onCaptcha: async () => null });
+
+    assert.equal(result.status, scraper.SCRAPE_STATUS.CAPTCHA_REQUIRED, result.message);
+    assert.equal(result.step, 'captcha');
+});
+
+e2e('stops at a CAPTCHA when headless with nobody to hand it to', async () => {
+    const { result, state } = await scrapeSimulator({ captcha: true });
+
+    assert.equal(result.status, scraper.SCRAPE_STATUS.CAPTCHA_REQUIRED, result.message);
+    assert.equal(state.logins + state.failedLogins, 0);
+});
+
+e2e('notices a session that expires before the marksheet', async () => {
+    // Two page views: the redirect to Home.aspx after login and the session re-check
+    const { result } = await scrapeSimulator({ sessionMaxRequests: 2 });
+
+    assert.equal(result.status, scraper.SCRAPE_STATUS.MARKSHEET_UNREACHABLE, result.message);
+    assert.equal(result.step, 'navigate');
+});
+
+e2e('gives up on a marksheet redirect loop', async () => {
+    const { result } = await scrapeSimulator({ redirectLoop: true });
+
+    assert.equal(result.status, scraper.SCRAPE_STATUS.MARKSHEET_UNREACHABLE, result.message);
+    assert.equal(result.data, null);
+});
+
+e2e('ends as cancelled when aborted while the marks load', async () => {
+    const controller = new AbortController();
+    const { result } = await scrapeSimulator({ marksDelayMs: 5000 }, {
+        timeouts: { ...TIMEOUTS, marksLoadMs: 5000 },
+        signal: controller.signal,
+        onStep: step => {
+            if (step === 'wait') setTimeout(() => controller.abort(), 500);
+        },
+    });
+
+    assert.equal(result.status, scraper.SCRAPE_STATUS.CANCELLED, result.message);
+    assert.equal(result.step, 'wait');
+});
+
+e2e('retries pages the portal answers with 503', async () => {
+    // The session check's first look at the dashboard fails
+    const { result, state, log } = await scrapeSimulator({ unavailableRequests: 1 });
+
+    assert.equal(result.status, scraper.SCRAPE_STATUS.EXTRACTED, result.message);
+    assert.equal(state.unavailable, 1);
+    assert.deepEqual(log.filter(entry => entry.msg === 'Portal page failed, retrying').map(entry => [entry.step, entry.attempt]), [['session_check', 1]]);
+});
+
+e2e('gives up on a portal that stays unavailable', async () => {
+    const { result, state } = await scrapeSimulator({ unavailableRequests: Infinity });
+
+    assert.equal(result.status, scraper.SCRAPE_STATUS.PORTAL_UNAVAILABLE, result.message);
+    assert.equal(result.step, 'session_check');
+    // The session check's two attempts, and no login attempted
+    assert.equal(state.unavailable, 2);
+    assert.equal(state.logins + state.failedLogins, 0);
+});
@@ -0,0 +1,61 @@
+/**
+ * Student identity resolution, profile changes and the placeholder repair plan.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveStudentIdentity, profileFromStudentInfo, profileChanges, planIdentityRepair } from '../service/studentIdentity.js';
+
+test('the account is the identity, confirmed by a matching regNo', () => {
+    assert.deepEqual(resolveStudentIdentity({ studentUuid: '2201001', studentInfo: { regNo: ' 2201 001 ' } }), {
+        uuid: '2201001', source: 'account', reg_no: '2201 001', verified: true, error: null,
+    });
+
+    const unverified = resolveStudentIdentity({ studentUuid: '2201001', studentInfo: { regNo: 'N/A' } });
+    assert.equal(unverified.uuid, '2201001');
+    assert.equal(unverified.verified, false);
+    assert.equal(unverified.error, null);
+});
+
+test('a regNo of another student, or no identity at all, is refused', () => {
+    const mismatch = resolveStudentIdentity({ studentUuid: '2201001', studentInfo: { regNo: '2201002' } });
+    assert.equal(mismatch.uuid, null);
+    assert.match(mismatch.error, /2201002, not 2201001/);
+
+    assert.equal(resolveStudentIdentity({ studentInfo: { regNo: '' } }).uuid, null);
+    assert.deepEqual(resolveStudentIdentity({ studentInfo: { regNo: '2201003' } }), {
+        uuid: '2201003', source: 'marksheet', reg_no: '2201003', verified: false, error: null,
+    });
+});
+
+test('profile changes leave out blank fields', () => {
+    const profile = profileFromStudentInfo({ name: ' Jane Doe ', regNo: 'N/A', program: '', faculty: 'Computing' });
+    assert.deepEqual(profile, { name: 'Jane Doe', faculty: 'Computing' });
+
+    const student = { name: 'Jane Doe', reg_no: '2201001', program: 'BSc IT', faculty: null };
+    assert.deepEqual(profileChanges(student, profile), [{ field: 'faculty', old_value: null, new_value: 'Computing' }]);
+});
+
+test('planIdentityRepair follows the last run reporting each result', () => {
+    const results = [
+        { id: 1, course_id: 10, period_id: 1 },
+        { id: 2, course_id: 11, period_id: 1 },
+        { id: 3, course_id: 12, period_id: 1 },
+        { id: 4, course_id: 13, period_id: 1 },
+    ];
+    const runs = [
+        { id: 7, student_uuid: 'A', result_ids: [1, 2] },
+        { id: 8, student_uuid: 'B', result_ids: [2, 3] },
+    ];
+    const plan = planIdentityRepair(results, { runs, taken: new Set(['B:12:1']) });
+
+    assert.deepEqual(plan.moves, [
+        { result_id: 1, to: 'A', run_id: 7, overwritten: [] },
+        { result_id: 2, to: 'B', run_id: 8, overwritten: ['A'] },
+    ]);
+    assert.deepEqual(plan.conflicts.map(conflict => [conflict.result_id, conflict.to]), [[3, 'B']]);
+    assert.deepEqual(plan.unattributed, [4]);
+
+    const withTarget = planIdentityRepair(results.slice(3), { runs, to: 'C' });
+    assert.deepEqual(withTarget.moves, [{ result_id: 4, to: 'C', run_id: null, overwritten: [] }]);
+});
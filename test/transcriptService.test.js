@@ -0,0 +1,96 @@
+/**
+ * Transcript content, hash and PDF rendering from in-memory results.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough, Writable } from 'stream';
+import { buildTranscript, transcriptHash, renderTranscriptPdf } from '../service/transcriptService.js';
+import { getScale } from '../service/grading.js';
+
+const options = { scale: 'ulk', bands: getScale('ulk') };
+
+const mark = (fields) => ({
+    id: 1,
+    code: 'CS101',
+    name: 'Intro to Computing',
+    credit: 4,
+    cat1: 18,
+    cat1_status: 'published',
+    cat2: 17,
+    cat2_status: 'published',
+    exam_mark: 40,
+    exam_mark_status: 'published',
+    total_mark: 75,
+    total_mark_status: 'published',
+    grade: null,
+    grade_point: null,
+    ...fields,
+});
+
+const data = (periods) => ({
+    student: { id: 1, uuid: 'REG-001', name: 'Jane Doe', reg_no: 'REG-001', program: 'BSc Computer Science', faculty: 'Computing' },
+    periods,
+});
+
+async function renderToBuffer(transcript) {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    await renderTranscriptPdf(stream, transcript, { hash: transcriptHash(transcript), generatedAt: new Date('2025-02-01T08:00:00Z') });
+    return Buffer.concat(chunks).toString('latin1');
+}
+
+test('buildTranscript groups courses by period with GPA and CGPA', () => {
+    const transcript = buildTranscript(data([
+        { id: 1, title: 'Semester 1', results: [mark(), mark({ id: 2, code: 'CS102', credit: 2, total_mark: 85, exam_mark: null, exam_mark_status: 'absent' })] },
+        { id: 2, title: 'Semester 2', results: [mark({ id: 3, code: 'CS201', total_mark: null, total_mark_status: 'pending' })] },
+    ]), options);
+
+    assert.deepEqual(transcript.student, { uuid: 'REG-001', name: 'Jane Doe', reg_no: 'REG-001', program: 'BSc Computer Science', faculty: 'Computing' });
+    assert.deepEqual(transcript.periods.map(period => [period.title, period.credits, period.gpa, period.cgpa]), [
+        ['Semester 1', 6, 3.33, 3.33],
+        ['Semester 2', 0, null, 3.33],
+    ]);
+    assert.deepEqual(transcript.periods[0].courses[1], {
+        code: 'CS102', name: 'Intro to Computing', credit: 2, cat1: '18', cat2: '17', exam_mark: 'ABS', total_mark: '85', grade: 'A',
+    });
+    assert.equal(transcript.periods[1].courses[0].total_mark, '-');
+    assert.equal(transcript.cgpa, 3.33);
+});
+
+test('transcriptHash changes with the marks but not between identical builds', () => {
+    const periods = [{ id: 1, title: 'Semester 1', results: [mark()] }];
+    const hash = transcriptHash(buildTranscript(data(periods), options));
+
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.equal(transcriptHash(buildTranscript(data(periods), options)), hash);
+    assert.notEqual(transcriptHash(buildTranscript(data([{ ...periods[0], results: [mark({ total_mark: 76 })] }]), options)), hash);
+});
+
+test('renderTranscriptPdf paginates long transcripts', async () => {
+    const short = await renderToBuffer(buildTranscript(data([{ id: 1, title: 'Semester 1', results: [mark()] }]), options));
+    assert.ok(short.startsWith('%PDF-'));
+    assert.equal(short.match(/\/Type \/Page\b/g).length, 1);
+
+    const results = Array.from({ length: 60 }, (_, i) => mark({ id: i + 1, code: `CS${100 + i}` }));
+    const long = await renderToBuffer(buildTranscript(data([
+        { id: 1, title: 'Semester 1', results: results.slice(0, 30) },
+        { id: 2, title: 'Semester 2', results: results.slice(30) },
+    ]), options));
+    assert.ok(long.match(/\/Type \/Page\b/g).length > 1);
+});
+
+test('renderTranscriptPdf settles when the client goes away', async () => {
+    const transcript = buildTranscript(data([{ id: 1, title: 'Semester 1', results: [mark()] }]), options);
+    const render = stream => renderTranscriptPdf(stream, transcript, { hash: transcriptHash(transcript) });
+
+    // A client that stops reading and then disconnects
+    const stalled = new Writable({ highWaterMark: 16, write() {} });
+    setTimeout(() => stalled.destroy(), 50);
+    await assert.rejects(render(stalled), { code: 'ERR_STREAM_PREMATURE_CLOSE' });
+
+    const gone = new Writable({ write(chunk, encoding, callback) { callback(); } });
+    gone.destroy();
+    await assert.rejects(render(gone), { code: 'ERR_STREAM_PREMATURE_CLOSE' });
+});
@@ -0,0 +1,94 @@
+/**
+ * Webhook signatures and the mark events of a save (service/webhookEvents.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { signPayload, deriveMarkEvents } from '../service/webhookEvents.js';
+
+const student = { id: 1, uuid: '2201001', name: 'Jane Doe' };
+const semester1 = { id: 10, title: 'Semester 1' };
+const semester2 = { id: 20, title: 'Semester 2' };
+
+/**
+ * A Result loaded with its student, course and period.
+ */
+function result(id, period, code, marks) {
+    return {
+        id,
+        student_id: student.id,
+        period_id: period.id,
+        student,
+        course: { code, name: code, credits: 3 },
+        period,
+        grade: null,
+        grade_point: null,
+        extra: null,
+        ...marks,
+    };
+}
+
+const published = (cat1, cat2, exam_mark, total_mark) => ({
+    cat1, cat1_status: 'published',
+    cat2, cat2_status: 'published',
+    exam_mark, exam_mark_status: 'published',
+    total_mark, total_mark_status: 'published',
+});
+
+// CSC201 is new; CSC101 had its cat1 corrected from 12 to 14; CSC102 did not change
+const created = result(1, semester2, 'CSC201', published(15, 16, 40, 71));
+const changed = result(2, semester1, 'CSC101', published(14, 15, 38, 67));
+const unchanged = result(3, semester1, 'CSC102', { ...published(10, 11, null, null), exam_mark_status: 'pending', total_mark_status: 'pending' });
+const stored = [created, changed, unchanged];
+
+const cat1Change = { field: 'cat1', old_value: 12, new_value: 14, old_status: 'published', new_status: 'published' };
+const save = {
+    student,
+    saved: [
+        { result: created, action: 'created', changes: [] },
+        { result: changed, action: 'updated', changes: [cat1Change] },
+        { result: unchanged, action: 'unchanged', changes: [] },
+    ],
+};
+
+// Answers the two lookups deriveMarkEvents makes
+async function findResults(where) {
+    if (where.id) return stored.filter(row => where.id.in.includes(row.id));
+    return stored.filter(row => row.student_id === where.student_id && row.period_id === where.period_id);
+}
+
+test('payloads are signed with an HMAC-SHA256 of the timestamp and body', () => {
+    const body = '{"event":"mark.published"}';
+    assert.equal(signPayload('whsec_test', '1760868000', body),
+        'sha256=14a208b329452b86dc591173b3b8e45b4c146fc96c7c7ba1de5b6d0ef21bdad6');
+
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1760868000.${body}`).digest('hex');
+    assert.equal(signPayload('whsec_test', '1760868000', body), `sha256=${expected}`);
+    assert.notEqual(signPayload('whsec_other', '1760868000', body), `sha256=${expected}`);
+    assert.notEqual(signPayload('whsec_test', '1760868001', body), `sha256=${expected}`);
+});
+
+test('a created mark is published and completes its semester', async () => {
+    const events = await deriveMarkEvents(save, findResults);
+    const forCreated = events.filter(({ data }) => (data.mark ? data.mark.id === 1 : data.academic_period.id === semester2.id));
+
+    assert.deepEqual(forCreated.map(({ event }) => event), ['mark.published', 'semester.completed']);
+    assert.deepEqual(forCreated[0].data.components, ['cat1', 'cat2', 'exam_mark', 'total_mark']);
+    assert.deepEqual(forCreated[0].data.student, { id: 1, uuid: '2201001', name: 'Jane Doe' });
+    assert.equal(forCreated[0].data.mark.total_mark, 71);
+    assert.deepEqual(forCreated[1].data.academic_period, { id: 20, title: 'Semester 2' });
+    assert.deepEqual(forCreated[1].data.marks.map(mark => mark.code), ['CSC201']);
+});
+
+test('a changed published mark gives mark.changed, an unchanged one nothing', async () => {
+    const events = await deriveMarkEvents(save, findResults);
+
+    const forChanged = events.filter(({ data }) => data.mark && data.mark.id === 2);
+    assert.deepEqual(forChanged.map(({ event }) => event), ['mark.changed']);
+    assert.deepEqual(forChanged[0].data.changes, [cat1Change]);
+    assert.equal(forChanged[0].data.mark.cat1, 14);
+
+    assert.equal(events.filter(({ data }) => data.mark && data.mark.id === 3).length, 0);
+    assert.equal(events.length, 3, 'Semester 1 still has pending totals, so it is not completed');
+});